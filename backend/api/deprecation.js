@@ -0,0 +1,71 @@
+// Endpoints that moved to /api/v1 stay at their old paths for existing
+// clients, in front of the same handlers. deprecated() marks each answer
+// with a Deprecation header (RFC 9745) and the date the old path goes away
+// in Sunset (RFC 8594), and counts the call in a LegacyUsage so the logs
+// show who still relies on it.
+
+const LOG_INTERVAL = 60 * 60 * 1000;
+
+class LegacyUsage {
+    // logger: anything with warn(), or null to only count
+    constructor({ logger = console, interval = LOG_INTERVAL } = {}) {
+        this.logger = logger;
+        this.interval = interval;
+        this.routes = new Map();
+    }
+
+    // Count a call. The first from each client in an interval is logged, so
+    // a busy script shows up without flooding the log.
+    record({ route, successor, client, userAgent, now = Date.now() }) {
+        if (!this.routes.has(route)) {
+            this.routes.set(route, { calls: 0, lastUsedAt: null, loggedAt: new Map() });
+        }
+        const usage = this.routes.get(route);
+        usage.calls += 1;
+        usage.lastUsedAt = new Date(now);
+
+        const loggedAt = usage.loggedAt.get(client);
+        if (this.logger && (loggedAt === undefined || now - loggedAt >= this.interval)) {
+            usage.loggedAt.set(client, now);
+            this.logger.warn(
+                `Deprecated endpoint ${route} called by ${client}${userAgent ? ` (${userAgent})` : ''}; ` +
+                `use ${successor} instead. ${usage.calls} call(s) since startup.`
+            );
+        }
+    }
+
+    // { route, calls, lastUsedAt } for each old path called since startup
+    summary() {
+        return [...this.routes].map(([route, { calls, lastUsedAt }]) => ({ route, calls, lastUsedAt }));
+    }
+}
+
+// Middleware for an old path. successor is the /api/v1 route that replaces
+// it, for the log. getUsage returns the LegacyUsage to count in. The call is
+// recorded once answered, when the route's auth middleware has said who made
+// it.
+function deprecated(successor, { deprecatedAt, sunset, getUsage }) {
+    const deprecation = `@${Math.floor(deprecatedAt.getTime() / 1000)}`;
+
+    return (req, res, next) => {
+        res.set('Deprecation', deprecation);
+        res.set('Sunset', sunset.toUTCString());
+
+        res.on('finish', () => {
+            const usage = getUsage();
+            if (!usage) return;
+            usage.record({
+                route: `${req.method} ${req.route ? req.route.path : req.path}`,
+                successor,
+                client: req.user ? `user ${req.user.id}${req.scopes ? ' (access token)' : ''}` : `anonymous ${req.ip}`,
+                userAgent: req.get('user-agent')
+            });
+        });
+        next();
+    };
+}
+
+module.exports = {
+    LegacyUsage,
+    deprecated
+};
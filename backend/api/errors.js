@@ -0,0 +1,74 @@
+// Errors in the /api/v1 envelope. Every error answer there has one shape:
+//
+//   { "error": { "code": "not_found", "message": "Board not found", "details": { ... } } }
+//
+// code is stable and meant for programs; message is for people and may
+// change; details carries anything else the error comes with (retryAfter,
+// a video's status...). Routes, and the middleware they share with the
+// legacy endpoints, answer errors as { error: message, code?, ...details };
+// errorEnvelope rewrites those bodies on their way out of /api/v1.
+
+// An error the client can do something about. Thrown by route helpers that
+// /api/v1 and the legacy endpoints share, and answered with sendApiError.
+class ApiError extends Error {
+    constructor(status, message, { code, details } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Codes for errors that don't name their own
+const STATUS_CODES = {
+    400: 'invalid_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    413: 'payload_too_large',
+    416: 'range_not_satisfiable',
+    429: 'rate_limited',
+    500: 'internal_error'
+};
+
+const errorCode = (status) => STATUS_CODES[status] || (status >= 500 ? 'internal_error' : 'invalid_request');
+
+const sendApiError = (res, error) => res.status(error.status).json({
+    error: error.message,
+    ...(error.code && { code: error.code }),
+    ...error.details
+});
+
+// Middleware for /api/v1: error bodies leave in the envelope
+function errorEnvelope(req, res, next) {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (res.statusCode < 400 || !body || typeof body.error !== 'string') {
+            return json(body);
+        }
+        const { error: message, code, ...details } = body;
+        return json({
+            error: {
+                code: code || errorCode(res.statusCode),
+                message,
+                ...(Object.keys(details).length > 0 && { details })
+            }
+        });
+    };
+    next();
+}
+
+// Paths under /api/v1 that no route answers
+function notFound(req, res) {
+    res.status(404).json({ error: `No endpoint ${req.method} ${req.baseUrl}${req.path}` });
+}
+
+module.exports = {
+    ApiError,
+    errorCode,
+    sendApiError,
+    errorEnvelope,
+    notFound
+};
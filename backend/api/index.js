@@ -0,0 +1,16 @@
+// Shared pieces of the versioned JSON API at /api/v1: the error envelope
+// (./errors) and the deprecation of the old paths it replaces
+// (./deprecation). The routes themselves are in server.js.
+
+const { ApiError, errorCode, sendApiError, errorEnvelope, notFound } = require('./errors');
+const { LegacyUsage, deprecated } = require('./deprecation');
+
+module.exports = {
+    ApiError,
+    errorCode,
+    sendApiError,
+    errorEnvelope,
+    notFound,
+    LegacyUsage,
+    deprecated
+};
@@ -0,0 +1,109 @@
+// Settings read from the environment. Shared by the server and the
+// migrations in ./migrations so both open the same data.
+
+const os = require('os');
+const path = require('path');
+
+// Storage backend: mongodb, memory or file (defaults to in-memory for tests)
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/shortbread';
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || (process.env.NODE_ENV === 'test' ? 'memory' : 'mongodb');
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Media store: local disk (default) or S3-compatible object storage
+const MEDIA_STORE = process.env.MEDIA_STORE || 'local';
+const MEDIA_DIR = process.env.MEDIA_DIR || path.join(DATA_DIR, 'media');
+
+// Video downloads: yt-dlp (on PATH unless YTDLP_PATH is set), and the largest
+// file it may fetch
+const DOWNLOAD_MAX_MB = Number(process.env.DOWNLOAD_MAX_MB) || 200;
+
+// Mail transport: smtp when SMTP_HOST is set, otherwise messages are written
+// as JSON files to OUTBOX_DIR (a throwaway directory under test)
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'outbox');
+const OUTBOX_DIR = process.env.OUTBOX_DIR || (process.env.NODE_ENV === 'test'
+    ? path.join(os.tmpdir(), `shortbread-outbox-${process.pid}`)
+    : path.join(DATA_DIR, 'outbox'));
+
+// Where the app is reached, for the links in emails (no trailing slash). Never
+// taken from the request, whose Host header the sender controls; required in
+// production.
+const APP_URL = (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+
+// Passkeys are bound to APP_URL's host unless WEBAUTHN_RP_ID (a parent
+// domain, say) and WEBAUTHN_ORIGIN say otherwise
+const webauthnOptions = {
+    rpId: process.env.WEBAUTHN_RP_ID || new URL(APP_URL).hostname,
+    origin: process.env.WEBAUTHN_ORIGIN || new URL(APP_URL).origin
+};
+
+// Rate limit counters: memory (per process) or mongodb (shared by every
+// instance; defaults to it when the data is in MongoDB)
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || (STORAGE_BACKEND === 'mongodb' ? 'mongodb' : 'memory');
+
+// Sign-in providers, listed by id in OIDC_PROVIDERS (e.g. "google,github").
+// Each is configured with OIDC_<ID>_CLIENT_ID, OIDC_<ID>_CLIENT_SECRET and
+// either OIDC_<ID>_ISSUER for OpenID Connect providers or
+// OIDC_<ID>_AUTHORIZATION_URL, _TOKEN_URL and _USERINFO_URL for plain OAuth2
+// ones. Optional: _LABEL for the button, _SCOPES, and _TRUST_EMAIL=true for
+// OAuth2 providers whose emails are always verified.
+const oidcProviders = (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(id => id.trim().toLowerCase())
+    .filter(Boolean)
+    .map(id => {
+        const env = (name) => process.env[`OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_${name}`];
+        return {
+            id,
+            label: env('LABEL') || id.charAt(0).toUpperCase() + id.slice(1),
+            issuer: env('ISSUER'),
+            clientId: env('CLIENT_ID'),
+            clientSecret: env('CLIENT_SECRET'),
+            scopes: env('SCOPES'),
+            authorizationUrl: env('AUTHORIZATION_URL'),
+            tokenUrl: env('TOKEN_URL'),
+            userinfoUrl: env('USERINFO_URL'),
+            trustEmail: env('TRUST_EMAIL') === 'true'
+        };
+    });
+
+module.exports = {
+    MONGODB_URI,
+    STORAGE_BACKEND,
+    DATA_DIR,
+    MEDIA_STORE,
+    MAIL_TRANSPORT,
+    APP_URL,
+    RATE_LIMIT_STORE,
+    oidcProviders,
+    webauthnOptions,
+    storageOptions: {
+        mongoUri: MONGODB_URI,
+        dataDir: DATA_DIR
+    },
+    downloaderOptions: {
+        binary: process.env.YTDLP_PATH,
+        maxFileSizeMb: DOWNLOAD_MAX_MB
+    },
+    mediaStoreOptions: {
+        root: MEDIA_DIR,
+        s3: {
+            endpoint: process.env.S3_ENDPOINT,
+            region: process.env.S3_REGION,
+            bucket: process.env.S3_BUCKET,
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        }
+    },
+    mailOptions: {
+        outbox: {
+            dir: OUTBOX_DIR
+        },
+        smtp: {
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS
+        }
+    }
+};
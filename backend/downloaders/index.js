@@ -0,0 +1,25 @@
+// Video downloaders. A downloader fetches the media behind a shared URL:
+//
+//   downloader.download(url, { outputDir, basename }) -> Promise<{ file }>
+//
+// where file is the path of the downloaded media inside outputDir. Tests swap
+// in a fake that copies fixture files instead of hitting the network.
+
+const YtDlpDownloader = require('./ytdlp');
+
+const DOWNLOADERS = ['yt-dlp'];
+
+function createDownloader(name, options = {}) {
+    switch (name) {
+        case 'yt-dlp':
+            return new YtDlpDownloader({ binary: options.binary, maxFileSizeMb: options.maxFileSizeMb });
+        default:
+            throw new Error(`Unknown downloader "${name}". Expected one of: ${DOWNLOADERS.join(', ')}`);
+    }
+}
+
+module.exports = {
+    DOWNLOADERS,
+    createDownloader,
+    YtDlpDownloader
+};
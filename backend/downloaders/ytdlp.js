@@ -0,0 +1,46 @@
+// Downloads videos with the yt-dlp command line tool.
+
+const { execFile } = require('child_process');
+const path = require('path');
+
+class YtDlpDownloader {
+    constructor({ binary = 'yt-dlp', timeout = 5 * 60 * 1000, maxFileSizeMb = 200 } = {}) {
+        this.binary = binary;
+        this.timeout = timeout;
+        this.maxFileSizeMb = maxFileSizeMb;
+    }
+
+    download(url, { outputDir, basename }) {
+        const args = [
+            '--no-playlist',
+            '--no-progress',
+            // Prefer a single progressive mp4 so browsers can play it directly
+            '--format', 'mp4/best',
+            // Bigger files are skipped, and then reported as not downloaded
+            '--max-filesize', `${this.maxFileSizeMb}M`,
+            '--output', path.join(outputDir, `${basename}.%(ext)s`),
+            '--print', 'after_move:filepath',
+            // The URL is the user's; after -- it can't be read as an option
+            '--',
+            url
+        ];
+
+        return new Promise((resolve, reject) => {
+            execFile(this.binary, args, { timeout: this.timeout, maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
+                if (error) {
+                    const reason = (stderr || '').trim().split('\n').pop() || error.message;
+                    return reject(new Error(`yt-dlp failed: ${reason}`));
+                }
+
+                const file = stdout.trim().split('\n').pop();
+                if (!file) {
+                    return reject(new Error('yt-dlp did not report a downloaded file'));
+                }
+
+                resolve({ file });
+            });
+        });
+    }
+}
+
+module.exports = YtDlpDownloader;
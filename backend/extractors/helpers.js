@@ -0,0 +1,100 @@
+// Helpers shared by extractors: URL matching and pulling metadata out of
+// HTML pages without a DOM parser.
+
+// True if the URL's host is one of the domains or a subdomain of one
+const hostMatches = (url, domains) => domains.some(domain =>
+    url.hostname === domain || url.hostname.endsWith(`.${domain}`));
+
+const ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' '
+};
+
+function decodeEntities(text) {
+    if (!text) return text;
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return String.fromCodePoint(point);
+        }
+        return ENTITIES[code.toLowerCase()] || entity;
+    });
+}
+
+// Attributes of a single tag, e.g. <meta property="og:title" content="...">
+function parseAttributes(tag) {
+    const attributes = {};
+    const pattern = /([a-zA-Z_:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = pattern.exec(tag))) {
+        attributes[match[1].toLowerCase()] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+    }
+    return attributes;
+}
+
+// Map of <meta> property/name/itemprop to content. The first tag wins.
+function metaTags(html) {
+    const tags = {};
+    const pattern = /<meta\s[^>]*>/gi;
+    let match;
+    while ((match = pattern.exec(html))) {
+        const attributes = parseAttributes(match[0]);
+        const name = attributes.property || attributes.name || attributes.itemprop;
+        if (name && attributes.content !== undefined && !(name in tags)) {
+            tags[name] = attributes.content;
+        }
+    }
+    return tags;
+}
+
+// oEmbed endpoint advertised by <link rel="alternate" type="application/json+oembed">
+function oEmbedLink(html) {
+    const pattern = /<link\s[^>]*>/gi;
+    let match;
+    while ((match = pattern.exec(html))) {
+        const attributes = parseAttributes(match[0]);
+        if (attributes.type === 'application/json+oembed' && attributes.href) {
+            return attributes.href;
+        }
+    }
+    return null;
+}
+
+// ISO 8601 durations like PT1M5S, in seconds
+function parseIsoDuration(value) {
+    const match = /^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?$/.exec(value || '');
+    if (!match) return null;
+    const [, days, hours, minutes, seconds] = match.map(part => Number(part) || 0);
+    return days * 86400 + hours * 3600 + minutes * 60 + seconds;
+}
+
+// Plain text of an HTML fragment
+function stripTags(html) {
+    return decodeEntities((html || '').replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+const toDate = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+};
+
+const toNumber = (value) => {
+    const number = Number(value);
+    return value !== undefined && value !== null && value !== '' && Number.isFinite(number) ? number : null;
+};
+
+module.exports = {
+    hostMatches,
+    decodeEntities,
+    metaTags,
+    oEmbedLink,
+    parseIsoDuration,
+    stripTags,
+    toDate,
+    toNumber
+};
@@ -0,0 +1,147 @@
+// Page fetcher used by extractors. Kept tiny so tests can replace it with a
+// function that serves saved fixtures: fetchText(url) -> Promise<string>.
+//
+// The URLs come from users, so the fetcher only talks to the public
+// internet: hosts that resolve to loopback, private, link-local (where cloud
+// metadata services live) or other reserved addresses are refused, on every
+// redirect and at connect time, so DNS can't be switched in between. Bodies
+// are capped in size and the whole fetch, redirects included, in time.
+
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; ShortbreadBot/1.0; +https://github.com/vats98754/shortbread)';
+
+const MAX_BYTES = 2 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const TIMEOUT_MS = 10 * 1000;
+
+class BlockedUrlError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BlockedUrlError';
+    }
+}
+
+const BLOCKED = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+    ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+    ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+    if (net.isIPv4(address)) {
+        return BLOCKED.check(address, 'ipv4');
+    }
+    // IPv4 written as IPv6 (::ffff:127.0.0.1) reaches the IPv4 host
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) {
+        return BLOCKED.check(mapped[1], 'ipv4');
+    }
+    return BLOCKED.check(address, 'ipv6');
+}
+
+// dns.lookup for the agents below, failing for hosts with a blocked address
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+        if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+            return callback(new BlockedUrlError(`${hostname} is not a public address`));
+        }
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const agents = {
+    httpAgent: new http.Agent({ lookup: publicLookup }),
+    httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+// Addresses written into the URL are connected to without a lookup
+function checkUrl(url) {
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new BlockedUrlError(`Only http(s) URLs can be fetched, not ${url.protocol}`);
+    }
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && isBlockedAddress(host)) {
+        throw new BlockedUrlError(`${host} is not a public address`);
+    }
+}
+
+// Refuse url unless it is an http(s) link to a public host. For links handed
+// to tools that fetch them on their own, like yt-dlp: the host is resolved
+// here too unless resolve is false, which leaves only addresses written into
+// the URL to check.
+async function checkPublicUrl(url, { resolve = true } = {}) {
+    const target = new URL(url);
+    checkUrl(target);
+
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    if (!resolve || net.isIP(host)) {
+        return;
+    }
+    await new Promise((done, fail) => {
+        publicLookup(host, {}, error => (error ? fail(error) : done()));
+    });
+}
+
+async function fetchText(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+    try {
+        let target = new URL(url);
+
+        // Redirects are followed here so each one is checked
+        for (let redirects = 0; ; redirects++) {
+            checkUrl(target);
+            const response = await axios.get(target.href, {
+                ...agents,
+                proxy: false,
+                signal: controller.signal,
+                timeout: 5000,
+                maxContentLength: MAX_BYTES,
+                maxRedirects: 0,
+                validateStatus: status => status >= 200 && status < 400,
+                responseType: 'text',
+                // Keep JSON bodies as text; extractors parse what they need
+                transformResponse: data => data,
+                headers: {
+                    'User-Agent': USER_AGENT,
+                    'Accept-Language': 'en'
+                }
+            });
+
+            if (response.status < 300) {
+                return response.data;
+            }
+            if (!response.headers.location || redirects >= MAX_REDIRECTS) {
+                throw new Error(`Too many redirects fetching ${url}`);
+            }
+            target = new URL(response.headers.location, target);
+        }
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+module.exports = {
+    fetchText,
+    checkPublicUrl,
+    isBlockedAddress,
+    BlockedUrlError
+};
@@ -0,0 +1,117 @@
+// Platform extractor registry. Every module in ./platforms is loaded
+// automatically, so supporting a new platform means dropping in a file that
+// exports:
+//
+//   slug          stable short name used in canonical keys, e.g. 'youtube'
+//   platform      display name, e.g. 'YouTube'
+//   match(url)    true if the extractor handles this URL (a URL object)
+//   parse(url)    optional: what the URL alone reveals, e.g. { platformId }
+//   extract(url, { fetchText })
+//                 optional: fetch and parse metadata pages. fetchText(url)
+//                 resolves to the response body, and is swapped for saved
+//                 fixtures in tests.
+//   fallback      true for the generic extractor used when nothing matches
+//
+// Extractors return any of: title, author, thumbnail, duration (seconds),
+// postedAt (Date) and platformId. Missing fields fall back to defaults.
+// Passing fetchText: null skips fetching and uses only what parse() finds.
+//
+// canonicalKey(url) identifies the video behind a link so the same clip saved
+// from youtu.be, /shorts/ or a ?si= share link is stored once. It is
+// '<slug>:<platformId>' when the URL names a video, otherwise 'url:' plus the
+// URL with tracking parameters and cosmetic differences stripped.
+
+const fs = require('fs');
+const path = require('path');
+const { fetchText: defaultFetchText } = require('./http');
+
+const PLATFORMS_DIR = path.join(__dirname, 'platforms');
+
+const extractors = fs.readdirSync(PLATFORMS_DIR)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .map(file => require(path.join(PLATFORMS_DIR, file)));
+
+function findExtractor(url) {
+    return extractors.find(extractor => !extractor.fallback && extractor.match(url)) ||
+        extractors.find(extractor => extractor.fallback);
+}
+
+// Query parameters that only track where a link was shared from
+const TRACKING_PARAMS = new Set([
+    'si', 'feature', 'igsh', 'igshid', 'fbclid', 'gclid', 'dclid', 'msclkid',
+    'mc_cid', 'mc_eid', 'ref', 'ref_src', 'ref_url', '_r', '_t', 'is_from_webapp', 'sender_device'
+]);
+
+// https, lowercase host without www./m., no fragment, default port, tracking
+// parameters or trailing slash, and the remaining parameters sorted
+function normalizeUrl(url) {
+    const normalized = new URL(url.href);
+    normalized.protocol = 'https:';
+    normalized.hostname = normalized.hostname.toLowerCase().replace(/^(www|m|mobile)\./, '');
+    normalized.port = '';
+    normalized.hash = '';
+
+    const params = [...normalized.searchParams]
+        .filter(([name]) => !TRACKING_PARAMS.has(name.toLowerCase()) && !/^utm_/i.test(name))
+        .sort(([a], [b]) => a.localeCompare(b));
+    normalized.search = new URLSearchParams(params).toString();
+
+    if (normalized.pathname.length > 1) {
+        normalized.pathname = normalized.pathname.replace(/\/+$/, '');
+    }
+    return `${normalized.host}${normalized.pathname}${normalized.search}`;
+}
+
+function canonicalKey(rawUrl) {
+    const url = new URL(rawUrl);
+    const extractor = findExtractor(url);
+    const { platformId } = (extractor.parse && extractor.parse(url)) || {};
+
+    if (extractor.slug && platformId) {
+        return `${extractor.slug}:${platformId}`;
+    }
+    return `url:${normalizeUrl(url)}`;
+}
+
+// Keep only the fields an extractor actually found
+const found = (fields) => Object.fromEntries(
+    Object.entries(fields || {}).filter(([, value]) => value !== null && value !== undefined && value !== '')
+);
+
+async function extractVideoInfo(rawUrl, { fetchText = defaultFetchText } = {}) {
+    const url = new URL(rawUrl);
+    const extractor = findExtractor(url);
+
+    const info = {
+        url: rawUrl,
+        canonicalKey: canonicalKey(rawUrl),
+        platform: extractor.platform,
+        platformId: null,
+        title: `Video from ${extractor.platform}`,
+        author: null,
+        thumbnail: null,
+        duration: null,
+        postedAt: null,
+        ...found(extractor.parse && extractor.parse(url))
+    };
+
+    if (extractor.extract && fetchText) {
+        try {
+            Object.assign(info, found(await extractor.extract(url, { fetchText })));
+        } catch (error) {
+            // Metadata is a nice-to-have; the video is still saved without it
+            console.warn(`Could not extract ${extractor.platform} metadata for ${rawUrl}: ${error.message}`);
+        }
+    }
+
+    return info;
+}
+
+module.exports = {
+    extractors,
+    findExtractor,
+    canonicalKey,
+    normalizeUrl,
+    extractVideoInfo
+};
@@ -0,0 +1,29 @@
+// Facebook videos and reels, from the OpenGraph tags on the video page.
+
+const { hostMatches, metaTags, toDate, toNumber } = require('../helpers');
+
+module.exports = {
+    slug: 'facebook',
+    platform: 'Facebook',
+
+    match: (url) => hostMatches(url, ['facebook.com', 'fb.watch', 'fb.com']),
+
+    parse: (url) => {
+        const match = /\/(?:videos|reel|watch\/live)\/(?:[^/]+\/)?(\d+)/.exec(url.pathname);
+        return { platformId: url.searchParams.get('v') || (match ? match[1] : null) };
+    },
+
+    extract: async (url, { fetchText }) => {
+        const meta = metaTags(await fetchText(url.href));
+        // Titles look like "Clip title | By Page Name | Facebook"
+        const [title, byline] = (meta['og:title'] || '').split(' | ');
+
+        return {
+            title,
+            author: byline && byline.startsWith('By ') ? byline.slice(3) : null,
+            thumbnail: meta['og:image'],
+            duration: toNumber(meta['og:video:duration'] || meta['video:duration']),
+            postedAt: toDate(meta['article:published_time'] || meta['og:updated_time'])
+        };
+    }
+};
@@ -0,0 +1,36 @@
+// Fallback for any other site: oEmbed if the page advertises it, then
+// OpenGraph/Twitter card tags, then the page <title>.
+
+const { metaTags, oEmbedLink, decodeEntities, toDate, toNumber } = require('../helpers');
+
+module.exports = {
+    platform: 'Unknown',
+    fallback: true,
+
+    match: () => true,
+
+    extract: async (url, { fetchText }) => {
+        const html = await fetchText(url.href);
+        const meta = metaTags(html);
+        const titleTag = /<title[^>]*>([^<]*)<\/title>/i.exec(html);
+
+        let oEmbed = {};
+        const oEmbedUrl = oEmbedLink(html);
+        if (oEmbedUrl) {
+            try {
+                oEmbed = JSON.parse(await fetchText(new URL(oEmbedUrl, url).href));
+            } catch (error) {
+                // Fall back to the page's own tags
+            }
+        }
+
+        return {
+            title: oEmbed.title || meta['og:title'] || meta['twitter:title'] ||
+                (titleTag ? decodeEntities(titleTag[1]).trim() : null),
+            author: oEmbed.author_name || meta.author || meta['article:author'],
+            thumbnail: oEmbed.thumbnail_url || meta['og:image'] || meta['twitter:image'],
+            duration: toNumber(meta['og:video:duration'] || meta['video:duration']),
+            postedAt: toDate(meta['article:published_time'] || meta.datePublished || meta.uploadDate)
+        };
+    }
+};
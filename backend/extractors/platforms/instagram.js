@@ -0,0 +1,34 @@
+// Instagram reels and posts, from the OpenGraph tags on the post page.
+// og:title reads 'Name on Instagram: "caption"' and og:description
+// '12 likes, 3 comments - username on January 5, 2024: "caption"'.
+
+const { hostMatches, metaTags, toDate, toNumber } = require('../helpers');
+
+module.exports = {
+    slug: 'instagram',
+    platform: 'Instagram',
+
+    match: (url) => hostMatches(url, ['instagram.com', 'instagr.am']),
+
+    parse: (url) => {
+        const match = /^\/(?:[^/]+\/)?(?:p|reel|reels|tv)\/([A-Za-z0-9_-]+)/.exec(url.pathname);
+        return { platformId: match ? match[1] : null };
+    },
+
+    extract: async (url, { fetchText }) => {
+        const meta = metaTags(await fetchText(url.href));
+        const title = meta['og:title'] || '';
+        const description = meta['og:description'] || '';
+
+        const caption = /on Instagram: "([\s\S]*)"\s*$/.exec(title);
+        const byline = / - ([\w.]+) on ([A-Z][a-z]+ \d{1,2}, \d{4}):/.exec(description);
+
+        return {
+            title: caption ? caption[1].split('\n')[0].trim() : title,
+            author: byline ? byline[1] : null,
+            thumbnail: meta['og:image'],
+            duration: toNumber(meta['og:video:duration']),
+            postedAt: byline ? toDate(`${byline[2]} UTC`) : null
+        };
+    }
+};
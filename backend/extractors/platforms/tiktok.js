@@ -0,0 +1,39 @@
+// TikTok videos: title, author and thumbnail from oEmbed. TikTok video IDs
+// embed the post time (the top 32 bits are a Unix timestamp), so the date
+// needs no request at all.
+
+const { hostMatches } = require('../helpers');
+
+function parseUrl(url) {
+    const match = /^\/@([^/]+)\/(?:video|photo)\/(\d+)/.exec(url.pathname);
+    return match ? { author: match[1], id: match[2] } : {};
+}
+
+module.exports = {
+    slug: 'tiktok',
+    platform: 'TikTok',
+
+    match: (url) => hostMatches(url, ['tiktok.com']),
+
+    parse: (url) => {
+        const { author, id } = parseUrl(url);
+        return {
+            platformId: id || null,
+            author: author || null,
+            postedAt: id ? new Date(Number(BigInt(id) >> 32n) * 1000) : null
+        };
+    },
+
+    extract: async (url, { fetchText }) => {
+        const oEmbed = JSON.parse(await fetchText(
+            `https://www.tiktok.com/oembed?url=${encodeURIComponent(url.href)}`
+        ));
+
+        return {
+            platformId: oEmbed.embed_product_id,
+            title: oEmbed.title,
+            author: oEmbed.author_unique_id || oEmbed.author_name,
+            thumbnail: oEmbed.thumbnail_url
+        };
+    }
+};
@@ -0,0 +1,44 @@
+// Posts on X (Twitter): text and author from the publish.twitter.com oEmbed
+// endpoint. Post IDs are snowflakes, so the post time comes from the ID.
+
+const { hostMatches, stripTags } = require('../helpers');
+
+// Milliseconds since the Unix epoch of Twitter's snowflake epoch
+const SNOWFLAKE_EPOCH = 1288834974657n;
+
+function parseUrl(url) {
+    const match = /^\/([^/]+)\/status(?:es)?\/(\d+)/.exec(url.pathname);
+    return match ? { author: match[1], id: match[2] } : {};
+}
+
+module.exports = {
+    slug: 'x',
+    platform: 'X (Twitter)',
+
+    match: (url) => hostMatches(url, ['twitter.com', 'x.com']),
+
+    parse: (url) => {
+        const { author, id } = parseUrl(url);
+        return {
+            platformId: id || null,
+            author: author && author !== 'i' ? author : null,
+            postedAt: id ? new Date(Number((BigInt(id) >> 22n) + SNOWFLAKE_EPOCH)) : null
+        };
+    },
+
+    extract: async (url, { fetchText }) => {
+        const oEmbed = JSON.parse(await fetchText(
+            `https://publish.twitter.com/oembed?omit_script=true&url=${encodeURIComponent(url.href)}`
+        ));
+
+        // The embed HTML is a blockquote whose first paragraph is the post text
+        const paragraph = /<p[^>]*>([\s\S]*?)<\/p>/.exec(oEmbed.html || '');
+        const text = paragraph ? stripTags(paragraph[1]).replace(/\s*pic\.twitter\.com\/\S+/g, '') : null;
+        const handle = /twitter\.com\/([^/?#]+)/.exec(oEmbed.author_url || '');
+
+        return {
+            title: text,
+            author: handle ? handle[1] : oEmbed.author_name
+        };
+    }
+};
@@ -0,0 +1,59 @@
+// YouTube videos and Shorts: title, author and thumbnail from oEmbed, duration
+// and upload date from the watch page's microdata.
+
+const { hostMatches, metaTags, parseIsoDuration, toDate } = require('../helpers');
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+
+function videoId(url) {
+    if (hostMatches(url, ['youtu.be'])) {
+        return url.pathname.split('/')[1] || null;
+    }
+
+    if (url.searchParams.get('v')) {
+        return url.searchParams.get('v');
+    }
+
+    // /shorts/ID, /embed/ID, /live/ID, /v/ID
+    const match = /^\/(?:shorts|embed|live|v)\/([^/?#]+)/.exec(url.pathname);
+    return match ? match[1] : null;
+}
+
+module.exports = {
+    slug: 'youtube',
+    platform: 'YouTube',
+
+    match: (url) => hostMatches(url, ['youtube.com', 'youtu.be', 'youtube-nocookie.com']),
+
+    parse: (url) => {
+        const id = videoId(url);
+        return {
+            platformId: id && ID_PATTERN.test(id) ? id : null,
+            thumbnail: id && ID_PATTERN.test(id) ? `https://i.ytimg.com/vi/${id}/hqdefault.jpg` : null
+        };
+    },
+
+    extract: async (url, { fetchText }) => {
+        const id = videoId(url);
+        const watchUrl = id ? `https://www.youtube.com/watch?v=${id}` : url.href;
+
+        const oEmbed = JSON.parse(await fetchText(
+            `https://www.youtube.com/oembed?format=json&url=${encodeURIComponent(watchUrl)}`
+        ));
+
+        let meta = {};
+        try {
+            meta = metaTags(await fetchText(watchUrl));
+        } catch (error) {
+            // oEmbed alone is enough for a usable record
+        }
+
+        return {
+            title: oEmbed.title,
+            author: oEmbed.author_name,
+            thumbnail: oEmbed.thumbnail_url,
+            duration: parseIsoDuration(meta.duration),
+            postedAt: toDate(meta.uploadDate || meta.datePublished)
+        };
+    }
+};
@@ -0,0 +1,97 @@
+// Download job handler. Moves a Video through
+// queued → downloading → processing → ready, or failed once retries run out.
+// Processing stores the media and renders a poster and an animated preview
+// from it.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { storePoster, storePreview } = require('../media/thumbnailer');
+
+const CONTENT_TYPES = {
+    '.mp4': 'video/mp4',
+    '.m4v': 'video/mp4',
+    '.webm': 'video/webm',
+    '.mov': 'video/quicktime',
+    '.mkv': 'video/x-matroska'
+};
+
+function createDownloadHandler({ getStorage, getDownloader, getMediaStore, getThumbnailer }) {
+    return {
+        run: async (job) => {
+            const storage = getStorage();
+            const video = await storage.videos.findById(job.videoId);
+
+            // The video was removed while the job was waiting
+            if (!video) return;
+
+            await storage.videos.update(video.id, { status: 'downloading', error: null });
+
+            const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'shortbread-'));
+            try {
+                const { file } = await getDownloader().download(video.url, {
+                    outputDir: workDir,
+                    basename: video.id
+                });
+
+                await storage.videos.update(video.id, { status: 'processing' });
+
+                const ext = path.extname(file).toLowerCase();
+                const key = `videos/${video.id}${ext}`;
+                const contentType = CONTENT_TYPES[ext] || 'application/octet-stream';
+                const { size } = await fs.promises.stat(file);
+                const mediaStore = getMediaStore();
+                await mediaStore.put(key, fs.createReadStream(file), { contentType, size });
+
+                const thumbnailer = getThumbnailer();
+                const poster = await storePoster({
+                    thumbnailer,
+                    mediaStore,
+                    input: file,
+                    key: `thumbnails/${video.id}.jpg`
+                });
+                const preview = await storePreview({
+                    thumbnailer,
+                    mediaStore,
+                    input: file,
+                    key: `previews/${video.id}.webp`,
+                    duration: video.duration
+                });
+
+                // Deleted while it downloaded: nothing will ever point at these
+                if (!await storage.videos.findById(video.id)) {
+                    for (const stored of [{ key }, poster, preview]) {
+                        if (stored) {
+                            await mediaStore.delete(stored.key);
+                        }
+                    }
+                    return;
+                }
+
+                await storage.videos.update(video.id, {
+                    status: 'ready',
+                    error: null,
+                    media: { key, contentType, size },
+                    poster,
+                    preview,
+                    // Our own poster outlives the platform's thumbnail URL
+                    thumbnail: poster ? `/api/videos/${video.id}/thumbnail` : video.thumbnail
+                });
+            } finally {
+                await fs.promises.rm(workDir, { recursive: true, force: true });
+            }
+        },
+
+        failed: async (job, error, willRetry) => {
+            await getStorage().videos.update(job.videoId, {
+                status: willRetry ? 'queued' : 'failed',
+                error: error.message
+            });
+        }
+    };
+}
+
+module.exports = {
+    CONTENT_TYPES,
+    createDownloadHandler
+};
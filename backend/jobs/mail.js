@@ -0,0 +1,26 @@
+// Mail job handler. Each job carries a rendered message and hands it to the
+// configured transport; transport errors fail the attempt so the queue
+// retries it with backoff. Bodies carry sign-in links, so only the envelope
+// is kept once the job is finished.
+
+function createMailHandler({ getTransport }) {
+    return {
+        run: async (job) => {
+            await getTransport().send(job.message);
+        },
+
+        failed: async (job, error, willRetry) => {
+            if (!willRetry) {
+                console.error(`Giving up on mail to ${job.message.to} ("${job.message.subject}"):`, error.message);
+            }
+        },
+
+        redact: (job) => ({
+            message: { from: job.message.from, to: job.message.to, subject: job.message.subject }
+        })
+    };
+}
+
+module.exports = {
+    createMailHandler
+};
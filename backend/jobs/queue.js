@@ -0,0 +1,148 @@
+// Persistent background job queue. Jobs are stored through the storage layer,
+// so queued work survives restarts on the MongoDB and file backends.
+//
+// Handlers are registered per job type:
+//
+//   queue.register('download', {
+//       run: async (job) => { ... },                       // throw to fail the attempt
+//       failed: async (job, error, willRetry) => { ... },  // optional
+//       redact: (job) => ({ ... })                         // optional
+//   });
+//
+// A queue only runs the types registered on it, one job at a time, so work
+// that must not wait behind slow jobs gets a queue of its own. Failed
+// attempts are retried with exponential backoff until maxAttempts. Once a job
+// is done or has failed for good, the fields redact returns are written over
+// it, so finished jobs don't keep what only the run needed. prune() deletes
+// them altogether once they are old enough.
+
+const { v4: uuidv4 } = require('uuid');
+
+class JobQueue {
+    constructor({ getStorage, pollInterval = 2000, maxAttempts = 3, backoffBase = 5000, backoffMax = 10 * 60 * 1000 }) {
+        this.getStorage = getStorage;
+        this.pollInterval = pollInterval;
+        this.maxAttempts = maxAttempts;
+        this.backoffBase = backoffBase;
+        this.backoffMax = backoffMax;
+        this.handlers = {};
+        this.timer = null;
+        this.running = false;
+    }
+
+    register(type, handler) {
+        this.handlers[type] = handler;
+    }
+
+    async enqueue(type, fields = {}) {
+        const now = new Date();
+        return this.getStorage().jobs.create({
+            id: uuidv4(),
+            type,
+            ...fields,
+            status: 'queued',
+            attempts: 0,
+            maxAttempts: this.maxAttempts,
+            runAt: now,
+            lastError: null,
+            createdAt: now,
+            updatedAt: now
+        });
+    }
+
+    // Delay before the next attempt: base, 2x base, 4x base... capped at backoffMax
+    retryDelay(attempts) {
+        return Math.min(this.backoffBase * 2 ** (attempts - 1), this.backoffMax);
+    }
+
+    // Run the next due job, if any. Returns the processed job or null.
+    async runNext() {
+        const storage = this.getStorage();
+        const job = await storage.jobs.claimNext(new Date(), Object.keys(this.handlers));
+
+        if (!job) {
+            return null;
+        }
+
+        const handler = this.handlers[job.type];
+
+        try {
+            if (!handler) {
+                throw new Error(`No handler registered for job type "${job.type}"`);
+            }
+
+            await handler.run(job);
+            return storage.jobs.update(job.id, {
+                ...this.redacted(job),
+                status: 'done',
+                lastError: null,
+                updatedAt: new Date()
+            });
+        } catch (error) {
+            const willRetry = Boolean(handler) && job.attempts < job.maxAttempts;
+            const now = new Date();
+
+            const updated = await storage.jobs.update(job.id, {
+                ...(willRetry ? {} : this.redacted(job)),
+                status: willRetry ? 'queued' : 'failed',
+                runAt: willRetry ? new Date(now.getTime() + this.retryDelay(job.attempts)) : job.runAt,
+                lastError: error.message,
+                updatedAt: now
+            });
+
+            if (handler && handler.failed) {
+                await handler.failed(updated, error, willRetry);
+            }
+
+            return updated;
+        }
+    }
+
+    redacted(job) {
+        const handler = this.handlers[job.type];
+        return handler && handler.redact ? handler.redact(job) : {};
+    }
+
+    // Delete this queue's done and failed jobs that finished over retention
+    // ms ago. Returns how many were deleted.
+    prune(retention, now = new Date()) {
+        return this.getStorage().jobs.deleteFinished(new Date(now.getTime() - retention), Object.keys(this.handlers));
+    }
+
+    // Process every job that is currently due. Used by tests and on startup.
+    async drain() {
+        let processed = 0;
+        while (await this.runNext()) {
+            processed++;
+        }
+        return processed;
+    }
+
+    async start() {
+        await this.getStorage().jobs.requeueRunning(Object.keys(this.handlers));
+
+        const poll = async () => {
+            if (this.running) return;
+            this.running = true;
+            try {
+                await this.drain();
+            } catch (error) {
+                console.error('Job queue error:', error);
+            } finally {
+                this.running = false;
+            }
+        };
+
+        this.timer = setInterval(poll, this.pollInterval);
+        // Don't keep the process alive just for the poller
+        this.timer.unref();
+        poll();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = JobQueue;
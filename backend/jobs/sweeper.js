@@ -0,0 +1,39 @@
+// Garbage collection of videos that are on no board. Taking a video off its
+// last board only marks it orphanedAt; the sweeper deletes the record, its
+// media and its thumbnails once the grace period has passed. Saving the same
+// link again before then brings the video back without another download.
+
+// Delete a video along with its board links and stored media
+async function deleteVideo(video, { storage, mediaStore }) {
+    await storage.videoBoards.deleteByVideo(video.id);
+    await storage.videos.delete(video.id);
+
+    for (const file of [video.media, video.poster, video.preview]) {
+        if (file) {
+            await mediaStore.delete(file.key);
+        }
+    }
+}
+
+async function sweepOrphanedVideos({ storage, mediaStore, gracePeriod, now = new Date() }) {
+    const orphans = await storage.videos.listOrphaned(new Date(now.getTime() - gracePeriod));
+    let swept = 0;
+
+    for (const video of orphans) {
+        // Linked again without the mark being cleared
+        if ((await storage.videoBoards.listByVideo(video.id)).length > 0) {
+            await storage.videos.update(video.id, { orphanedAt: null });
+            continue;
+        }
+
+        await deleteVideo(video, { storage, mediaStore });
+        swept++;
+    }
+
+    return swept;
+}
+
+module.exports = {
+    deleteVideo,
+    sweepOrphanedVideos
+};
@@ -0,0 +1,50 @@
+// Mail transports deliver rendered messages. Every transport exposes the same
+// interface:
+//
+//   send({ from, to, subject, text, html })   resolves to { id }, throws on failure
+//
+// MAIL_TRANSPORT picks the implementation: smtp for real delivery, outbox to
+// write messages to JSON files in development and tests.
+//
+// Mail isn't sent from the request that triggers it. Mailer renders the
+// template and queues a 'mail' job (see jobs/mail.js), so a slow or flaky SMTP
+// server is retried in the background instead of failing the request.
+
+const SmtpTransport = require('./smtp');
+const OutboxTransport = require('./outbox');
+const { renderTemplate } = require('./templates');
+
+const MAIL_TRANSPORTS = ['smtp', 'outbox'];
+
+function createMailTransport(name, options = {}) {
+    switch (name) {
+        case 'smtp':
+            return new SmtpTransport(options.smtp || {});
+        case 'outbox':
+            return new OutboxTransport(options.outbox || {});
+        default:
+            throw new Error(`Unknown mail transport "${name}". Expected one of: ${MAIL_TRANSPORTS.join(', ')}`);
+    }
+}
+
+class Mailer {
+    constructor({ jobQueue, from }) {
+        this.jobQueue = jobQueue;
+        this.from = from;
+    }
+
+    // Render a template and queue it for delivery
+    async send(to, template, data) {
+        const message = { from: this.from, to, ...renderTemplate(template, data) };
+        return this.jobQueue.enqueue('mail', { message });
+    }
+}
+
+module.exports = {
+    MAIL_TRANSPORTS,
+    createMailTransport,
+    Mailer,
+    SmtpTransport,
+    OutboxTransport,
+    renderTemplate
+};
@@ -0,0 +1,51 @@
+// Mail transport that writes each message to a JSON file instead of sending
+// it. Used in development and tests: open the outbox directory to follow a
+// magic link, or read it back with messages() to assert on what was sent.
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Orders messages written within the same millisecond
+let sequence = 0;
+
+class OutboxTransport {
+    constructor({ dir }) {
+        this.name = 'outbox';
+        this.dir = path.resolve(dir);
+    }
+
+    async send(message) {
+        const id = uuidv4();
+        const sentAt = new Date();
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        // Timestamped names keep the directory listing in send order
+        const order = String(sequence++ % 1e6).padStart(6, '0');
+        const file = path.join(this.dir, `${sentAt.getTime()}-${order}-${id}.json`);
+        await fs.promises.writeFile(file, JSON.stringify({ id, sentAt, ...message }, null, 2));
+        return { id };
+    }
+
+    // Every message in the outbox, oldest first
+    async messages() {
+        let files;
+        try {
+            files = await fs.promises.readdir(this.dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const messages = [];
+        for (const file of files.filter(name => name.endsWith('.json')).sort()) {
+            messages.push(JSON.parse(await fs.promises.readFile(path.join(this.dir, file), 'utf8')));
+        }
+        return messages;
+    }
+
+    async clear() {
+        await fs.promises.rm(this.dir, { recursive: true, force: true });
+    }
+}
+
+module.exports = OutboxTransport;
@@ -0,0 +1,31 @@
+// Mail transport that delivers through an SMTP server with nodemailer.
+
+const nodemailer = require('nodemailer');
+
+class SmtpTransport {
+    constructor({ host, port = 587, secure = false, user, pass }) {
+        if (!host) {
+            throw new Error('SMTP transport needs SMTP_HOST');
+        }
+
+        this.name = 'smtp';
+        this.transporter = nodemailer.createTransport({
+            host,
+            port,
+            // true for implicit TLS (port 465); otherwise STARTTLS is used when offered
+            secure,
+            auth: user ? { user, pass } : undefined
+        });
+    }
+
+    async send(message) {
+        const info = await this.transporter.sendMail(message);
+        return { id: info.messageId };
+    }
+
+    close() {
+        this.transporter.close();
+    }
+}
+
+module.exports = SmtpTransport;
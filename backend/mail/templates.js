@@ -0,0 +1,160 @@
+// Email templates. Each takes the data for one message and returns its
+// subject plus plain-text and HTML bodies, so every mail client gets a
+// readable version.
+
+const APP_NAME = 'Shortbread';
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Shared HTML frame: a heading, paragraphs and an optional call-to-action button
+const layout = ({ heading, paragraphs, action }) => `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f8fafc;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;color:#1e293b;">
+    <div style="max-width:480px;margin:0 auto;background:#ffffff;border-radius:12px;padding:32px;">
+        <h1 style="margin:0 0 16px;font-size:20px;">${heading}</h1>
+        ${paragraphs.map(paragraph => `<p style="margin:0 0 16px;line-height:1.5;">${paragraph}</p>`).join('\n        ')}
+        ${action ? `<p style="margin:24px 0;"><a href="${escapeHtml(action.url)}" style="background:#4f46e5;color:#ffffff;padding:12px 20px;border-radius:8px;text-decoration:none;">${escapeHtml(action.label)}</a></p>` : ''}
+    </div>
+</body>
+</html>`;
+
+const templates = {
+    // { link }
+    magicLink: ({ link }) => ({
+        subject: `Your ${APP_NAME} sign-in link`,
+        text: [
+            `Sign in to ${APP_NAME} with this link:`,
+            '',
+            link,
+            '',
+            'It expires in 15 minutes. If you didn\'t ask for it, you can ignore this email.'
+        ].join('\n'),
+        html: layout({
+            heading: `Sign in to ${APP_NAME}`,
+            paragraphs: ['The button below signs you in. It expires in 15 minutes. If you didn\'t ask for it, you can ignore this email.'],
+            action: { url: link, label: 'Sign in' }
+        })
+    }),
+
+    // { link }
+    confirmEmail: ({ link }) => ({
+        subject: `Confirm your ${APP_NAME} account`,
+        text: [
+            `Finish creating your ${APP_NAME} account with this link:`,
+            '',
+            link,
+            '',
+            'It expires in a day. Until then you can\'t sign in with your password. If you didn\'t sign up, you can ignore this email.'
+        ].join('\n'),
+        html: layout({
+            heading: 'Confirm your email',
+            paragraphs: ['The button below confirms your address and signs you in. It expires in a day. If you didn\'t sign up, you can ignore this email.'],
+            action: { url: link, label: 'Confirm and sign in' }
+        })
+    }),
+
+    // { link }
+    accountExists: ({ link }) => ({
+        subject: `You already have a ${APP_NAME} account`,
+        text: [
+            `Someone tried to sign up to ${APP_NAME} with this address, which already has an account. If it was you, sign in with this link:`,
+            '',
+            link,
+            '',
+            'It expires in 15 minutes. To use a password, choose a new one from the sign-in page. If you didn\'t try to sign up, you can ignore this email.'
+        ].join('\n'),
+        html: layout({
+            heading: 'You already have an account',
+            paragraphs: [
+                `Someone tried to sign up to ${APP_NAME} with this address, which already has an account. If it was you, the button below signs you in. It expires in 15 minutes.`,
+                'To use a password, choose a new one from the sign-in page. If you didn\'t try to sign up, you can ignore this email.'
+            ],
+            action: { url: link, label: 'Sign in' }
+        })
+    }),
+
+    // { link }
+    passwordReset: ({ link }) => ({
+        subject: `Reset your ${APP_NAME} password`,
+        text: [
+            `Choose a new ${APP_NAME} password with this link:`,
+            '',
+            link,
+            '',
+            'It expires in an hour and works once. If you didn\'t ask for it, you can ignore this email; your password hasn\'t changed.'
+        ].join('\n'),
+        html: layout({
+            heading: 'Reset your password',
+            paragraphs: ['The button below lets you choose a new password. It expires in an hour and works once. If you didn\'t ask for it, you can ignore this email; your password hasn\'t changed.'],
+            action: { url: link, label: 'Choose a new password' }
+        })
+    }),
+
+    // { link, inviterName, boardTitle, role }
+    boardInvite: ({ link, inviterName, boardTitle, role }) => {
+        const access = role === 'editor' ? 'add and organize videos on' : 'view';
+        return {
+            subject: `${inviterName} shared "${boardTitle}" with you`,
+            text: [
+                `${inviterName} invited you to ${access} the board "${boardTitle}" on ${APP_NAME}.`,
+                '',
+                'Open the board with this link (valid for 7 days):',
+                '',
+                link
+            ].join('\n'),
+            html: layout({
+                heading: `${escapeHtml(inviterName)} shared a board with you`,
+                paragraphs: [
+                    `You've been invited to ${access} <strong>${escapeHtml(boardTitle)}</strong> on ${APP_NAME}.`,
+                    'The link is valid for 7 days.'
+                ],
+                action: { url: link, label: 'Open board' }
+            })
+        };
+    },
+
+    // { name, boards: [{ title, url, videos: [{ title, author }] }], link }
+    digest: ({ name, boards, link }) => {
+        const count = boards.reduce((total, board) => total + board.videos.length, 0);
+        const videoLine = (video) => (video.author ? `${video.title} (${video.author})` : video.title);
+        return {
+            subject: `${count} new video${count === 1 ? '' : 's'} on your ${APP_NAME} boards`,
+            text: [
+                `Hi ${name},`,
+                '',
+                'Here is what was saved to your boards recently:',
+                ...boards.flatMap(board => ['', `${board.title} (${board.url})`, ...board.videos.map(video => `- ${videoLine(video)}`)]),
+                '',
+                `Open ${APP_NAME}: ${link}`
+            ].join('\n'),
+            html: layout({
+                heading: 'New on your boards',
+                paragraphs: [
+                    `Hi ${escapeHtml(name)}, here is what was saved to your boards recently.`,
+                    ...boards.map(board => `<a href="${escapeHtml(board.url)}" style="color:#4f46e5;font-weight:600;">${escapeHtml(board.title)}</a><br>` +
+                        board.videos.map(video => escapeHtml(videoLine(video))).join('<br>'))
+                ],
+                action: { url: link, label: `Open ${APP_NAME}` }
+            })
+        };
+    }
+};
+
+function renderTemplate(name, data) {
+    const template = templates[name];
+    if (!template) {
+        throw new Error(`Unknown email template "${name}"`);
+    }
+    return template(data);
+}
+
+module.exports = {
+    templates,
+    renderTemplate,
+    escapeHtml
+};
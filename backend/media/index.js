@@ -0,0 +1,39 @@
+// Media stores hold downloaded videos and generated images. Every store
+// exposes the same interface:
+//
+//   put(key, body, { contentType, size })   body is a Buffer or a readable stream
+//   get(key)                                 Buffer, or null if missing
+//   stat(key)                                { size, ... }, or null if missing
+//   stream(key, { start, end })              readable stream of an (inclusive) byte range
+//   delete(key)
+//   signedUrl(key, { expiresIn })            direct URL, or null if the store has none
+//
+// MEDIA_STORE picks the implementation, so moving a deployment between local
+// disk and S3/R2 is a config change.
+
+const LocalMediaStore = require('./local');
+const S3MediaStore = require('./s3');
+const { FfmpegThumbnailer, storePoster, storePreview } = require('./thumbnailer');
+
+const MEDIA_STORES = ['local', 's3'];
+
+function createMediaStore(name, options = {}) {
+    switch (name) {
+        case 'local':
+            return new LocalMediaStore({ root: options.root });
+        case 's3':
+            return new S3MediaStore(options.s3 || {});
+        default:
+            throw new Error(`Unknown media store "${name}". Expected one of: ${MEDIA_STORES.join(', ')}`);
+    }
+}
+
+module.exports = {
+    MEDIA_STORES,
+    createMediaStore,
+    LocalMediaStore,
+    S3MediaStore,
+    FfmpegThumbnailer,
+    storePoster,
+    storePreview
+};
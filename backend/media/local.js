@@ -0,0 +1,67 @@
+// Media store on the local filesystem. Keys map to paths under the root
+// directory, e.g. videos/<id>.mp4.
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+class LocalMediaStore {
+    constructor({ root }) {
+        this.name = 'local';
+        this.root = path.resolve(root);
+    }
+
+    resolve(key) {
+        const file = path.resolve(this.root, key);
+        // Never let a key escape the media directory
+        if (!file.startsWith(this.root + path.sep)) {
+            throw new Error(`Invalid media key "${key}"`);
+        }
+        return file;
+    }
+
+    async put(key, body) {
+        const file = this.resolve(key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+        if (Buffer.isBuffer(body)) {
+            await fs.promises.writeFile(file, body);
+        } else {
+            await pipeline(body, fs.createWriteStream(file));
+        }
+    }
+
+    async get(key) {
+        try {
+            return await fs.promises.readFile(this.resolve(key));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async stat(key) {
+        try {
+            const { size, mtime } = await fs.promises.stat(this.resolve(key));
+            return { size, lastModified: mtime };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async stream(key, { start, end } = {}) {
+        return fs.createReadStream(this.resolve(key), { start, end });
+    }
+
+    async delete(key) {
+        await fs.promises.rm(this.resolve(key), { force: true });
+    }
+
+    // Files on disk are only reachable through the app's own routes
+    async signedUrl() {
+        return null;
+    }
+}
+
+module.exports = LocalMediaStore;
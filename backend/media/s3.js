@@ -0,0 +1,179 @@
+// Media store for S3-compatible object storage (AWS S3, Cloudflare R2, MinIO).
+// Requests are signed with AWS Signature Version 4 and use path-style URLs,
+// which every S3-compatible service accepts.
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+const EMPTY_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+// RFC 3986 encoding as S3 expects it (encodeURIComponent leaves !'()* alone)
+const encode = (value) => encodeURIComponent(value)
+    .replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// 20240131T120000Z
+const amzDateOf = (date) => date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+const canonicalQuery = (query) => Object.keys(query)
+    .sort()
+    .map(name => `${encode(name)}=${encode(query[name])}`)
+    .join('&');
+
+class S3MediaStore {
+    constructor({ endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey }) {
+        if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+            throw new Error('S3 media store requires S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+        }
+
+        this.name = 's3';
+        this.endpoint = new URL(endpoint);
+        this.region = region;
+        this.bucket = bucket;
+        this.accessKeyId = accessKeyId;
+        this.secretAccessKey = secretAccessKey;
+    }
+
+    objectPath(key) {
+        const basePath = this.endpoint.pathname.replace(/\/$/, '');
+        const encodedKey = key.split('/').map(encode).join('/');
+        return `${basePath}/${encode(this.bucket)}/${encodedKey}`;
+    }
+
+    // Returns the credential scope pieces and signature for a canonical request
+    sign(method, objectPath, query, headers, payloadHash, date) {
+        const amzDate = amzDateOf(date);
+        const day = amzDate.slice(0, 8);
+        const scope = `${day}/${this.region}/s3/aws4_request`;
+
+        const headerNames = Object.keys(headers).map(h => h.toLowerCase()).sort();
+        const lowerHeaders = Object.fromEntries(
+            Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])
+        );
+        const canonicalHeaders = headerNames.map(h => `${h}:${lowerHeaders[h]}\n`).join('');
+        const signedHeaders = headerNames.join(';');
+
+        const canonicalRequest = [
+            method,
+            objectPath,
+            canonicalQuery(query),
+            canonicalHeaders,
+            signedHeaders,
+            payloadHash
+        ].join('\n');
+
+        const stringToSign = [
+            'AWS4-HMAC-SHA256',
+            amzDate,
+            scope,
+            sha256(canonicalRequest)
+        ].join('\n');
+
+        let signingKey = hmac(`AWS4${this.secretAccessKey}`, day);
+        signingKey = hmac(signingKey, this.region);
+        signingKey = hmac(signingKey, 's3');
+        signingKey = hmac(signingKey, 'aws4_request');
+
+        return {
+            amzDate,
+            scope,
+            signedHeaders,
+            signature: crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex')
+        };
+    }
+
+    async request(method, key, { body, headers = {}, responseType = 'arraybuffer' } = {}) {
+        const objectPath = this.objectPath(key);
+        const payloadHash = body ? 'UNSIGNED-PAYLOAD' : EMPTY_HASH;
+        const now = new Date();
+        const signedHeaders = {
+            host: this.endpoint.host,
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': amzDateOf(now)
+        };
+        const signature = this.sign(method, objectPath, {}, signedHeaders, payloadHash, now);
+
+        return axios({
+            method,
+            url: `${this.endpoint.origin}${objectPath}`,
+            data: body,
+            headers: {
+                ...headers,
+                ...signedHeaders,
+                Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${signature.scope}, ` +
+                    `SignedHeaders=${signature.signedHeaders}, Signature=${signature.signature}`
+            },
+            responseType,
+            maxBodyLength: Infinity,
+            maxContentLength: Infinity,
+            // Callers decide what a 404 means
+            validateStatus: status => status < 300 || status === 404
+        });
+    }
+
+    async put(key, body, { contentType = 'application/octet-stream', size } = {}) {
+        const contentLength = Buffer.isBuffer(body) ? body.length : size;
+        if (contentLength === undefined) {
+            throw new Error('S3 uploads need the size of streamed bodies');
+        }
+
+        await this.request('PUT', key, {
+            body,
+            headers: { 'Content-Type': contentType, 'Content-Length': contentLength }
+        });
+    }
+
+    async get(key) {
+        const response = await this.request('GET', key);
+        return response.status === 404 ? null : Buffer.from(response.data);
+    }
+
+    async stat(key) {
+        const response = await this.request('HEAD', key);
+        if (response.status === 404) return null;
+
+        return {
+            size: Number(response.headers['content-length']),
+            contentType: response.headers['content-type'],
+            lastModified: response.headers['last-modified'] ? new Date(response.headers['last-modified']) : undefined
+        };
+    }
+
+    async stream(key, { start, end } = {}) {
+        const headers = {};
+        if (start !== undefined) {
+            headers.Range = `bytes=${start}-${end !== undefined ? end : ''}`;
+        }
+
+        const response = await this.request('GET', key, { headers, responseType: 'stream' });
+        if (response.status === 404) {
+            throw new Error(`Media "${key}" not found`);
+        }
+        return response.data;
+    }
+
+    async delete(key) {
+        await this.request('DELETE', key);
+    }
+
+    // Presigned GET URL so clients can fetch media straight from the bucket
+    async signedUrl(key, { expiresIn = 3600 } = {}) {
+        const objectPath = this.objectPath(key);
+        const now = new Date();
+        const amzDate = amzDateOf(now);
+        const query = {
+            'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+            'X-Amz-Credential': `${this.accessKeyId}/${amzDate.slice(0, 8)}/${this.region}/s3/aws4_request`,
+            'X-Amz-Date': amzDate,
+            'X-Amz-Expires': String(expiresIn),
+            'X-Amz-SignedHeaders': 'host'
+        };
+        const { signature } = this.sign('GET', objectPath, query, { host: this.endpoint.host }, 'UNSIGNED-PAYLOAD', now);
+
+        return `${this.endpoint.origin}${objectPath}?${canonicalQuery({ ...query, 'X-Amz-Signature': signature })}`;
+    }
+}
+
+module.exports = S3MediaStore;
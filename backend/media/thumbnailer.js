@@ -0,0 +1,97 @@
+// Generates poster images and animated previews from video files with ffmpeg.
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+class FfmpegThumbnailer {
+    constructor({ binary = 'ffmpeg', timeout = 60 * 1000 } = {}) {
+        this.binary = binary;
+        this.timeout = timeout;
+    }
+
+    run(args) {
+        return new Promise((resolve, reject) => {
+            execFile(this.binary, ['-hide_banner', '-loglevel', 'error', '-y', ...args], { timeout: this.timeout }, (error, stdout, stderr) => {
+                if (error) {
+                    const reason = (stderr || '').trim().split('\n').pop() || error.message;
+                    return reject(new Error(`ffmpeg failed: ${reason}`));
+                }
+                resolve();
+            });
+        });
+    }
+
+    // Write a JPEG of a representative frame (ffmpeg's thumbnail filter picks
+    // the most typical frame of the first batch) to output
+    async poster(input, output) {
+        await this.run([
+            '-i', input,
+            '-vf', 'thumbnail,scale=480:-2',
+            '-frames:v', '1',
+            '-q:v', '4',
+            output
+        ]);
+    }
+
+    // Write an animated WebP of frames sampled evenly across the clip (every
+    // 2 seconds when its length is unknown), played back at 2 frames a second
+    async preview(input, output, { duration = null, frames = 10 } = {}) {
+        const interval = duration ? Math.max(duration / frames, 0.1) : 2;
+        await this.run([
+            '-i', input,
+            '-an',
+            '-vf', `fps=1/${interval.toFixed(2)},scale=240:-2,setpts=N/2/TB`,
+            '-frames:v', String(frames),
+            '-c:v', 'libwebp',
+            '-loop', '0',
+            '-q:v', '50',
+            output
+        ]);
+    }
+}
+
+// Render an image into a temp file and put it in the media store. Generated
+// images are best effort: returns null instead of throwing when rendering fails.
+async function storeRendered({ render, mediaStore, key, contentType }) {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'shortbread-image-'));
+    try {
+        const output = path.join(workDir, path.basename(key));
+        await render(output);
+        const { size } = await fs.promises.stat(output);
+        await mediaStore.put(key, fs.createReadStream(output), { contentType, size });
+        return { key, contentType, size };
+    } catch (error) {
+        console.error(`Error generating ${key}:`, error.message);
+        return null;
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+}
+
+// Poster (a representative frame) for a video file
+function storePoster({ thumbnailer, mediaStore, input, key }) {
+    return storeRendered({
+        mediaStore,
+        key,
+        contentType: 'image/jpeg',
+        render: output => thumbnailer.poster(input, output)
+    });
+}
+
+// Animated preview strip for a video file
+function storePreview({ thumbnailer, mediaStore, input, key, duration }) {
+    return storeRendered({
+        mediaStore,
+        key,
+        contentType: 'image/webp',
+        render: output => thumbnailer.preview(input, output, { duration })
+    });
+}
+
+module.exports = {
+    FfmpegThumbnailer,
+    storePoster,
+    storePreview
+};
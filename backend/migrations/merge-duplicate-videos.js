@@ -0,0 +1,112 @@
+// Merges videos that were saved more than once under different links to the
+// same clip (youtu.be vs /shorts/, ?si= share links...) from before videos
+// were deduplicated by canonical key.
+//
+// For each group of duplicates one video is kept, preferring one that has
+// finished downloading and then the oldest. The others' board links, and
+// board covers, move to it and their records and media are deleted. Every
+// remaining video gets its canonicalKey filled in. Safe to run more than once.
+//
+//   npm run migrate:merge-duplicates
+
+const { canonicalKey } = require('../extractors');
+
+const keeperFirst = (a, b) =>
+    Number(b.status === 'ready') - Number(a.status === 'ready') ||
+    new Date(a.addedAt) - new Date(b.addedAt);
+
+async function mergeDuplicateVideos(storage, { mediaStore = null } = {}) {
+    const groups = new Map();
+
+    for (const video of await storage.videos.list()) {
+        // Uploads have no link to canonicalize
+        if (!video.url) continue;
+
+        let key;
+        try {
+            key = canonicalKey(video.url);
+        } catch (error) {
+            console.warn(`Skipping video ${video.id} with invalid URL ${video.url}`);
+            continue;
+        }
+
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(video);
+    }
+
+    let merged = 0;
+
+    for (const [key, videos] of groups) {
+        const [keeper, ...duplicates] = videos.sort(keeperFirst);
+        const boardIds = new Set();
+
+        // Older data could link a video to the same board more than once
+        for (const link of await storage.videoBoards.listByVideo(keeper.id)) {
+            if (boardIds.has(link.boardId)) {
+                await storage.videoBoards.delete(keeper.id, link.boardId);
+                await storage.videoBoards.create(link);
+            }
+            boardIds.add(link.boardId);
+        }
+
+        for (const duplicate of duplicates) {
+            for (const link of await storage.videoBoards.listByVideo(duplicate.id)) {
+                if (!boardIds.has(link.boardId)) {
+                    await storage.videoBoards.create({ ...link, videoId: keeper.id });
+                    boardIds.add(link.boardId);
+                }
+                const board = await storage.boards.findById(link.boardId);
+                if (board && board.cover === duplicate.id) {
+                    await storage.boards.update(board.id, { cover: keeper.id });
+                }
+            }
+            await storage.videoBoards.deleteByVideo(duplicate.id);
+            await storage.videos.delete(duplicate.id);
+
+            if (mediaStore) {
+                for (const file of [duplicate.media, duplicate.poster, duplicate.preview]) {
+                    if (!file) continue;
+                    const shared = [keeper.media, keeper.poster, keeper.preview].some(own => own && own.key === file.key);
+                    if (!shared) {
+                        await mediaStore.delete(file.key);
+                    }
+                }
+            }
+            merged++;
+        }
+
+        // Keys are set only once the duplicates are gone, so the unique index holds
+        if (keeper.canonicalKey !== key) {
+            await storage.videos.update(keeper.id, { canonicalKey: key });
+        }
+    }
+
+    return { merged, videos: groups.size };
+}
+
+if (require.main === module) {
+    const config = require('../config');
+    const { createStorage } = require('../storage');
+    const { createMediaStore } = require('../media');
+
+    (async () => {
+        const storage = createStorage(config.STORAGE_BACKEND, config.storageOptions);
+        await storage.connect();
+        try {
+            const mediaStore = createMediaStore(config.MEDIA_STORE, config.mediaStoreOptions);
+            const { merged, videos } = await mergeDuplicateVideos(storage, { mediaStore });
+            console.log(`Merged ${merged} duplicate video(s) into ${videos} video(s)`);
+        } finally {
+            await storage.close();
+        }
+    })().catch((error) => {
+        console.error('Error merging duplicate videos:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    mergeDuplicateVideos
+};
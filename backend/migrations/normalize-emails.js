@@ -0,0 +1,59 @@
+// Lowercases and trims the emails of accounts saved before emails were
+// normalized, so they are found again when their owners sign in. Accounts
+// whose emails differ only in case are listed and left alone, to be merged
+// by hand. Safe to run more than once.
+//
+//   npm run migrate:normalize-emails
+
+const normalizeEmail = (email) => email.trim().toLowerCase();
+
+async function normalizeEmails(storage) {
+    const users = await storage.users.list();
+    const byEmail = new Map(users.map(user => [user.email, user]));
+    const conflicts = [];
+    let updated = 0;
+
+    for (const user of users) {
+        const email = normalizeEmail(user.email);
+        if (email === user.email) continue;
+
+        const other = byEmail.get(email);
+        if (other && other.id !== user.id) {
+            conflicts.push({ email, userIds: [other.id, user.id] });
+            continue;
+        }
+
+        await storage.users.update(user.id, { email });
+        byEmail.delete(user.email);
+        byEmail.set(email, user);
+        updated++;
+    }
+
+    return { updated, conflicts };
+}
+
+if (require.main === module) {
+    const config = require('../config');
+    const { createStorage } = require('../storage');
+
+    (async () => {
+        const storage = createStorage(config.STORAGE_BACKEND, config.storageOptions);
+        await storage.connect();
+        try {
+            const { updated, conflicts } = await normalizeEmails(storage);
+            console.log(`Normalized ${updated} email(s)`);
+            for (const { email, userIds } of conflicts) {
+                console.warn(`Accounts ${userIds.join(' and ')} both use ${email}; merge them by hand`);
+            }
+        } finally {
+            await storage.close();
+        }
+    })().catch((error) => {
+        console.error('Error normalizing emails:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    normalizeEmails
+};
@@ -0,0 +1,50 @@
+// Queues the downloads of videos saved before the download pipeline. Those
+// were stored as 'processed' with no media, so their download route answered
+// 409 for good; they go back to 'queued' with a download job each, which the
+// server runs once it starts. Safe to run more than once.
+//
+//   npm run migrate:queue-downloads
+
+const JobQueue = require('../jobs/queue');
+
+async function queueProcessedVideos(storage) {
+    const queue = new JobQueue({ getStorage: () => storage });
+    let queued = 0;
+
+    for (const video of await storage.videos.list()) {
+        if (video.status !== 'processed' || video.media || !video.url) continue;
+
+        await storage.videos.update(video.id, {
+            status: 'queued',
+            error: null,
+            downloadUrl: `/api/videos/${video.id}/download`
+        });
+        await queue.enqueue('download', { videoId: video.id });
+        queued++;
+    }
+
+    return { queued };
+}
+
+if (require.main === module) {
+    const config = require('../config');
+    const { createStorage } = require('../storage');
+
+    (async () => {
+        const storage = createStorage(config.STORAGE_BACKEND, config.storageOptions);
+        await storage.connect();
+        try {
+            const { queued } = await queueProcessedVideos(storage);
+            console.log(`Queued the download of ${queued} video(s)`);
+        } finally {
+            await storage.close();
+        }
+    })().catch((error) => {
+        console.error('Error queueing downloads:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    queueProcessedVideos
+};
@@ -0,0 +1,180 @@
+// One sign-in provider using the OAuth2 authorization code flow with PKCE.
+// OpenID Connect providers are set up with their issuer: endpoints come from
+// its discovery document and the ID token is verified against its published
+// keys. OAuth2 providers without discovery (GitHub and the like) are set up
+// with their authorization, token and userinfo URLs instead.
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+const HTTP_TIMEOUT = 5000;
+// Discovery documents and signing keys are refetched after this long
+const METADATA_TTL = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+class OidcClient {
+    constructor({ id, label, issuer, clientId, clientSecret, scopes, authorizationUrl, tokenUrl, userinfoUrl, trustEmail = false }) {
+        if (!clientId) {
+            throw new Error(`Sign-in provider "${id}" needs a client id`);
+        }
+        if (!issuer && !(authorizationUrl && tokenUrl && userinfoUrl)) {
+            throw new Error(`Sign-in provider "${id}" needs an issuer, or authorization, token and userinfo URLs`);
+        }
+
+        this.id = id;
+        this.label = label || id;
+        this.issuer = issuer || null;
+        this.clientId = clientId;
+        this.clientSecret = clientSecret || null;
+        this.scopes = scopes || (issuer ? 'openid email profile' : 'email');
+        this.endpoints = { authorizationUrl, tokenUrl, userinfoUrl };
+        // For OAuth2 providers that only hand out verified addresses but
+        // don't say so
+        this.trustEmail = trustEmail;
+        this.metadata = null;
+        this.keys = null;
+    }
+
+    // Endpoints from the discovery document, with configured URLs taking precedence
+    async discover() {
+        let metadata = {};
+
+        if (this.issuer) {
+            if (!this.metadata || Date.now() - this.metadata.fetchedAt > METADATA_TTL) {
+                const { data } = await axios.get(`${this.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`, { timeout: HTTP_TIMEOUT });
+                if (data.issuer !== this.issuer) {
+                    throw new Error(`Discovery document of ${this.id} is for issuer ${data.issuer}`);
+                }
+                this.metadata = { data, fetchedAt: Date.now() };
+            }
+            metadata = this.metadata.data;
+        }
+
+        return {
+            authorizationUrl: this.endpoints.authorizationUrl || metadata.authorization_endpoint,
+            tokenUrl: this.endpoints.tokenUrl || metadata.token_endpoint,
+            userinfoUrl: this.endpoints.userinfoUrl || metadata.userinfo_endpoint,
+            jwksUrl: metadata.jwks_uri
+        };
+    }
+
+    // Where to send the browser to sign in
+    async authorizationUrl({ redirectUri, state, nonce, codeChallenge }) {
+        const { authorizationUrl } = await this.discover();
+        const url = new URL(authorizationUrl);
+        const params = {
+            response_type: 'code',
+            client_id: this.clientId,
+            redirect_uri: redirectUri,
+            scope: this.scopes,
+            state,
+            code_challenge: codeChallenge,
+            code_challenge_method: 'S256',
+            ...(this.issuer && { nonce })
+        };
+        for (const [key, value] of Object.entries(params)) {
+            url.searchParams.set(key, value);
+        }
+        return url.toString();
+    }
+
+    // Trade an authorization code for the user's identity:
+    // { subject, email, emailVerified, name }
+    async fetchIdentity({ code, redirectUri, codeVerifier, nonce }) {
+        const { tokenUrl, userinfoUrl, jwksUrl } = await this.discover();
+        const { data: tokens } = await axios.post(tokenUrl, new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: redirectUri,
+            code_verifier: codeVerifier,
+            client_id: this.clientId,
+            ...(this.clientSecret && { client_secret: this.clientSecret })
+        }).toString(), {
+            timeout: HTTP_TIMEOUT,
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'Accept': 'application/json'
+            }
+        });
+
+        if (tokens.error) {
+            throw new Error(`Token request to ${this.id} failed: ${tokens.error}`);
+        }
+
+        let claims = {};
+        if (this.issuer) {
+            if (!tokens.id_token) {
+                throw new Error(`${this.id} returned no ID token`);
+            }
+            claims = await this.verifyIdToken(tokens.id_token, nonce, jwksUrl);
+        }
+
+        // Providers often leave the email out of the ID token; userinfo has it
+        if (!claims.email && userinfoUrl && tokens.access_token) {
+            const { data: userinfo } = await axios.get(userinfoUrl, {
+                timeout: HTTP_TIMEOUT,
+                headers: {
+                    'Authorization': `Bearer ${tokens.access_token}`,
+                    'Accept': 'application/json'
+                }
+            });
+            if (claims.sub && userinfo.sub !== claims.sub) {
+                throw new Error(`Userinfo from ${this.id} is for another subject`);
+            }
+            claims = { ...userinfo, ...claims };
+        }
+
+        // OAuth2 providers without OIDC name the subject "id"
+        const subject = claims.sub !== undefined ? claims.sub : claims.id;
+        if (subject === undefined || subject === null) {
+            throw new Error(`${this.id} returned no subject`);
+        }
+
+        const email = typeof claims.email === 'string' && claims.email ? claims.email : null;
+        return {
+            subject: String(subject),
+            email,
+            emailVerified: Boolean(email) && (claims.email_verified === true || claims.email_verified === 'true' || this.trustEmail),
+            name: claims.name || claims.preferred_username || claims.login || null
+        };
+    }
+
+    async verifyIdToken(idToken, nonce, jwksUrl) {
+        const decoded = jwt.decode(idToken, { complete: true });
+        if (!decoded) {
+            throw new Error(`${this.id} returned a malformed ID token`);
+        }
+
+        const key = await this.signingKey(decoded.header.kid, jwksUrl);
+        const claims = jwt.verify(idToken, key, {
+            algorithms: ID_TOKEN_ALGORITHMS,
+            issuer: this.issuer,
+            audience: this.clientId
+        });
+
+        if (claims.nonce !== nonce) {
+            throw new Error(`ID token from ${this.id} has the wrong nonce`);
+        }
+        return claims;
+    }
+
+    // The provider's public key with the given id. Keys are cached; an
+    // unknown id refetches them in case the provider rotated its keys.
+    async signingKey(kid, jwksUrl) {
+        const find = () => this.keys.data.find(key => (kid ? key.kid === kid : key.use !== 'enc'));
+
+        if (!this.keys || Date.now() - this.keys.fetchedAt > METADATA_TTL || !find()) {
+            const { data } = await axios.get(jwksUrl, { timeout: HTTP_TIMEOUT });
+            this.keys = { data: data.keys || [], fetchedAt: Date.now() };
+        }
+
+        const jwk = find();
+        if (!jwk) {
+            throw new Error(`${this.id} has no signing key ${kid}`);
+        }
+        return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    }
+}
+
+module.exports = OidcClient;
@@ -0,0 +1,29 @@
+// Sign-in with OpenID Connect and OAuth2 providers. Each configured provider
+// becomes an OidcClient (see ./client) exposing:
+//
+//   authorizationUrl({ redirectUri, state, nonce, codeChallenge })   where to send the browser
+//   fetchIdentity({ code, redirectUri, codeVerifier, nonce })        { subject, email, emailVerified, name }
+//
+// Providers are listed in OIDC_PROVIDERS and configured with OIDC_<ID>_*
+// variables; see config.js.
+
+const crypto = require('crypto');
+const OidcClient = require('./client');
+
+// A PKCE code verifier, state or nonce
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+// The S256 challenge sent with the authorization request for a verifier
+const codeChallenge = (verifier) => crypto.createHash('sha256').update(verifier).digest('base64url');
+
+// Clients for the configured providers, keyed by id
+function createOidcProviders(configs = []) {
+    return new Map(configs.map(providerConfig => [providerConfig.id, new OidcClient(providerConfig)]));
+}
+
+module.exports = {
+    OidcClient,
+    createOidcProviders,
+    randomToken,
+    codeChallenge
+};
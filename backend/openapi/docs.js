@@ -0,0 +1,155 @@
+// The API reference at /api/docs: one HTML page rendered from the OpenAPI
+// document, with no scripts or assets to fetch. Tools that read OpenAPI can
+// use /api/docs/openapi.json instead.
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const schemaName = (ref) => ref.replace('#/components/schemas/', '');
+
+// A schema in a line: its type and the limits on it, linking to named ones
+function typeLabel(schema) {
+    if (schema.$ref) {
+        const name = schemaName(schema.$ref);
+        return `<a href="#schema-${escapeHtml(name)}">${escapeHtml(name)}</a>`;
+    }
+
+    let label = escapeHtml(schema.type || 'any');
+    if (schema.type === 'array' && schema.items) {
+        label = `list of ${typeLabel(schema.items)}`;
+    }
+    if (schema.allOf) {
+        label = `${schema.allOf.map(typeLabel).join(' + ')}${schema.properties ? ' + object' : ''}`;
+    }
+
+    const limits = [];
+    if (schema.format) limits.push(schema.format);
+    if (schema.enum) limits.push(`one of ${schema.enum.map(value => `<code>${escapeHtml(value)}</code>`).join(', ')}`);
+    if (schema.minLength !== undefined) limits.push(`at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined) limits.push(`at most ${schema.maxLength} characters`);
+    if (schema.pattern === '\\S') limits.push('not blank');
+    else if (schema.pattern) limits.push(`matching <code>${escapeHtml(schema.pattern)}</code>`);
+    if (schema.minimum !== undefined) limits.push(`at least ${schema.minimum}`);
+    if (schema.maximum !== undefined) limits.push(`at most ${schema.maximum}`);
+    if (schema.minItems !== undefined) limits.push(`at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined) limits.push(`at most ${schema.maxItems} items`);
+    if (schema.nullable) limits.push('or null');
+
+    return limits.length > 0 ? `${label} (${limits.join(', ')})` : label;
+}
+
+function propertiesTable(schema) {
+    const properties = Object.entries(schema.properties || {});
+    if (properties.length === 0) {
+        return '';
+    }
+    const required = new Set(schema.required || []);
+    const rows = properties.map(([name, property]) => `
+        <tr>
+            <td><code>${escapeHtml(name)}</code>${required.has(name) ? ' <em>required</em>' : ''}</td>
+            <td>${typeLabel(property)}</td>
+            <td>${escapeHtml(property.description || '')}</td>
+        </tr>`).join('');
+    return `<table><tr><th>Field</th><th>Type</th><th></th></tr>${rows}</table>`;
+}
+
+function schemaBlock(schema) {
+    const table = propertiesTable(schema);
+    return table || `<p>${typeLabel(schema)}</p>`;
+}
+
+function authNote(operation) {
+    if (!operation.security) {
+        return 'No sign-in needed.';
+    }
+    if (operation['x-session-only']) {
+        return 'Needs a signed-in session; personal access tokens can\'t.';
+    }
+    const optional = operation.security.some(requirement => Object.keys(requirement).length === 0);
+    const scope = operation['x-scope'] ? ` Personal access tokens need <code>${escapeHtml(operation['x-scope'])}</code>.` : '';
+    return `${optional ? 'Sign-in optional.' : 'Needs sign-in.'}${scope}`;
+}
+
+function operationSection(method, path, operation) {
+    const parameters = operation.parameters || [];
+    const parameterRows = parameters.map(parameter => `
+        <tr>
+            <td><code>${escapeHtml(parameter.name)}</code>${parameter.required ? ' <em>required</em>' : ''}</td>
+            <td>${escapeHtml(parameter.in)}</td>
+            <td>${typeLabel(parameter.schema)}</td>
+            <td>${escapeHtml(parameter.description || '')}</td>
+        </tr>`).join('');
+    const body = operation.requestBody && operation.requestBody.content['application/json'].schema;
+    const responses = Object.entries(operation.responses).map(([status, response]) => {
+        const schema = response.content && response.content['application/json'].schema;
+        return `<li><strong>${escapeHtml(status)}</strong> ${escapeHtml(response.description)}${schema && status < 400 ? `: ${typeLabel(schema)}` : ''}</li>`;
+    }).join('');
+
+    return `
+    <section class="operation" id="${escapeHtml(operation.operationId)}">
+        <h3><span class="method ${method}">${method.toUpperCase()}</span> <code>${escapeHtml(path)}</code></h3>
+        <p>${escapeHtml(operation.summary)}. ${operation.description ? escapeHtml(operation.description) : ''}</p>
+        <p class="auth">${authNote(operation)}</p>
+        ${parameterRows ? `<h4>Parameters</h4><table><tr><th>Name</th><th>In</th><th>Type</th><th></th></tr>${parameterRows}</table>` : ''}
+        ${body ? `<h4>Body</h4>${schemaBlock(body)}` : ''}
+        <h4>Responses</h4>
+        <ul>${responses}</ul>
+    </section>`;
+}
+
+function renderDocs(document) {
+    const sections = document.tags.map(tag => {
+        const operations = [];
+        for (const [path, item] of Object.entries(document.paths)) {
+            for (const method of METHODS) {
+                if (item[method] && item[method].tags.includes(tag.name)) {
+                    operations.push(operationSection(method, path, item[method]));
+                }
+            }
+        }
+        return `<h2>${escapeHtml(tag.name)}</h2><p>${escapeHtml(tag.description)}</p>${operations.join('')}`;
+    }).join('');
+
+    const schemas = Object.entries(document.components.schemas).map(([name, schema]) => `
+    <section class="schema" id="schema-${escapeHtml(name)}">
+        <h3>${escapeHtml(name)}</h3>
+        ${schema.description ? `<p>${escapeHtml(schema.description)}</p>` : ''}
+        ${schema.allOf ? `<p>Everything in ${schema.allOf.map(typeLabel).join(', ')}, and:</p>` : ''}
+        ${schemaBlock(schema)}
+    </section>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(document.info.title)}</title>
+    <style>
+        body { font-family: system-ui, sans-serif; max-width: 56rem; margin: 0 auto; padding: 1rem; color: #1e293b; line-height: 1.5; }
+        code { background: #f1f5f9; padding: 0 0.25rem; border-radius: 3px; }
+        table { border-collapse: collapse; width: 100%; margin-bottom: 0.5rem; }
+        th, td { text-align: left; padding: 0.25rem 0.5rem; border-bottom: 1px solid #e2e8f0; vertical-align: top; }
+        .operation, .schema { border-top: 1px solid #cbd5e1; padding-top: 0.5rem; }
+        .method { display: inline-block; min-width: 4rem; font-size: 0.8rem; color: white; text-align: center; border-radius: 3px; padding: 0.1rem 0.3rem; }
+        .get { background: #2563eb; } .post { background: #16a34a; } .put, .patch { background: #d97706; } .delete { background: #dc2626; }
+        .auth { color: #64748b; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(document.info.title)} <small>${escapeHtml(document.info.version)}</small></h1>
+    <p>${escapeHtml(document.info.description)}</p>
+    <p>The OpenAPI document: <a href="/api/docs/openapi.json">/api/docs/openapi.json</a></p>
+    ${sections}
+    <h2>Schemas</h2>
+    ${schemas}
+</body>
+</html>
+`;
+}
+
+module.exports = { renderDocs };
@@ -0,0 +1,1008 @@
+// The OpenAPI 3 description of /api/v1. It is the source of truth for what
+// each endpoint accepts: requests are checked against it before they reach
+// a route (see ./index.js), it is served at /api/docs, and the contract
+// tests fail when a route and its operation here disagree. Limits on input
+// live here rather than in the routes.
+//
+// x-error on a schema sets the message its failures answer with, so the
+// messages clients already know stay the same.
+
+const TOKEN_SCOPES = ['boards:read', 'boards:write', 'videos:read', 'videos:write'];
+const MEMBER_ROLES = ['viewer', 'editor'];
+const MAX_TOKEN_NAME_LENGTH = 100;
+const MAX_PASSKEY_NAME_LENGTH = 100;
+const MAX_SHARE_LABEL_LENGTH = 100;
+const MAX_TAGS = 20;
+const MAX_ASSIGN_BOARDS = 100;
+const MAX_PAGE_SIZE = 100;
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ 'application/json': { schema } });
+
+const ok = (description, schema) => ({ description, content: json(schema) });
+const message = (description) => ok(description, ref('Message'));
+const error = (description) => ({ description, content: json(ref('Error')) });
+
+const body = (schema) => ({ required: true, content: json(schema) });
+
+const pathParam = (name, description) => ({
+    name,
+    in: 'path',
+    required: true,
+    description,
+    schema: { type: 'string', minLength: 1 }
+});
+
+// Ids end up in markup and URLs, and PUT /api/v1/videos/{id}/boards lets
+// clients choose new video ids, so they are kept to URL-safe characters
+const idParam = (name, description) => ({
+    ...pathParam(name, description),
+    schema: { type: 'string', minLength: 1, maxLength: 128, pattern: '^[A-Za-z0-9_-]+$' }
+});
+
+const queryParam = (name, description, schema) => ({ name, in: 'query', description, schema });
+
+const shareParams = [
+    queryParam('share', 'A share link token', { type: 'string' }),
+    { name: 'X-Share-Token', in: 'header', description: 'A share link token', schema: { type: 'string' } }
+];
+
+const pageParams = [
+    queryParam('limit', `Items per page, at most ${MAX_PAGE_SIZE}`, { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: 50 }),
+    queryParam('cursor', 'From the next or prev link of an earlier page', { type: 'string' })
+];
+
+// A signed-in session, or a personal access token with scope
+const signedIn = (scope) => ({
+    security: [{ bearerAuth: [] }],
+    'x-scope': scope || null
+});
+
+// Managing the account takes a session; personal access tokens can't
+const sessionOnly = { security: [{ bearerAuth: [] }], 'x-session-only': true };
+
+// Optional sign-in: anonymous callers see what's public
+const optionalAuth = (scope) => ({ security: [{}, { bearerAuth: [] }], 'x-scope': scope || null });
+
+const unauthorized = {
+    401: error('No access token was sent'),
+    403: error('The token is invalid, or may not do this')
+};
+
+const invalid = { 400: error('The request does not match this operation') };
+
+const boardId = idParam('id', 'Board id');
+
+const document = {
+    openapi: '3.0.3',
+    info: {
+        title: 'Shortbread API',
+        version: '1.0.0',
+        description: 'Save short videos to boards and share them. Send an access token, or a personal access ' +
+            'token, as a Bearer token. Errors answer as { error: { code, message, details? } }; ' +
+            'invalid requests have code validation_failed and list what is wrong in details.errors.'
+    },
+    servers: [{ url: '/' }],
+    tags: [
+        { name: 'Account', description: 'The signed-in user, their sessions, tokens and passkeys' },
+        { name: 'Boards', description: 'Boards, their videos, members and share links' },
+        { name: 'Videos', description: 'Videos across boards' },
+        { name: 'Uploads', description: 'Video files shared to the app' },
+        { name: 'Service', description: 'Health of the server' }
+    ],
+    paths: {
+        '/api/v1/user': {
+            get: {
+                operationId: 'getCurrentUser',
+                tags: ['Account'],
+                summary: 'The signed-in user',
+                ...signedIn(),
+                responses: { 200: ok('The user', ref('User')), ...unauthorized }
+            }
+        },
+        '/api/v1/sessions': {
+            get: {
+                operationId: 'listSessions',
+                tags: ['Account'],
+                summary: 'Devices the user is signed in on, most recently used first',
+                ...sessionOnly,
+                responses: {
+                    200: ok('The sessions', {
+                        type: 'object',
+                        required: ['sessions'],
+                        properties: { sessions: { type: 'array', items: ref('Session') } }
+                    }),
+                    ...unauthorized
+                }
+            }
+        },
+        '/api/v1/sessions/{id}': {
+            delete: {
+                operationId: 'deleteSession',
+                tags: ['Account'],
+                summary: 'Sign a device out',
+                ...sessionOnly,
+                parameters: [idParam('id', 'Session id')],
+                responses: { 200: message('Signed out'), ...unauthorized, 404: error('No such session') }
+            }
+        },
+        '/api/v1/tokens': {
+            get: {
+                operationId: 'listAccessTokens',
+                tags: ['Account'],
+                summary: 'Personal access tokens, newest first',
+                ...sessionOnly,
+                responses: {
+                    200: ok('The tokens, without their secrets', {
+                        type: 'object',
+                        required: ['tokens'],
+                        properties: { tokens: { type: 'array', items: ref('AccessToken') } }
+                    }),
+                    ...unauthorized
+                }
+            },
+            post: {
+                operationId: 'createAccessToken',
+                tags: ['Account'],
+                summary: 'Create a personal access token',
+                description: 'The token itself is only ever returned here.',
+                ...sessionOnly,
+                requestBody: body(ref('NewAccessToken')),
+                responses: {
+                    201: ok('The token', {
+                        allOf: [ref('AccessToken')],
+                        type: 'object',
+                        required: ['token'],
+                        properties: { token: { type: 'string' } }
+                    }),
+                    ...invalid,
+                    ...unauthorized
+                }
+            }
+        },
+        '/api/v1/tokens/{id}': {
+            delete: {
+                operationId: 'deleteAccessToken',
+                tags: ['Account'],
+                summary: 'Revoke a personal access token',
+                ...sessionOnly,
+                parameters: [idParam('id', 'Token id')],
+                responses: { 200: message('Revoked'), ...unauthorized, 404: error('No such token') }
+            }
+        },
+        '/api/v1/passkeys/register/options': {
+            post: {
+                operationId: 'startPasskeyRegistration',
+                tags: ['Account'],
+                summary: 'Start adding a passkey',
+                description: 'Answers with options for navigator.credentials.create() and a ceremony token ' +
+                    'to post back with the credential.',
+                ...sessionOnly,
+                responses: {
+                    200: ok('The ceremony', {
+                        type: 'object',
+                        required: ['ceremonyToken', 'options'],
+                        properties: { ceremonyToken: { type: 'string' }, options: { type: 'object' } }
+                    }),
+                    ...unauthorized
+                }
+            }
+        },
+        '/api/v1/passkeys': {
+            get: {
+                operationId: 'listPasskeys',
+                tags: ['Account'],
+                summary: 'Passkeys on the account, newest first',
+                ...sessionOnly,
+                responses: {
+                    200: ok('The passkeys', {
+                        type: 'object',
+                        required: ['passkeys'],
+                        properties: { passkeys: { type: 'array', items: ref('Passkey') } }
+                    }),
+                    ...unauthorized
+                }
+            },
+            post: {
+                operationId: 'registerPasskey',
+                tags: ['Account'],
+                summary: 'Finish adding a passkey',
+                description: 'Without a name, the passkey is named after the device.',
+                ...sessionOnly,
+                requestBody: body(ref('NewPasskey')),
+                responses: {
+                    201: ok('The passkey', ref('Passkey')),
+                    ...invalid,
+                    ...unauthorized,
+                    409: error('The passkey is already registered')
+                }
+            }
+        },
+        '/api/v1/passkeys/{id}': {
+            patch: {
+                operationId: 'renamePasskey',
+                tags: ['Account'],
+                summary: 'Rename a passkey',
+                ...sessionOnly,
+                parameters: [idParam('id', 'Passkey id')],
+                requestBody: body({
+                    type: 'object',
+                    required: ['name'],
+                    properties: { name: ref('PasskeyName') }
+                }),
+                responses: { 200: ok('The passkey', ref('Passkey')), ...invalid, ...unauthorized, 404: error('No such passkey') }
+            },
+            delete: {
+                operationId: 'deletePasskey',
+                tags: ['Account'],
+                summary: 'Remove a passkey',
+                ...sessionOnly,
+                parameters: [idParam('id', 'Passkey id')],
+                responses: { 200: message('Removed'), ...unauthorized, 404: error('No such passkey') }
+            }
+        },
+        '/api/v1/uploads/{id}': {
+            get: {
+                operationId: 'getUpload',
+                tags: ['Uploads'],
+                summary: 'A file the user shared to the app that is waiting for a board',
+                ...signedIn('videos:read'),
+                parameters: [idParam('id', 'Upload id')],
+                responses: {
+                    200: ok('The upload', ref('Upload')),
+                    ...unauthorized,
+                    404: error('No such upload of the user\'s, or it expired')
+                }
+            }
+        },
+        '/api/v1/uploads/{id}/save': {
+            post: {
+                operationId: 'saveUpload',
+                tags: ['Uploads'],
+                summary: 'Save a file the user shared to a board',
+                ...signedIn('videos:write'),
+                parameters: [idParam('id', 'Upload id')],
+                requestBody: body({
+                    type: 'object',
+                    required: ['boardId'],
+                    properties: { boardId: { type: 'string', minLength: 1, 'x-error': 'boardId is required' } }
+                }),
+                responses: {
+                    200: ok('The saved video', ref('Video')),
+                    ...invalid,
+                    ...unauthorized,
+                    404: error('No such upload or board')
+                }
+            }
+        },
+        '/api/v1/videos/info': {
+            post: {
+                operationId: 'getVideoInfo',
+                tags: ['Videos'],
+                summary: 'Details of the video at a link, before saving it',
+                ...signedIn('videos:read'),
+                requestBody: body({
+                    type: 'object',
+                    required: ['url'],
+                    properties: { url: ref('VideoUrl') }
+                }),
+                responses: { 200: ok('The details', ref('VideoInfo')), ...invalid, ...unauthorized }
+            }
+        },
+        '/api/v1/boards': {
+            get: {
+                operationId: 'listBoards',
+                tags: ['Boards'],
+                summary: "The user's own boards and those shared with them, newest first",
+                ...signedIn('boards:read'),
+                parameters: pageParams,
+                responses: {
+                    200: ok('A page of boards', {
+                        type: 'object',
+                        required: ['boards', 'next', 'prev'],
+                        properties: {
+                            boards: { type: 'array', items: ref('Board') },
+                            next: ref('PageLink'),
+                            prev: ref('PageLink')
+                        }
+                    }),
+                    ...invalid,
+                    ...unauthorized
+                }
+            },
+            post: {
+                operationId: 'createBoard',
+                tags: ['Boards'],
+                summary: 'Create a board',
+                ...signedIn('boards:write'),
+                requestBody: body({
+                    type: 'object',
+                    required: ['title'],
+                    properties: {
+                        title: ref('BoardTitle'),
+                        description: ref('BoardDescription'),
+                        isPublic: ref('IsPublic')
+                    }
+                }),
+                responses: { 201: ok('The board', ref('Board')), ...invalid, ...unauthorized }
+            }
+        },
+        '/api/v1/boards/{id}': {
+            get: {
+                operationId: 'getBoard',
+                tags: ['Boards'],
+                summary: "A board, with the caller's role on it",
+                description: 'Public boards are open to anyone. Private ones need an owner or member, or one of ' +
+                    'their share links in X-Share-Token or ?share=.',
+                ...optionalAuth('boards:read'),
+                parameters: [boardId, ...shareParams],
+                responses: {
+                    200: ok('The board', ref('Board')),
+                    403: error('The board is private'),
+                    404: error('No such board')
+                }
+            },
+            patch: {
+                operationId: 'updateBoard',
+                tags: ['Boards'],
+                summary: "Change a board's title, description, privacy or cover",
+                description: 'Only the owner can. The cover is the id of a video on the board, or null.',
+                ...signedIn('boards:write'),
+                parameters: [boardId],
+                requestBody: body({
+                    type: 'object',
+                    properties: {
+                        title: ref('BoardTitle'),
+                        description: ref('BoardDescription'),
+                        isPublic: ref('IsPublic'),
+                        cover: { type: 'string', nullable: true }
+                    }
+                }),
+                responses: {
+                    200: ok('The board', ref('Board')),
+                    ...invalid,
+                    ...unauthorized,
+                    404: error('No such board')
+                }
+            },
+            delete: {
+                operationId: 'deleteBoard',
+                tags: ['Boards'],
+                summary: 'Delete a board',
+                description: 'Videos on another board stay there. Videos left on no board are deleted right away with ' +
+                    'cascade=true; otherwise their deletion is delayed, and they are deleted after the orphan grace ' +
+                    'period unless saved to a board again before then.',
+                ...signedIn('boards:write'),
+                parameters: [boardId, queryParam('cascade', 'Delete videos left on no board now rather than after the grace period', { type: 'string', enum: ['true', 'false'] })],
+                responses: {
+                    200: ok('Deleted', {
+                        allOf: [ref('Message')],
+                        type: 'object',
+                        required: ['deletedVideos'],
+                        properties: { deletedVideos: { type: 'integer' } }
+                    }),
+                    ...invalid,
+                    ...unauthorized,
+                    404: error('No such board')
+                }
+            }
+        },
+        '/api/v1/boards/{id}/videos': {
+            get: {
+                operationId: 'listBoardVideos',
+                tags: ['Boards'],
+                summary: 'Videos on a board, in board order',
+                description: 'Visible to the same callers as the board.',
+                ...optionalAuth('videos:read'),
+                parameters: [boardId, ...pageParams, ...shareParams],
+                responses: {
+                    200: ok('A page of videos', {
+                        type: 'object',
+                        required: ['videos', 'next', 'prev'],
+                        properties: {
+                            videos: { type: 'array', items: ref('BoardVideo') },
+                            next: ref('PageLink'),
+                            prev: ref('PageLink')
+                        }
+                    }),
+                    ...invalid,
+                    403: error('The board is private'),
+                    404: error('No such board')
+                }
+            },
+            post: {
+                operationId: 'saveVideo',
+                tags: ['Boards'],
+                summary: 'Save the video at a link to a board',
+                description: 'A clip saved before is reused, and downloaded once.',
+                ...signedIn('videos:write'),
+                parameters: [boardId],
+                requestBody: body({
+                    type: 'object',
+                    required: ['url'],
+                    properties: { url: ref('VideoUrl') }
+                }),
+                responses: {
+                    201: ok('The video', ref('Video')),
+                    ...invalid,
+                    ...unauthorized,
+                    404: error('No such board')
+                }
+            }
+        },
+        '/api/v1/boards/{id}/order': {
+            put: {
+                operationId: 'reorderBoard',
+                tags: ['Boards'],
+                summary: 'Move a video on a board',
+                ...signedIn('videos:write'),
+                parameters: [boardId],
+                requestBody: body({
+                    type: 'object',
+                    required: ['videoId'],
+                    properties: {
+                        videoId: { type: 'string', minLength: 1, 'x-error': 'videoId is required' },
+                        after: { type: 'string', nullable: true, description: 'The video to follow, or null for the top' }
+                    }
+                }),
+                responses: {
+                    200: ok('The new position', {
+                        type: 'object',
+                        required: ['videoId', 'position'],
+                        properties: { videoId: { type: 'string' }, position: { type: 'number' } }
+                    }),
+                    ...invalid,
+                    ...unauthorized,
+                    404: error('No such board, or the video is not on it')
+                }
+            }
+        },
+        '/api/v1/boards/{boardId}/videos/{videoId}': {
+            patch: {
+                operationId: 'updateBoardVideo',
+                tags: ['Boards'],
+                summary: "Change a video's tags or notes on a board",
+                ...signedIn('videos:write'),
+                parameters: [idParam('boardId', 'Board id'), idParam('videoId', 'Video id')],
+                requestBody: body({
+                    type: 'object',
+                    properties: {
+                        tags: {
+                            type: 'array',
+                            maxItems: MAX_TAGS,
+                            items: { type: 'string' },
+                            description: 'Compared lowercase and without a leading #'
+                        },
+                        notes: { type: 'string', nullable: true, 'x-error': 'notes must be a string' }
+                    }
+                }),
+                responses: {
+                    200: ok('The video on the board', ref('VideoLink')),
+                    ...invalid,
+                    ...unauthorized,
+                    404: error('No such board, or the video is not on it')
+                }
+            },
+            delete: {
+                operationId: 'removeBoardVideo',
+                tags: ['Boards'],
+                summary: 'Take a video off a board',
+                ...signedIn('videos:write'),
+                parameters: [idParam('boardId', 'Board id'), idParam('videoId', 'Video id')],
+                responses: {
+                    200: message('Removed'),
+                    ...unauthorized,
+                    404: error('No such board, or the video is not on it')
+                }
+            }
+        },
+        '/api/v1/boards/{id}/members': {
+            get: {
+                operationId: 'listMembers',
+                tags: ['Boards'],
+                summary: "A board's owner and the people invited to it",
+                ...signedIn('boards:read'),
+                parameters: [boardId],
+                responses: {
+                    200: ok('The owner and members', {
+                        type: 'object',
+                        required: ['owner', 'members'],
+                        properties: {
+                            owner: {
+                                type: 'object',
+                                required: ['id', 'email'],
+                                properties: { id: { type: 'string' }, name: { type: 'string' }, email: { type: 'string' } }
+                            },
+                            members: { type: 'array', items: ref('Member') }
+                        }
+                    }),
+                    ...unauthorized,
+                    404: error('No such board')
+                }
+            },
+            post: {
+                operationId: 'addMember',
+                tags: ['Boards'],
+                summary: 'Invite someone to a board by email',
+                ...signedIn('boards:write'),
+                parameters: [boardId],
+                requestBody: body({
+                    type: 'object',
+                    required: ['email', 'role'],
+                    properties: {
+                        email: { type: 'string', format: 'email', 'x-error': 'A valid email is required' },
+                        role: ref('MemberRole')
+                    }
+                }),
+                responses: {
+                    201: ok('The invite', {
+                        type: 'object',
+                        required: ['member'],
+                        properties: { member: ref('Member'), token: { type: 'string', description: 'Outside production only' } }
+                    }),
+                    ...invalid,
+                    ...unauthorized,
+                    404: error('No such board')
+                }
+            }
+        },
+        '/api/v1/boards/{id}/members/{email}': {
+            patch: {
+                operationId: 'updateMember',
+                tags: ['Boards'],
+                summary: "Change a member's role",
+                ...signedIn('boards:write'),
+                parameters: [boardId, pathParam('email', 'The member\'s email')],
+                requestBody: body({
+                    type: 'object',
+                    required: ['role'],
+                    properties: { role: ref('MemberRole') }
+                }),
+                responses: {
+                    200: ok('The member', { type: 'object', required: ['member'], properties: { member: ref('Member') } }),
+                    ...invalid,
+                    ...unauthorized,
+                    404: error('No such board or member')
+                }
+            },
+            delete: {
+                operationId: 'removeMember',
+                tags: ['Boards'],
+                summary: 'Take someone off a board',
+                ...signedIn('boards:write'),
+                parameters: [boardId, pathParam('email', 'The member\'s email')],
+                responses: { 200: message('Removed'), ...unauthorized, 404: error('No such board or member') }
+            }
+        },
+        '/api/v1/boards/{id}/share-links': {
+            get: {
+                operationId: 'listShareLinks',
+                tags: ['Boards'],
+                summary: "A board's share links, newest first",
+                ...signedIn('boards:read'),
+                parameters: [boardId],
+                responses: {
+                    200: ok('The share links', {
+                        type: 'object',
+                        required: ['shareLinks'],
+                        properties: { shareLinks: { type: 'array', items: ref('ShareLink') } }
+                    }),
+                    ...unauthorized,
+                    404: error('No such board')
+                }
+            },
+            post: {
+                operationId: 'createShareLink',
+                tags: ['Boards'],
+                summary: 'Create an unlisted link that shows the board to anyone who has it',
+                ...signedIn('boards:write'),
+                parameters: [boardId],
+                requestBody: body({
+                    type: 'object',
+                    properties: {
+                        label: {
+                            type: 'string',
+                            maxLength: MAX_SHARE_LABEL_LENGTH,
+                            'x-error': `Label must be a string of at most ${MAX_SHARE_LABEL_LENGTH} characters`
+                        },
+                        expiresAt: ref('FutureDate')
+                    }
+                }),
+                responses: { 201: ok('The share link', ref('ShareLink')), ...invalid, ...unauthorized, 404: error('No such board') }
+            }
+        },
+        '/api/v1/boards/{id}/share-links/{linkId}': {
+            delete: {
+                operationId: 'deleteShareLink',
+                tags: ['Boards'],
+                summary: 'Turn a share link off',
+                ...signedIn('boards:write'),
+                parameters: [boardId, idParam('linkId', 'Share link id')],
+                responses: { 200: message('Turned off'), ...unauthorized, 404: error('No such board or link') }
+            }
+        },
+        '/api/v1/videos/{id}': {
+            delete: {
+                operationId: 'removeVideo',
+                tags: ['Videos'],
+                summary: 'Take a video off every board the user can edit',
+                ...signedIn('videos:write'),
+                parameters: [idParam('id', 'Video id')],
+                responses: {
+                    200: ok('Removed', {
+                        allOf: [ref('Message')],
+                        type: 'object',
+                        required: ['boardIds'],
+                        properties: { boardIds: { type: 'array', items: { type: 'string' } } }
+                    }),
+                    ...unauthorized,
+                    404: error('No such video')
+                }
+            }
+        },
+        '/api/v1/videos/{id}/boards': {
+            put: {
+                operationId: 'assignVideo',
+                tags: ['Videos'],
+                summary: 'Set which of the user\'s boards a video is on',
+                description: 'Boards the user can\'t edit keep the video. With url, a video not saved yet is ' +
+                    'created with this id.',
+                ...signedIn('videos:write'),
+                parameters: [idParam('id', 'Video id')],
+                requestBody: body({
+                    type: 'object',
+                    required: ['boardIds'],
+                    properties: {
+                        boardIds: {
+                            type: 'array',
+                            maxItems: MAX_ASSIGN_BOARDS,
+                            items: { type: 'string' },
+                            'x-error': { required: 'boardIds array is required', type: 'boardIds array is required' }
+                        },
+                        url: ref('VideoUrl')
+                    }
+                }),
+                responses: {
+                    200: ok('The video and its boards', {
+                        allOf: [ref('Message')],
+                        type: 'object',
+                        required: ['video', 'boardIds'],
+                        properties: { video: ref('Video'), boardIds: { type: 'array', items: { type: 'string' } } }
+                    }),
+                    ...invalid,
+                    ...unauthorized,
+                    404: error('No such video or board')
+                }
+            }
+        },
+        '/api/v1/search': {
+            get: {
+                operationId: 'searchVideos',
+                tags: ['Videos'],
+                summary: "Search the videos on the user's own and shared boards",
+                description: 'By title, author, tags and notes. Every filter is optional.',
+                ...signedIn('videos:read'),
+                parameters: [
+                    queryParam('q', 'Text to look for', { type: 'string' }),
+                    queryParam('tag', 'Only videos with this tag', { type: 'string' }),
+                    queryParam('platform', 'Only videos from this platform', { type: 'string' }),
+                    queryParam('board', 'Only videos on this board', { type: 'string' }),
+                    pageParams[0]
+                ],
+                responses: {
+                    200: ok('The matches, best first', {
+                        type: 'object',
+                        required: ['results'],
+                        properties: { results: { type: 'array', items: ref('SearchResult') } }
+                    }),
+                    ...invalid,
+                    ...unauthorized,
+                    404: error('No such board')
+                }
+            }
+        },
+        '/api/v1/health': {
+            get: {
+                operationId: 'healthCheck',
+                tags: ['Service'],
+                summary: 'Whether the server is up, and what it runs on',
+                responses: {
+                    200: ok('Up', {
+                        type: 'object',
+                        required: ['status', 'timestamp', 'database'],
+                        properties: {
+                            status: { type: 'string', enum: ['OK'] },
+                            timestamp: { type: 'string', format: 'date-time' },
+                            database: { type: 'string' },
+                            environment: { type: 'string' },
+                            features: { type: 'object' }
+                        }
+                    })
+                }
+            }
+        }
+    },
+    components: {
+        securitySchemes: {
+            bearerAuth: {
+                type: 'http',
+                scheme: 'bearer',
+                description: 'An access token from signing in, or a personal access token (sbp_…). ' +
+                    `Personal access tokens need the operation's x-scope: one of ${TOKEN_SCOPES.join(', ')}.`
+            }
+        },
+        schemas: {
+            Error: {
+                type: 'object',
+                required: ['error'],
+                properties: {
+                    error: {
+                        type: 'object',
+                        required: ['code', 'message'],
+                        properties: {
+                            code: {
+                                type: 'string',
+                                description: 'Stable: invalid_request, validation_failed, unauthorized, invalid_token, ' +
+                                    'forbidden, insufficient_scope, session_required, not_found, conflict...'
+                            },
+                            message: { type: 'string' },
+                            details: { type: 'object' }
+                        }
+                    }
+                }
+            },
+            Message: {
+                type: 'object',
+                required: ['message'],
+                properties: { message: { type: 'string' } }
+            },
+            PageLink: { type: 'string', nullable: true, description: 'The URL of the page either side, or null at the end' },
+            User: {
+                type: 'object',
+                required: ['id', 'email', 'name', 'hasPassword'],
+                properties: {
+                    id: { type: 'string' },
+                    email: { type: 'string' },
+                    name: { type: 'string' },
+                    createdAt: { type: 'string', format: 'date-time' },
+                    hasPassword: { type: 'boolean' }
+                }
+            },
+            Session: {
+                type: 'object',
+                required: ['id', 'device', 'createdAt', 'lastUsedAt', 'current'],
+                properties: {
+                    id: { type: 'string' },
+                    device: { type: 'string' },
+                    ip: { type: 'string', nullable: true },
+                    createdAt: { type: 'string', format: 'date-time' },
+                    lastUsedAt: { type: 'string', format: 'date-time' },
+                    current: { type: 'boolean' }
+                }
+            },
+            AccessToken: {
+                type: 'object',
+                required: ['id', 'name', 'scopes', 'hint', 'expiresAt', 'lastUsedAt', 'createdAt'],
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    scopes: { type: 'array', items: { type: 'string', enum: TOKEN_SCOPES } },
+                    hint: { type: 'string', description: 'The last characters of the token' },
+                    expiresAt: { type: 'string', format: 'date-time', nullable: true },
+                    lastUsedAt: { type: 'string', format: 'date-time', nullable: true },
+                    createdAt: { type: 'string', format: 'date-time' }
+                }
+            },
+            NewAccessToken: {
+                type: 'object',
+                required: ['name', 'scopes'],
+                properties: {
+                    name: {
+                        type: 'string',
+                        pattern: '\\S',
+                        maxLength: MAX_TOKEN_NAME_LENGTH,
+                        'x-error': {
+                            required: 'Token name is required',
+                            type: 'Token name is required',
+                            pattern: 'Token name is required',
+                            maxLength: `Token name must be at most ${MAX_TOKEN_NAME_LENGTH} characters`
+                        }
+                    },
+                    scopes: {
+                        type: 'array',
+                        minItems: 1,
+                        maxItems: TOKEN_SCOPES.length,
+                        items: { type: 'string', enum: TOKEN_SCOPES },
+                        'x-error': `scopes must be a list of: ${TOKEN_SCOPES.join(', ')}`
+                    },
+                    expiresAt: ref('FutureDate')
+                }
+            },
+            Passkey: {
+                type: 'object',
+                required: ['id', 'name', 'createdAt'],
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    transports: { type: 'array', items: { type: 'string' } },
+                    createdAt: { type: 'string', format: 'date-time' },
+                    lastUsedAt: { type: 'string', format: 'date-time', nullable: true }
+                }
+            },
+            PasskeyName: {
+                type: 'string',
+                pattern: '\\S',
+                maxLength: MAX_PASSKEY_NAME_LENGTH,
+                'x-error': {
+                    required: 'Passkey name is required',
+                    type: 'Passkey name is required',
+                    pattern: 'Passkey name is required',
+                    maxLength: `Passkey name must be at most ${MAX_PASSKEY_NAME_LENGTH} characters`
+                }
+            },
+            NewPasskey: {
+                type: 'object',
+                required: ['ceremonyToken', 'credential'],
+                properties: {
+                    ceremonyToken: { type: 'string', minLength: 1, 'x-error': 'ceremonyToken and credential are required' },
+                    credential: {
+                        type: 'object',
+                        description: 'The PublicKeyCredential as JSON, binary fields base64url encoded',
+                        'x-error': 'ceremonyToken and credential are required'
+                    },
+                    name: ref('PasskeyName')
+                }
+            },
+            Upload: {
+                type: 'object',
+                required: ['id', 'platform', 'size'],
+                properties: {
+                    id: { type: 'string' },
+                    title: { type: 'string', nullable: true },
+                    platform: { type: 'string', enum: ['Upload'] },
+                    size: { type: 'integer' },
+                    thumbnail: { type: 'string', nullable: true }
+                }
+            },
+            VideoUrl: {
+                type: 'string',
+                format: 'uri',
+                maxLength: 2048,
+                'x-error': { required: 'URL is required', type: 'URL is required', format: 'url must be an http(s) URL' }
+            },
+            VideoInfo: {
+                type: 'object',
+                required: ['url', 'platform', 'title'],
+                properties: {
+                    url: { type: 'string', nullable: true, description: 'null for files shared to the app' },
+                    canonicalKey: { type: 'string' },
+                    platform: { type: 'string' },
+                    platformId: { type: 'string', nullable: true },
+                    title: { type: 'string' },
+                    author: { type: 'string', nullable: true },
+                    thumbnail: { type: 'string', nullable: true },
+                    duration: { type: 'number', nullable: true },
+                    postedAt: { type: 'string', nullable: true }
+                }
+            },
+            Video: {
+                allOf: [ref('VideoInfo')],
+                type: 'object',
+                required: ['id', 'url', 'platform', 'title', 'status', 'downloadUrl'],
+                properties: {
+                    id: { type: 'string' },
+                    url: { type: 'string', nullable: true },
+                    platform: { type: 'string' },
+                    title: { type: 'string' },
+                    status: { type: 'string', enum: ['queued', 'downloading', 'processing', 'ready', 'failed'] },
+                    error: { type: 'string', nullable: true },
+                    downloadUrl: { type: 'string' },
+                    addedAt: { type: 'string', format: 'date-time' }
+                }
+            },
+            BoardVideo: {
+                allOf: [ref('Video')],
+                type: 'object',
+                required: ['id', 'status', 'position', 'tags', 'notes'],
+                properties: {
+                    id: { type: 'string' },
+                    status: { type: 'string' },
+                    position: { type: 'number' },
+                    tags: { type: 'array', items: { type: 'string' } },
+                    notes: { type: 'string' }
+                }
+            },
+            VideoLink: {
+                type: 'object',
+                required: ['videoId', 'boardId', 'tags', 'notes'],
+                properties: {
+                    videoId: { type: 'string' },
+                    boardId: { type: 'string' },
+                    position: { type: 'number' },
+                    tags: { type: 'array', items: { type: 'string' } },
+                    notes: { type: 'string' },
+                    addedAt: { type: 'string', format: 'date-time' }
+                }
+            },
+            SearchResult: {
+                allOf: [ref('Video')],
+                type: 'object',
+                required: ['id', 'boardId', 'tags', 'notes'],
+                properties: {
+                    id: { type: 'string' },
+                    boardId: { type: 'string' },
+                    tags: { type: 'array', items: { type: 'string' } },
+                    notes: { type: 'string' },
+                    score: { type: 'number' }
+                }
+            },
+            BoardTitle: {
+                type: 'string',
+                pattern: '\\S',
+                'x-error': 'Board title is required'
+            },
+            BoardDescription: {
+                type: 'string',
+                nullable: true,
+                'x-error': 'Board description must be a string'
+            },
+            IsPublic: {
+                type: 'boolean',
+                'x-error': 'isPublic must be true or false'
+            },
+            Board: {
+                type: 'object',
+                required: ['id', 'userId', 'title', 'description', 'isPublic', 'cover', 'createdAt'],
+                properties: {
+                    id: { type: 'string' },
+                    userId: { type: 'string' },
+                    title: { type: 'string' },
+                    description: { type: 'string' },
+                    isPublic: { type: 'boolean' },
+                    cover: { type: 'string', nullable: true, description: 'The id of the video shown on the board' },
+                    createdAt: { type: 'string', format: 'date-time' },
+                    role: {
+                        type: 'string',
+                        nullable: true,
+                        enum: ['owner', ...MEMBER_ROLES],
+                        description: "The caller's role on the board; null for visitors"
+                    }
+                }
+            },
+            MemberRole: {
+                type: 'string',
+                enum: MEMBER_ROLES,
+                'x-error': 'Role must be viewer or editor'
+            },
+            Member: {
+                type: 'object',
+                required: ['email', 'role'],
+                properties: {
+                    email: { type: 'string' },
+                    role: { type: 'string', enum: MEMBER_ROLES },
+                    createdAt: { type: 'string', format: 'date-time' }
+                }
+            },
+            ShareLink: {
+                type: 'object',
+                required: ['id', 'label', 'scope', 'url', 'expiresAt', 'createdAt'],
+                properties: {
+                    id: { type: 'string' },
+                    label: { type: 'string' },
+                    scope: { type: 'string', enum: ['view'] },
+                    url: { type: 'string', description: 'The /b/:token link to hand out' },
+                    expiresAt: { type: 'string', format: 'date-time', nullable: true },
+                    createdAt: { type: 'string', format: 'date-time' }
+                }
+            },
+            FutureDate: {
+                type: 'string',
+                format: 'date-time',
+                nullable: true,
+                'x-error': 'expiresAt must be a future date'
+            }
+        }
+    }
+};
+
+module.exports = document;
@@ -0,0 +1,112 @@
+// The OpenAPI document for /api/v1 (./document) and what the server does
+// with it: validateRequest(operationId) is route middleware that answers
+// 400 validation_failed when a request doesn't match its operation, and
+// renderDocs (./docs) turns the document into the page at /api/docs.
+//
+// Validation errors list every problem found:
+//
+//   { error: 'isPublic must be true or false', code: 'validation_failed',
+//     errors: [{ in: 'body', path: 'isPublic', message: 'isPublic must be true or false' }] }
+//
+// which /api/v1 sends in its envelope with errors under details.
+
+const document = require('./document');
+const { validate, coerce, isWebUrl } = require('./validator');
+const { renderDocs } = require('./docs');
+const { ApiError, sendApiError } = require('../api');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// { method, path, operation } by operationId
+const operations = new Map();
+for (const [path, item] of Object.entries(document.paths)) {
+    for (const method of METHODS) {
+        if (item[method]) {
+            operations.set(item[method].operationId, { method, path, operation: item[method] });
+        }
+    }
+}
+
+const parameterValue = (req, parameter) => {
+    switch (parameter.in) {
+        case 'path':
+            return req.params[parameter.name];
+        case 'header':
+            return req.get(parameter.name);
+        default:
+            return req.query[parameter.name];
+    }
+};
+
+// Everything wrong with req for operation, as [{ in, path, message }]
+function requestErrors(operation, req) {
+    const errors = [];
+
+    for (const parameter of operation.parameters || []) {
+        const value = parameterValue(req, parameter);
+        if (value === undefined) {
+            if (parameter.required) {
+                errors.push({ in: parameter.in, path: parameter.name, message: `${parameter.name} is required` });
+            }
+            continue;
+        }
+        const found = validate(document, parameter.schema, coerce(document, parameter.schema, value), parameter.name);
+        errors.push(...found.map(error => ({ in: parameter.in, ...error })));
+    }
+
+    if (operation.requestBody) {
+        const { schema } = operation.requestBody.content['application/json'];
+        if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+            errors.push({ in: 'body', path: '', message: 'The request body must be a JSON object' });
+        } else {
+            errors.push(...validate(document, schema, req.body).map(error => ({ in: 'body', ...error })));
+        }
+    }
+
+    return errors;
+}
+
+// Middleware checking requests against the operation with operationId. Put
+// it after authentication, so callers who may not use a route don't learn
+// what it accepts.
+function validateRequest(operationId) {
+    if (!operations.has(operationId)) {
+        throw new Error(`No operation ${operationId} in the OpenAPI document`);
+    }
+    const { operation } = operations.get(operationId);
+
+    const middleware = (req, res, next) => {
+        const errors = requestErrors(operation, req);
+        if (errors.length === 0) {
+            return next();
+        }
+        sendApiError(res, new ApiError(400, errors[0].message, { code: 'validation_failed', details: { errors } }));
+    };
+    // For the contract tests, which check each route validates as its operation
+    middleware.operationId = operationId;
+    return middleware;
+}
+
+// Everything wrong with a response to operationId, as [{ path, message }].
+// Statuses the operation doesn't list are wrong too.
+function responseErrors(operationId, status, body) {
+    const { operation } = operations.get(operationId);
+    const response = operation.responses[status];
+
+    if (!response) {
+        return [{ path: '', message: `${status} is not a documented response` }];
+    }
+    if (!response.content) {
+        return [];
+    }
+    return validate(document, response.content['application/json'].schema, body);
+}
+
+module.exports = {
+    document,
+    operations,
+    validateRequest,
+    responseErrors,
+    renderDocs: () => renderDocs(document),
+    isWebUrl
+};
@@ -0,0 +1,189 @@
+// Checks values against the schemas in the OpenAPI document. Covers the
+// subset of OpenAPI 3.0 schemas the document uses: type (with nullable),
+// enum, string length, pattern and format, number bounds, array items and
+// length, object properties, required and additionalProperties, allOf, and
+// $ref to #/components/schemas. Anything else in a schema is documentation
+// only.
+//
+// A schema can name the message its failures get with x-error, either one
+// string or one per keyword ({ required: 'Board title is required' });
+// keywords without one get a generic message naming the field.
+
+const TYPE_NAMES = {
+    string: 'a string',
+    integer: 'an integer',
+    number: 'a number',
+    boolean: 'true or false',
+    array: 'a list',
+    object: 'an object'
+};
+
+const isWebUrl = (value) => {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+};
+
+// Lenient on purpose: anything Date understands, as the routes always have
+const FORMATS = {
+    uri: { test: isWebUrl, description: 'an http(s) URL' },
+    email: { test: value => /^[^\s@]+@[^\s@]+$/.test(value.trim()), description: 'an email address' },
+    'date-time': { test: value => !Number.isNaN(Date.parse(value)), description: 'a date' }
+};
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+const matchesType = (type, value) => {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+};
+
+function resolve(document, schema) {
+    let resolved = schema;
+    while (resolved && resolved.$ref) {
+        const name = resolved.$ref.replace('#/components/schemas/', '');
+        resolved = document.components.schemas[name];
+        if (!resolved) {
+            throw new Error(`Unknown schema ${schema.$ref}`);
+        }
+    }
+    return resolved;
+}
+
+// The failures of value against schema as [{ path, message }], empty when it
+// conforms. path names the field ('isPublic', 'boardIds[2]'), '' for value.
+function validate(document, schema, value, path = '') {
+    schema = resolve(document, schema);
+    const errors = [];
+    const label = path || 'value';
+    const fail = (keyword, message) => {
+        const custom = schema['x-error'];
+        const text = typeof custom === 'string' ? custom : (custom && custom[keyword]) || message;
+        errors.push({ path, message: text });
+        return errors;
+    };
+
+    if (value === null) {
+        return schema.nullable ? errors : fail('type', `${label} must not be null`);
+    }
+
+    for (const part of schema.allOf || []) {
+        errors.push(...validate(document, part, value, path));
+    }
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    if (schema.type && !matchesType(schema.type, value)) {
+        return fail('type', `${label} must be ${TYPE_NAMES[schema.type]}`);
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        return fail('enum', `${label} must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            return fail('minLength', `${label} must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            return fail('maxLength', `${label} must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            return fail('pattern', `${label} is not valid`);
+        }
+        const format = FORMATS[schema.format];
+        if (format && !format.test(value)) {
+            return fail('format', `${label} must be ${format.description}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            return fail('minimum', `${label} must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            return fail('maximum', `${label} must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            return fail('minItems', `${label} must have at least ${schema.minItems} item(s)`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            return fail('maxItems', `${label} must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            for (let i = 0; i < value.length; i++) {
+                const itemErrors = validate(document, schema.items, value[i], `${label}[${i}]`);
+                if (itemErrors.length > 0) {
+                    // The list's own message, if it has one, says more than the item's
+                    return schema['x-error'] ? fail('items', itemErrors[0].message) : errors.concat(itemErrors);
+                }
+            }
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        const prefix = path ? `${path}.` : '';
+
+        for (const name of schema.required || []) {
+            if (value[name] === undefined) {
+                const property = resolve(document, properties[name] || {});
+                const custom = property['x-error'];
+                errors.push({
+                    path: `${prefix}${name}`,
+                    message: typeof custom === 'string' ? custom : (custom && custom.required) || `${prefix}${name} is required`
+                });
+            }
+        }
+
+        for (const [name, item] of Object.entries(value)) {
+            if (item === undefined) continue;
+            if (properties[name]) {
+                errors.push(...validate(document, properties[name], item, `${prefix}${name}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: `${prefix}${name}`, message: `${prefix}${name} is not allowed` });
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validate(document, schema.additionalProperties, item, `${prefix}${name}`));
+            }
+        }
+    }
+
+    return errors;
+}
+
+// Query and path parameters arrive as strings; numbers and booleans are
+// read from them before checking. Anything else is left for the schema to
+// refuse.
+function coerce(document, schema, value) {
+    const { type } = resolve(document, schema);
+    if (typeof value !== 'string') {
+        return value;
+    }
+    if ((type === 'integer' || type === 'number') && value.trim() !== '' && !Number.isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+}
+
+module.exports = {
+    FORMATS,
+    isWebUrl,
+    resolve,
+    validate,
+    coerce
+};
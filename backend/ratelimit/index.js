@@ -0,0 +1,115 @@
+// Sliding-window rate limits. Hits are counted per key (an email address, an
+// IP...) in fixed windows, and the previous window is weighed by how much of
+// it still overlaps the sliding window:
+//
+//   estimate = previous * (1 - elapsed / window) + current
+//
+// This smooths out bursts at window edges without keeping every hit. Counters
+// live in a store with the same interface whichever backend holds them:
+//
+//   get(key)                     current count, 0 if none
+//   expiry(key)                  when the counter expires, null if none
+//   increment(key, expiresAt)    add a hit and return the new count
+//
+// RATE_LIMIT_STORE picks memory (per process) or mongodb (shared by every
+// server instance).
+
+const MemoryRateLimitStore = require('./memory');
+
+const RATE_LIMIT_STORES = ['memory', 'mongodb'];
+
+function createRateLimitStore(name) {
+    switch (name) {
+        case 'memory':
+            return new MemoryRateLimitStore();
+        case 'mongodb': {
+            // Loaded lazily so memory deployments never register Mongoose models
+            const MongoRateLimitStore = require('./mongo');
+            return new MongoRateLimitStore();
+        }
+        default:
+            throw new Error(`Unknown rate limit store "${name}". Expected one of: ${RATE_LIMIT_STORES.join(', ')}`);
+    }
+}
+
+class RateLimiter {
+    constructor({ getStore, name, limit, windowMs }) {
+        this.getStore = getStore;
+        this.name = name;
+        this.limit = limit;
+        this.windowMs = windowMs;
+    }
+
+    // Count a hit for key unless it is over the limit. Blocked hits aren't
+    // counted. Returns { allowed, retryAfter } with retryAfter in seconds.
+    async hit(key, now = Date.now()) {
+        const store = this.getStore();
+        const window = Math.floor(now / this.windowMs);
+        const elapsed = now - window * this.windowMs;
+        const currentKey = `${this.name}:${key}:${window}`;
+        const [previous, current] = await Promise.all([
+            store.get(`${this.name}:${key}:${window - 1}`, new Date(now)),
+            store.get(currentKey, new Date(now))
+        ]);
+
+        if (previous * (1 - elapsed / this.windowMs) + current >= this.limit) {
+            return { allowed: false, retryAfter: this.retryAfter(previous, current, elapsed) };
+        }
+
+        // Kept through the next window, where it is the previous one
+        await store.increment(currentKey, new Date((window + 2) * this.windowMs), new Date(now));
+        return { allowed: true, retryAfter: 0 };
+    }
+
+    // Seconds until the estimate drops below the limit again
+    retryAfter(previous, current, elapsed) {
+        const window = this.windowMs;
+        const wait = current >= this.limit
+            // Once this window is the previous one and enough of it has slid out
+            ? window - elapsed + window * (1 - this.limit / current)
+            : window * (1 - (this.limit - current) / previous) - elapsed;
+        return Math.max(1, Math.ceil((wait + 1) / 1000));
+    }
+}
+
+// Express middleware applying limiters in turn. Each rule's key(req) returns
+// the key to count, or null to skip that limiter for the request. If the
+// store is unreachable requests are let through rather than locking everyone out.
+function rateLimit(rules) {
+    return async (req, res, next) => {
+        let blocked = null;
+
+        try {
+            for (const { limiter, key } of rules) {
+                const value = key(req);
+                if (!value) continue;
+
+                const result = await limiter.hit(value);
+                if (!result.allowed) {
+                    blocked = result;
+                    break;
+                }
+            }
+        } catch (error) {
+            console.error('Rate limit store error:', error.message);
+        }
+
+        if (blocked) {
+            res.set('Retry-After', String(blocked.retryAfter));
+            return res.status(429).json({
+                error: 'Too many requests. Please try again later.',
+                retryAfter: blocked.retryAfter
+            });
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    RATE_LIMIT_STORES,
+    createRateLimitStore,
+    RateLimiter,
+    rateLimit,
+    MemoryRateLimitStore
+};
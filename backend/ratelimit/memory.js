@@ -0,0 +1,44 @@
+// Rate limit counters kept in process memory. Fine for a single server and
+// for tests; counts reset on restart and aren't shared between instances.
+
+class MemoryRateLimitStore {
+    constructor() {
+        this.name = 'memory';
+        this.counters = new Map();
+    }
+
+    async get(key, now = new Date()) {
+        const counter = this.counters.get(key);
+        if (!counter || counter.expiresAt <= now) {
+            return 0;
+        }
+        return counter.count;
+    }
+
+    async expiry(key, now = new Date()) {
+        const counter = this.counters.get(key);
+        return counter && counter.expiresAt > now ? counter.expiresAt : null;
+    }
+
+    async increment(key, expiresAt, now = new Date()) {
+        const counter = this.counters.get(key);
+        if (!counter || counter.expiresAt <= now) {
+            this.prune(now);
+            this.counters.set(key, { count: 1, expiresAt });
+            return 1;
+        }
+        counter.count++;
+        return counter.count;
+    }
+
+    // Drop expired counters so the map doesn't grow with every key ever seen
+    prune(now) {
+        for (const [key, counter] of this.counters) {
+            if (counter.expiresAt <= now) {
+                this.counters.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = MemoryRateLimitStore;
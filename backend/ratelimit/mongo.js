@@ -0,0 +1,43 @@
+// Rate limit counters in MongoDB, shared by every server instance. Uses the
+// connection opened by the MongoDB storage adapter.
+
+const mongoose = require('mongoose');
+
+const rateLimitSchema = new mongoose.Schema({
+    key: { type: String, unique: true, required: true },
+    count: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true }
+});
+// MongoDB deletes counters once their window is over
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.model('RateLimit', rateLimitSchema);
+
+class MongoRateLimitStore {
+    constructor() {
+        this.name = 'mongodb';
+    }
+
+    async get(key, now = new Date()) {
+        const counter = await RateLimit.findOne({ key, expiresAt: { $gt: now } }).lean();
+        return counter ? counter.count : 0;
+    }
+
+    async expiry(key, now = new Date()) {
+        const counter = await RateLimit.findOne({ key, expiresAt: { $gt: now } }).lean();
+        return counter ? counter.expiresAt : null;
+    }
+
+    // The TTL monitor runs about once a minute, so a counter can outlive its
+    // window briefly; each key embeds its window, so a stale one is never reused.
+    async increment(key, expiresAt) {
+        const counter = await RateLimit.findOneAndUpdate(
+            { key },
+            { $inc: { count: 1 }, $setOnInsert: { expiresAt } },
+            { upsert: true, new: true }
+        ).lean();
+        return counter.count;
+    }
+}
+
+module.exports = MongoRateLimitStore;
@@ -2,116 +2,383 @@ const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
-const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const nodemailer = require('nodemailer');
+const config = require('./config');
+const { createStorage, MemoryStorage, DuplicateKeyError } = require('./storage');
+const { GAP, MIN_GAP, rankBetween } = require('./storage/order');
+const { encodeCursor, decodeCursor } = require('./storage/pagination');
+const { createDownloader } = require('./downloaders');
+const { createMediaStore, FfmpegThumbnailer, storePoster } = require('./media');
+const { createMailTransport, Mailer } = require('./mail');
+const { createRateLimitStore, RateLimiter, rateLimit } = require('./ratelimit');
+const { createOidcProviders, randomToken, codeChallenge } = require('./oidc');
+const webauthn = require('./webauthn');
+const { ApiError, sendApiError, errorEnvelope, notFound, LegacyUsage, deprecated } = require('./api');
+const openapi = require('./openapi');
+const { validateRequest } = openapi;
+const { extractVideoInfo, canonicalKey } = require('./extractors');
+const { fetchText, checkPublicUrl, BlockedUrlError } = require('./extractors/http');
+const JobQueue = require('./jobs/queue');
+const { createDownloadHandler } = require('./jobs/download');
+const { createMailHandler } = require('./jobs/mail');
+const sweeper = require('./jobs/sweeper');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy (Render, nginx...) set TRUST_PROXY to the number of
+// proxies so req.ip is the client's address, not the proxy's
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Environment variables
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-for-development';
 const EMAIL_FROM = process.env.EMAIL_FROM || 'noreply@shortbread.app';
 
-// MongoDB connection
-const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/shortbread';
-
-// MongoDB Schemas
-const userSchema = new mongoose.Schema({
-    id: { type: String, unique: true, required: true },
-    email: { type: String, unique: true, required: true },
-    name: { type: String, required: true },
-    createdAt: { type: Date, default: Date.now }
-});
-
-const boardSchema = new mongoose.Schema({
-    id: { type: String, unique: true, required: true },
-    userId: { type: String, required: true },
-    title: { type: String, required: true },
-    isPublic: { type: Boolean, default: false },
-    createdAt: { type: Date, default: Date.now }
-});
-
-const videoSchema = new mongoose.Schema({
-    id: { type: String, unique: true, required: true },
-    url: { type: String, required: true },
-    platform: { type: String, required: true },
-    title: { type: String, required: true },
-    thumbnail: { type: String },
-    duration: { type: String },
-    status: { type: String, default: 'processed' },
-    downloadUrl: { type: String },
-    addedAt: { type: Date, default: Date.now }
-});
-
-const videoBoardSchema = new mongoose.Schema({
-    videoId: { type: String, required: true },
-    boardId: { type: String, required: true }
-}, {
-    indexes: [
-        { videoId: 1, boardId: 1 }
-    ]
-});
-
-// In-memory fallback storage for development
-let memoryUsers = [];
-let memoryBoards = [];
-let memoryVideos = [];
-let memoryVideoBoards = [];
-let useDatabase = false;
-
-const User = mongoose.model('User', userSchema);
-const Board = mongoose.model('Board', boardSchema);
-const Video = mongoose.model('Video', videoSchema);
-const VideoBoard = mongoose.model('VideoBoard', videoBoardSchema);
-
-// Connect to MongoDB
-async function connectDB() {
-    try {
-        // Add connection timeout for development
-        await mongoose.connect(MONGODB_URI, {
-            serverSelectionTimeoutMS: 5000, // 5 second timeout
-            connectTimeoutMS: 5000
-        });
-        console.log('Connected to MongoDB');
-        return true;
+// Requests are served from in-memory storage until the configured backend connects
+let storage;
+const useStorage = (adapter) => {
+    storage = adapter;
+    app.locals.storage = adapter;
+};
+useStorage(new MemoryStorage());
+
+// Connect the configured storage backend
+async function connectStorage() {
+    const adapter = createStorage(config.STORAGE_BACKEND, config.storageOptions);
+
+    try {
+        await adapter.connect();
+        console.log(`Connected to ${adapter.name} storage`);
+        return adapter;
     } catch (error) {
-        console.error('MongoDB connection error:', error.message);
-        // For development and testing, continue without database
+        console.error(`${adapter.name} storage connection error:`, error.message);
+        // For development and testing, continue with in-memory storage
         if (process.env.NODE_ENV !== 'production') {
-            console.log('Continuing without database in development/test mode');
-            return false;
+            console.log('Continuing with in-memory storage in development/test mode');
+            return new MemoryStorage();
         } else {
-            console.error('MongoDB connection required in production');
+            console.error(`${adapter.name} storage required in production`);
             process.exit(1);
         }
     }
 }
 
-// Initialize database connection for testing
-if (process.env.NODE_ENV === 'test') {
-    useDatabase = false; // Use in-memory storage for tests
-} else {
-    connectDB().then(connected => {
-        useDatabase = connected;
+// Rate limit counters are kept in memory until MongoDB connects, when they
+// are shared through it instead (RATE_LIMIT_STORE=mongodb)
+app.locals.rateLimitStore = createRateLimitStore('memory');
+const useRateLimitStore = (adapter) => {
+    if (config.RATE_LIMIT_STORE !== 'mongodb') {
+        return;
+    }
+    if (config.STORAGE_BACKEND === 'mongodb' && !(adapter instanceof MemoryStorage)) {
+        app.locals.rateLimitStore = createRateLimitStore('mongodb');
+    } else {
+        console.log('MongoDB rate limit store needs MongoDB storage; keeping rate limits in memory');
+    }
+};
+
+// Tests use the in-memory storage; everything else connects on load
+const storageReady = process.env.NODE_ENV === 'test'
+    ? Promise.resolve()
+    : connectStorage().then(adapter => {
+        useStorage(adapter);
+        useRateLimitStore(adapter);
     });
-}
+
+// Send clients straight to the bucket with signed URLs instead of proxying media
+const MEDIA_REDIRECT = process.env.MEDIA_REDIRECT === 'true';
+
+// Media store and downloader live on app.locals so tests can swap them
+app.locals.mediaStore = createMediaStore(config.MEDIA_STORE, config.mediaStoreOptions);
+const getMediaStore = () => app.locals.mediaStore;
+app.locals.thumbnailer = new FfmpegThumbnailer({ binary: process.env.FFMPEG_PATH });
+
+// Platform metadata (titles, authors, thumbnails...) is fetched from the
+// platforms unless FETCH_METADATA=false. Tests run offline by default.
+const FETCH_METADATA = process.env.FETCH_METADATA
+    ? process.env.FETCH_METADATA === 'true'
+    : process.env.NODE_ENV !== 'test';
+app.locals.fetchText = FETCH_METADATA ? fetchText : null;
+
+// Saved links are downloaded from public hosts only. Offline, host names
+// aren't resolved and only addresses written into a link are refused.
+app.locals.resolveHosts = FETCH_METADATA;
+
+// Background video downloads
+const DOWNLOADER = process.env.DOWNLOADER || 'yt-dlp';
+app.locals.downloader = createDownloader(DOWNLOADER, config.downloaderOptions);
+
+// Videos taken off every board keep their media this long in case they are saved again
+const ORPHAN_GRACE_DAYS = Number(process.env.ORPHAN_GRACE_DAYS) || 7;
+
+// Finished download and mail jobs are kept this long, then deleted
+const JOB_RETENTION_DAYS = Number(process.env.JOB_RETENTION_DAYS) || 7;
+
+const jobQueue = new JobQueue({ getStorage: () => storage });
+jobQueue.register('download', createDownloadHandler({
+    getStorage: () => storage,
+    getDownloader: () => app.locals.downloader,
+    getMediaStore,
+    getThumbnailer: () => app.locals.thumbnailer
+}));
+app.locals.jobQueue = jobQueue;
+
+// Outgoing mail is queued and handed to the transport by a queue of its own,
+// so sign-in links don't wait behind downloads
+app.locals.mailTransport = createMailTransport(config.MAIL_TRANSPORT, config.mailOptions);
+const mailQueue = new JobQueue({ getStorage: () => storage });
+mailQueue.register('mail', createMailHandler({
+    getTransport: () => app.locals.mailTransport
+}));
+app.locals.mailQueue = mailQueue;
+const mailer = new Mailer({ jobQueue: mailQueue, from: EMAIL_FROM });
+app.locals.mailer = mailer;
+
+// Sign-in providers (Google, GitHub...), keyed by id
+app.locals.oidcProviders = createOidcProviders(config.oidcProviders);
+
+// Old paths for endpoints that moved to /api/v1 answer with a Deprecation
+// header until they are removed at LEGACY_API_SUNSET
+const LEGACY_API_DEPRECATED_AT = new Date('2026-10-19T00:00:00Z');
+const LEGACY_API_SUNSET = new Date('2027-04-19T00:00:00Z');
+app.locals.legacyUsage = new LegacyUsage({ logger: process.env.NODE_ENV === 'test' ? null : console });
+const legacy = (successor) => deprecated(successor, {
+    deprecatedAt: LEGACY_API_DEPRECATED_AT,
+    sunset: LEGACY_API_SUNSET,
+    getUsage: () => app.locals.legacyUsage
+});
 
 // Middleware
 app.use(cors());
+app.use('/api/v1', errorEnvelope);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Configure multer for file uploads (using memory storage for Render compatibility)
+// Configure multer for shared video files. Files stream to a temp directory
+// rather than memory so large clips don't exhaust a 512MB instance.
+const UPLOAD_MAX_MB = Number(process.env.UPLOAD_MAX_MB) || 200;
+const UPLOAD_TTL = 24 * 60 * 60 * 1000; // Unsaved shared files are kept for a day
 const upload = multer({
-    storage: multer.memoryStorage(),
+    dest: path.join(os.tmpdir(), 'shortbread-uploads'),
     limits: {
-        fileSize: 10 * 1024 * 1024 // 10MB limit
+        fileSize: UPLOAD_MAX_MB * 1024 * 1024
+    },
+    // Only video files are kept; anything else is shared as text/url
+    fileFilter: (req, file, cb) => cb(null, file.mimetype.startsWith('video/'))
+});
+
+// Sessions. Signing in opens a session for the device: a short-lived access
+// token for API calls plus a refresh token, kept in an httpOnly cookie, that
+// renews it. The refresh token is rotated on every use and only its hash is
+// stored. An old one coming back means it was copied, so the session is
+// revoked for everyone holding it.
+const ACCESS_TOKEN_TTL = '15m';
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000; // Sessions unused for 30 days expire
+const REFRESH_COOKIE = 'shortbread_refresh';
+// A token replaced this recently is a refresh racing another tab, not a copy
+const REFRESH_GRACE = 30 * 1000;
+// lastUsedAt is recorded at most this often per session
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const isLiveSession = (session) => Boolean(session) &&
+    !session.revokedAt &&
+    new Date(session.expiresAt) > new Date();
+
+// "Chrome on Android" and the like, for the sessions list
+const BROWSERS = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+const SYSTEMS = [['Android', 'Android'], ['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Windows', 'Windows'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+const describeDevice = (userAgent = '') => {
+    const browser = BROWSERS.find(([marker]) => userAgent.includes(marker));
+    const system = SYSTEMS.find(([marker]) => userAgent.includes(marker));
+    if (!browser && !system) {
+        return 'Unknown device';
+    }
+    return [browser && browser[1], system && system[1]].filter(Boolean).join(' on ');
+};
+
+// Refresh tokens are "<session id>.<secret>"
+const createSession = async (user, req) => {
+    const secret = newRefreshSecret();
+    const now = new Date();
+    const userAgent = req.get('user-agent') || '';
+    const session = await storage.sessions.create({
+        id: uuidv4(),
+        userId: user.id,
+        refreshTokenHash: hashToken(secret),
+        previousTokenHash: null,
+        rotatedAt: null,
+        device: describeDevice(userAgent),
+        userAgent,
+        ip: req.ip || '',
+        createdAt: now,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + SESSION_TTL),
+        revokedAt: null,
+        revokedReason: null
+    });
+    return { session, refreshToken: `${session.id}.${secret}` };
+};
+
+const revokeSession = (id, reason) => storage.sessions.update(id, { revokedAt: new Date(), revokedReason: reason });
+
+// An account whose email was never confirmed may have been opened by someone
+// typing another person's address. The first sign-in that proves the inbox
+// takes it over: the password, passkeys, access tokens and sessions set up
+// before are dropped. Accounts from before emails were confirmed count as
+// confirmed.
+async function claimUnverifiedAccount(user) {
+    if (user.emailVerified !== false) {
+        return user;
+    }
+    for (const session of (await storage.sessions.listByUser(user.id)).filter(isLiveSession)) {
+        await revokeSession(session.id, 'email-verified');
+    }
+    for (const accessToken of await storage.accessTokens.listByUser(user.id)) {
+        await storage.accessTokens.delete(accessToken.id);
+    }
+    for (const passkey of await storage.passkeys.listByUser(user.id)) {
+        await storage.passkeys.delete(passkey.id);
+    }
+    return storage.users.update(user.id, { emailVerified: true, passwordHash: null, failedLogins: 0, lockedUntil: null });
+}
+
+// Scoped to /auth so the cookie only travels to refresh and logout
+const REFRESH_COOKIE_OPTIONS = {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/auth'
+};
+
+// The share sheet posts files to /share without the access token, which
+// only the page holds, so sessions also get a signed cookie scoped to /share
+// that names them. It is renewed with the refresh cookie.
+const SHARE_COOKIE = 'shortbread_share';
+const SHARE_COOKIE_OPTIONS = { ...REFRESH_COOKIE_OPTIONS, path: '/share' };
+
+const setRefreshCookie = (res, refreshToken) => {
+    res.cookie(REFRESH_COOKIE, refreshToken, { ...REFRESH_COOKIE_OPTIONS, maxAge: SESSION_TTL });
+    const shareToken = jwt.sign({ sid: refreshToken.split('.')[0], purpose: 'share' }, JWT_SECRET, {
+        expiresIn: SESSION_TTL / 1000
+    });
+    res.cookie(SHARE_COOKIE, shareToken, { ...SHARE_COOKIE_OPTIONS, maxAge: SESSION_TTL });
+};
+
+const clearRefreshCookie = (res) => {
+    res.clearCookie(REFRESH_COOKIE, REFRESH_COOKIE_OPTIONS);
+    res.clearCookie(SHARE_COOKIE, SHARE_COOKIE_OPTIONS);
+};
+
+const readCookie = (req, name) => {
+    for (const pair of (req.headers.cookie || '').split(';')) {
+        const [key, ...value] = pair.trim().split('=');
+        if (key === name) {
+            return decodeURIComponent(value.join('='));
+        }
+    }
+    return null;
+};
+
+// API clients without cookies send the refresh token in the body instead
+const readRefreshToken = (req) => {
+    const fromBody = req.body && typeof req.body.refreshToken === 'string' ? req.body.refreshToken : null;
+    return { refreshToken: fromBody || readCookie(req, REFRESH_COOKIE), fromBody: Boolean(fromBody) };
+};
+
+// The session behind a refresh token, or null if the token isn't its current one
+const findSessionByRefreshToken = async (refreshToken) => {
+    const [sessionId, secret] = (refreshToken || '').split('.');
+    if (!sessionId || !secret) {
+        return null;
+    }
+    const session = await storage.sessions.findById(sessionId);
+    return session && session.refreshTokenHash === hashToken(secret) ? session : null;
+};
+
+// Personal access tokens let scripts and automations call the API without a
+// browser session. Tokens look like "sbp_<token id>_<secret>", carry a set of
+// scopes and an optional expiry, and only a bcrypt hash of the secret is stored.
+// The scopes a token can have are listed in the OpenAPI document.
+const ACCESS_TOKEN_PATTERN = /^sbp_([0-9a-f-]{36})_([A-Za-z0-9_-]+)$/;
+
+const isLiveAccessToken = (accessToken) => Boolean(accessToken) &&
+    (!accessToken.expiresAt || new Date(accessToken.expiresAt) > new Date());
+
+// The stored token behind a personal access token, or null
+const findAccessToken = async (token) => {
+    const match = ACCESS_TOKEN_PATTERN.exec(token);
+    if (!match) {
+        return null;
+    }
+    const accessToken = await storage.accessTokens.findById(match[1]);
+    if (!isLiveAccessToken(accessToken) || !(await bcrypt.compare(match[2], accessToken.tokenHash))) {
+        return null;
     }
+    return accessToken;
+};
+
+const formatAccessToken = (accessToken) => ({
+    id: accessToken.id,
+    name: accessToken.name,
+    scopes: accessToken.scopes,
+    hint: accessToken.hint,
+    expiresAt: accessToken.expiresAt,
+    lastUsedAt: accessToken.lastUsedAt,
+    createdAt: accessToken.createdAt
 });
 
+// The user behind an access token, or null. Tokens from a session stop
+// working as soon as it is revoked; tokens issued before sessions existed
+// carry none and run out on their own. Other tokens signed with the same
+// secret (magic links, ceremonies, share cookies...) say what they are for
+// and are refused. Personal access tokens come back with
+// their scopes; everything else has scopes null and may do anything the user
+// can. Throws if the token doesn't verify.
+const verifyAccessToken = async (token) => {
+    if (token.startsWith('sbp_')) {
+        const accessToken = await findAccessToken(token);
+        if (!accessToken) {
+            return null;
+        }
+        if (!accessToken.lastUsedAt || Date.now() - new Date(accessToken.lastUsedAt) > LAST_USED_RESOLUTION) {
+            await storage.accessTokens.update(accessToken.id, { lastUsedAt: new Date() });
+        }
+        const user = await storage.users.findById(accessToken.userId);
+        return user ? { user, sessionId: null, scopes: accessToken.scopes } : null;
+    }
+    
+    const decoded = jwt.verify(token, JWT_SECRET);
+    
+    if ((decoded.type && decoded.type !== 'access') || decoded.purpose || !decoded.userId) {
+        return null;
+    }
+    
+    if (decoded.sid) {
+        const session = await storage.sessions.findById(decoded.sid);
+        if (!isLiveSession(session) || session.userId !== decoded.userId) {
+            return null;
+        }
+        if (Date.now() - new Date(session.lastUsedAt) > LAST_USED_RESOLUTION) {
+            await storage.sessions.update(session.id, { lastUsedAt: new Date() });
+        }
+    }
+    
+    const user = await storage.users.findById(decoded.userId);
+    return user ? { user, sessionId: decoded.sid || null, scopes: null } : null;
+};
+
 // Authentication middleware
 const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
@@ -122,394 +389,2499 @@ const authenticateToken = async (req, res, next) => {
     }
 
     try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        let user;
+        const auth = await verifyAccessToken(token);
         
-        if (useDatabase) {
-            user = await User.findOne({ id: decoded.userId });
-        } else {
-            user = memoryUsers.find(u => u.id === decoded.userId);
-        }
-        
-        if (!user) {
-            return res.status(403).json({ error: 'Invalid token' });
+        if (!auth) {
+            return res.status(403).json({ error: 'Invalid token', code: 'invalid_token' });
         }
         
-        req.user = user;
+        req.user = auth.user;
+        req.sessionId = auth.sessionId;
+        req.scopes = auth.scopes;
         next();
     } catch (error) {
-        return res.status(403).json({ error: 'Invalid token' });
+        return res.status(403).json({ error: 'Invalid token', code: 'invalid_token' });
     }
 };
 
-// Generate magic link token
-const generateMagicToken = (email) => {
-    return jwt.sign({ email, type: 'magic' }, JWT_SECRET, { expiresIn: '15m' });
+// Run after authenticateToken. Personal access tokens need the scope;
+// sessions can do anything.
+const requireScope = (scope) => (req, res, next) => {
+    if (req.scopes && !req.scopes.includes(scope)) {
+        return res.status(403).json({ error: `Token is missing the ${scope} scope`, code: 'insufficient_scope' });
+    }
+    next();
 };
 
-// Generate access token
-const generateAccessToken = (userId) => {
-    return jwt.sign({ userId }, JWT_SECRET, { expiresIn: '7d' });
+// Run after authenticateToken. Managing sessions and tokens takes a signed-in
+// browser, so a leaked access token can't mint more of itself.
+const requireSession = (req, res, next) => {
+    if (req.scopes) {
+        return res.status(403).json({ error: 'Personal access tokens cannot be used here', code: 'session_required' });
+    }
+    next();
 };
 
-// Send magic link email (mock implementation)
-const sendMagicLink = async (email, token, req) => {
-    // In production, you'd configure nodemailer with real SMTP settings
-    const magicLink = `${req.protocol}://${req.get('host')}/auth/verify?token=${token}`;
-    console.log(`Magic link for ${email}: ${magicLink}`);
-    // For development, just log the link
-    return true;
+// Resolve the user behind an optional bearer token. Media elements like
+// <video> can't send headers, so media routes may also accept ?token=.
+// Returns null for anonymous requests and invalid tokens, and for personal
+// access tokens without the scope.
+const getOptionalUser = async (req, { allowQueryToken = false, scope } = {}) => {
+    const authHeader = req.headers['authorization'];
+    const token = (authHeader && authHeader.split(' ')[1]) ||
+        (allowQueryToken && typeof req.query.token === 'string' ? req.query.token : null);
+    
+    if (!token) {
+        return null;
+    }
+    
+    try {
+        const auth = await verifyAccessToken(token);
+        if (!auth || (auth.scopes && !auth.scopes.includes(scope))) {
+            return null;
+        }
+        return auth.user;
+    } catch (error) {
+        // Invalid token, continue as anonymous
+        return null;
+    }
 };
 
-// Serve static files from frontend
-app.use(express.static(path.join(__dirname, '../frontend')));
+// Board members are invited as viewers, who can read a private board, or
+// editors, who can also add, remove, reorder and tag its videos. Settings,
+// members and deleting the board stay with the owner.
 
-// Video info extraction helper
-function extractVideoInfo(url) {
-    const urlObj = new URL(url);
-    let platform = 'Unknown';
-    
-    if (urlObj.hostname.includes('youtube.com') || urlObj.hostname.includes('youtu.be')) {
-        platform = 'YouTube';
-    } else if (urlObj.hostname.includes('instagram.com')) {
-        platform = 'Instagram';
-    } else if (urlObj.hostname.includes('tiktok.com')) {
-        platform = 'TikTok';
-    } else if (urlObj.hostname.includes('twitter.com') || urlObj.hostname.includes('x.com')) {
-        platform = 'X (Twitter)';
-    } else if (urlObj.hostname.includes('facebook.com')) {
-        platform = 'Facebook';
-    }
-    
-    return {
-        url,
-        platform,
-        title: `Video from ${platform}`,
-        thumbnail: null,
-        duration: null
-    };
-}
+const normalizeEmail = (email) => email.trim().toLowerCase();
 
-// Routes
+// The user's role on a board: 'owner', 'editor', 'viewer' or null. Members
+// are matched by email, so an invite sent before someone signed up applies
+// as soon as they do.
+const boardRole = async (board, user) => {
+    if (!user) {
+        return null;
+    }
+    if (user.id === board.userId) {
+        return 'owner';
+    }
+    const member = await storage.boardMembers.find(board.id, normalizeEmail(user.email));
+    return member ? member.role : null;
+};
 
-// Authentication routes
+const canEdit = (role) => role === 'owner' || role === 'editor';
 
-// Request magic link
-app.post('/auth/magic-link', async (req, res) => {
-    try {
-        const { email, name } = req.body;
-        
-        if (!email) {
-            return res.status(400).json({ error: 'Email is required' });
-        }
-        
-        // Check if user exists
-        let user;
-        if (useDatabase) {
-            user = await User.findOne({ email });
-            if (!user && name) {
-                // Create new user
-                const userData = {
-                    id: uuidv4(),
-                    email,
-                    name,
-                    createdAt: new Date()
-                };
-                user = new User(userData);
-                await user.save();
-            }
-        } else {
-            user = memoryUsers.find(u => u.email === email);
-            if (!user && name) {
-                // Create new user
-                const userData = {
-                    id: uuidv4(),
-                    email,
-                    name,
-                    createdAt: new Date()
-                };
-                memoryUsers.push(userData);
-                user = userData;
-            }
+// Unlisted share links let anyone holding the token view one private board
+// until the owner revokes the link or it expires. They are view-only.
+const isLive = (shareLink) => !shareLink.expiresAt || new Date(shareLink.expiresAt) > new Date();
+
+// The share link named by ?share= or the X-Share-Token header, if it is live
+const getShareLink = async (req) => {
+    const token = req.get('X-Share-Token') || (typeof req.query.share === 'string' ? req.query.share : null);
+    
+    if (!token) {
+        return null;
+    }
+    
+    const shareLink = await storage.shareLinks.findByToken(token);
+    return shareLink && isLive(shareLink) ? shareLink : null;
+};
+
+const serializeShareLink = ({ id, label, scope, token, expiresAt, createdAt }) => ({
+    id,
+    label,
+    scope,
+    url: `/b/${token}`,
+    expiresAt,
+    createdAt
+});
+
+// Public boards are visible to everyone, private boards only to their owner,
+// members and holders of one of its share links
+const canViewBoard = async (board, user, shareLink = null) => board.isPublic ||
+    Boolean(shareLink && shareLink.boardId === board.id) ||
+    Boolean(await boardRole(board, user));
+
+// Boards the user has been invited to
+const sharedBoardIds = async (user) =>
+    (await storage.boardMembers.listByEmail(normalizeEmail(user.email))).map(member => member.boardId);
+
+// A video is visible if any board it is on is visible
+const canViewVideo = async (video, user, shareLink = null) => {
+    const videoBoards = await storage.videoBoards.listByVideo(video.id);
+    for (const { boardId } of videoBoards) {
+        const board = await storage.boards.findById(boardId);
+        if (board && await canViewBoard(board, user, shareLink)) {
+            return true;
         }
-        
-        if (!user) {
-            return res.status(404).json({ error: 'User not found. Please provide a name to register.' });
+    }
+    return false;
+};
+
+// Generate magic link token. returnTo is the page to come back to after
+// signing in, e.g. a shared video waiting for a board. The jwtid is a nonce
+// /auth/verify consumes, so each link signs in once.
+const generateMagicToken = (email, returnTo) => {
+    return jwt.sign({ email, type: 'magic', ...(returnTo && { returnTo }) }, JWT_SECRET, { expiresIn: '15m', jwtid: uuidv4() });
+};
+
+// Signing up with a password sends a magic link that also confirms the
+// account's email, keeping the password it was created with
+const generateConfirmToken = (email, userId) => {
+    return jwt.sign({ email, type: 'magic', confirms: userId }, JWT_SECRET, { expiresIn: '1d', jwtid: uuidv4() });
+};
+
+// Only paths on this site may be returned to, so magic links can't be used
+// as open redirects
+const isAppPath = (value) => typeof value === 'string' &&
+    value.length <= 2000 &&
+    value.startsWith('/') &&
+    !value.startsWith('//') &&
+    !value.startsWith('/\\');
+
+// The query of a returnTo path, to redirect to after signing in. The app is a
+// single page, so the query is all that matters.
+const returnParams = (returnTo) => new URLSearchParams(isAppPath(returnTo)
+    ? new URL(returnTo, 'http://app.invalid').search
+    : '');
+
+// Board invites are magic links that also open the board. They last longer,
+// since the invitee may not check their email right away.
+const generateInviteToken = (email, boardId) => {
+    return jwt.sign({ email, type: 'magic', boardId }, JWT_SECRET, { expiresIn: '7d', jwtid: uuidv4() });
+};
+
+// Magic links send email, so requesting them is limited per address (against
+// mail bombing one inbox) and per IP (against spraying many)
+const MAGIC_LINK_WINDOW = 15 * 60 * 1000;
+app.locals.rateLimits = {
+    magicLinkEmail: new RateLimiter({
+        getStore: () => app.locals.rateLimitStore,
+        name: 'magic-link:email',
+        limit: Number(process.env.MAGIC_LINK_EMAIL_LIMIT) || 5,
+        windowMs: MAGIC_LINK_WINDOW
+    }),
+    magicLinkIp: new RateLimiter({
+        getStore: () => app.locals.rateLimitStore,
+        name: 'magic-link:ip',
+        limit: Number(process.env.MAGIC_LINK_IP_LIMIT) || 30,
+        windowMs: MAGIC_LINK_WINDOW
+    }),
+    // Password attempts across accounts from one IP; per account there's lockout
+    loginIp: new RateLimiter({
+        getStore: () => app.locals.rateLimitStore,
+        name: 'login:ip',
+        limit: Number(process.env.LOGIN_IP_LIMIT) || 50,
+        windowMs: MAGIC_LINK_WINDOW
+    }),
+    // Posts to the share target, which can carry large files
+    shareIp: new RateLimiter({
+        getStore: () => app.locals.rateLimitStore,
+        name: 'share:ip',
+        limit: Number(process.env.SHARE_IP_LIMIT) || 60,
+        windowMs: MAGIC_LINK_WINDOW
+    })
+};
+const limitMagicLinks = rateLimit([
+    { limiter: app.locals.rateLimits.magicLinkIp, key: (req) => req.ip },
+    {
+        limiter: app.locals.rateLimits.magicLinkEmail,
+        key: (req) => (typeof req.body.email === 'string' && req.body.email.trim() ? normalizeEmail(req.body.email) : null)
+    }
+]);
+
+const limitLogins = rateLimit([
+    { limiter: app.locals.rateLimits.loginIp, key: (req) => req.ip }
+]);
+
+const limitShares = rateLimit([
+    { limiter: app.locals.rateLimits.shareIp, key: (req) => req.ip }
+]);
+
+// Generate a session's access token
+const generateAccessToken = (userId, sessionId) => {
+    return jwt.sign({ userId, sid: sessionId, type: 'access' }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+// Links in emails point at APP_URL, never at the Host the request came in on
+const verifyLink = (token) => `${config.APP_URL}/auth/verify?token=${token}`;
+
+// Queue the magic link email
+const sendMagicLink = async (email, token) => {
+    await mailer.send(email, 'magicLink', { link: verifyLink(token) });
+};
+
+// Queue the email answering a sign-up: a link confirming the new account, or
+// for an address that already has one, a link to sign in to it
+const sendSignupLink = async (email, token, { exists }) => {
+    await mailer.send(email, exists ? 'accountExists' : 'confirmEmail', { link: verifyLink(token) });
+};
+
+// Queue a board invite email. The link signs the invitee in and opens the board.
+const sendBoardInvite = async (email, board, inviter, role, token) => {
+    await mailer.send(email, 'boardInvite', {
+        link: verifyLink(token),
+        inviterName: inviter.name,
+        boardTitle: board.title,
+        role
+    });
+};
+
+// Passwords. An account can have a password, use magic links, or both; only a
+// bcrypt hash is kept. Too many wrong passwords in a row lock the account for
+// a while. A reset link, sent like a magic link, sets a new password or a
+// first one for magic-link accounts.
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_BYTES = 72; // bcrypt ignores anything past this
+const MAX_FAILED_LOGINS = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOGIN_LOCKOUT = (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+// Checked when there is no password to check, so unknown emails take as long
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+const passwordError = (password) => {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    if (Buffer.byteLength(password) > MAX_PASSWORD_BYTES) {
+        return `Password must be at most ${MAX_PASSWORD_BYTES} bytes`;
+    }
+    return null;
+};
+
+const hashPassword = (password) => bcrypt.hash(password, 10);
+
+// Seconds left on an account's lockout, or 0
+const lockoutRemaining = (user) => (user.lockedUntil
+    ? Math.max(0, Math.ceil((new Date(user.lockedUntil) - Date.now()) / 1000))
+    : 0);
+
+// Count a wrong password, locking the account once there are too many
+const recordFailedLogin = (user) => {
+    const failedLogins = (user.failedLogins || 0) + 1;
+    return storage.users.update(user.id, failedLogins >= MAX_FAILED_LOGINS
+        ? { failedLogins: 0, lockedUntil: new Date(Date.now() + LOGIN_LOCKOUT) }
+        : { failedLogins });
+};
+
+// Emails without a password to check (no account, or a magic-link one) lock
+// out after as many wrong passwords as accounts do, counted in the rate limit
+// store, so repeated guesses can't tell which emails have an account
+const unknownLockoutRemaining = async (email, now = new Date()) => {
+    const lockedUntil = await app.locals.rateLimitStore.expiry(`login-lock:${email}`, now);
+    return lockedUntil ? Math.max(1, Math.ceil((lockedUntil - now) / 1000)) : 0;
+};
+
+const recordUnknownFailedLogin = async (email, now = new Date()) => {
+    const store = app.locals.rateLimitStore;
+    const lockedUntil = new Date(now.getTime() + LOGIN_LOCKOUT);
+    // Expires no later than the lock it leads to, so counting starts over after it
+    const failedLogins = await store.increment(`login-failures:${email}`, lockedUntil, now);
+    if (failedLogins >= MAX_FAILED_LOGINS) {
+        await store.increment(`login-lock:${email}`, lockedUntil, now);
+    }
+    return unknownLockoutRemaining(email, now);
+};
+
+const sendLockedOut = (res, retryAfter) => {
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+        error: 'Too many failed sign-in attempts. Try again later or reset your password.',
+        retryAfter
+    });
+};
+
+// Password reset links last an hour and, like magic links, work once
+const generateResetToken = (email) => {
+    return jwt.sign({ email, type: 'reset' }, JWT_SECRET, { expiresIn: '1h', jwtid: uuidv4() });
+};
+
+// Reset links open the app, which asks for the new password
+const sendPasswordReset = async (email, token) => {
+    await mailer.send(email, 'passwordReset', {
+        link: `${config.APP_URL}/?reset=${token}`
+    });
+};
+
+// What the API shows of a user; never the password hash or lockout state
+const formatUser = (user) => ({
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    createdAt: user.createdAt,
+    hasPassword: Boolean(user.passwordHash)
+});
+
+// Open a session for the device and set its refresh cookie. Returns the
+// access token.
+const startSession = async (user, req, res) => {
+    const { session, refreshToken } = await createSession(user, req);
+    setRefreshCookie(res, refreshToken);
+    return generateAccessToken(user.id, session.id);
+};
+
+// Signing in with a provider. The browser is sent to the provider with a
+// PKCE challenge, a state and a nonce; their secrets wait in a short-lived
+// signed cookie until the provider sends the browser back with a code. Lax,
+// not strict, so the cookie comes along on that redirect from another site.
+const OIDC_COOKIE = 'shortbread_oidc';
+const OIDC_TTL = 10 * 60 * 1000;
+const OIDC_COOKIE_OPTIONS = {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/auth/oidc'
+};
+
+// The account a provider sign-in belongs to. An identity seen before maps
+// straight to its user. A new one is linked to the account with its email,
+// or gets a new account, but only if the provider verified the email, so
+// nobody can take over an account by putting its address on theirs. An
+// account whose own email was never confirmed is claimed on linking, so
+// whoever signed it up can't keep a way in.
+const findOrLinkIdentity = async (provider, identity) => {
+    const linked = await storage.identities.find(provider.id, identity.subject);
+    if (linked) {
+        return storage.users.findById(linked.userId);
+    }
+    
+    if (!identity.emailVerified) {
+        return null;
+    }
+    
+    const email = normalizeEmail(identity.email);
+    let user = await storage.users.findByEmail(email);
+    if (!user) {
+        try {
+            user = await storage.users.create({
+                id: uuidv4(),
+                email,
+                name: identity.name || email.split('@')[0],
+                emailVerified: true,
+                createdAt: new Date()
+            });
+        } catch (error) {
+            // Signed up another way at the same moment
+            if (!(error instanceof DuplicateKeyError)) throw error;
+            user = await storage.users.findByEmail(email);
         }
-        
-        // Generate magic token
-        const magicToken = generateMagicToken(email);
-        
-        // Send magic link (in production, this would send an actual email)
-        await sendMagicLink(email, magicToken, req);
-        
-        res.json({ 
-            message: 'Magic link sent to your email',
-            // For development and testing, include the token
-            ...(process.env.NODE_ENV !== 'production' && { token: magicToken })
+    }
+    user = await claimUnverifiedAccount(user);
+    
+    try {
+        await storage.identities.create({
+            provider: provider.id,
+            subject: identity.subject,
+            userId: user.id,
+            email,
+            createdAt: new Date()
         });
-        
     } catch (error) {
-        console.error('Error sending magic link:', error);
-        res.status(500).json({ error: 'Failed to send magic link' });
+        // Another sign-in with the same account linked it first
+        if (!(error instanceof DuplicateKeyError)) throw error;
+        const existing = await storage.identities.find(provider.id, identity.subject);
+        return storage.users.findById(existing.userId);
     }
+    return user;
+};
+
+// Passkeys. The relying party is the site passkeys are bound to, from the
+// configuration and never from the Host a request came in on.
+const WEBAUTHN_RP_NAME = 'Shortbread';
+
+// Each ceremony's challenge goes to the browser in a signed token that comes
+// back with the credential, so nothing is kept server-side in between. The
+// jti makes it work once.
+const generateCeremonyToken = (type, challenge, userId) => {
+    return jwt.sign({ type, challenge, ...(userId && { userId }) }, JWT_SECRET, { expiresIn: '5m', jwtid: uuidv4() });
+};
+
+// The ceremony a token started, or null if it is invalid, expired, already
+// used or for another kind of ceremony
+const consumeCeremonyToken = async (token, type) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+        return null;
+    }
+    if (decoded.type !== type || !decoded.jti) {
+        return null;
+    }
+    return await storage.tokenNonces.consume(decoded.jti, new Date(decoded.exp * 1000)) ? decoded : null;
+};
+
+// Never the key or counter
+const formatPasskey = (passkey) => ({
+    id: passkey.id,
+    name: passkey.name,
+    transports: passkey.transports,
+    createdAt: passkey.createdAt,
+    lastUsedAt: passkey.lastUsedAt
 });
 
-// Verify magic link
-app.get('/auth/verify', async (req, res) => {
+// Serve static files from frontend
+app.use(express.static(path.join(__dirname, '../frontend')));
+
+// Find the video behind a link, or create it and queue the download of its
+// media. Every variant of a link to the same clip resolves to one video, so it
+// is downloaded once however many boards it is saved to. Saving a video whose
+// download failed tries it again.
+async function findOrCreateVideo(url, id = uuidv4()) {
+    const key = canonicalKey(url);
+    const existing = await storage.videos.findByCanonicalKey(key);
+    
+    if (existing && existing.status === 'failed') {
+        const retried = await storage.videos.update(existing.id, { status: 'queued', error: null });
+        await jobQueue.enqueue('download', { videoId: existing.id });
+        return retried;
+    }
+    
+    if (existing) {
+        return existing;
+    }
+    
+    // The downloader fetches the link itself, from this server
     try {
-        const { token } = req.query;
-        
-        if (!token) {
-            return res.status(400).json({ error: 'Token is required' });
+        await checkPublicUrl(url, { resolve: app.locals.resolveHosts });
+    } catch (error) {
+        if (error instanceof BlockedUrlError) {
+            throw new ApiError(400, 'url must link to a public host');
         }
-        
-        // Verify magic token
-        const decoded = jwt.verify(token, JWT_SECRET);
-        
-        if (decoded.type !== 'magic') {
-            return res.status(400).json({ error: 'Invalid token type' });
+        if (error.code === 'ENOTFOUND') {
+            throw new ApiError(400, `Could not find ${new URL(url).hostname}`);
+        }
+        throw error;
+    }
+    
+    const videoInfo = await extractVideoInfo(url, { fetchText: app.locals.fetchText });
+    let video;
+    
+    try {
+        video = await storage.videos.create({
+            id,
+            ...videoInfo,
+            status: 'queued',
+            error: null,
+            downloadUrl: `/api/videos/${id}/download`,
+            addedAt: new Date()
+        });
+    } catch (error) {
+        // Someone saved the same clip while its metadata was being fetched
+        if (error instanceof DuplicateKeyError) {
+            return storage.videos.findByCanonicalKey(key);
+        }
+        throw error;
+    }
+    
+    await jobQueue.enqueue('download', { videoId: id });
+    return video;
+}
+
+// Put a video at the front of a board unless it is already there
+async function linkVideo(video, boardId) {
+    const positions = (await storage.videoBoards.listByBoard(boardId))
+        .map(link => link.position)
+        .filter(position => typeof position === 'number');
+    
+    try {
+        await storage.videoBoards.create({
+            videoId: video.id,
+            boardId,
+            position: rankBetween(null, positions.length ? Math.min(...positions) : null),
+            tags: [],
+            notes: '',
+            addedAt: new Date()
+        });
+    } catch (error) {
+        if (!(error instanceof DuplicateKeyError)) {
+            throw error;
+        }
+    }
+    
+    // Saved again before the sweeper got to it
+    if (video.orphanedAt) {
+        await storage.videos.update(video.id, { orphanedAt: null });
+    }
+}
+
+// Tags are compared lowercase and without a leading #. Returns null for
+// anything that isn't a list of short strings.
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+function normalizeTags(tags) {
+    if (!Array.isArray(tags) || tags.length > MAX_TAGS || tags.some(tag => typeof tag !== 'string')) {
+        return null;
+    }
+    const normalized = tags.map(tag => tag.trim().replace(/^#+/, '').toLowerCase()).filter(Boolean);
+    if (normalized.some(tag => tag.length > MAX_TAG_LENGTH)) {
+        return null;
+    }
+    return [...new Set(normalized)];
+}
+
+// Take a video off a board. A video left on no board is marked orphaned and
+// its media is swept after the grace period.
+async function unlinkVideo(videoId, board) {
+    await storage.videoBoards.delete(videoId, board.id);
+    
+    if (board.cover === videoId) {
+        await storage.boards.update(board.id, { cover: null });
+    }
+    
+    await markIfOrphaned(videoId);
+}
+
+// Mark a video orphaned once it is on no board, so the sweeper picks it up
+async function markIfOrphaned(videoId) {
+    if ((await storage.videoBoards.listByVideo(videoId)).length === 0) {
+        await storage.videos.update(videoId, { orphanedAt: new Date() });
+    }
+}
+
+const deleteVideo = (video) => sweeper.deleteVideo(video, { storage, mediaStore: getMediaStore() });
+
+// Store a shared video file as a pending upload until the user picks a board
+async function createUpload(file, title, user) {
+    const id = uuidv4();
+    const now = new Date();
+    const mediaStore = getMediaStore();
+    const ext = path.extname(file.originalname).toLowerCase() || '.mp4';
+    const media = {
+        key: `uploads/${id}${ext}`,
+        contentType: file.mimetype,
+        size: file.size
+    };
+    
+    await mediaStore.put(media.key, fs.createReadStream(file.path), media);
+    const poster = await storePoster({
+        thumbnailer: app.locals.thumbnailer,
+        mediaStore,
+        input: file.path,
+        key: `thumbnails/${id}.jpg`
+    });
+    
+    return storage.uploads.create({
+        id,
+        userId: user.id,
+        title: title || path.parse(file.originalname).name || 'Shared video',
+        media,
+        poster,
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + UPLOAD_TTL)
+    });
+}
+
+// Remove shared files that were never saved to a board
+async function cleanupExpiredUploads() {
+    const expired = await storage.uploads.listExpired(new Date());
+    for (const pending of expired) {
+        await getMediaStore().delete(pending.media.key);
+        if (pending.poster) {
+            await getMediaStore().delete(pending.poster.key);
+        }
+        await storage.uploads.delete(pending.id);
+    }
+    return expired.length;
+}
+
+// Delete the media of videos that have been on no board for the grace period
+function sweepOrphanedVideos() {
+    return sweeper.sweepOrphanedVideos({
+        storage,
+        mediaStore: getMediaStore(),
+        gracePeriod: ORPHAN_GRACE_DAYS * 24 * 60 * 60 * 1000
+    });
+}
+
+// Delete finished jobs past the retention period
+async function pruneFinishedJobs() {
+    const retention = JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    return await jobQueue.prune(retention) + await mailQueue.prune(retention);
+}
+
+// Stream a small stored image such as a poster. Images never change once
+// generated, so clients may cache them and revalidate with the ETag.
+async function sendImage(req, res, image) {
+    const mediaStore = getMediaStore();
+    const stat = image && await mediaStore.stat(image.key);
+    
+    if (!stat) {
+        return res.status(404).json({ error: 'Thumbnail not found' });
+    }
+    
+    res.set({
+        'Content-Type': image.contentType,
+        'ETag': `"${crypto.createHash('sha1').update(`${image.key}:${stat.size}`).digest('hex')}"`,
+        'Cache-Control': 'private, max-age=86400'
+    });
+    
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+    
+    res.set('Content-Length', String(stat.size));
+    (await mediaStore.stream(image.key)).pipe(res);
+}
+
+// Pagination. Lists take ?limit (default 50, at most 100) and ?cursor, an
+// opaque token from the next/prev link of an earlier page.
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+const pageSize = (req) => Math.min(Math.max(Number(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+const boardKey = (board) => ({ createdAt: new Date(board.createdAt).toISOString(), id: board.id });
+const isBoardKey = (key) => typeof key.id === 'string' && typeof key.createdAt === 'string' &&
+    !Number.isNaN(Date.parse(key.createdAt));
+const videoKey = (video) => ({ position: video.position, id: video.id });
+const isVideoKey = (key) => typeof key.id === 'string' && Number.isFinite(key.position);
+
+// The { limit, after, before } a storage page* method takes, or null when
+// the cursor is not one we issued
+function readPage(req, isKey) {
+    const limit = pageSize(req);
+    
+    if (req.query.cursor === undefined) {
+        return { limit };
+    }
+    
+    const cursor = typeof req.query.cursor === 'string' && decodeCursor(req.query.cursor, isKey);
+    if (!cursor) {
+        return null;
+    }
+    return { limit, [cursor.direction === 'next' ? 'after' : 'before']: cursor.key };
+}
+
+// URLs of the pages either side of a fetched one (null at either end), also
+// sent as a Link header
+function pageLinks(req, res, page, { items, more }, keyOf) {
+    const link = (direction, record) => {
+        const params = new URLSearchParams({
+            ...req.query,
+            limit: String(page.limit),
+            cursor: encodeCursor(direction, keyOf(record))
+        });
+        return `${req.baseUrl}${req.path}?${params}`;
+    };
+    
+    const hasNext = items.length > 0 && (page.before ? true : more);
+    const hasPrev = items.length > 0 && (page.before ? more : Boolean(page.after));
+    const links = {
+        next: hasNext ? link('next', items[items.length - 1]) : null,
+        prev: hasPrev ? link('prev', items[0]) : null
+    };
+    
+    const header = Object.fromEntries(Object.entries(links).filter(([, url]) => url));
+    if (Object.keys(header).length > 0) {
+        res.links(header);
+    }
+    return links;
+}
+
+// Boards saved before ordering existed have links without a position, and
+// pages are keyed by position. Number them once, in their current order.
+async function assignMissingPositions(boardId) {
+    const links = await storage.videoBoards.listByBoard(boardId);
+    
+    if (links.every(link => typeof link.position === 'number')) {
+        return;
+    }
+    
+    const videos = await storage.videos.listByBoard(boardId);
+    for (const [i, video] of videos.entries()) {
+        await storage.videoBoards.update(video.id, boardId, { position: i * GAP });
+    }
+}
+
+// Routes
+
+// Authentication routes
+
+// Request magic link
+app.post('/auth/magic-link', limitMagicLinks, async (req, res) => {
+    try {
+        const { name, returnTo } = req.body;
+        
+        if (typeof req.body.email !== 'string' || !req.body.email.trim()) {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+        const email = normalizeEmail(req.body.email);
+        
+        if (returnTo !== undefined && !isAppPath(returnTo)) {
+            return res.status(400).json({ error: 'returnTo must be a path on this site' });
+        }
+        
+        // Check if user exists
+        let user = await storage.users.findByEmail(email);
+        if (!user && name) {
+            // Create new user
+            user = await storage.users.create({
+                id: uuidv4(),
+                email,
+                name,
+                emailVerified: false,
+                createdAt: new Date()
+            });
+        }
+        
+        if (!user) {
+            return res.status(404).json({ error: 'User not found. Please provide a name to register.' });
+        }
+        
+        // Generate magic token
+        const magicToken = generateMagicToken(email, returnTo);
+        
+        await sendMagicLink(email, magicToken);
+        
+        res.json({ 
+            message: 'Magic link sent to your email',
+            // For development and testing, include the token
+            ...(process.env.NODE_ENV !== 'production' && { token: magicToken })
+        });
+        
+    } catch (error) {
+        console.error('Error sending magic link:', error);
+        res.status(500).json({ error: 'Failed to send magic link' });
+    }
+});
+
+// Verify magic link
+app.get('/auth/verify', async (req, res) => {
+    try {
+        const { token } = req.query;
+        
+        if (!token) {
+            return res.status(400).json({ error: 'Token is required' });
+        }
+        
+        // Verify magic token
+        const decoded = jwt.verify(token, JWT_SECRET);
+        
+        if (decoded.type !== 'magic') {
+            return res.status(400).json({ error: 'Invalid token type' });
+        }
+        
+        // Each link signs in once. Links without a nonce predate that and are refused.
+        if (!decoded.jti) {
+            return res.status(400).json({ error: 'Invalid or expired token' });
+        }
+        if (!await storage.tokenNonces.consume(decoded.jti, new Date(decoded.exp * 1000))) {
+            return res.status(400).json({ error: 'This link has already been used' });
+        }
+        
+        // Find user
+        const email = normalizeEmail(decoded.email);
+        let user = await storage.users.findByEmail(email);
+        
+        // An invite signs its recipient up, as long as it wasn't revoked
+        const invited = decoded.boardId &&
+            await storage.boardMembers.find(decoded.boardId, email);
+        
+        if (!user && invited) {
+            user = await storage.users.create({
+                id: uuidv4(),
+                email,
+                name: email.split('@')[0],
+                emailVerified: true,
+                createdAt: new Date()
+            });
+        }
+        
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        // The link proves the inbox. A sign-up's own link confirms the
+        // account as it is; any other takes over an unconfirmed one.
+        if (decoded.confirms && decoded.confirms === user.id && user.emailVerified === false) {
+            user = await storage.users.update(user.id, { emailVerified: true });
+        } else {
+            user = await claimUnverifiedAccount(user);
+        }
+        
+        // Sign this device in
+        const accessToken = await startSession(user, req, res);
+        
+        // Redirect to frontend with token, back to the page the sign-in
+        // started from, or opening the board for invites
+        const params = returnParams(decoded.returnTo);
+        params.set('token', accessToken);
+        if (invited) {
+            params.set('board', decoded.boardId);
+        }
+        res.redirect(`/?${params}`);
+        
+    } catch (error) {
+        console.error('Error verifying magic link:', error);
+        res.status(400).json({ error: 'Invalid or expired token' });
+    }
+});
+
+// Providers to offer on the sign-in screen
+app.get('/auth/oidc/providers', (req, res) => {
+    res.json({
+        providers: [...app.locals.oidcProviders.values()].map(provider => ({
+            id: provider.id,
+            label: provider.label
+        }))
+    });
+});
+
+// Start signing in with a provider
+app.get('/auth/oidc/:provider', async (req, res) => {
+    try {
+        const provider = app.locals.oidcProviders.get(req.params.provider);
+        
+        if (!provider) {
+            return res.status(404).json({ error: 'Unknown sign-in provider' });
+        }
+        
+        const { returnTo } = req.query;
+        
+        if (returnTo !== undefined && !isAppPath(returnTo)) {
+            return res.status(400).json({ error: 'returnTo must be a path on this site' });
+        }
+        
+        const pending = {
+            type: 'oidc',
+            provider: provider.id,
+            state: randomToken(),
+            nonce: randomToken(),
+            codeVerifier: randomToken(),
+            // The token request has to repeat it exactly. From APP_URL, like
+            // the links in emails, so it is right behind a proxy and a forged
+            // Host can't change it
+            redirectUri: `${config.APP_URL}/auth/oidc/${provider.id}/callback`,
+            ...(returnTo && { returnTo })
+        };
+        
+        const url = await provider.authorizationUrl({
+            redirectUri: pending.redirectUri,
+            state: pending.state,
+            nonce: pending.nonce,
+            codeChallenge: codeChallenge(pending.codeVerifier)
+        });
+        
+        // The jwtid makes each attempt usable once, like magic links
+        const cookie = jwt.sign(pending, JWT_SECRET, { expiresIn: OIDC_TTL / 1000, jwtid: uuidv4() });
+        res.cookie(OIDC_COOKIE, cookie, { ...OIDC_COOKIE_OPTIONS, maxAge: OIDC_TTL });
+        res.redirect(url);
+        
+    } catch (error) {
+        console.error('Error starting provider sign-in:', error.message);
+        res.redirect('/?authError=provider-unavailable');
+    }
+});
+
+// The provider sends the browser back here with a code, or an error.
+// Failures go back to the app with ?authError= so it can say what happened.
+app.get('/auth/oidc/:provider/callback', async (req, res) => {
+    const fail = (reason) => {
+        res.clearCookie(OIDC_COOKIE, OIDC_COOKIE_OPTIONS);
+        res.redirect(`/?authError=${reason}`);
+    };
+    
+    try {
+        const provider = app.locals.oidcProviders.get(req.params.provider);
+        
+        if (!provider) {
+            return res.status(404).json({ error: 'Unknown sign-in provider' });
+        }
+        
+        let pending = null;
+        try {
+            pending = jwt.verify(readCookie(req, OIDC_COOKIE) || '', JWT_SECRET);
+        } catch (error) {
+            pending = null;
+        }
+        
+        // The state ties the callback to the sign-in this browser started
+        if (!pending || pending.type !== 'oidc' || pending.provider !== provider.id ||
+            typeof req.query.state !== 'string' || req.query.state !== pending.state) {
+            return fail('invalid-state');
+        }
+        
+        if (req.query.error) {
+            return fail(req.query.error === 'access_denied' ? 'cancelled' : 'provider-error');
+        }
+        
+        if (typeof req.query.code !== 'string' || !req.query.code) {
+            return fail('provider-error');
+        }
+        
+        if (!await storage.tokenNonces.consume(pending.jti, new Date(pending.exp * 1000))) {
+            return fail('invalid-state');
+        }
+        
+        const identity = await provider.fetchIdentity({
+            code: req.query.code,
+            redirectUri: pending.redirectUri,
+            codeVerifier: pending.codeVerifier,
+            nonce: pending.nonce
+        });
+        const user = await findOrLinkIdentity(provider, identity);
+        
+        if (!user) {
+            return fail('unverified-email');
+        }
+        
+        res.clearCookie(OIDC_COOKIE, OIDC_COOKIE_OPTIONS);
+        const accessToken = await startSession(user, req, res);
+        const params = returnParams(pending.returnTo);
+        params.set('token', accessToken);
+        res.redirect(`/?${params}`);
+        
+    } catch (error) {
+        console.error('Error completing provider sign-in:', error.message);
+        fail('provider-error');
+    }
+});
+
+// Create an account with a password. It signs in once its email is
+// confirmed with the link sent to it. The answer is the same whether or not
+// the address already has an account; if it does, the email offers a sign-in
+// link instead.
+app.post('/auth/register', limitLogins, limitMagicLinks, async (req, res) => {
+    try {
+        const { name, password } = req.body;
+        
+        if (typeof req.body.email !== 'string' || !req.body.email.trim()) {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+        const email = normalizeEmail(req.body.email);
+        
+        if (typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({ error: 'Name is required' });
+        }
+        
+        const invalidPassword = passwordError(password);
+        if (invalidPassword) {
+            return res.status(400).json({ error: invalidPassword });
+        }
+        
+        // Existing accounts add a password through a reset link, which proves
+        // the email is theirs. Hashed either way so both answers take as long.
+        const passwordHash = await hashPassword(password);
+        let user = null;
+        if (!await storage.users.findByEmail(email)) {
+            try {
+                user = await storage.users.create({
+                    id: uuidv4(),
+                    email,
+                    name: name.trim(),
+                    passwordHash,
+                    emailVerified: false,
+                    failedLogins: 0,
+                    lockedUntil: null,
+                    createdAt: new Date()
+                });
+            } catch (error) {
+                // Signed up another way at the same moment
+                if (!(error instanceof DuplicateKeyError)) throw error;
+            }
+        }
+        
+        const signupToken = user ? generateConfirmToken(email, user.id) : generateMagicToken(email);
+        await sendSignupLink(email, signupToken, { exists: !user });
+        
+        res.status(202).json({
+            message: 'Check your email to finish signing up',
+            // For development and testing, include the token
+            ...(process.env.NODE_ENV !== 'production' && { token: signupToken })
+        });
+        
+    } catch (error) {
+        console.error('Error registering:', error);
+        res.status(500).json({ error: 'Failed to create account' });
+    }
+});
+
+// Sign in with a password
+app.post('/auth/login', limitLogins, async (req, res) => {
+    try {
+        const { password } = req.body;
+        
+        if (typeof req.body.email !== 'string' || typeof password !== 'string' || !req.body.email || !password) {
+            return res.status(400).json({ error: 'Email and password are required' });
+        }
+        
+        const email = normalizeEmail(req.body.email);
+        const user = await storage.users.findByEmail(email);
+        const hasPassword = Boolean(user && user.passwordHash);
+        
+        const locked = hasPassword ? lockoutRemaining(user) : await unknownLockoutRemaining(email);
+        if (locked) {
+            return sendLockedOut(res, locked);
+        }
+        
+        const matches = await bcrypt.compare(password, hasPassword ? user.passwordHash : DUMMY_PASSWORD_HASH);
+        
+        if (!hasPassword || !matches) {
+            const lockout = hasPassword
+                ? lockoutRemaining(await recordFailedLogin(user))
+                : await recordUnknownFailedLogin(email);
+            if (lockout) {
+                return sendLockedOut(res, lockout);
+            }
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+        
+        if (user.failedLogins || user.lockedUntil) {
+            await storage.users.update(user.id, { failedLogins: 0, lockedUntil: null });
+        }
+        
+        if (user.emailVerified === false) {
+            return res.status(403).json({ error: 'Confirm your email with the link we sent before signing in with a password' });
+        }
+        
+        const accessToken = await startSession(user, req, res);
+        res.json({ accessToken, user: formatUser(user) });
+        
+    } catch (error) {
+        console.error('Error signing in:', error);
+        res.status(500).json({ error: 'Failed to sign in' });
+    }
+});
+
+// Email a password reset link. The answer is the same whether or not the
+// account exists.
+app.post('/auth/password-reset', limitMagicLinks, async (req, res) => {
+    try {
+        if (typeof req.body.email !== 'string' || !req.body.email.trim()) {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+        const email = normalizeEmail(req.body.email);
+        
+        const user = await storage.users.findByEmail(email);
+        const resetToken = user ? generateResetToken(email) : null;
+        
+        if (resetToken) {
+            await sendPasswordReset(email, resetToken);
+        }
+        
+        res.json({
+            message: 'If an account exists for that email, a reset link is on its way',
+            // For development and testing, include the token
+            ...(process.env.NODE_ENV !== 'production' && resetToken && { token: resetToken })
+        });
+        
+    } catch (error) {
+        console.error('Error sending password reset:', error);
+        res.status(500).json({ error: 'Failed to send password reset' });
+    }
+});
+
+// Set a new password from a reset link. Every other session is signed out,
+// in case the old password was how someone got in.
+app.post('/auth/password-reset/confirm', limitLogins, async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        
+        if (!token) {
+            return res.status(400).json({ error: 'Token is required' });
+        }
+        
+        // Checked first so a typo doesn't use up the link
+        const invalidPassword = passwordError(password);
+        if (invalidPassword) {
+            return res.status(400).json({ error: invalidPassword });
+        }
+        
+        let decoded;
+        try {
+            decoded = jwt.verify(token, JWT_SECRET);
+        } catch (error) {
+            return res.status(400).json({ error: 'Invalid or expired token' });
+        }
+        
+        if (decoded.type !== 'reset') {
+            return res.status(400).json({ error: 'Invalid token type' });
+        }
+        
+        if (!decoded.jti) {
+            return res.status(400).json({ error: 'Invalid or expired token' });
+        }
+        if (!await storage.tokenNonces.consume(decoded.jti, new Date(decoded.exp * 1000))) {
+            return res.status(400).json({ error: 'This link has already been used' });
+        }
+        
+        const found = await storage.users.findByEmail(normalizeEmail(decoded.email));
+        
+        if (!found) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        // The link proves the inbox, so it confirms an unconfirmed account too
+        const user = await claimUnverifiedAccount(found);
+        const updated = await storage.users.update(user.id, {
+            passwordHash: await hashPassword(password),
+            failedLogins: 0,
+            lockedUntil: null
+        });
+        
+        const sessions = await storage.sessions.listByUser(user.id);
+        for (const session of sessions.filter(isLiveSession)) {
+            await revokeSession(session.id, 'password-reset');
+        }
+        
+        const accessToken = await startSession(updated, req, res);
+        res.json({ accessToken, user: formatUser(updated) });
+        
+    } catch (error) {
+        console.error('Error resetting password:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
+    }
+});
+
+// Start signing in with a passkey. No email needed: the browser offers the
+// passkeys it has for this site and says which one was used.
+app.post('/auth/passkey/options', limitLogins, (req, res) => {
+    const challenge = webauthn.randomChallenge();
+    
+    res.json({
+        ceremonyToken: generateCeremonyToken('webauthn-login', challenge),
+        options: webauthn.authenticationOptions({ rpId: config.webauthnOptions.rpId, challenge })
+    });
+});
+
+// Sign in with a passkey's signed assertion
+app.post('/auth/passkey', limitLogins, async (req, res) => {
+    try {
+        const { ceremonyToken, credential } = req.body;
+        
+        if (!ceremonyToken || !credential || typeof credential.id !== 'string') {
+            return res.status(400).json({ error: 'ceremonyToken and credential are required' });
+        }
+        
+        const ceremony = await consumeCeremonyToken(ceremonyToken, 'webauthn-login');
+        
+        if (!ceremony) {
+            return res.status(400).json({ error: 'Invalid or expired passkey ceremony' });
+        }
+        
+        const passkey = await storage.passkeys.findByCredentialId(credential.id);
+        const user = passkey && await storage.users.findById(passkey.userId);
+        // The user handle, when sent, is the account the passkey was made for
+        const userHandle = credential.response && credential.response.userHandle;
+        
+        if (!user || (userHandle && userHandle !== Buffer.from(user.id).toString('base64url'))) {
+            return res.status(401).json({ error: 'Passkey sign-in failed' });
+        }
+        
+        const { rpId, origin } = config.webauthnOptions;
+        let verified;
+        try {
+            verified = webauthn.verifyAuthentication({
+                credential,
+                expectedChallenge: ceremony.challenge,
+                expectedOrigin: origin,
+                rpId,
+                publicKey: passkey.publicKey,
+                algorithm: passkey.algorithm,
+                signCount: passkey.signCount
+            });
+        } catch (error) {
+            if (!(error instanceof webauthn.WebAuthnError)) throw error;
+            console.error(`Passkey ${passkey.id} failed to sign in:`, error.message);
+            return res.status(401).json({ error: 'Passkey sign-in failed' });
+        }
+        
+        await storage.passkeys.update(passkey.id, { signCount: verified.signCount, lastUsedAt: new Date() });
+        
+        const accessToken = await startSession(user, req, res);
+        res.json({ accessToken, user: formatUser(user) });
+        
+    } catch (error) {
+        console.error('Error signing in with passkey:', error);
+        res.status(500).json({ error: 'Failed to sign in with passkey' });
+    }
+});
+
+// Trade the refresh token for a new access token and rotate it
+app.post('/auth/refresh', async (req, res) => {
+    try {
+        const { refreshToken, fromBody } = readRefreshToken(req);
+        
+        if (!refreshToken) {
+            return res.status(401).json({ error: 'Refresh token required' });
+        }
+        
+        const [sessionId, secret] = refreshToken.split('.');
+        const session = sessionId && secret ? await storage.sessions.findById(sessionId) : null;
+        
+        if (!isLiveSession(session)) {
+            clearRefreshCookie(res);
+            return res.status(401).json({ error: 'Session expired' });
+        }
+        
+        const tokenHash = hashToken(secret);
+        
+        if (tokenHash !== session.refreshTokenHash) {
+            // Replaced moments ago by a refresh from another tab, whose
+            // response carries the new refresh token
+            if (tokenHash === session.previousTokenHash &&
+                Date.now() - new Date(session.rotatedAt) < REFRESH_GRACE) {
+                return res.json({ accessToken: generateAccessToken(session.userId, session.id) });
+            }
+            
+            // A token that was already used: whoever holds it copied it
+            await revokeSession(session.id, 'reuse');
+            console.warn(`Refresh token reuse detected; revoked session ${session.id} of user ${session.userId}`);
+            clearRefreshCookie(res);
+            return res.status(401).json({ error: 'Refresh token reuse detected' });
+        }
+        
+        const nextSecret = newRefreshSecret();
+        const now = new Date();
+        const rotated = await storage.sessions.rotate(session.id, tokenHash, {
+            refreshTokenHash: hashToken(nextSecret),
+            previousTokenHash: tokenHash,
+            rotatedAt: now,
+            lastUsedAt: now,
+            expiresAt: new Date(now.getTime() + SESSION_TTL)
+        });
+        const accessToken = generateAccessToken(session.userId, session.id);
+        
+        // Another refresh with the same token rotated it first
+        if (!rotated) {
+            return res.json({ accessToken });
+        }
+        
+        const nextRefreshToken = `${session.id}.${nextSecret}`;
+        setRefreshCookie(res, nextRefreshToken);
+        res.json({
+            accessToken,
+            // Browsers keep it in the cookie, out of reach of scripts
+            ...(fromBody && { refreshToken: nextRefreshToken })
+        });
+        
+    } catch (error) {
+        console.error('Error refreshing session:', error);
+        res.status(500).json({ error: 'Failed to refresh session' });
+    }
+});
+
+// Sign out: revoke the session behind the access token or the refresh token
+app.post('/auth/logout', async (req, res) => {
+    try {
+        const authHeader = req.headers['authorization'];
+        const token = authHeader && authHeader.split(' ')[1];
+        let sessionId = null;
+        
+        if (token) {
+            try {
+                // An expired access token still says which session to end
+                const decoded = jwt.verify(token, JWT_SECRET, { ignoreExpiration: true });
+                sessionId = decoded.sid || null;
+            } catch (error) {
+                sessionId = null;
+            }
+        }
+        
+        if (!sessionId) {
+            const session = await findSessionByRefreshToken(readRefreshToken(req).refreshToken);
+            sessionId = session ? session.id : null;
+        }
+        
+        if (sessionId) {
+            await revokeSession(sessionId, 'logout');
+        }
+        
+        clearRefreshCookie(res);
+        res.json({ message: 'Logged out' });
+        
+    } catch (error) {
+        console.error('Error logging out:', error);
+        res.status(500).json({ error: 'Failed to log out' });
+    }
+});
+
+// Get current user
+const getCurrentUser = (req, res) => {
+    res.json(formatUser(req.user));
+};
+app.get('/api/v1/user', authenticateToken, validateRequest('getCurrentUser'), getCurrentUser);
+
+// Devices the user is signed in on, most recently used first
+const listSessions = async (req, res) => {
+    try {
+        const sessions = await storage.sessions.listByUser(req.user.id);
+        
+        res.json({
+            sessions: sessions.filter(isLiveSession).map(session => ({
+                id: session.id,
+                device: session.device,
+                ip: session.ip,
+                createdAt: session.createdAt,
+                lastUsedAt: session.lastUsedAt,
+                current: session.id === req.sessionId
+            }))
+        });
+        
+    } catch (error) {
+        console.error('Error fetching sessions:', error);
+        res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+};
+app.get('/api/v1/sessions', authenticateToken, requireSession, validateRequest('listSessions'), listSessions);
+
+// Sign a device out
+const deleteSession = async (req, res) => {
+    try {
+        const session = await storage.sessions.findById(req.params.id);
+        
+        if (!session || session.userId !== req.user.id || !isLiveSession(session)) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        
+        await revokeSession(session.id, 'revoked');
+        
+        if (session.id === req.sessionId) {
+            clearRefreshCookie(res);
+        }
+        
+        res.json({ message: 'Session revoked' });
+        
+    } catch (error) {
+        console.error('Error revoking session:', error);
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
+};
+app.delete('/api/v1/sessions/:id', authenticateToken, requireSession, validateRequest('deleteSession'), deleteSession);
+
+// Personal access tokens, newest first. Expired ones stay listed until revoked.
+const listAccessTokens = async (req, res) => {
+    try {
+        const tokens = await storage.accessTokens.listByUser(req.user.id);
+        res.json({ tokens: tokens.map(formatAccessToken) });
+        
+    } catch (error) {
+        console.error('Error fetching access tokens:', error);
+        res.status(500).json({ error: 'Failed to fetch access tokens' });
+    }
+};
+app.get('/api/v1/tokens', authenticateToken, requireSession, validateRequest('listAccessTokens'), listAccessTokens);
+
+// Create a personal access token. The token itself is only returned here.
+const createAccessToken = async (req, res) => {
+    try {
+        const { name, scopes, expiresAt } = req.body;
+        
+        let expires = null;
+        if (expiresAt !== undefined && expiresAt !== null) {
+            expires = new Date(expiresAt);
+            if (expires <= new Date()) {
+                return res.status(400).json({ error: 'expiresAt must be a future date' });
+            }
+        }
+        
+        const secret = crypto.randomBytes(24).toString('base64url');
+        const id = uuidv4();
+        const token = `sbp_${id}_${secret}`;
+        
+        const accessToken = await storage.accessTokens.create({
+            id,
+            userId: req.user.id,
+            name: name.trim(),
+            scopes: [...new Set(scopes)],
+            tokenHash: await bcrypt.hash(secret, 10),
+            hint: token.slice(-4),
+            expiresAt: expires,
+            lastUsedAt: null,
+            createdAt: new Date()
+        });
+        
+        res.status(201).json({ ...formatAccessToken(accessToken), token });
+        
+    } catch (error) {
+        console.error('Error creating access token:', error);
+        res.status(500).json({ error: 'Failed to create access token' });
+    }
+};
+app.post('/api/v1/tokens', authenticateToken, requireSession, validateRequest('createAccessToken'), createAccessToken);
+
+// Revoke a personal access token
+const deleteAccessToken = async (req, res) => {
+    try {
+        const accessToken = await storage.accessTokens.findById(req.params.id);
+        
+        if (!accessToken || accessToken.userId !== req.user.id) {
+            return res.status(404).json({ error: 'Token not found' });
+        }
+        
+        await storage.accessTokens.delete(accessToken.id);
+        
+        res.json({ message: 'Token revoked' });
+        
+    } catch (error) {
+        console.error('Error revoking access token:', error);
+        res.status(500).json({ error: 'Failed to revoke access token' });
+    }
+};
+app.delete('/api/v1/tokens/:id', authenticateToken, requireSession, validateRequest('deleteAccessToken'), deleteAccessToken);
+
+// Start adding a passkey. The browser creates the credential from options
+// and posts it back with the ceremony token.
+const startPasskeyRegistration = async (req, res) => {
+    try {
+        const passkeys = await storage.passkeys.listByUser(req.user.id);
+        const challenge = webauthn.randomChallenge();
+        
+        res.json({
+            ceremonyToken: generateCeremonyToken('webauthn-register', challenge, req.user.id),
+            options: webauthn.registrationOptions({
+                rpId: config.webauthnOptions.rpId,
+                rpName: WEBAUTHN_RP_NAME,
+                user: req.user,
+                challenge,
+                // So the authenticator doesn't register the same passkey twice
+                excludeCredentials: passkeys
+            })
+        });
+        
+    } catch (error) {
+        console.error('Error starting passkey registration:', error);
+        res.status(500).json({ error: 'Failed to start passkey registration' });
+    }
+};
+app.post('/api/v1/passkeys/register/options', authenticateToken, requireSession, validateRequest('startPasskeyRegistration'), startPasskeyRegistration);
+
+// Passkeys on the account, newest first
+const listPasskeys = async (req, res) => {
+    try {
+        const passkeys = await storage.passkeys.listByUser(req.user.id);
+        res.json({ passkeys: passkeys.map(formatPasskey) });
+        
+    } catch (error) {
+        console.error('Error fetching passkeys:', error);
+        res.status(500).json({ error: 'Failed to fetch passkeys' });
+    }
+};
+app.get('/api/v1/passkeys', authenticateToken, requireSession, validateRequest('listPasskeys'), listPasskeys);
+
+// Finish adding a passkey. Without a name it is named after the device.
+const registerPasskey = async (req, res) => {
+    try {
+        const { ceremonyToken, credential } = req.body;
+        const name = req.body.name === undefined ? describeDevice(req.get('user-agent')) : req.body.name;
+        
+        const ceremony = await consumeCeremonyToken(ceremonyToken, 'webauthn-register');
+        
+        if (!ceremony || ceremony.userId !== req.user.id) {
+            return res.status(400).json({ error: 'Invalid or expired passkey ceremony' });
+        }
+        
+        const { rpId, origin } = config.webauthnOptions;
+        let verified;
+        try {
+            verified = webauthn.verifyRegistration({ credential, expectedChallenge: ceremony.challenge, expectedOrigin: origin, rpId });
+        } catch (error) {
+            if (!(error instanceof webauthn.WebAuthnError)) throw error;
+            return res.status(400).json({ error: `Passkey registration failed: ${error.message}` });
+        }
+        
+        let passkey;
+        try {
+            passkey = await storage.passkeys.create({
+                id: uuidv4(),
+                userId: req.user.id,
+                ...verified,
+                name: name.trim(),
+                lastUsedAt: null,
+                createdAt: new Date()
+            });
+        } catch (error) {
+            if (!(error instanceof DuplicateKeyError)) throw error;
+            return res.status(409).json({ error: 'This passkey is already registered' });
+        }
+        
+        res.status(201).json(formatPasskey(passkey));
+        
+    } catch (error) {
+        console.error('Error registering passkey:', error);
+        res.status(500).json({ error: 'Failed to register passkey' });
+    }
+};
+app.post('/api/v1/passkeys', authenticateToken, requireSession, validateRequest('registerPasskey'), registerPasskey);
+
+// Rename a passkey
+const renamePasskey = async (req, res) => {
+    try {
+        const passkey = await storage.passkeys.findById(req.params.id);
+        
+        if (!passkey || passkey.userId !== req.user.id) {
+            return res.status(404).json({ error: 'Passkey not found' });
+        }
+        
+        const updated = await storage.passkeys.update(passkey.id, { name: req.body.name.trim() });
+        res.json(formatPasskey(updated));
+        
+    } catch (error) {
+        console.error('Error renaming passkey:', error);
+        res.status(500).json({ error: 'Failed to rename passkey' });
+    }
+};
+app.patch('/api/v1/passkeys/:id', authenticateToken, requireSession, validateRequest('renamePasskey'), renamePasskey);
+
+// Remove a passkey. Sessions it started stay signed in.
+const deletePasskey = async (req, res) => {
+    try {
+        const passkey = await storage.passkeys.findById(req.params.id);
+        
+        if (!passkey || passkey.userId !== req.user.id) {
+            return res.status(404).json({ error: 'Passkey not found' });
+        }
+        
+        await storage.passkeys.delete(passkey.id);
+        
+        res.json({ message: 'Passkey removed' });
+        
+    } catch (error) {
+        console.error('Error removing passkey:', error);
+        res.status(500).json({ error: 'Failed to remove passkey' });
+    }
+};
+app.delete('/api/v1/passkeys/:id', authenticateToken, requireSession, validateRequest('deletePasskey'), deletePasskey);
+
+// Handle PWA share target
+// Who is sharing to /share: an API client's bearer token, or the share
+// cookie of a live session
+const getSharingUser = async (req) => {
+    const user = await getOptionalUser(req, { scope: 'videos:write' });
+    const cookie = readCookie(req, SHARE_COOKIE);
+    
+    if (user || !cookie) {
+        return user;
+    }
+    
+    try {
+        const { sid, purpose } = jwt.verify(cookie, JWT_SECRET);
+        const session = purpose === 'share' ? await storage.sessions.findById(sid) : null;
+        return isLiveSession(session) ? await storage.users.findById(session.userId) : null;
+    } catch (error) {
+        // Invalid or expired cookie, continue as anonymous
+        return null;
+    }
+};
+
+// Shared links only prefill the board picker, so anyone can share them.
+// Files are stored, which takes a signed-in user; without one a file is
+// refused before any of it is written.
+const receiveSharedText = multer({ limits: { files: 0 } }).none();
+
+app.post('/share', limitShares, async (req, res) => {
+    let user;
+    try {
+        user = await getSharingUser(req);
+    } catch (error) {
+        console.error('Error identifying sharer:', error);
+        return res.redirect('/?shareError=upload-failed');
+    }
+    
+    const receive = user ? upload.single('file') : receiveSharedText;
+    receive(req, res, async (uploadError) => {
+        if (uploadError) {
+            console.error('Error receiving shared file:', uploadError.message);
+            const reason = uploadError.code === 'LIMIT_FILE_SIZE' ? 'too-large' : user ? 'upload-failed' : 'sign-in';
+            return res.redirect(`/?shareError=${reason}`);
+        }
+        
+        try {
+            const { title, text, url } = req.body;
+            
+            // Shared video files wait as pending uploads for the board picker
+            if (req.file) {
+                const pending = await createUpload(req.file, title, user);
+                return res.redirect(`/?upload=${pending.id}`);
+            }
+            
+            const sharedUrl = url || text;
+            
+            if (sharedUrl) {
+                // Redirect to frontend with shared content
+                res.redirect(`/?url=${encodeURIComponent(sharedUrl)}`);
+            } else {
+                res.redirect('/');
+            }
+        } catch (error) {
+            console.error('Error handling shared content:', error);
+            res.redirect('/?shareError=upload-failed');
+        } finally {
+            if (req.file) {
+                fs.promises.rm(req.file.path, { force: true }).catch(() => {});
+            }
+        }
+    });
+});
+
+// A pending upload, if it is still waiting and was shared by user. Others
+// are told it doesn't exist.
+const findPendingUpload = async (id, user) => {
+    const pending = await storage.uploads.findById(id);
+    
+    if (!pending || !user || pending.userId !== user.id || new Date(pending.expiresAt) <= new Date()) {
+        return null;
+    }
+    return pending;
+};
+
+// Get a pending shared file for the share-target preview
+const getUpload = async (req, res) => {
+    try {
+        const pending = await findPendingUpload(req.params.id, req.user);
+        
+        if (!pending) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+        
+        res.json({
+            id: pending.id,
+            title: pending.title,
+            platform: 'Upload',
+            size: pending.media.size,
+            thumbnail: pending.poster ? `/api/uploads/${pending.id}/thumbnail` : null
+        });
+        
+    } catch (error) {
+        console.error('Error fetching upload:', error);
+        res.status(500).json({ error: 'Failed to fetch upload' });
+    }
+};
+app.get('/api/v1/uploads/:id', authenticateToken, requireScope('videos:read'), validateRequest('getUpload'), getUpload);
+
+// Poster of a pending shared file
+app.get('/api/uploads/:id/thumbnail', async (req, res) => {
+    try {
+        const user = await getOptionalUser(req, { allowQueryToken: true, scope: 'videos:read' });
+        const pending = await findPendingUpload(req.params.id, user);
+        
+        if (!pending) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+        
+        await sendImage(req, res, pending.poster);
+        
+    } catch (error) {
+        console.error('Error fetching upload thumbnail:', error);
+        res.status(500).json({ error: 'Failed to fetch thumbnail' });
+    }
+});
+
+// Save a pending shared file to a board as an uploaded video
+const saveUpload = async (req, res) => {
+    try {
+        const { boardId } = req.body;
+        
+        const pending = await findPendingUpload(req.params.id, req.user);
+        
+        if (!pending) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+        
+        const board = await storage.boards.findById(boardId);
+        
+        if (!board) {
+            return res.status(404).json({ error: 'Board not found' });
+        }
+        
+        if (!canEdit(await boardRole(board, req.user))) {
+            return res.status(403).json({ error: 'Access denied to board' });
+        }
+        
+        const videoId = uuidv4();
+        const video = await storage.videos.create({
+            id: videoId,
+            url: null,
+            platform: 'Upload',
+            title: pending.title,
+            thumbnail: pending.poster ? `/api/videos/${videoId}/thumbnail` : null,
+            duration: null,
+            status: 'ready',
+            error: null,
+            media: pending.media,
+            poster: pending.poster,
+            downloadUrl: `/api/videos/${videoId}/download`,
+            addedAt: new Date()
+        });
+        
+        await linkVideo(video, boardId);
+        // The media now belongs to the video
+        await storage.uploads.delete(pending.id);
+        
+        res.json(video);
+        
+    } catch (error) {
+        console.error('Error saving upload:', error);
+        res.status(500).json({ error: 'Failed to save upload' });
+    }
+};
+app.post('/api/v1/uploads/:id/save', authenticateToken, requireScope('videos:write'), validateRequest('saveUpload'), saveUpload);
+
+// Get video information. Fetching the link is done for signed-in users only,
+// so the server can't be used as an open proxy
+const getVideoInfo = async (req, res) => {
+    try {
+        const { url } = req.body;
+        
+        const videoInfo = await extractVideoInfo(url, { fetchText: app.locals.fetchText });
+        
+        // Links saved before preview with the poster rendered from the download
+        const saved = await storage.videos.findByCanonicalKey(videoInfo.canonicalKey);
+        if (saved && saved.poster && await canViewVideo(saved, req.user)) {
+            videoInfo.thumbnail = saved.thumbnail;
+        }
+        
+        res.json(videoInfo);
+        
+    } catch (error) {
+        console.error('Error getting video info:', error);
+        res.status(500).json({ error: 'Failed to get video information' });
+    }
+};
+app.post('/api/v1/videos/info', authenticateToken, requireScope('videos:read'), validateRequest('getVideoInfo'), getVideoInfo);
+
+// Boards the user owns or was invited to, each with the user's role on it,
+// newest first. Returns { boards, next, prev }.
+async function listBoards(req, res) {
+    const page = readPage(req, isBoardKey);
+    
+    if (!page) {
+        throw new ApiError(400, 'Invalid cursor');
+    }
+    
+    const memberships = await storage.boardMembers.listByEmail(normalizeEmail(req.user.email));
+    const roles = new Map(memberships.map(member => [member.boardId, member.role]));
+    
+    const result = await storage.boards.pageByUser(req.user.id, page, [...roles.keys()]);
+    const { next, prev } = pageLinks(req, res, page, result, boardKey);
+    const boards = result.items.map(board => ({
+        ...board,
+        role: board.userId === req.user.id ? 'owner' : roles.get(board.id)
+    }));
+    
+    return { boards, next, prev };
+}
+
+// Create a board owned by user, from fields the createBoard operation accepts
+async function createBoard(user, { title, description, isPublic }) {
+    return storage.boards.create({
+        id: uuidv4(),
+        userId: user.id,
+        title: title.trim(),
+        description: description || '',
+        isPublic: isPublic || false,
+        cover: null,
+        createdAt: new Date()
+    });
+}
+
+// A board the request may see: it is public, the user owns or was invited to
+// it, or the request carries one of its share links. Routes without
+// authenticateToken look the user up from an optional token with scope.
+// Returns { board, role }.
+async function findViewableBoard(req, boardId, scope) {
+    const board = await storage.boards.findById(boardId);
+    
+    if (!board) {
+        throw new ApiError(404, 'Board not found');
+    }
+    
+    const user = req.user || await getOptionalUser(req, { scope });
+    const role = await boardRole(board, user);
+    
+    if (!role && !(await canViewBoard(board, null, await getShareLink(req)))) {
+        throw new ApiError(403, 'Access denied. Board is private.');
+    }
+    
+    return { board, role };
+}
+
+// A page of the videos on a board, in board order. Returns
+// { videos, next, prev }.
+async function pageBoardVideos(req, res, boardId) {
+    const page = readPage(req, isVideoKey);
+    
+    if (!page) {
+        throw new ApiError(400, 'Invalid cursor');
+    }
+    
+    if (!page.after && !page.before) {
+        await assignMissingPositions(boardId);
+    }
+    const result = await storage.videos.pageByBoard(boardId, page);
+    const { next, prev } = pageLinks(req, res, page, result, videoKey);
+    
+    return { videos: result.items, next, prev };
+}
+
+// Save the video at url, an http(s) URL, to a board the user can edit. A clip
+// saved before is reused rather than stored twice.
+async function saveVideoToBoard(user, boardId, url) {
+    const board = await storage.boards.findById(boardId);
+    
+    if (!board) {
+        throw new ApiError(404, 'Board not found');
+    }
+    
+    if (!canEdit(await boardRole(board, user))) {
+        throw new ApiError(403, 'Access denied to board');
+    }
+    
+    const video = await findOrCreateVideo(url);
+    await linkVideo(video, boardId);
+    return video;
+}
+
+// The user's own boards and those shared with them
+app.get('/api/v1/boards', authenticateToken, requireScope('boards:read'), validateRequest('listBoards'), async (req, res) => {
+    try {
+        res.json(await listBoards(req, res));
+        
+    } catch (error) {
+        if (error instanceof ApiError) return sendApiError(res, error);
+        console.error('Error fetching boards:', error);
+        res.status(500).json({ error: 'Failed to fetch boards' });
+    }
+});
+
+// Create board
+app.post('/api/v1/boards', authenticateToken, requireScope('boards:write'), validateRequest('createBoard'), async (req, res) => {
+    try {
+        const { title, description, isPublic } = req.body;
+        const board = await createBoard(req.user, { title, description, isPublic });
+        res.status(201).json({ ...board, role: 'owner' });
+        
+    } catch (error) {
+        if (error instanceof ApiError) return sendApiError(res, error);
+        console.error('Error creating board:', error);
+        res.status(500).json({ error: 'Failed to create board' });
+    }
+});
+
+// A board with the user's role on it (null for visitors)
+app.get('/api/v1/boards/:id', validateRequest('getBoard'), async (req, res) => {
+    try {
+        const { board, role } = await findViewableBoard(req, req.params.id, 'boards:read');
+        res.json({ ...board, role });
+        
+    } catch (error) {
+        if (error instanceof ApiError) return sendApiError(res, error);
+        console.error('Error fetching board:', error);
+        res.status(500).json({ error: 'Failed to fetch board' });
+    }
+});
+
+// Videos on a board, paged with the Link header
+app.get('/api/v1/boards/:id/videos', validateRequest('listBoardVideos'), async (req, res) => {
+    try {
+        const { board } = await findViewableBoard(req, req.params.id, 'videos:read');
+        res.json(await pageBoardVideos(req, res, board.id));
+        
+    } catch (error) {
+        if (error instanceof ApiError) return sendApiError(res, error);
+        console.error('Error fetching board videos:', error);
+        res.status(500).json({ error: 'Failed to fetch videos' });
+    }
+});
+
+// Save a video to a board
+app.post('/api/v1/boards/:id/videos', authenticateToken, requireScope('videos:write'), validateRequest('saveVideo'), async (req, res) => {
+    try {
+        const video = await saveVideoToBoard(req.user, req.params.id, req.body.url);
+        res.status(201).json(video);
+        
+    } catch (error) {
+        if (error instanceof ApiError) return sendApiError(res, error);
+        console.error('Error saving video:', error);
+        res.status(500).json({ error: 'Failed to save video' });
+    }
+});
+
+// Update a board's title, description, privacy or cover
+const updateBoard = async (req, res) => {
+    try {
+        const board = await storage.boards.findById(req.params.id);
+        
+        if (!board) {
+            return res.status(404).json({ error: 'Board not found' });
+        }
+        
+        if (board.userId !== req.user.id) {
+            return res.status(403).json({ error: 'Access denied to board' });
+        }
+        
+        const { title, description, isPublic, cover } = req.body;
+        const changes = {};
+        
+        if (title !== undefined) {
+            changes.title = title.trim();
+        }
+        
+        if (description !== undefined) {
+            changes.description = description || '';
+        }
+        
+        if (isPublic !== undefined) {
+            changes.isPublic = isPublic;
+        }
+        
+        // The cover is the id of one of the board's videos, or null for none
+        if (cover !== undefined) {
+            if (cover !== null) {
+                const links = typeof cover === 'string' ? await storage.videoBoards.listByVideo(cover) : [];
+                if (!links.some(link => link.boardId === board.id)) {
+                    return res.status(400).json({ error: 'Cover video must be on the board' });
+                }
+            }
+            changes.cover = cover;
+        }
+        
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
+        
+        const updatedBoard = await storage.boards.update(board.id, changes);
+        res.json(updatedBoard);
+        
+    } catch (error) {
+        console.error('Error updating board:', error);
+        res.status(500).json({ error: 'Failed to update board' });
+    }
+};
+app.patch('/api/v1/boards/:id', authenticateToken, requireScope('boards:write'), validateRequest('updateBoard'), updateBoard);
+
+// Delete a board. Videos that are on another board stay there either way.
+// Those left on no board are deleted with their media at once with
+// ?cascade=true; by default the deletion is delayed: they are marked orphaned
+// and the sweeper deletes them after ORPHAN_GRACE_DAYS, unless they are saved
+// to a board again before then.
+const deleteBoard = async (req, res) => {
+    try {
+        const board = await storage.boards.findById(req.params.id);
+        
+        if (!board) {
+            return res.status(404).json({ error: 'Board not found' });
+        }
+        
+        if (board.userId !== req.user.id) {
+            return res.status(403).json({ error: 'Access denied to board' });
+        }
+        
+        const links = await storage.videoBoards.listByBoard(board.id);
+        await storage.videoBoards.deleteByBoard(board.id);
+        await storage.boardMembers.deleteByBoard(board.id);
+        await storage.shareLinks.deleteByBoard(board.id);
+        await storage.boards.delete(board.id);
+        
+        let deletedVideos = 0;
+        if (req.query.cascade === 'true') {
+            for (const { videoId } of links) {
+                const video = await storage.videos.findById(videoId);
+                const otherLinks = await storage.videoBoards.listByVideo(videoId);
+                
+                if (video && otherLinks.length === 0) {
+                    await deleteVideo(video);
+                    deletedVideos++;
+                }
+            }
+        } else {
+            for (const { videoId } of links) {
+                await markIfOrphaned(videoId);
+            }
+        }
+        
+        res.json({
+            message: 'Board deleted successfully',
+            deletedVideos
+        });
+        
+    } catch (error) {
+        console.error('Error deleting board:', error);
+        res.status(500).json({ error: 'Failed to delete board' });
+    }
+};
+app.delete('/api/v1/boards/:id', authenticateToken, requireScope('boards:write'), validateRequest('deleteBoard'), deleteBoard);
+
+// Move a video on a board to just after another one (after: null moves it to
+// the front). Only the moved link is rewritten unless the board needs
+// renumbering.
+const reorderBoard = async (req, res) => {
+    try {
+        const board = await storage.boards.findById(req.params.id);
+        
+        if (!board) {
+            return res.status(404).json({ error: 'Board not found' });
+        }
+        
+        if (!canEdit(await boardRole(board, req.user))) {
+            return res.status(403).json({ error: 'Access denied to board' });
+        }
+        
+        const { videoId, after = null } = req.body;
+        
+        const videos = await storage.videos.listByBoard(board.id);
+        const moving = videos.find(video => video.id === videoId);
+        
+        if (!moving) {
+            return res.status(404).json({ error: 'Video not found on board' });
+        }
+        
+        const others = videos.filter(video => video.id !== videoId);
+        const index = after === null ? 0 : others.findIndex(video => video.id === after) + 1;
+        
+        if (index === 0 && after !== null) {
+            return res.status(400).json({ error: 'after must be another video on the board' });
+        }
+        
+        const previous = others[index - 1];
+        const next = others[index];
+        let position = rankBetween(previous && previous.position, next && next.position);
+        
+        // Boards saved before ordering existed, or whose neighbours are too
+        // close to split, are renumbered once
+        const renumber = videos.some(video => video.position === null) ||
+            Boolean(previous && next && next.position - previous.position < MIN_GAP);
+        
+        if (renumber) {
+            const ordered = [...others.slice(0, index), moving, ...others.slice(index)];
+            for (const [i, video] of ordered.entries()) {
+                await storage.videoBoards.update(video.id, board.id, { position: i * GAP });
+            }
+            position = index * GAP;
+        } else {
+            await storage.videoBoards.update(videoId, board.id, { position });
+        }
+        
+        res.json({ videoId, position });
+        
+    } catch (error) {
+        console.error('Error reordering board:', error);
+        res.status(500).json({ error: 'Failed to reorder board' });
+    }
+};
+app.put('/api/v1/boards/:id/order', authenticateToken, requireScope('videos:write'), validateRequest('reorderBoard'), reorderBoard);
+
+// Set the board's tags and notes for a video on it
+const updateBoardVideo = async (req, res) => {
+    try {
+        const { boardId, videoId } = req.params;
+        const board = await storage.boards.findById(boardId);
+        
+        if (!board) {
+            return res.status(404).json({ error: 'Board not found' });
+        }
+        
+        if (!canEdit(await boardRole(board, req.user))) {
+            return res.status(403).json({ error: 'Access denied to board' });
+        }
+        
+        const { tags, notes } = req.body;
+        const changes = {};
+        
+        if (tags !== undefined) {
+            changes.tags = normalizeTags(tags);
+            if (!changes.tags) {
+                return res.status(400).json({
+                    error: `tags must be a list of up to ${MAX_TAGS} tags of at most ${MAX_TAG_LENGTH} characters`
+                });
+            }
+        }
+        
+        if (notes !== undefined) {
+            changes.notes = notes || '';
+        }
+        
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
+        
+        const link = await storage.videoBoards.update(videoId, boardId, changes);
+        
+        if (!link) {
+            return res.status(404).json({ error: 'Video not found on board' });
+        }
+        
+        res.json(link);
+        
+    } catch (error) {
+        console.error('Error updating video on board:', error);
+        res.status(500).json({ error: 'Failed to update video' });
+    }
+};
+app.patch('/api/v1/boards/:boardId/videos/:videoId', authenticateToken, requireScope('videos:write'), validateRequest('updateBoardVideo'), updateBoardVideo);
+
+// Take a video off one board
+const removeBoardVideo = async (req, res) => {
+    try {
+        const { boardId, videoId } = req.params;
+        const board = await storage.boards.findById(boardId);
+        
+        if (!board) {
+            return res.status(404).json({ error: 'Board not found' });
+        }
+        
+        if (!canEdit(await boardRole(board, req.user))) {
+            return res.status(403).json({ error: 'Access denied to board' });
+        }
+        
+        const links = await storage.videoBoards.listByVideo(videoId);
+        
+        if (!links.some(link => link.boardId === boardId)) {
+            return res.status(404).json({ error: 'Video not found on board' });
+        }
+        
+        await unlinkVideo(videoId, board);
+        
+        res.json({ message: 'Video removed from board successfully' });
+        
+    } catch (error) {
+        console.error('Error removing video from board:', error);
+        res.status(500).json({ error: 'Failed to remove video from board' });
+    }
+};
+app.delete('/api/v1/boards/:boardId/videos/:videoId', authenticateToken, requireScope('videos:write'), validateRequest('removeBoardVideo'), removeBoardVideo);
+
+// List a board's owner and members; anyone on the board may see who else is
+const listMembers = async (req, res) => {
+    try {
+        const board = await storage.boards.findById(req.params.id);
+        
+        if (!board) {
+            return res.status(404).json({ error: 'Board not found' });
+        }
+        
+        if (!(await boardRole(board, req.user))) {
+            return res.status(403).json({ error: 'Access denied to board' });
+        }
+        
+        const owner = await storage.users.findById(board.userId);
+        const members = await storage.boardMembers.listByBoard(board.id);
+        
+        res.json({
+            owner: owner && { id: owner.id, name: owner.name, email: owner.email },
+            members: members.map(({ email, role, createdAt }) => ({ email, role, createdAt }))
+        });
+        
+    } catch (error) {
+        console.error('Error fetching board members:', error);
+        res.status(500).json({ error: 'Failed to fetch board members' });
+    }
+};
+app.get('/api/v1/boards/:id/members', authenticateToken, requireScope('boards:read'), validateRequest('listMembers'), listMembers);
+
+// Invite someone to a board by email. They get a magic link that signs them
+// in (or up) and opens the board.
+const addMember = async (req, res) => {
+    try {
+        const board = await storage.boards.findById(req.params.id);
+        
+        if (!board) {
+            return res.status(404).json({ error: 'Board not found' });
+        }
+        
+        if (board.userId !== req.user.id) {
+            return res.status(403).json({ error: 'Access denied to board' });
+        }
+        
+        const { email, role } = req.body;
+        
+        const memberEmail = normalizeEmail(email);
+        
+        if (memberEmail === normalizeEmail(req.user.email)) {
+            return res.status(400).json({ error: 'You already own this board' });
+        }
+        
+        let member;
+        try {
+            member = await storage.boardMembers.create({
+                boardId: board.id,
+                email: memberEmail,
+                role,
+                invitedBy: req.user.id,
+                createdAt: new Date()
+            });
+        } catch (error) {
+            if (error instanceof DuplicateKeyError) {
+                return res.status(409).json({ error: 'Already a member of this board' });
+            }
+            throw error;
+        }
+        
+        const inviteToken = generateInviteToken(memberEmail, board.id);
+        await sendBoardInvite(memberEmail, board, req.user, role, inviteToken);
+        
+        res.status(201).json({
+            member: { email: member.email, role: member.role, createdAt: member.createdAt },
+            // For development and testing, include the token
+            ...(process.env.NODE_ENV !== 'production' && { token: inviteToken })
+        });
+        
+    } catch (error) {
+        console.error('Error inviting board member:', error);
+        res.status(500).json({ error: 'Failed to invite board member' });
+    }
+};
+app.post('/api/v1/boards/:id/members', authenticateToken, requireScope('boards:write'), validateRequest('addMember'), addMember);
+
+// Change a member's role
+const updateMember = async (req, res) => {
+    try {
+        const board = await storage.boards.findById(req.params.id);
+        
+        if (!board) {
+            return res.status(404).json({ error: 'Board not found' });
+        }
+        
+        if (board.userId !== req.user.id) {
+            return res.status(403).json({ error: 'Access denied to board' });
+        }
+        
+        const { role } = req.body;
+        
+        const member = await storage.boardMembers.update(board.id, normalizeEmail(req.params.email), { role });
+        
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        
+        res.json({ member: { email: member.email, role: member.role, createdAt: member.createdAt } });
+        
+    } catch (error) {
+        console.error('Error updating board member:', error);
+        res.status(500).json({ error: 'Failed to update board member' });
+    }
+};
+app.patch('/api/v1/boards/:id/members/:email', authenticateToken, requireScope('boards:write'), validateRequest('updateMember'), updateMember);
+
+// Remove a member from a board. The owner can remove anyone; members can
+// remove themselves to leave the board.
+const removeMember = async (req, res) => {
+    try {
+        const board = await storage.boards.findById(req.params.id);
+        
+        if (!board) {
+            return res.status(404).json({ error: 'Board not found' });
+        }
+        
+        const email = normalizeEmail(req.params.email);
+        
+        if (board.userId !== req.user.id && email !== normalizeEmail(req.user.email)) {
+            return res.status(403).json({ error: 'Access denied to board' });
+        }
+        
+        if (!(await storage.boardMembers.find(board.id, email))) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        
+        await storage.boardMembers.delete(board.id, email);
+        
+        res.json({ message: 'Member removed successfully' });
+        
+    } catch (error) {
+        console.error('Error removing board member:', error);
+        res.status(500).json({ error: 'Failed to remove board member' });
+    }
+};
+app.delete('/api/v1/boards/:id/members/:email', authenticateToken, requireScope('boards:write'), validateRequest('removeMember'), removeMember);
+
+// List a board's share links
+const listShareLinks = async (req, res) => {
+    try {
+        const board = await storage.boards.findById(req.params.id);
+        
+        if (!board) {
+            return res.status(404).json({ error: 'Board not found' });
+        }
+        
+        if (board.userId !== req.user.id) {
+            return res.status(403).json({ error: 'Access denied to board' });
+        }
+        
+        const shareLinks = await storage.shareLinks.listByBoard(board.id);
+        
+        res.json({ shareLinks: shareLinks.map(serializeShareLink) });
+        
+    } catch (error) {
+        console.error('Error fetching share links:', error);
+        res.status(500).json({ error: 'Failed to fetch share links' });
+    }
+};
+app.get('/api/v1/boards/:id/share-links', authenticateToken, requireScope('boards:read'), validateRequest('listShareLinks'), listShareLinks);
+
+// Create an unlisted, view-only link to a board, with an optional label and
+// expiry date
+const createShareLink = async (req, res) => {
+    try {
+        const board = await storage.boards.findById(req.params.id);
+        
+        if (!board) {
+            return res.status(404).json({ error: 'Board not found' });
         }
         
-        // Find user
-        let user;
-        if (useDatabase) {
-            user = await User.findOne({ email: decoded.email });
-        } else {
-            user = memoryUsers.find(u => u.email === decoded.email);
+        if (board.userId !== req.user.id) {
+            return res.status(403).json({ error: 'Access denied to board' });
         }
         
-        if (!user) {
-            return res.status(404).json({ error: 'User not found' });
+        const { label = '', expiresAt = null } = req.body;
+        
+        const expires = expiresAt === null ? null : new Date(expiresAt);
+        
+        if (expires && !(expires > new Date())) {
+            return res.status(400).json({ error: 'expiresAt must be a future date' });
         }
         
-        // Generate access token
-        const accessToken = generateAccessToken(user.id);
+        const shareLink = await storage.shareLinks.create({
+            id: uuidv4(),
+            boardId: board.id,
+            token: crypto.randomBytes(18).toString('base64url'),
+            label: label.trim(),
+            scope: 'view',
+            expiresAt: expires,
+            createdBy: req.user.id,
+            createdAt: new Date()
+        });
         
-        // Redirect to frontend with token
-        res.redirect(`/?token=${accessToken}`);
+        res.status(201).json(serializeShareLink(shareLink));
         
     } catch (error) {
-        console.error('Error verifying magic link:', error);
-        res.status(400).json({ error: 'Invalid or expired token' });
+        console.error('Error creating share link:', error);
+        res.status(500).json({ error: 'Failed to create share link' });
     }
-});
-
-// Get current user
-app.get('/api/user', authenticateToken, (req, res) => {
-    res.json(req.user);
-});
-
-// Handle PWA share target
-app.post('/share', upload.single('file'), (req, res) => {
-    const { title, text, url } = req.body;
-    const sharedUrl = url || text;
-    
-    if (sharedUrl) {
-        // Redirect to frontend with shared content
-        res.redirect(`/?url=${encodeURIComponent(sharedUrl)}`);
-    } else {
-        res.redirect('/');
-    }
-});
+};
+app.post('/api/v1/boards/:id/share-links', authenticateToken, requireScope('boards:write'), validateRequest('createShareLink'), createShareLink);
 
-// Get video information
-app.post('/api/video/info', async (req, res) => {
+// Revoke a share link
+const deleteShareLink = async (req, res) => {
     try {
-        const { url } = req.body;
+        const board = await storage.boards.findById(req.params.id);
         
-        if (!url) {
-            return res.status(400).json({ error: 'URL is required' });
+        if (!board) {
+            return res.status(404).json({ error: 'Board not found' });
         }
         
-        const videoInfo = extractVideoInfo(url);
-        res.json(videoInfo);
+        if (board.userId !== req.user.id) {
+            return res.status(403).json({ error: 'Access denied to board' });
+        }
+        
+        const shareLinks = await storage.shareLinks.listByBoard(board.id);
+        
+        if (!shareLinks.some(link => link.id === req.params.linkId)) {
+            return res.status(404).json({ error: 'Share link not found' });
+        }
+        
+        await storage.shareLinks.delete(req.params.linkId);
+        
+        res.json({ message: 'Share link revoked successfully' });
         
     } catch (error) {
-        console.error('Error getting video info:', error);
-        res.status(500).json({ error: 'Failed to get video information' });
+        console.error('Error revoking share link:', error);
+        res.status(500).json({ error: 'Failed to revoke share link' });
     }
-});
+};
+app.delete('/api/v1/boards/:id/share-links/:linkId', authenticateToken, requireScope('boards:write'), validateRequest('deleteShareLink'), deleteShareLink);
 
-// Create board
-app.post('/board/create', authenticateToken, async (req, res) => {
+// Open a board through a share link. The frontend then passes the token
+// along with its requests for the board and its media.
+app.get('/b/:token', async (req, res) => {
     try {
-        const { title, isPublic } = req.body;
+        const shareLink = await storage.shareLinks.findByToken(req.params.token);
         
-        if (!title) {
-            return res.status(400).json({ error: 'Board title is required' });
+        if (!shareLink || !isLive(shareLink)) {
+            return res.redirect('/?shareError=link-unavailable');
         }
         
-        const boardData = {
-            id: uuidv4(),
-            userId: req.user.id,
-            title,
-            isPublic: isPublic || false,
-            createdAt: new Date()
-        };
-        
-        if (useDatabase) {
-            const newBoard = new Board(boardData);
-            await newBoard.save();
-            res.json(newBoard);
-        } else {
-            memoryBoards.push(boardData);
-            res.json(boardData);
-        }
+        res.redirect(`/?board=${encodeURIComponent(shareLink.boardId)}&share=${encodeURIComponent(shareLink.token)}`);
         
     } catch (error) {
-        console.error('Error creating board:', error);
-        res.status(500).json({ error: 'Failed to create board' });
+        console.error('Error opening share link:', error);
+        res.redirect('/?shareError=link-unavailable');
     }
 });
 
-// Get videos on a board
-app.get('/board/:id', async (req, res) => {
+// Delete a video from all of the boards the user can edit. Other users who
+// saved the same video keep it; once it is on no board at all its media is
+// swept.
+const removeVideo = async (req, res) => {
     try {
-        const { id } = req.params;
-        
-        // Find the board
-        let board;
-        if (useDatabase) {
-            board = await Board.findOne({ id });
-        } else {
-            board = memoryBoards.find(b => b.id === id);
-        }
+        const video = await storage.videos.findById(req.params.id);
         
-        if (!board) {
-            return res.status(404).json({ error: 'Board not found' });
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
         }
         
-        // Check if board is public or user owns it
-        const authHeader = req.headers['authorization'];
-        const token = authHeader && authHeader.split(' ')[1];
-        let isOwner = false;
-        
-        if (token) {
-            try {
-                const decoded = jwt.verify(token, JWT_SECRET);
-                let user;
-                
-                if (useDatabase) {
-                    user = await User.findOne({ id: decoded.userId });
-                } else {
-                    user = memoryUsers.find(u => u.id === decoded.userId);
-                }
-                
-                if (user && user.id === board.userId) {
-                    isOwner = true;
-                }
-            } catch (error) {
-                // Invalid token, continue as anonymous
+        const editableBoards = [];
+        for (const { boardId } of await storage.videoBoards.listByVideo(video.id)) {
+            const board = await storage.boards.findById(boardId);
+            if (board && canEdit(await boardRole(board, req.user))) {
+                editableBoards.push(board);
             }
         }
         
-        if (!board.isPublic && !isOwner) {
-            return res.status(403).json({ error: 'Access denied. Board is private.' });
+        if (editableBoards.length === 0) {
+            return res.status(403).json({ error: 'Access denied to video' });
         }
         
-        // Get videos for this board
-        let videos = [];
-        if (useDatabase) {
-            const videoBoards = await VideoBoard.find({ boardId: id });
-            const videoIds = videoBoards.map(vb => vb.videoId);
-            videos = await Video.find({ id: { $in: videoIds } }).sort({ addedAt: -1 });
-        } else {
-            const videoBoards = memoryVideoBoards.filter(vb => vb.boardId === id);
-            const videoIds = videoBoards.map(vb => vb.videoId);
-            videos = memoryVideos.filter(v => videoIds.includes(v.id));
-            videos.sort((a, b) => new Date(b.addedAt) - new Date(a.addedAt));
+        for (const board of editableBoards) {
+            await unlinkVideo(video.id, board);
         }
         
         res.json({
-            board,
-            videos,
-            isOwner
+            message: 'Video deleted successfully',
+            boardIds: editableBoards.map(board => board.id)
         });
         
     } catch (error) {
-        console.error('Error fetching board:', error);
-        res.status(500).json({ error: 'Failed to fetch board' });
+        console.error('Error deleting video:', error);
+        res.status(500).json({ error: 'Failed to delete video' });
     }
-});
+};
+app.delete('/api/v1/videos/:id', authenticateToken, requireScope('videos:write'), validateRequest('removeVideo'), removeVideo);
 
 // Assign video to board(s)
-app.patch('/video/:id/assign', authenticateToken, async (req, res) => {
+const assignVideo = async (req, res) => {
     try {
         const { id } = req.params;
         const { boardIds, url } = req.body;
         
-        if (!boardIds || !Array.isArray(boardIds)) {
-            return res.status(400).json({ error: 'boardIds array is required' });
-        }
+        let video = await storage.videos.findById(id);
         
-        // Create video if it doesn't exist
-        let video;
-        if (useDatabase) {
-            video = await Video.findOne({ id });
-        } else {
-            video = memoryVideos.find(v => v.id === id);
-        }
-        
-        if (!video && url) {
-            // Create new video
-            const videoInfo = extractVideoInfo(url);
-            const videoData = {
-                id,
-                ...videoInfo,
-                status: 'processed',
-                downloadUrl: `/api/videos/${id}/download`,
-                addedAt: new Date()
-            };
-            
-            if (useDatabase) {
-                video = new Video(videoData);
-                await video.save();
-            } else {
-                memoryVideos.push(videoData);
-                video = videoData;
-            }
-        } else if (!video) {
+        if (!video && !url) {
             return res.status(404).json({ error: 'Video not found' });
         }
         
-        // Verify user owns all the boards
+        // Verify the user can edit all the boards
         for (const boardId of boardIds) {
-            let board;
-            if (useDatabase) {
-                board = await Board.findOne({ id: boardId });
-            } else {
-                board = memoryBoards.find(b => b.id === boardId);
-            }
+            const board = await storage.boards.findById(boardId);
             
             if (!board) {
                 return res.status(404).json({ error: `Board ${boardId} not found` });
             }
             
-            if (board.userId !== req.user.id) {
+            if (!canEdit(await boardRole(board, req.user))) {
                 return res.status(403).json({ error: `Access denied to board ${boardId}` });
             }
         }
         
-        // Remove existing board assignments for this video
-        if (useDatabase) {
-            await VideoBoard.deleteMany({ videoId: id });
-        } else {
-            memoryVideoBoards = memoryVideoBoards.filter(vb => vb.videoId !== id);
+        // Create video if it doesn't exist (only once the boards check out, so
+        // rejected requests don't queue downloads)
+        if (!video) {
+            video = await findOrCreateVideo(url, id);
         }
         
-        // Add new board assignments
+        const links = await storage.videoBoards.listByVideo(video.id);
+        
         for (const boardId of boardIds) {
-            const videoBoardData = {
-                videoId: id,
-                boardId
-            };
-            
-            if (useDatabase) {
-                const videoBoard = new VideoBoard(videoBoardData);
-                await videoBoard.save();
-            } else {
-                memoryVideoBoards.push(videoBoardData);
+            await linkVideo(video, boardId);
+        }
+        
+        // Replace the video's assignments on boards this user can edit. The
+        // video may also be saved on other users' boards, and those links are
+        // left alone.
+        for (const link of links) {
+            if (boardIds.includes(link.boardId)) {
+                continue;
+            }
+            const board = await storage.boards.findById(link.boardId);
+            if (board && canEdit(await boardRole(board, req.user))) {
+                await unlinkVideo(video.id, board);
             }
         }
         
@@ -520,171 +2892,173 @@ app.patch('/video/:id/assign', authenticateToken, async (req, res) => {
         });
         
     } catch (error) {
+        if (error instanceof ApiError) return sendApiError(res, error);
         console.error('Error assigning video to boards:', error);
         res.status(500).json({ error: 'Failed to assign video to boards' });
     }
-});
-
-// Legacy endpoints for backward compatibility
-
-// Get boards (now requires authentication)
-app.get('/api/boards', authenticateToken, async (req, res) => {
-    try {
-        if (useDatabase) {
-            const boards = await Board.find({ userId: req.user.id }).sort({ createdAt: -1 });
-            res.json(boards);
-        } else {
-            const userBoards = memoryBoards.filter(b => b.userId === req.user.id);
-            res.json(userBoards);
-        }
-    } catch (error) {
-        console.error('Error fetching boards:', error);
-        res.status(500).json({ error: 'Failed to fetch boards' });
-    }
-});
+};
+app.put('/api/v1/videos/:id/boards', authenticateToken, requireScope('videos:write'), validateRequest('assignVideo'), assignVideo);
 
-// Create board (legacy)
-app.post('/api/boards', authenticateToken, async (req, res) => {
+// Stream a video's downloaded media. Supports Range requests so the browser
+// <video> element can seek.
+app.get('/api/videos/:id/download', async (req, res) => {
     try {
-        const { name, description } = req.body;
+        const video = await storage.videos.findById(req.params.id);
         
-        if (!name) {
-            return res.status(400).json({ error: 'Board name is required' });
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
         }
         
-        const boardData = {
-            id: uuidv4(),
-            userId: req.user.id,
-            title: name, // Map legacy 'name' to 'title'
-            isPublic: false,
-            createdAt: new Date()
-        };
+        const user = await getOptionalUser(req, { allowQueryToken: true, scope: 'videos:read' });
+        if (!(await canViewVideo(video, user, await getShareLink(req)))) {
+            return res.status(403).json({ error: 'Access denied to video' });
+        }
         
-        if (useDatabase) {
-            const newBoard = new Board(boardData);
-            await newBoard.save();
-            res.json(newBoard);
-        } else {
-            memoryBoards.push(boardData);
-            res.json(boardData);
+        if (video.status !== 'ready' || !video.media) {
+            return res.status(409).json({ error: 'Video is not ready', status: video.status });
         }
         
-    } catch (error) {
-        console.error('Error creating board:', error);
-        res.status(500).json({ error: 'Failed to create board' });
-    }
-});
-
-// Save video to board (legacy)
-app.post('/api/videos', authenticateToken, async (req, res) => {
-    try {
-        const { url, boardId } = req.body;
+        const mediaStore = getMediaStore();
         
-        if (!url || !boardId) {
-            return res.status(400).json({ error: 'URL and boardId are required' });
+        if (MEDIA_REDIRECT) {
+            const signedUrl = await mediaStore.signedUrl(video.media.key, { expiresIn: 3600 });
+            if (signedUrl) {
+                return res.redirect(signedUrl);
+            }
         }
         
-        // Find the board and verify ownership
-        let board;
-        if (useDatabase) {
-            board = await Board.findOne({ id: boardId });
-        } else {
-            board = memoryBoards.find(b => b.id === boardId);
+        const stat = await mediaStore.stat(video.media.key);
+        if (!stat) {
+            return res.status(404).json({ error: 'Video file not found' });
         }
         
-        if (!board) {
-            return res.status(404).json({ error: 'Board not found' });
-        }
+        const { size } = stat;
+        const etag = `"${crypto.createHash('sha1').update(`${video.media.key}:${size}`).digest('hex')}"`;
+        res.set({
+            'Accept-Ranges': 'bytes',
+            'Content-Type': video.media.contentType,
+            'ETag': etag,
+            'Cache-Control': 'private, max-age=3600'
+        });
         
-        if (board.userId !== req.user.id) {
-            return res.status(403).json({ error: 'Access denied to board' });
+        if (req.fresh) {
+            return res.status(304).end();
         }
         
-        // Process the video
-        const videoInfo = extractVideoInfo(url);
-        const videoData = {
-            id: uuidv4(),
-            ...videoInfo,
-            status: 'processed',
-            downloadUrl: `/api/videos/${videoInfo.id}/download`,
-            addedAt: new Date()
-        };
+        let start = 0;
+        let end = size - 1;
+        const ifRange = req.headers['if-range'];
         
-        if (useDatabase) {
-            const newVideo = new Video(videoData);
-            await newVideo.save();
+        if (req.headers.range && (!ifRange || ifRange === etag)) {
+            const ranges = req.range(size);
             
-            // Create video-board relationship
-            const videoBoard = new VideoBoard({
-                videoId: videoData.id,
-                boardId
-            });
-            await videoBoard.save();
+            if (ranges === -1) {
+                res.set('Content-Range', `bytes */${size}`);
+                return res.status(416).end();
+            }
             
-            res.json(newVideo);
-        } else {
-            memoryVideos.push(videoData);
-            memoryVideoBoards.push({
-                videoId: videoData.id,
-                boardId
-            });
-            res.json(videoData);
+            // Malformed or multi-part ranges get the whole file
+            if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+                ({ start, end } = ranges[0]);
+                res.status(206);
+                res.set('Content-Range', `bytes ${start}-${end}/${size}`);
+            }
+        }
+        
+        res.set('Content-Length', String(end - start + 1));
+        
+        if (req.method === 'HEAD') {
+            return res.end();
         }
         
+        const stream = await mediaStore.stream(video.media.key, { start, end });
+        stream
+            .on('error', (error) => {
+                console.error('Error streaming video:', error);
+                res.destroy(error);
+            })
+            .pipe(res);
+        
     } catch (error) {
-        console.error('Error saving video:', error);
-        res.status(500).json({ error: 'Failed to save video' });
+        console.error('Error downloading video:', error);
+        res.status(500).json({ error: 'Failed to download video' });
     }
 });
 
-// Get videos for a board (legacy)
-app.get('/api/boards/:boardId/videos', authenticateToken, async (req, res) => {
+// Poster image of a video, or its animated preview with ?variant=preview
+app.get('/api/videos/:id/thumbnail', async (req, res) => {
     try {
-        const { boardId } = req.params;
+        const video = await storage.videos.findById(req.params.id);
         
-        // Find the board and verify ownership
-        let board;
-        if (useDatabase) {
-            board = await Board.findOne({ id: boardId });
-        } else {
-            board = memoryBoards.find(b => b.id === boardId);
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
         }
         
-        if (!board) {
-            return res.status(404).json({ error: 'Board not found' });
+        const user = await getOptionalUser(req, { allowQueryToken: true, scope: 'videos:read' });
+        if (!(await canViewVideo(video, user, await getShareLink(req)))) {
+            return res.status(403).json({ error: 'Access denied to video' });
         }
         
-        if (board.userId !== req.user.id && !board.isPublic) {
-            return res.status(403).json({ error: 'Access denied to board' });
-        }
+        await sendImage(req, res, req.query.variant === 'preview' ? video.preview : video.poster);
         
-        // Get videos for this board
-        let videos = [];
-        if (useDatabase) {
-            const videoBoards = await VideoBoard.find({ boardId });
-            const videoIds = videoBoards.map(vb => vb.videoId);
-            videos = await Video.find({ id: { $in: videoIds } }).sort({ addedAt: -1 });
-        } else {
-            const videoBoards = memoryVideoBoards.filter(vb => vb.boardId === boardId);
-            const videoIds = videoBoards.map(vb => vb.videoId);
-            videos = memoryVideos.filter(v => videoIds.includes(v.id));
-            videos.sort((a, b) => new Date(b.addedAt) - new Date(a.addedAt));
+    } catch (error) {
+        console.error('Error fetching thumbnail:', error);
+        res.status(500).json({ error: 'Failed to fetch thumbnail' });
+    }
+});
+
+// Search the videos on the user's own and shared boards by title, author,
+// tags and notes. Every filter is optional: q (text), tag, platform and board
+// (a board id).
+const searchVideos = async (req, res) => {
+    try {
+        const { q, tag, platform, board: boardId } = req.query;
+        const limit = pageSize(req);
+        
+        let boardIds = [
+            ...(await storage.boards.listByUser(req.user.id)).map(board => board.id),
+            ...await sharedBoardIds(req.user)
+        ];
+        
+        if (boardId) {
+            const board = await storage.boards.findById(boardId);
+            
+            if (!board) {
+                return res.status(404).json({ error: 'Board not found' });
+            }
+            
+            if (!(await boardRole(board, req.user))) {
+                return res.status(403).json({ error: 'Access denied to board' });
+            }
+            
+            boardIds = [board.id];
         }
         
-        res.json(videos);
+        const normalizedTag = typeof tag === 'string' ? normalizeTags([tag]) : null;
+        
+        const results = await storage.videoBoards.search({
+            boardIds,
+            text: typeof q === 'string' ? q.trim() : '',
+            tag: normalizedTag && normalizedTag[0],
+            platform: typeof platform === 'string' ? platform : null,
+            limit
+        });
+        
+        res.json({ results });
         
     } catch (error) {
-        console.error('Error fetching board videos:', error);
-        res.status(500).json({ error: 'Failed to fetch videos' });
+        console.error('Error searching videos:', error);
+        res.status(500).json({ error: 'Failed to search videos' });
     }
-});
+};
+app.get('/api/v1/search', authenticateToken, requireScope('videos:read'), validateRequest('searchVideos'), searchVideos);
 
 // Health check
-app.get('/api/health', (req, res) => {
+const healthCheck = (req, res) => {
     res.json({ 
         status: 'OK', 
         timestamp: new Date().toISOString(),
-        database: useDatabase ? 'MongoDB' : 'In-Memory',
+        database: storage.name,
         environment: process.env.NODE_ENV || 'development',
         features: {
             authentication: true,
@@ -693,34 +3067,215 @@ app.get('/api/health', (req, res) => {
             permissions: true
         }
     });
+};
+app.get('/api/v1/health', validateRequest('healthCheck'), healthCheck);
+
+// API reference, rendered once from the OpenAPI document
+const apiDocs = openapi.renderDocs();
+app.get('/api/docs', (req, res) => {
+    res.type('html').send(apiDocs);
+});
+app.get('/api/docs/openapi.json', (req, res) => {
+    res.json(openapi.document);
+});
+
+// Legacy endpoints. Paths from before /api/v1 keep answering as they did,
+// in front of the same handlers, with Deprecation and Sunset headers.
+
+// Create board
+app.post('/board/create', legacy('POST /api/v1/boards'), authenticateToken, requireScope('boards:write'), validateRequest('createBoard'), async (req, res) => {
+    try {
+        const { title, description, isPublic } = req.body;
+        res.json(await createBoard(req.user, { title, description, isPublic }));
+        
+    } catch (error) {
+        if (error instanceof ApiError) return sendApiError(res, error);
+        console.error('Error creating board:', error);
+        res.status(500).json({ error: 'Failed to create board' });
+    }
+});
+
+// A board together with its first page of videos
+app.get('/board/:id', legacy('GET /api/v1/boards/:id'), async (req, res) => {
+    try {
+        const { board, role } = await findViewableBoard(req, req.params.id, 'boards:read');
+        const { videos, next, prev } = await pageBoardVideos(req, res, board.id);
+        
+        res.json({
+            board,
+            videos,
+            isOwner: role === 'owner',
+            role,
+            next,
+            prev
+        });
+        
+    } catch (error) {
+        if (error instanceof ApiError) return sendApiError(res, error);
+        console.error('Error fetching board:', error);
+        res.status(500).json({ error: 'Failed to fetch board' });
+    }
+});
+
+// Boards as a plain list, paged through the Link header
+app.get('/api/boards', legacy('GET /api/v1/boards'), authenticateToken, requireScope('boards:read'), async (req, res) => {
+    try {
+        const { boards } = await listBoards(req, res);
+        res.json(boards);
+        
+    } catch (error) {
+        if (error instanceof ApiError) return sendApiError(res, error);
+        console.error('Error fetching boards:', error);
+        res.status(500).json({ error: 'Failed to fetch boards' });
+    }
+});
+
+// Create board, with the title called name
+app.post('/api/boards', legacy('POST /api/v1/boards'), authenticateToken, requireScope('boards:write'), async (req, res) => {
+    try {
+        const { name, description } = req.body;
+        
+        if (typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({ error: 'Board name is required' });
+        }
+        
+        res.json(await createBoard(req.user, {
+            title: name,
+            description: typeof description === 'string' ? description : undefined
+        }));
+        
+    } catch (error) {
+        if (error instanceof ApiError) return sendApiError(res, error);
+        console.error('Error creating board:', error);
+        res.status(500).json({ error: 'Failed to create board' });
+    }
+});
+
+// Save video to board, with the board in the body
+app.post('/api/videos', legacy('POST /api/v1/boards/:id/videos'), authenticateToken, requireScope('videos:write'), async (req, res) => {
+    try {
+        const { url, boardId } = req.body;
+        
+        if (!url || !boardId) {
+            return res.status(400).json({ error: 'URL and boardId are required' });
+        }
+        
+        if (!openapi.isWebUrl(url)) {
+            return res.status(400).json({ error: 'url must be an http(s) URL' });
+        }
+        
+        res.json(await saveVideoToBoard(req.user, boardId, url));
+        
+    } catch (error) {
+        if (error instanceof ApiError) return sendApiError(res, error);
+        console.error('Error saving video:', error);
+        res.status(500).json({ error: 'Failed to save video' });
+    }
+});
+
+// Videos on a board as a plain list, paged through the Link header
+app.get('/api/boards/:boardId/videos', legacy('GET /api/v1/boards/:id/videos'), authenticateToken, requireScope('videos:read'), async (req, res) => {
+    try {
+        const { board } = await findViewableBoard(req, req.params.boardId);
+        const { videos } = await pageBoardVideos(req, res, board.id);
+        res.json(videos);
+        
+    } catch (error) {
+        if (error instanceof ApiError) return sendApiError(res, error);
+        console.error('Error fetching board videos:', error);
+        res.status(500).json({ error: 'Failed to fetch videos' });
+    }
 });
 
+// Endpoints whose answers didn't change
+app.get('/api/user', legacy('GET /api/v1/user'), authenticateToken, validateRequest('getCurrentUser'), getCurrentUser);
+app.get('/api/sessions', legacy('GET /api/v1/sessions'), authenticateToken, requireSession, validateRequest('listSessions'), listSessions);
+app.delete('/api/sessions/:id', legacy('DELETE /api/v1/sessions/:id'), authenticateToken, requireSession, validateRequest('deleteSession'), deleteSession);
+app.get('/api/tokens', legacy('GET /api/v1/tokens'), authenticateToken, requireSession, validateRequest('listAccessTokens'), listAccessTokens);
+app.post('/api/tokens', legacy('POST /api/v1/tokens'), authenticateToken, requireSession, validateRequest('createAccessToken'), createAccessToken);
+app.delete('/api/tokens/:id', legacy('DELETE /api/v1/tokens/:id'), authenticateToken, requireSession, validateRequest('deleteAccessToken'), deleteAccessToken);
+app.post('/api/passkeys/register/options', legacy('POST /api/v1/passkeys/register/options'), authenticateToken, requireSession, validateRequest('startPasskeyRegistration'), startPasskeyRegistration);
+app.get('/api/passkeys', legacy('GET /api/v1/passkeys'), authenticateToken, requireSession, validateRequest('listPasskeys'), listPasskeys);
+app.post('/api/passkeys', legacy('POST /api/v1/passkeys'), authenticateToken, requireSession, validateRequest('registerPasskey'), registerPasskey);
+app.patch('/api/passkeys/:id', legacy('PATCH /api/v1/passkeys/:id'), authenticateToken, requireSession, validateRequest('renamePasskey'), renamePasskey);
+app.delete('/api/passkeys/:id', legacy('DELETE /api/v1/passkeys/:id'), authenticateToken, requireSession, validateRequest('deletePasskey'), deletePasskey);
+app.get('/api/uploads/:id', legacy('GET /api/v1/uploads/:id'), authenticateToken, requireScope('videos:read'), validateRequest('getUpload'), getUpload);
+app.post('/api/uploads/:id/save', legacy('POST /api/v1/uploads/:id/save'), authenticateToken, requireScope('videos:write'), validateRequest('saveUpload'), saveUpload);
+app.post('/api/video/info', legacy('POST /api/v1/videos/info'), authenticateToken, requireScope('videos:read'), validateRequest('getVideoInfo'), getVideoInfo);
+app.patch('/board/:id', legacy('PATCH /api/v1/boards/:id'), authenticateToken, requireScope('boards:write'), validateRequest('updateBoard'), updateBoard);
+app.delete('/board/:id', legacy('DELETE /api/v1/boards/:id'), authenticateToken, requireScope('boards:write'), validateRequest('deleteBoard'), deleteBoard);
+app.put('/board/:id/order', legacy('PUT /api/v1/boards/:id/order'), authenticateToken, requireScope('videos:write'), validateRequest('reorderBoard'), reorderBoard);
+app.patch('/board/:boardId/videos/:videoId', legacy('PATCH /api/v1/boards/:boardId/videos/:videoId'), authenticateToken, requireScope('videos:write'), validateRequest('updateBoardVideo'), updateBoardVideo);
+app.delete('/board/:boardId/videos/:videoId', legacy('DELETE /api/v1/boards/:boardId/videos/:videoId'), authenticateToken, requireScope('videos:write'), validateRequest('removeBoardVideo'), removeBoardVideo);
+app.get('/board/:id/members', legacy('GET /api/v1/boards/:id/members'), authenticateToken, requireScope('boards:read'), validateRequest('listMembers'), listMembers);
+app.post('/board/:id/members', legacy('POST /api/v1/boards/:id/members'), authenticateToken, requireScope('boards:write'), validateRequest('addMember'), addMember);
+app.patch('/board/:id/members/:email', legacy('PATCH /api/v1/boards/:id/members/:email'), authenticateToken, requireScope('boards:write'), validateRequest('updateMember'), updateMember);
+app.delete('/board/:id/members/:email', legacy('DELETE /api/v1/boards/:id/members/:email'), authenticateToken, requireScope('boards:write'), validateRequest('removeMember'), removeMember);
+app.get('/board/:id/share-links', legacy('GET /api/v1/boards/:id/share-links'), authenticateToken, requireScope('boards:read'), validateRequest('listShareLinks'), listShareLinks);
+app.post('/board/:id/share-links', legacy('POST /api/v1/boards/:id/share-links'), authenticateToken, requireScope('boards:write'), validateRequest('createShareLink'), createShareLink);
+app.delete('/board/:id/share-links/:linkId', legacy('DELETE /api/v1/boards/:id/share-links/:linkId'), authenticateToken, requireScope('boards:write'), validateRequest('deleteShareLink'), deleteShareLink);
+app.delete('/video/:id', legacy('DELETE /api/v1/videos/:id'), authenticateToken, requireScope('videos:write'), validateRequest('removeVideo'), removeVideo);
+app.patch('/video/:id/assign', legacy('PUT /api/v1/videos/:id/boards'), authenticateToken, requireScope('videos:write'), validateRequest('assignVideo'), assignVideo);
+app.get('/api/search', legacy('GET /api/v1/search'), authenticateToken, requireScope('videos:read'), validateRequest('searchVideos'), searchVideos);
+app.get('/api/health', legacy('GET /api/v1/health'), validateRequest('healthCheck'), healthCheck);
+
+// Paths under /api/v1 that no route answers
+app.use('/api/v1', notFound);
+
 // Serve frontend for all other routes (SPA)
 app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, '../frontend/index.html'));
 });
 
-// Error handling middleware
+// Error handling middleware. Bodies that don't parse are the client's to fix.
 app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Request body is not valid JSON' });
+    }
+    if (error.expose && error.status >= 400 && error.status < 500) {
+        return res.status(error.status).json({ error: error.message });
+    }
     console.error('Unhandled error:', error);
     res.status(500).json({ error: 'Internal server error' });
 });
 
 // Start server
 async function startServer() {
-    useDatabase = await connectDB();
+    if (process.env.NODE_ENV === 'production' && !process.env.APP_URL) {
+        console.error('APP_URL is required in production, for the links in emails');
+        process.exit(1);
+    }
+    
+    await storageReady;
+    await jobQueue.start();
+    await mailQueue.start();
+    setInterval(() => {
+        cleanupExpiredUploads().catch(error => console.error('Error cleaning up uploads:', error));
+        sweepOrphanedVideos().catch(error => console.error('Error sweeping orphaned videos:', error));
+        pruneFinishedJobs().catch(error => console.error('Error pruning finished jobs:', error));
+    }, 60 * 60 * 1000).unref();
     
     const server = app.listen(PORT, () => {
         console.log(`Shortbread server running on port ${PORT}`);
         console.log(`Frontend: http://localhost:${PORT}`);
         console.log(`API: http://localhost:${PORT}/api`);
         console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-        console.log(`Database: ${useDatabase ? 'MongoDB Connected' : 'In-Memory Fallback'}`);
-        if (useDatabase) {
-            console.log(`MongoDB URI: ${MONGODB_URI.replace(/\/\/.*:.*@/, '//***:***@')}`);
+        console.log(`Database: ${storage.name}`);
+        if (storage.name === 'MongoDB') {
+            console.log(`MongoDB URI: ${config.MONGODB_URI.replace(/\/\/.*:.*@/, '//***:***@')}`);
         }
     });
-    
+
+    // Let the storage write out pending changes before the process exits
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+        process.once(signal, () => {
+            server.close();
+            storage.close()
+                .catch(error => console.error('Error closing storage:', error))
+                .finally(() => process.exit(0));
+        });
+    }
+
     return server;
 }
 
@@ -0,0 +1,15 @@
+// Errors shared by the storage adapters, so callers can handle them the same
+// way whichever backend is configured.
+
+// A write would break a uniqueness constraint, e.g. a second video with the
+// same canonical key or a video linked to the same board twice.
+class DuplicateKeyError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DuplicateKeyError';
+    }
+}
+
+module.exports = {
+    DuplicateKeyError
+};
@@ -0,0 +1,87 @@
+// File-backed storage adapter for self-hosted instances without MongoDB.
+// It keeps the in-memory layout and writes the whole dataset to a JSON file
+// shortly after changes, so data survives restarts. Changes made close
+// together are written once, off the event loop; close() writes anything
+// still pending.
+
+const fs = require('fs');
+const path = require('path');
+const MemoryStorage = require('./memory');
+
+// How long to wait for more changes before writing
+const WRITE_DELAY_MS = 50;
+
+class FileStorage extends MemoryStorage {
+    constructor({ dataDir, writeDelay = WRITE_DELAY_MS }) {
+        super();
+        this.name = 'File';
+        this.file = path.join(dataDir, 'shortbread.json');
+        this.writeDelay = writeDelay;
+        this.dirty = false;
+        this.timer = null;
+        this.writing = null;
+    }
+
+    async connect() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+        if (fs.existsSync(this.file)) {
+            const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            // Keep collections added since the file was written
+            this.data = { ...this.data, ...saved };
+        } else {
+            this.dirty = true;
+            await this.flush();
+        }
+
+        return true;
+    }
+
+    async close() {
+        await this.flush();
+    }
+
+    persist() {
+        this.dirty = true;
+        if (!this.timer) {
+            this.timer = setTimeout(() => {
+                this.flush().catch(error => console.error('Error writing data file:', error));
+            }, this.writeDelay);
+        }
+    }
+
+    // Write the dataset if it changed since the last write. Writes never
+    // overlap: changes made during one are written by the next.
+    async flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        while (this.writing) {
+            await this.writing.catch(() => {});
+        }
+        if (!this.dirty) {
+            return;
+        }
+
+        this.dirty = false;
+        this.writing = this.write(JSON.stringify(this.data));
+        try {
+            await this.writing;
+        } catch (error) {
+            // Try again with the next change or flush
+            this.dirty = true;
+            throw error;
+        } finally {
+            this.writing = null;
+        }
+    }
+
+    // Write to a temp file first so a crash mid-write can't corrupt the data
+    async write(json) {
+        const tmpFile = `${this.file}.tmp`;
+        await fs.promises.writeFile(tmpFile, json);
+        await fs.promises.rename(tmpFile, this.file);
+    }
+}
+
+module.exports = FileStorage;
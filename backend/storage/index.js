@@ -0,0 +1,60 @@
+// Storage layer. Every adapter exposes the same repositories:
+//
+//   storage.users        findById, findByEmail, list, create, update
+//   storage.boards       findById, listByUser, pageByUser, create, update, delete
+//   storage.videos       findById, findByCanonicalKey, list, listOrphaned, listByBoard, pageByBoard, create, update, delete
+//   storage.videoBoards  listByVideo, listByBoard, create, update, delete, deleteByVideo, deleteByBoard, search
+//   storage.boardMembers find, listByBoard, listByEmail, create, update, delete, deleteByBoard
+//   storage.shareLinks   findByToken, listByBoard, create, delete, deleteByBoard
+//   storage.sessions     findById, listByUser, create, update, rotate
+//   storage.tokenNonces  consume
+//   storage.accessTokens findById, listByUser, create, update, delete
+//   storage.identities   find, listByUser, create
+//   storage.passkeys     findById, findByCredentialId, listByUser, create, update, delete
+//   storage.jobs         findById, listByVideo, create, claimNext, update, requeueRunning, deleteFinished
+//   storage.uploads      findById, listExpired, create, delete
+//
+// plus connect() and close(). Creating a second user with the same email, a
+// second video with the same canonicalKey, linking a video to the same board
+// twice, adding the same member to a board twice, linking the same
+// provider account twice, or registering the same passkey twice throws a
+// DuplicateKeyError. tokenNonces.consume returns true only the first time it
+// sees a nonce. The page* methods are keyset paginated; see ./pagination.
+// jobs.claimNext, jobs.requeueRunning and jobs.deleteFinished only touch the
+// job types given.
+// Routes only talk to these repositories, so the backend can be switched with
+// STORAGE_BACKEND without touching them.
+
+const path = require('path');
+const MemoryStorage = require('./memory');
+const FileStorage = require('./file');
+const { DuplicateKeyError } = require('./errors');
+
+const BACKENDS = ['mongodb', 'memory', 'file'];
+
+function createStorage(backend, options = {}) {
+    switch (backend) {
+        case 'mongodb': {
+            // Loaded lazily so memory/file deployments never register Mongoose models
+            const MongoStorage = require('./mongo');
+            return new MongoStorage({ uri: options.mongoUri });
+        }
+        case 'file':
+            return new FileStorage({
+                dataDir: options.dataDir || path.join(__dirname, '../data'),
+                writeDelay: options.writeDelay
+            });
+        case 'memory':
+            return new MemoryStorage();
+        default:
+            throw new Error(`Unknown storage backend "${backend}". Expected one of: ${BACKENDS.join(', ')}`);
+    }
+}
+
+module.exports = {
+    BACKENDS,
+    createStorage,
+    MemoryStorage,
+    FileStorage,
+    DuplicateKeyError
+};
@@ -0,0 +1,439 @@
+// In-memory storage adapter. Everything lives in plain arrays for the lifetime
+// of the process, which is what tests and database-less development use.
+
+const { DuplicateKeyError } = require('./errors');
+const { byPosition, inBoardOrder } = require('./order');
+const { pageOf } = require('./pagination');
+const { parseQuery, scoreText } = require('./search');
+
+const clone = (record) => (record ? { ...record } : null);
+
+const byNewest = (field) => (a, b) => new Date(b[field]) - new Date(a[field]);
+
+// Newest boards first, ties broken by id so pages never overlap
+const byNewestBoard = (a, b) => byNewest('createdAt')(a, b) || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+
+class MemoryStorage {
+    constructor() {
+        this.name = 'In-Memory';
+        this.data = {
+            users: [],
+            boards: [],
+            videos: [],
+            videoBoards: [],
+            boardMembers: [],
+            shareLinks: [],
+            sessions: [],
+            tokenNonces: [],
+            accessTokens: [],
+            identities: [],
+            passkeys: [],
+            jobs: [],
+            uploads: []
+        };
+
+        this.users = {
+            findById: async (id) => clone(this.data.users.find(u => u.id === id)),
+            findByEmail: async (email) => clone(this.data.users.find(u => u.email === email)),
+            list: async () => this.data.users.map(clone),
+            create: async (userData) => {
+                if (this.data.users.some(u => u.email === userData.email)) {
+                    throw new DuplicateKeyError(`User ${userData.email} already exists`);
+                }
+                this.data.users.push({ ...userData });
+                this.persist();
+                return clone(userData);
+            },
+            update: async (id, changes) => {
+                const user = this.data.users.find(u => u.id === id);
+                if (!user) return null;
+                Object.assign(user, changes);
+                this.persist();
+                return clone(user);
+            }
+        };
+
+        this.boards = {
+            findById: async (id) => clone(this.data.boards.find(b => b.id === id)),
+            listByUser: async (userId) => this.data.boards
+                .filter(b => b.userId === userId)
+                .sort(byNewestBoard)
+                .map(clone),
+            // A page of the boards the user owns, plus any sharedIds, keyed
+            // by { createdAt, id }
+            pageByUser: async (userId, page, sharedIds = []) => {
+                const shared = new Set(sharedIds);
+                return pageOf(
+                    this.data.boards
+                        .filter(b => b.userId === userId || shared.has(b.id))
+                        .sort(byNewestBoard)
+                        .map(clone),
+                    byNewestBoard,
+                    page
+                );
+            },
+            create: async (boardData) => {
+                this.data.boards.push({ ...boardData });
+                this.persist();
+                return clone(boardData);
+            },
+            update: async (id, changes) => {
+                const board = this.data.boards.find(b => b.id === id);
+                if (!board) return null;
+                Object.assign(board, changes);
+                this.persist();
+                return clone(board);
+            },
+            delete: async (id) => {
+                this.data.boards = this.data.boards.filter(b => b.id !== id);
+                this.persist();
+            }
+        };
+
+        this.videos = {
+            findById: async (id) => clone(this.data.videos.find(v => v.id === id)),
+            findByCanonicalKey: async (canonicalKey) => clone(
+                this.data.videos.find(v => v.canonicalKey === canonicalKey)
+            ),
+            list: async () => this.data.videos.map(clone),
+            // Videos on no board since before the given date
+            listOrphaned: async (before) => this.data.videos
+                .filter(v => v.orphanedAt && new Date(v.orphanedAt) <= before)
+                .map(clone),
+            // In board order, with each video's position on the board
+            listByBoard: async (boardId) => {
+                const links = this.data.videoBoards.filter(vb => vb.boardId === boardId);
+                const videoIds = new Set(links.map(vb => vb.videoId));
+                return inBoardOrder(links, this.data.videos.filter(v => videoIds.has(v.id)));
+            },
+            // A page of the board keyed by { position, id }
+            pageByBoard: async (boardId, page) => pageOf(
+                await this.videos.listByBoard(boardId),
+                byPosition,
+                page
+            ),
+            create: async (videoData) => {
+                if (videoData.canonicalKey &&
+                    this.data.videos.some(v => v.canonicalKey === videoData.canonicalKey)) {
+                    throw new DuplicateKeyError(`Video ${videoData.canonicalKey} already exists`);
+                }
+                this.data.videos.push({ ...videoData });
+                this.persist();
+                return clone(videoData);
+            },
+            update: async (id, changes) => {
+                const video = this.data.videos.find(v => v.id === id);
+                if (!video) return null;
+                Object.assign(video, changes);
+                this.persist();
+                return clone(video);
+            },
+            delete: async (id) => {
+                this.data.videos = this.data.videos.filter(v => v.id !== id);
+                this.persist();
+            }
+        };
+
+        this.videoBoards = {
+            listByVideo: async (videoId) => this.data.videoBoards
+                .filter(vb => vb.videoId === videoId)
+                .map(clone),
+            listByBoard: async (boardId) => this.data.videoBoards
+                .filter(vb => vb.boardId === boardId)
+                .map(clone),
+            create: async (linkData) => {
+                if (this.data.videoBoards.some(vb => vb.videoId === linkData.videoId && vb.boardId === linkData.boardId)) {
+                    throw new DuplicateKeyError(`Video ${linkData.videoId} is already on board ${linkData.boardId}`);
+                }
+                this.data.videoBoards.push({ ...linkData });
+                this.persist();
+                return clone(linkData);
+            },
+            update: async (videoId, boardId, changes) => {
+                const link = this.data.videoBoards.find(vb => vb.videoId === videoId && vb.boardId === boardId);
+                if (!link) return null;
+                Object.assign(link, changes);
+                this.persist();
+                return clone(link);
+            },
+            delete: async (videoId, boardId) => {
+                this.data.videoBoards = this.data.videoBoards
+                    .filter(vb => !(vb.videoId === videoId && vb.boardId === boardId));
+                this.persist();
+            },
+            deleteByVideo: async (videoId) => {
+                this.data.videoBoards = this.data.videoBoards.filter(vb => vb.videoId !== videoId);
+                this.persist();
+            },
+            deleteByBoard: async (boardId) => {
+                this.data.videoBoards = this.data.videoBoards.filter(vb => vb.boardId !== boardId);
+                this.persist();
+            },
+            // Videos on the given boards matching a text query and filters,
+            // one result per board link, best matches first
+            search: async ({ boardIds, text, tag, platform, limit }) => {
+                const query = text ? parseQuery(text) : null;
+                const videos = new Map(this.data.videos.map(v => [v.id, v]));
+                const boards = new Set(boardIds);
+
+                return this.data.videoBoards
+                    .filter(vb => boards.has(vb.boardId))
+                    .filter(vb => !tag || (vb.tags || []).includes(tag))
+                    .map(vb => ({ link: vb, video: videos.get(vb.videoId) }))
+                    .filter(({ video }) => video && (!platform || video.platform.toLowerCase() === platform.toLowerCase()))
+                    .map(({ link, video }) => ({
+                        ...video,
+                        boardId: link.boardId,
+                        tags: link.tags || [],
+                        notes: link.notes || '',
+                        score: query
+                            ? scoreText(query, [video.title, video.author, ...(link.tags || []), link.notes])
+                            : 0
+                    }))
+                    .filter(result => !query || result.score > 0)
+                    .sort((a, b) => b.score - a.score || new Date(b.addedAt) - new Date(a.addedAt))
+                    .slice(0, limit);
+            }
+        };
+
+        this.boardMembers = {
+            find: async (boardId, email) => clone(
+                this.data.boardMembers.find(m => m.boardId === boardId && m.email === email)
+            ),
+            listByBoard: async (boardId) => this.data.boardMembers
+                .filter(m => m.boardId === boardId)
+                .map(clone),
+            listByEmail: async (email) => this.data.boardMembers
+                .filter(m => m.email === email)
+                .map(clone),
+            create: async (memberData) => {
+                if (this.data.boardMembers.some(m => m.boardId === memberData.boardId && m.email === memberData.email)) {
+                    throw new DuplicateKeyError(`${memberData.email} is already a member of board ${memberData.boardId}`);
+                }
+                this.data.boardMembers.push({ ...memberData });
+                this.persist();
+                return clone(memberData);
+            },
+            update: async (boardId, email, changes) => {
+                const member = this.data.boardMembers.find(m => m.boardId === boardId && m.email === email);
+                if (!member) return null;
+                Object.assign(member, changes);
+                this.persist();
+                return clone(member);
+            },
+            delete: async (boardId, email) => {
+                this.data.boardMembers = this.data.boardMembers.filter(m => !(m.boardId === boardId && m.email === email));
+                this.persist();
+            },
+            deleteByBoard: async (boardId) => {
+                this.data.boardMembers = this.data.boardMembers.filter(m => m.boardId !== boardId);
+                this.persist();
+            }
+        };
+
+        this.shareLinks = {
+            findByToken: async (token) => clone(this.data.shareLinks.find(l => l.token === token)),
+            listByBoard: async (boardId) => this.data.shareLinks
+                .filter(l => l.boardId === boardId)
+                .sort(byNewest('createdAt'))
+                .map(clone),
+            create: async (linkData) => {
+                this.data.shareLinks.push({ ...linkData });
+                this.persist();
+                return clone(linkData);
+            },
+            delete: async (id) => {
+                this.data.shareLinks = this.data.shareLinks.filter(l => l.id !== id);
+                this.persist();
+            },
+            deleteByBoard: async (boardId) => {
+                this.data.shareLinks = this.data.shareLinks.filter(l => l.boardId !== boardId);
+                this.persist();
+            }
+        };
+
+        this.sessions = {
+            findById: async (id) => clone(this.data.sessions.find(s => s.id === id)),
+            listByUser: async (userId) => this.data.sessions
+                .filter(s => s.userId === userId)
+                .sort(byNewest('lastUsedAt'))
+                .map(clone),
+            create: async (sessionData) => {
+                this.data.sessions.push({ ...sessionData });
+                this.persist();
+                return clone(sessionData);
+            },
+            update: async (id, changes) => {
+                const session = this.data.sessions.find(s => s.id === id);
+                if (!session) return null;
+                Object.assign(session, changes);
+                this.persist();
+                return clone(session);
+            },
+            // Update only while tokenHash is still the current refresh token,
+            // so two refreshes racing with the same token can't both rotate it
+            rotate: async (id, tokenHash, changes) => {
+                const session = this.data.sessions.find(s => s.id === id && s.refreshTokenHash === tokenHash);
+                if (!session) return null;
+                Object.assign(session, changes);
+                this.persist();
+                return clone(session);
+            }
+        };
+
+        this.tokenNonces = {
+            // Record a single-use token's nonce. Expired nonces are dropped as
+            // they go, since their tokens no longer verify anyway.
+            consume: async (nonce, expiresAt) => {
+                const now = new Date();
+                this.data.tokenNonces = this.data.tokenNonces.filter(n => new Date(n.expiresAt) > now);
+                if (this.data.tokenNonces.some(n => n.nonce === nonce)) {
+                    return false;
+                }
+                this.data.tokenNonces.push({ nonce, expiresAt });
+                this.persist();
+                return true;
+            }
+        };
+
+        this.accessTokens = {
+            findById: async (id) => clone(this.data.accessTokens.find(t => t.id === id)),
+            listByUser: async (userId) => this.data.accessTokens
+                .filter(t => t.userId === userId)
+                .sort(byNewest('createdAt'))
+                .map(clone),
+            create: async (tokenData) => {
+                this.data.accessTokens.push({ ...tokenData });
+                this.persist();
+                return clone(tokenData);
+            },
+            update: async (id, changes) => {
+                const token = this.data.accessTokens.find(t => t.id === id);
+                if (!token) return null;
+                Object.assign(token, changes);
+                this.persist();
+                return clone(token);
+            },
+            delete: async (id) => {
+                this.data.accessTokens = this.data.accessTokens.filter(t => t.id !== id);
+                this.persist();
+            }
+        };
+
+        this.identities = {
+            find: async (provider, subject) => clone(this.data.identities.find(i => i.provider === provider && i.subject === subject)),
+            listByUser: async (userId) => this.data.identities
+                .filter(i => i.userId === userId)
+                .map(clone),
+            create: async (identityData) => {
+                if (this.data.identities.some(i => i.provider === identityData.provider && i.subject === identityData.subject)) {
+                    throw new DuplicateKeyError(`${identityData.provider} account ${identityData.subject} is already linked`);
+                }
+                this.data.identities.push({ ...identityData });
+                this.persist();
+                return clone(identityData);
+            }
+        };
+        this.passkeys = {
+            findById: async (id) => clone(this.data.passkeys.find(p => p.id === id)),
+            findByCredentialId: async (credentialId) => clone(this.data.passkeys.find(p => p.credentialId === credentialId)),
+            listByUser: async (userId) => this.data.passkeys
+                .filter(p => p.userId === userId)
+                .sort(byNewest('createdAt'))
+                .map(clone),
+            create: async (passkeyData) => {
+                if (this.data.passkeys.some(p => p.credentialId === passkeyData.credentialId)) {
+                    throw new DuplicateKeyError(`Passkey ${passkeyData.credentialId} is already registered`);
+                }
+                this.data.passkeys.push({ ...passkeyData });
+                this.persist();
+                return clone(passkeyData);
+            },
+            update: async (id, changes) => {
+                const passkey = this.data.passkeys.find(p => p.id === id);
+                if (!passkey) return null;
+                Object.assign(passkey, changes);
+                this.persist();
+                return clone(passkey);
+            },
+            delete: async (id) => {
+                this.data.passkeys = this.data.passkeys.filter(p => p.id !== id);
+                this.persist();
+            }
+        };
+
+        this.jobs = {
+            findById: async (id) => clone(this.data.jobs.find(j => j.id === id)),
+            listByVideo: async (videoId) => this.data.jobs
+                .filter(j => j.videoId === videoId)
+                .map(clone),
+            create: async (jobData) => {
+                this.data.jobs.push({ ...jobData });
+                this.persist();
+                return clone(jobData);
+            },
+            // Mark the next due job of one of these types as running and return it
+            claimNext: async (now, types) => {
+                const job = this.data.jobs
+                    .filter(j => j.status === 'queued' && types.includes(j.type) && new Date(j.runAt) <= now)
+                    .sort((a, b) => new Date(a.runAt) - new Date(b.runAt))[0];
+                if (!job) return null;
+                Object.assign(job, { status: 'running', attempts: job.attempts + 1, updatedAt: now });
+                this.persist();
+                return clone(job);
+            },
+            update: async (id, changes) => {
+                const job = this.data.jobs.find(j => j.id === id);
+                if (!job) return null;
+                Object.assign(job, changes);
+                this.persist();
+                return clone(job);
+            },
+            // Jobs left running by a crash or restart go back in the queue
+            requeueRunning: async (types) => {
+                this.data.jobs
+                    .filter(j => j.status === 'running' && types.includes(j.type))
+                    .forEach(j => { j.status = 'queued'; });
+                this.persist();
+            },
+            // Drop jobs of these types that finished before a date
+            deleteFinished: async (before, types) => {
+                const finished = (j) => (j.status === 'done' || j.status === 'failed') &&
+                    types.includes(j.type) && new Date(j.updatedAt) < before;
+                const count = this.data.jobs.filter(finished).length;
+                if (count > 0) {
+                    this.data.jobs = this.data.jobs.filter(j => !finished(j));
+                    this.persist();
+                }
+                return count;
+            }
+        };
+
+        this.uploads = {
+            findById: async (id) => clone(this.data.uploads.find(u => u.id === id)),
+            listExpired: async (now) => this.data.uploads
+                .filter(u => new Date(u.expiresAt) <= now)
+                .map(clone),
+            create: async (uploadData) => {
+                this.data.uploads.push({ ...uploadData });
+                this.persist();
+                return clone(uploadData);
+            },
+            delete: async (id) => {
+                this.data.uploads = this.data.uploads.filter(u => u.id !== id);
+                this.persist();
+            }
+        };
+    }
+
+    async connect() {
+        return true;
+    }
+
+    async close() {}
+
+    // Called after every write; the in-memory adapter has nothing to flush.
+    persist() {}
+}
+
+module.exports = MemoryStorage;
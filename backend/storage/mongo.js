@@ -0,0 +1,622 @@
+// MongoDB storage adapter backed by Mongoose models.
+
+const mongoose = require('mongoose');
+const { DuplicateKeyError } = require('./errors');
+const { inBoardOrder } = require('./order');
+const { parseQuery, scoreText } = require('./search');
+
+// MongoDB Schemas
+const userSchema = new mongoose.Schema({
+    id: { type: String, unique: true, required: true },
+    email: { type: String, unique: true, required: true, trim: true, lowercase: true },
+    name: { type: String, required: true },
+    passwordHash: { type: String, default: null }, // bcrypt; null for magic-link-only accounts
+    emailVerified: { type: Boolean }, // false until a sign-up is confirmed; unset on older accounts
+    failedLogins: { type: Number, default: 0 }, // wrong passwords in a row
+    lockedUntil: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+
+const boardSchema = new mongoose.Schema({
+    id: { type: String, unique: true, required: true },
+    userId: { type: String, required: true },
+    title: { type: String, required: true },
+    description: { type: String, default: '' },
+    isPublic: { type: Boolean, default: false },
+    cover: { type: String, default: null }, // id of a video on the board
+    createdAt: { type: Date, default: Date.now }
+});
+
+boardSchema.index({ userId: 1, createdAt: -1, id: -1 });
+
+const mediaSchema = new mongoose.Schema({
+    key: { type: String },
+    contentType: { type: String },
+    size: { type: Number }
+}, { _id: false });
+
+const videoSchema = new mongoose.Schema({
+    id: { type: String, unique: true, required: true },
+    url: { type: String },
+    canonicalKey: { type: String },
+    platform: { type: String, required: true },
+    platformId: { type: String },
+    title: { type: String, required: true },
+    author: { type: String },
+    thumbnail: { type: String },
+    duration: { type: Number }, // seconds
+    postedAt: { type: Date },
+    status: { type: String, default: 'queued' },
+    error: { type: String },
+    media: { type: mediaSchema },
+    poster: { type: mediaSchema },
+    preview: { type: mediaSchema },
+    downloadUrl: { type: String },
+    orphanedAt: { type: Date, index: true }, // set while the video is on no board
+    addedAt: { type: Date, default: Date.now }
+});
+videoSchema.index({ title: 'text', author: 'text' });
+// One video per canonical key. Uploads have no key and are left out.
+videoSchema.index(
+    { canonicalKey: 1 },
+    { unique: true, partialFilterExpression: { canonicalKey: { $type: 'string' } } }
+);
+
+const videoBoardSchema = new mongoose.Schema({
+    videoId: { type: String, required: true },
+    boardId: { type: String, required: true },
+    position: { type: Number }, // see ./order.js
+    // Tags and notes for the video, shared by everyone on the board
+    tags: { type: [String], default: [] },
+    notes: { type: String, default: '' },
+    addedAt: { type: Date, default: Date.now }
+});
+videoBoardSchema.index({ tags: 'text', notes: 'text' });
+videoBoardSchema.index({ boardId: 1, tags: 1 });
+videoBoardSchema.index({ videoId: 1, boardId: 1 }, { unique: true });
+videoBoardSchema.index({ boardId: 1, position: 1, videoId: 1 });
+
+// People a board is shared with, by email so they can be invited before they
+// have an account. The owner is not a member; see Board.userId.
+const boardMemberSchema = new mongoose.Schema({
+    boardId: { type: String, required: true },
+    email: { type: String, required: true, index: true }, // lowercase
+    role: { type: String, enum: ['viewer', 'editor'], required: true },
+    invitedBy: { type: String },
+    createdAt: { type: Date, default: Date.now }
+});
+boardMemberSchema.index({ boardId: 1, email: 1 }, { unique: true });
+
+// Unlisted links that let anyone holding the token view a private board
+const shareLinkSchema = new mongoose.Schema({
+    id: { type: String, unique: true, required: true },
+    boardId: { type: String, required: true, index: true },
+    token: { type: String, unique: true, required: true },
+    label: { type: String, default: '' },
+    scope: { type: String, enum: ['view'], default: 'view' },
+    expiresAt: { type: Date, default: null },
+    createdBy: { type: String },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Signed-in devices. Each keeps the hash of its current refresh token, which
+// is replaced on every refresh, and of the one before it.
+const sessionSchema = new mongoose.Schema({
+    id: { type: String, unique: true, required: true },
+    userId: { type: String, required: true, index: true },
+    refreshTokenHash: { type: String, required: true },
+    previousTokenHash: { type: String, default: null },
+    rotatedAt: { type: Date, default: null },
+    device: { type: String, default: '' },
+    userAgent: { type: String, default: '' },
+    ip: { type: String, default: '' },
+    createdAt: { type: Date, default: Date.now },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, default: null }
+});
+
+// Nonces of single-use tokens that were already used. MongoDB drops them
+// once the token itself has expired.
+const tokenNonceSchema = new mongoose.Schema({
+    nonce: { type: String, unique: true, required: true },
+    expiresAt: { type: Date, required: true }
+});
+tokenNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Personal access tokens. Only a bcrypt hash of the secret is kept.
+const accessTokenSchema = new mongoose.Schema({
+    id: { type: String, unique: true, required: true },
+    userId: { type: String, required: true, index: true },
+    name: { type: String, required: true },
+    scopes: { type: [String], default: [] },
+    tokenHash: { type: String, required: true },
+    hint: { type: String }, // last characters of the token, to tell them apart
+    expiresAt: { type: Date, default: null },
+    lastUsedAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Accounts at sign-in providers, linked to users. subject is the provider's
+// stable id for the account.
+const identitySchema = new mongoose.Schema({
+    provider: { type: String, required: true },
+    subject: { type: String, required: true },
+    userId: { type: String, required: true, index: true },
+    email: { type: String },
+    createdAt: { type: Date, default: Date.now }
+});
+identitySchema.index({ provider: 1, subject: 1 }, { unique: true });
+
+// WebAuthn credentials. publicKey is the credential's SPKI key, base64url
+// encoded; signCount is the authenticator's counter as of the last sign-in.
+const passkeySchema = new mongoose.Schema({
+    id: { type: String, unique: true, required: true },
+    userId: { type: String, required: true, index: true },
+    credentialId: { type: String, unique: true, required: true },
+    publicKey: { type: String, required: true },
+    algorithm: { type: Number, required: true },
+    signCount: { type: Number, default: 0 },
+    transports: { type: [String], default: [] },
+    name: { type: String, required: true },
+    lastUsedAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+
+const jobSchema = new mongoose.Schema({
+    id: { type: String, unique: true, required: true },
+    type: { type: String, required: true },
+    videoId: { type: String, index: true },
+    // Rendered email for 'mail' jobs
+    message: { type: mongoose.Schema.Types.Mixed },
+    status: { type: String, default: 'queued' },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 3 },
+    runAt: { type: Date, default: Date.now },
+    lastError: { type: String },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+jobSchema.index({ status: 1, type: 1, runAt: 1 });
+
+// Files shared to /share before the user picks a board for them
+const uploadSchema = new mongoose.Schema({
+    id: { type: String, unique: true, required: true },
+    // The sharer, the only one who may preview or save the upload
+    userId: { type: String, required: true, index: true },
+    title: { type: String },
+    media: { type: mediaSchema, required: true },
+    poster: { type: mediaSchema },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true, index: true }
+});
+
+const User = mongoose.model('User', userSchema);
+const Board = mongoose.model('Board', boardSchema);
+const Video = mongoose.model('Video', videoSchema);
+const VideoBoard = mongoose.model('VideoBoard', videoBoardSchema);
+const BoardMember = mongoose.model('BoardMember', boardMemberSchema);
+const ShareLink = mongoose.model('ShareLink', shareLinkSchema);
+const Session = mongoose.model('Session', sessionSchema);
+const TokenNonce = mongoose.model('TokenNonce', tokenNonceSchema);
+const AccessToken = mongoose.model('AccessToken', accessTokenSchema);
+const Identity = mongoose.model('Identity', identitySchema);
+const Passkey = mongoose.model('Passkey', passkeySchema);
+const Job = mongoose.model('Job', jobSchema);
+const Upload = mongoose.model('Upload', uploadSchema);
+
+// Strip Mongo internals so records look the same whichever adapter served them
+const toPlain = (doc) => {
+    if (!doc) return null;
+    const { _id, __v, ...record } = doc.toObject ? doc.toObject() : doc;
+    return record;
+};
+
+// Fetch one keyset page. sort lists the key fields in display order; paging
+// backwards runs the query in reverse and flips the result.
+const findPage = async (Model, filter, sort, { limit, after, before }) => {
+    const [[first, firstDirection], [second, secondDirection]] = Object.entries(sort);
+    const key = after || before;
+    let query = filter;
+
+    // The key condition is an $or of its own, so it is added alongside the
+    // filter rather than into it, where it could replace the filter's $or
+    if (key) {
+        const beyond = (direction) => ((direction === 1) === Boolean(after) ? '$gt' : '$lt');
+        query = {
+            $and: [filter, {
+                $or: [
+                    { [first]: { [beyond(firstDirection)]: key[first] } },
+                    { [first]: key[first], [second]: { [beyond(secondDirection)]: key[second] } }
+                ]
+            }]
+        };
+    }
+
+    const order = before
+        ? { [first]: -firstDirection, [second]: -secondDirection }
+        : sort;
+    const docs = await Model.find(query).sort(order).limit(limit + 1).lean();
+    const items = docs.slice(0, limit).map(toPlain);
+
+    return { items: before ? items.reverse() : items, more: docs.length > limit };
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Board links a text search loads and scores at most
+const MAX_SEARCH_CANDIDATES = 1000;
+
+// The words of a query that can match, for $text. -terms and "phrases" are
+// left to scoreText, which applies them across the video and its link.
+const matchableText = (text) => text
+    .replace(/"([^"]*)"/g, (match, phrase) => ` ${phrase.replace(/-/g, ' ')} `)
+    .split(/\s+/)
+    .filter(token => token && !token.startsWith('-'))
+    .join(' ');
+
+const searchResult = (link, video, score) => ({
+    ...toPlain(video),
+    boardId: link.boardId,
+    tags: link.tags || [],
+    notes: link.notes || '',
+    score
+});
+
+// Report unique index violations as the adapter-neutral DuplicateKeyError
+const createUnique = async (Model, data) => {
+    try {
+        return toPlain(await Model.create(data));
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new DuplicateKeyError(error.message);
+        }
+        throw error;
+    }
+};
+
+class MongoStorage {
+    constructor({ uri }) {
+        this.name = 'MongoDB';
+        this.uri = uri;
+
+        this.users = {
+            findById: async (id) => toPlain(await User.findOne({ id }).lean()),
+            findByEmail: async (email) => toPlain(await User.findOne({ email }).lean()),
+            list: async () => {
+                const users = await User.find().lean();
+                return users.map(toPlain);
+            },
+            create: async (userData) => createUnique(User, userData),
+            update: async (id, changes) => toPlain(
+                await User.findOneAndUpdate({ id }, { $set: changes }, { new: true }).lean()
+            )
+        };
+
+        this.boards = {
+            findById: async (id) => toPlain(await Board.findOne({ id }).lean()),
+            listByUser: async (userId) => {
+                const boards = await Board.find({ userId }).sort({ createdAt: -1, id: -1 }).lean();
+                return boards.map(toPlain);
+            },
+            // A page of the boards the user owns, plus any sharedIds, keyed
+            // by { createdAt, id }
+            pageByUser: async (userId, { limit, after, before }, sharedIds = []) => findPage(
+                Board,
+                { $or: [{ userId }, { id: { $in: sharedIds } }] },
+                { createdAt: -1, id: -1 },
+                {
+                    limit,
+                    after: after && { ...after, createdAt: new Date(after.createdAt) },
+                    before: before && { ...before, createdAt: new Date(before.createdAt) }
+                }
+            ),
+            create: async (boardData) => toPlain(await Board.create(boardData)),
+            update: async (id, changes) => toPlain(
+                await Board.findOneAndUpdate({ id }, { $set: changes }, { new: true }).lean()
+            ),
+            delete: async (id) => {
+                await Board.deleteOne({ id });
+            }
+        };
+
+        this.videos = {
+            findById: async (id) => toPlain(await Video.findOne({ id }).lean()),
+            findByCanonicalKey: async (canonicalKey) => toPlain(await Video.findOne({ canonicalKey }).lean()),
+            list: async () => {
+                const videos = await Video.find().lean();
+                return videos.map(toPlain);
+            },
+            listOrphaned: async (before) => {
+                const videos = await Video.find({ orphanedAt: { $lte: before } }).lean();
+                return videos.map(toPlain);
+            },
+            // In board order, with each video's position on the board
+            listByBoard: async (boardId) => {
+                const videoBoards = await VideoBoard.find({ boardId }).lean();
+                const videoIds = videoBoards.map(vb => vb.videoId);
+                const videos = await Video.find({ id: { $in: videoIds } }).lean();
+                return inBoardOrder(videoBoards, videos.map(toPlain));
+            },
+            // A page of the board keyed by { position, id }, paged over the
+            // links so only the page's videos are loaded
+            pageByBoard: async (boardId, { limit, after, before }) => {
+                const toLinkKey = (key) => key && { position: key.position, videoId: key.id };
+                const { items: links, more } = await findPage(
+                    VideoBoard,
+                    { boardId },
+                    { position: 1, videoId: 1 },
+                    { limit, after: toLinkKey(after), before: toLinkKey(before) }
+                );
+                const videos = await Video.find({ id: { $in: links.map(link => link.videoId) } }).lean();
+                return { items: inBoardOrder(links, videos.map(toPlain)), more };
+            },
+            create: async (videoData) => createUnique(Video, videoData),
+            update: async (id, changes) => toPlain(
+                await Video.findOneAndUpdate({ id }, { $set: changes }, { new: true }).lean()
+            ),
+            delete: async (id) => {
+                await Video.deleteOne({ id });
+            }
+        };
+
+        this.videoBoards = {
+            listByVideo: async (videoId) => {
+                const videoBoards = await VideoBoard.find({ videoId }).lean();
+                return videoBoards.map(toPlain);
+            },
+            listByBoard: async (boardId) => {
+                const videoBoards = await VideoBoard.find({ boardId }).lean();
+                return videoBoards.map(toPlain);
+            },
+            create: async (linkData) => createUnique(VideoBoard, linkData),
+            update: async (videoId, boardId, changes) => toPlain(
+                await VideoBoard.findOneAndUpdate({ videoId, boardId }, { $set: changes }, { new: true }).lean()
+            ),
+            delete: async (videoId, boardId) => {
+                await VideoBoard.deleteMany({ videoId, boardId });
+            },
+            deleteByVideo: async (videoId) => {
+                await VideoBoard.deleteMany({ videoId });
+            },
+            deleteByBoard: async (boardId) => {
+                await VideoBoard.deleteMany({ boardId });
+            },
+            // Title and author live on the video and tags and notes on the
+            // link, each with its own text index. Both indexes find
+            // candidates on the given boards, which are then scored as the
+            // memory adapter does, so -terms and phrases cover both.
+            search: async ({ boardIds, text, tag, platform, limit }) => {
+                const linkFilter = { boardId: { $in: boardIds }, ...(tag && { tags: tag }) };
+                const videoFilter = platform ? { platform: new RegExp(`^${escapeRegExp(platform)}$`, 'i') } : {};
+
+                if (!text) {
+                    const newest = await VideoBoard.aggregate([
+                        { $match: linkFilter },
+                        { $lookup: { from: Video.collection.name, localField: 'videoId', foreignField: 'id', as: 'video' } },
+                        { $unwind: '$video' },
+                        ...(platform ? [{ $match: { 'video.platform': videoFilter.platform } }] : []),
+                        { $sort: { 'video.addedAt': -1 } },
+                        { $limit: limit }
+                    ]);
+                    return newest.map(({ video, ...link }) => searchResult(link, video, 0));
+                }
+
+                const query = parseQuery(text);
+                const $search = matchableText(text);
+                if (!$search) {
+                    return [];
+                }
+
+                const [linkMatches, videoMatches] = await Promise.all([
+                    VideoBoard.find({ ...linkFilter, $text: { $search } }, { videoId: 1, boardId: 1 })
+                        .limit(MAX_SEARCH_CANDIDATES)
+                        .lean(),
+                    Video.aggregate([
+                        { $match: { ...videoFilter, $text: { $search } } },
+                        {
+                            $lookup: {
+                                from: VideoBoard.collection.name,
+                                let: { videoId: '$id' },
+                                pipeline: [
+                                    { $match: { ...linkFilter, $expr: { $eq: ['$videoId', '$$videoId'] } } },
+                                    { $project: { _id: 0, videoId: 1, boardId: 1 } }
+                                ],
+                                as: 'links'
+                            }
+                        },
+                        { $unwind: '$links' },
+                        { $limit: MAX_SEARCH_CANDIDATES },
+                        { $replaceWith: '$links' }
+                    ])
+                ]);
+
+                const candidates = new Set([...linkMatches, ...videoMatches].map(vb => `${vb.videoId}:${vb.boardId}`));
+                const videoIds = [...new Set([...linkMatches, ...videoMatches].map(vb => vb.videoId))];
+                if (videoIds.length === 0) {
+                    return [];
+                }
+                const [links, videos] = await Promise.all([
+                    VideoBoard.find({ ...linkFilter, videoId: { $in: videoIds } }).lean(),
+                    Video.find({ ...videoFilter, id: { $in: videoIds } }).lean()
+                ]);
+                const videosById = new Map(videos.map(v => [v.id, v]));
+
+                return links
+                    .filter(vb => candidates.has(`${vb.videoId}:${vb.boardId}`) && videosById.has(vb.videoId))
+                    .map(vb => {
+                        const video = videosById.get(vb.videoId);
+                        return searchResult(vb, video, scoreText(query, [video.title, video.author, ...(vb.tags || []), vb.notes]));
+                    })
+                    .filter(result => result.score > 0)
+                    .sort((a, b) => b.score - a.score || new Date(b.addedAt) - new Date(a.addedAt))
+                    .slice(0, limit);
+            }
+        };
+
+        this.boardMembers = {
+            find: async (boardId, email) => toPlain(await BoardMember.findOne({ boardId, email }).lean()),
+            listByBoard: async (boardId) => {
+                const members = await BoardMember.find({ boardId }).lean();
+                return members.map(toPlain);
+            },
+            listByEmail: async (email) => {
+                const members = await BoardMember.find({ email }).lean();
+                return members.map(toPlain);
+            },
+            create: async (memberData) => createUnique(BoardMember, memberData),
+            update: async (boardId, email, changes) => toPlain(
+                await BoardMember.findOneAndUpdate({ boardId, email }, { $set: changes }, { new: true }).lean()
+            ),
+            delete: async (boardId, email) => {
+                await BoardMember.deleteOne({ boardId, email });
+            },
+            deleteByBoard: async (boardId) => {
+                await BoardMember.deleteMany({ boardId });
+            }
+        };
+
+        this.shareLinks = {
+            findByToken: async (token) => toPlain(await ShareLink.findOne({ token }).lean()),
+            listByBoard: async (boardId) => {
+                const links = await ShareLink.find({ boardId }).sort({ createdAt: -1 }).lean();
+                return links.map(toPlain);
+            },
+            create: async (linkData) => toPlain(await ShareLink.create(linkData)),
+            delete: async (id) => {
+                await ShareLink.deleteOne({ id });
+            },
+            deleteByBoard: async (boardId) => {
+                await ShareLink.deleteMany({ boardId });
+            }
+        };
+
+        this.sessions = {
+            findById: async (id) => toPlain(await Session.findOne({ id }).lean()),
+            listByUser: async (userId) => {
+                const sessions = await Session.find({ userId }).sort({ lastUsedAt: -1 }).lean();
+                return sessions.map(toPlain);
+            },
+            create: async (sessionData) => toPlain(await Session.create(sessionData)),
+            update: async (id, changes) => toPlain(
+                await Session.findOneAndUpdate({ id }, { $set: changes }, { new: true }).lean()
+            ),
+            // Conditional on the current token so concurrent refreshes can't both rotate it
+            rotate: async (id, tokenHash, changes) => toPlain(
+                await Session.findOneAndUpdate({ id, refreshTokenHash: tokenHash }, { $set: changes }, { new: true }).lean()
+            )
+        };
+
+        this.tokenNonces = {
+            // The unique index makes this atomic across server instances
+            consume: async (nonce, expiresAt) => {
+                try {
+                    await createUnique(TokenNonce, { nonce, expiresAt });
+                    return true;
+                } catch (error) {
+                    if (error instanceof DuplicateKeyError) {
+                        return false;
+                    }
+                    throw error;
+                }
+            }
+        };
+
+        this.accessTokens = {
+            findById: async (id) => toPlain(await AccessToken.findOne({ id }).lean()),
+            listByUser: async (userId) => {
+                const tokens = await AccessToken.find({ userId }).sort({ createdAt: -1 }).lean();
+                return tokens.map(toPlain);
+            },
+            create: async (tokenData) => toPlain(await AccessToken.create(tokenData)),
+            update: async (id, changes) => toPlain(
+                await AccessToken.findOneAndUpdate({ id }, { $set: changes }, { new: true }).lean()
+            ),
+            delete: async (id) => {
+                await AccessToken.deleteOne({ id });
+            }
+        };
+
+        this.identities = {
+            find: async (provider, subject) => toPlain(await Identity.findOne({ provider, subject }).lean()),
+            listByUser: async (userId) => {
+                const identities = await Identity.find({ userId }).lean();
+                return identities.map(toPlain);
+            },
+            create: async (identityData) => createUnique(Identity, identityData)
+        };
+        this.passkeys = {
+            findById: async (id) => toPlain(await Passkey.findOne({ id }).lean()),
+            findByCredentialId: async (credentialId) => toPlain(await Passkey.findOne({ credentialId }).lean()),
+            listByUser: async (userId) => {
+                const passkeys = await Passkey.find({ userId }).sort({ createdAt: -1 }).lean();
+                return passkeys.map(toPlain);
+            },
+            create: async (passkeyData) => createUnique(Passkey, passkeyData),
+            update: async (id, changes) => toPlain(
+                await Passkey.findOneAndUpdate({ id }, { $set: changes }, { new: true }).lean()
+            ),
+            delete: async (id) => {
+                await Passkey.deleteOne({ id });
+            }
+        };
+
+        this.jobs = {
+            findById: async (id) => toPlain(await Job.findOne({ id }).lean()),
+            listByVideo: async (videoId) => {
+                const jobs = await Job.find({ videoId }).lean();
+                return jobs.map(toPlain);
+            },
+            create: async (jobData) => toPlain(await Job.create(jobData)),
+            // Atomically mark the next due job as running so only one worker picks it up
+            claimNext: async (now, types) => toPlain(await Job.findOneAndUpdate(
+                { status: 'queued', type: { $in: types }, runAt: { $lte: now } },
+                { $set: { status: 'running', updatedAt: now }, $inc: { attempts: 1 } },
+                { sort: { runAt: 1 }, new: true }
+            ).lean()),
+            update: async (id, changes) => toPlain(
+                await Job.findOneAndUpdate({ id }, { $set: changes }, { new: true }).lean()
+            ),
+            requeueRunning: async (types) => {
+                await Job.updateMany({ status: 'running', type: { $in: types } }, { $set: { status: 'queued' } });
+            },
+            deleteFinished: async (before, types) => {
+                const result = await Job.deleteMany({
+                    status: { $in: ['done', 'failed'] },
+                    type: { $in: types },
+                    updatedAt: { $lt: before }
+                });
+                return result.deletedCount;
+            }
+        };
+
+        this.uploads = {
+            findById: async (id) => toPlain(await Upload.findOne({ id }).lean()),
+            listExpired: async (now) => {
+                const uploads = await Upload.find({ expiresAt: { $lte: now } }).lean();
+                return uploads.map(toPlain);
+            },
+            create: async (uploadData) => toPlain(await Upload.create(uploadData)),
+            delete: async (id) => {
+                await Upload.deleteOne({ id });
+            }
+        };
+    }
+
+    async connect() {
+        await mongoose.connect(this.uri, {
+            serverSelectionTimeoutMS: 5000, // 5 second timeout
+            connectTimeoutMS: 5000
+        });
+        return true;
+    }
+
+    async close() {
+        if (mongoose.connection.readyState !== 0) {
+            await mongoose.connection.close();
+        }
+    }
+}
+
+module.exports = MongoStorage;
@@ -0,0 +1,59 @@
+// Manual ordering of videos on a board. Every VideoBoard link has a numeric
+// position and the board lists its videos by ascending position. Positions
+// start GAP apart, so moving a video only rewrites its own link: it takes the
+// midpoint of its new neighbours. New videos go in front of the first one.
+
+const GAP = 1024;
+
+// Neighbours closer than this are renumbered before anything goes between them
+const MIN_GAP = 1e-6;
+
+// Position for a video placed between two others; either side may be
+// null/undefined at the start or end of the board
+function rankBetween(before, after) {
+    const hasBefore = typeof before === 'number';
+    const hasAfter = typeof after === 'number';
+
+    if (hasBefore && hasAfter) return (before + after) / 2;
+    if (hasBefore) return before + GAP;
+    if (hasAfter) return after - GAP;
+    return 0;
+}
+
+// Board order between two { position, id } records; ties on position, which
+// only a race can produce, fall back to the video id so the order is stable
+function byPosition(a, b) {
+    return a.position - b.position || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+}
+
+// Sort a board's videos by their links' positions, attaching the position
+// and the board's tags and notes. Links saved before positions existed
+// come last, newest first.
+function inBoardOrder(links, videos) {
+    const byVideo = new Map(links.map(link => [link.videoId, link]));
+
+    return videos
+        .map(video => {
+            const link = byVideo.get(video.id) || {};
+            return {
+                ...video,
+                position: typeof link.position === 'number' ? link.position : null,
+                tags: link.tags || [],
+                notes: link.notes || ''
+            };
+        })
+        .sort((a, b) => {
+            if (a.position !== null && b.position !== null) return byPosition(a, b);
+            if (a.position !== null) return -1;
+            if (b.position !== null) return 1;
+            return new Date(b.addedAt) - new Date(a.addedAt);
+        });
+}
+
+module.exports = {
+    GAP,
+    MIN_GAP,
+    rankBetween,
+    byPosition,
+    inBoardOrder
+};
@@ -0,0 +1,45 @@
+// Keyset pagination. A page is fetched relative to the sort key of the last
+// (or first) record the client saw rather than by offset, so pages stay
+// stable while videos are added or removed and each page costs the same
+// however deep into a board it is.
+//
+// Repositories take { limit, after, before } where after/before is a sort
+// key, and return { items, more }: the page in display order, and whether
+// anything is left beyond it in the direction being paged. Clients only ever
+// see keys wrapped in opaque cursors.
+
+// Page through records already sorted in display order. compare(record, key)
+// is negative when the record comes before the key.
+function pageOf(sorted, compare, { limit, after, before }) {
+    if (before) {
+        const earlier = sorted.filter(record => compare(record, before) < 0);
+        return { items: earlier.slice(-limit), more: earlier.length > limit };
+    }
+
+    const later = after ? sorted.filter(record => compare(record, after) > 0) : sorted;
+    return { items: later.slice(0, limit), more: later.length > limit };
+}
+
+function encodeCursor(direction, key) {
+    return Buffer.from(JSON.stringify({ d: direction, k: key })).toString('base64url');
+}
+
+// { direction, key } for a cursor we issued, or null. isKey checks the key's
+// shape so nothing but plain values reaches a query.
+function decodeCursor(cursor, isKey) {
+    try {
+        const { d: direction, k: key } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if ((direction === 'next' || direction === 'prev') && key && isKey(key)) {
+            return { direction, key };
+        }
+    } catch (error) {
+        // Not JSON; treated like any other bad cursor
+    }
+    return null;
+}
+
+module.exports = {
+    pageOf,
+    encodeCursor,
+    decodeCursor
+};
@@ -0,0 +1,68 @@
+// Full-text matching for the in-memory and file adapters, modelled on
+// MongoDB's $text search so results agree whichever backend runs. The MongoDB
+// adapter scores what its text indexes find with it too:
+//
+//   - terms are matched as whole words, case-insensitively, after light
+//     stemming ("cookies" finds "cookie")
+//   - a document matches if any term does, and scores one point per term
+//   - "quoted phrases" must all appear, and -terms exclude a document
+
+const words = (text) => (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+// Rough English stemming, enough to line plurals and verb forms up:
+// cookie/cookies, bake/baked/baking and run/running share a stem
+function stem(word) {
+    let result = word;
+
+    if (result.endsWith('sses')) result = result.slice(0, -2);
+    else if (result.endsWith('ies')) result = `${result.slice(0, -3)}i`;
+    else if (result.length > 3 && result.endsWith('s') && !result.endsWith('ss')) result = result.slice(0, -1);
+
+    if (result.length > 5 && result.endsWith('ing')) result = result.slice(0, -3);
+    else if (result.length > 4 && result.endsWith('ed')) result = result.slice(0, -2);
+
+    if (result.length > 3 && result.endsWith('e')) result = result.slice(0, -1);
+    if (result.length > 2 && result.endsWith('y')) result = `${result.slice(0, -1)}i`;
+    // runn -> run
+    if (/([b-df-hj-np-tv-z])\1$/.test(result) && !/(ll|ss|zz)$/.test(result)) result = result.slice(0, -1);
+
+    return result;
+}
+
+function parseQuery(text) {
+    const phrases = [];
+    const rest = text.replace(/"([^"]*)"/g, (match, phrase) => {
+        if (phrase.trim()) phrases.push(phrase.trim().toLowerCase());
+        return ' ';
+    });
+
+    const terms = [];
+    const excluded = [];
+    for (const token of rest.split(/\s+/).filter(Boolean)) {
+        const negated = token.startsWith('-');
+        for (const word of words(negated ? token.slice(1) : token)) {
+            (negated ? excluded : terms).push(stem(word));
+        }
+    }
+
+    // Phrase words count as terms too, as they do in MongoDB
+    phrases.forEach(phrase => terms.push(...words(phrase).map(stem)));
+
+    return { terms: [...new Set(terms)], excluded, phrases };
+}
+
+// Score of the fields against a parsed query; 0 means no match
+function scoreText(query, fields) {
+    const text = fields.filter(Boolean).join(' ').toLowerCase();
+    const stems = new Set(words(text).map(stem));
+
+    if (query.excluded.some(term => stems.has(term))) return 0;
+    if (query.phrases.some(phrase => !text.includes(phrase))) return 0;
+
+    return query.terms.filter(term => stems.has(term)).length;
+}
+
+module.exports = {
+    parseQuery,
+    scoreText
+};
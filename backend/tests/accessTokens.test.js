@@ -0,0 +1,152 @@
+const request = require('supertest');
+const { login } = require('./helpers/auth');
+
+describe('Personal Access Tokens', () => {
+    let app;
+    let sessionToken;
+
+    const createToken = (body, token = sessionToken) => request(app)
+        .post('/api/tokens')
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+
+    beforeAll(async () => {
+        process.env.NODE_ENV = 'test';
+        process.env.JWT_SECRET = 'test-secret';
+        app = require('../server.js');
+        sessionToken = await login(app, 'pat-owner@example.com', 'Token Owner');
+    });
+
+    describe('POST /api/tokens', () => {
+        it('should return the token once and store only its hash', async () => {
+            const response = await createToken({ name: 'Backup script', scopes: ['boards:read'] });
+
+            expect(response.status).toBe(201);
+            expect(response.body.token).toMatch(/^sbp_/);
+            expect(response.body.hint).toBe(response.body.token.slice(-4));
+            expect(response.body.tokenHash).toBeUndefined();
+
+            const stored = await app.locals.storage.accessTokens.findById(response.body.id);
+            expect(stored.tokenHash).not.toContain(response.body.token.split('_').pop());
+
+            const list = await request(app)
+                .get('/api/tokens')
+                .set('Authorization', `Bearer ${sessionToken}`);
+            const listed = list.body.tokens.find(t => t.id === response.body.id);
+            expect(listed).toMatchObject({ name: 'Backup script', scopes: ['boards:read'], lastUsedAt: null });
+            expect(listed.token).toBeUndefined();
+        });
+
+        it('should validate the name, scopes and expiry', async () => {
+            const cases = [
+                [{ scopes: ['boards:read'] }, 'Token name is required'],
+                [{ name: 'x', scopes: [] }, 'scopes must be a list of: boards:read, boards:write, videos:read, videos:write'],
+                [{ name: 'x', scopes: ['admin'] }, 'scopes must be a list of: boards:read, boards:write, videos:read, videos:write'],
+                [{ name: 'x', scopes: ['boards:read'], expiresAt: '2020-01-01' }, 'expiresAt must be a future date'],
+                [{ name: 'x', scopes: ['boards:read'], expiresAt: 'soon' }, 'expiresAt must be a future date']
+            ];
+
+            for (const [body, error] of cases) {
+                const response = await createToken(body);
+                expect(response.status).toBe(400);
+                expect(response.body.error).toBe(error);
+            }
+        });
+
+        it('should not let a personal access token manage tokens', async () => {
+            const { body } = await createToken({ name: 'Everything', scopes: ['boards:read', 'boards:write', 'videos:read', 'videos:write'] });
+
+            const response = await createToken({ name: 'Copy', scopes: ['boards:read'] }, body.token);
+
+            expect(response.status).toBe(403);
+            expect(response.body.error).toBe('Personal access tokens cannot be used here');
+        });
+    });
+
+    describe('authenticating with a token', () => {
+        it('should act as the user within its scopes', async () => {
+            const { body } = await createToken({ name: 'Reader', scopes: ['boards:read'] });
+            const auth = { Authorization: `Bearer ${body.token}` };
+
+            const user = await request(app).get('/api/user').set(auth);
+            expect(user.status).toBe(200);
+            expect(user.body.email).toBe('pat-owner@example.com');
+
+            expect((await request(app).get('/api/boards').set(auth)).status).toBe(200);
+
+            const write = await request(app).post('/api/boards').set(auth).send({ name: 'From a script' });
+            expect(write.status).toBe(403);
+            expect(write.body.error).toBe('Token is missing the boards:write scope');
+        });
+
+        it('should only show private boards to tokens that can read boards', async () => {
+            const board = await request(app)
+                .post('/api/boards')
+                .set('Authorization', `Bearer ${sessionToken}`)
+                .send({ name: 'Private' });
+            const reader = await createToken({ name: 'Reader', scopes: ['boards:read'] });
+            const writer = await createToken({ name: 'Writer', scopes: ['videos:write'] });
+
+            const allowed = await request(app)
+                .get(`/board/${board.body.id}`)
+                .set('Authorization', `Bearer ${reader.body.token}`);
+            const denied = await request(app)
+                .get(`/board/${board.body.id}`)
+                .set('Authorization', `Bearer ${writer.body.token}`);
+
+            expect(allowed.status).toBe(200);
+            expect(denied.status).toBe(403);
+        });
+
+        it('should record when the token was last used', async () => {
+            const { body } = await createToken({ name: 'Cron', scopes: ['boards:read'] });
+
+            await request(app).get('/api/boards').set('Authorization', `Bearer ${body.token}`);
+
+            const stored = await app.locals.storage.accessTokens.findById(body.id);
+            expect(stored.lastUsedAt).toBeTruthy();
+        });
+
+        it('should reject wrong secrets and expired tokens', async () => {
+            const { body } = await createToken({ name: 'Short-lived', scopes: ['boards:read'], expiresAt: new Date(Date.now() + 60 * 1000) });
+
+            const forged = await request(app)
+                .get('/api/user')
+                .set('Authorization', `Bearer sbp_${body.id}_${'a'.repeat(32)}`);
+            expect(forged.status).toBe(403);
+            expect(forged.body.error).toBe('Invalid token');
+
+            await app.locals.storage.accessTokens.update(body.id, { expiresAt: new Date(Date.now() - 1000) });
+            const expired = await request(app)
+                .get('/api/user')
+                .set('Authorization', `Bearer ${body.token}`);
+            expect(expired.status).toBe(403);
+        });
+    });
+
+    describe('DELETE /api/tokens/:id', () => {
+        it('should revoke the token', async () => {
+            const { body } = await createToken({ name: 'Old laptop', scopes: ['videos:read'] });
+
+            const response = await request(app)
+                .delete(`/api/tokens/${body.id}`)
+                .set('Authorization', `Bearer ${sessionToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.message).toBe('Token revoked');
+            expect((await request(app).get('/api/user').set('Authorization', `Bearer ${body.token}`)).status).toBe(403);
+        });
+
+        it('should not reveal other users\' tokens', async () => {
+            const { body } = await createToken({ name: 'Mine', scopes: ['videos:read'] });
+            const otherToken = await login(app, 'pat-other@example.com', 'Other');
+
+            const response = await request(app)
+                .delete(`/api/tokens/${body.id}`)
+                .set('Authorization', `Bearer ${otherToken}`);
+
+            expect(response.status).toBe(404);
+            expect(response.body.error).toBe('Token not found');
+        });
+    });
+});
@@ -0,0 +1,285 @@
+const request = require('supertest');
+const { login } = require('./helpers/auth');
+const { LegacyUsage, errorEnvelope } = require('../api');
+
+let app;
+let ownerToken;
+let otherToken;
+
+beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    process.env.JWT_SECRET = 'test-secret';
+    app = require('../server.js');
+
+    ownerToken = await login(app, 'v1-owner@example.com', 'Owner');
+    otherToken = await login(app, 'v1-other@example.com', 'Other');
+});
+
+const api = (method, url, token) => {
+    const req = request(app)[method](url);
+    return token ? req.set('Authorization', `Bearer ${token}`) : req;
+};
+
+const createBoard = async (fields = {}) => {
+    const response = await api('post', '/api/v1/boards', ownerToken)
+        .send({ title: 'Board', ...fields });
+    return response.body;
+};
+
+describe('/api/v1 errors', () => {
+    it('should answer errors in the envelope', async () => {
+        const response = await api('get', '/api/v1/boards/missing', ownerToken);
+
+        expect(response.status).toBe(404);
+        expect(response.body).toEqual({
+            error: { code: 'not_found', message: 'Board not found' }
+        });
+    });
+
+    it('should name auth failures', async () => {
+        const missing = await api('get', '/api/v1/boards');
+        expect(missing.status).toBe(401);
+        expect(missing.body.error.code).toBe('unauthorized');
+
+        const invalid = await api('get', '/api/v1/boards', 'not-a-token');
+        expect(invalid.status).toBe(403);
+        expect(invalid.body.error).toEqual({ code: 'invalid_token', message: 'Invalid token' });
+    });
+
+    it('should name the scope a personal access token is missing', async () => {
+        const created = await api('post', '/api/v1/tokens', ownerToken)
+            .send({ name: 'Reader', scopes: ['boards:read'] });
+        expect(created.status).toBe(201);
+
+        const response = await api('post', '/api/v1/boards', created.body.token)
+            .send({ title: 'Nope' });
+
+        expect(response.status).toBe(403);
+        expect(response.body.error.code).toBe('insufficient_scope');
+
+        const sessions = await api('get', '/api/v1/sessions', created.body.token);
+        expect(sessions.body.error.code).toBe('session_required');
+    });
+
+    it('should answer unknown paths with a 404 envelope', async () => {
+        const response = await api('get', '/api/v1/nothing-here', ownerToken);
+
+        expect(response.status).toBe(404);
+        expect(response.body.error).toEqual({
+            code: 'not_found',
+            message: 'No endpoint GET /api/v1/nothing-here'
+        });
+    });
+
+    it('should reject bodies that are not JSON', async () => {
+        const response = await api('post', '/api/v1/boards', ownerToken)
+            .set('Content-Type', 'application/json')
+            .send('{"title": ');
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toEqual({
+            code: 'invalid_request',
+            message: 'Request body is not valid JSON'
+        });
+    });
+});
+
+describe('/api/v1 boards', () => {
+    it('should create a board and answer 201 with the role', async () => {
+        const response = await api('post', '/api/v1/boards', ownerToken)
+            .send({ title: '  Recipes  ', description: 'Quick ones', isPublic: true });
+
+        expect(response.status).toBe(201);
+        expect(response.body).toMatchObject({
+            title: 'Recipes',
+            description: 'Quick ones',
+            isPublic: true,
+            role: 'owner'
+        });
+    });
+
+    it('should validate new boards', async () => {
+        const untitled = await api('post', '/api/v1/boards', ownerToken).send({ title: '' });
+        expect(untitled.status).toBe(400);
+        expect(untitled.body.error.message).toBe('Board title is required');
+
+        const notBoolean = await api('post', '/api/v1/boards', ownerToken)
+            .send({ title: 'Board', isPublic: 'yes' });
+        expect(notBoolean.status).toBe(400);
+        expect(notBoolean.body.error).toEqual({
+            code: 'validation_failed',
+            message: 'isPublic must be true or false',
+            details: {
+                errors: [{ in: 'body', path: 'isPublic', message: 'isPublic must be true or false' }]
+            }
+        });
+    });
+
+    it('should list boards with paging links in the body', async () => {
+        const board = await createBoard({ title: 'Listed' });
+
+        const response = await api('get', '/api/v1/boards?limit=1', ownerToken);
+
+        expect(response.status).toBe(200);
+        expect(response.body.boards).toHaveLength(1);
+        expect(response.body.boards[0]).toMatchObject({ id: board.id, role: 'owner' });
+        expect(response.body.next).toMatch(/^\/api\/v1\/boards\?/);
+        expect(response.body.prev).toBeNull();
+    });
+
+    it('should get a board and its videos as separate resources', async () => {
+        const board = await createBoard({ title: 'Clips' });
+        const saved = await api('post', `/api/v1/boards/${board.id}/videos`, ownerToken)
+            .send({ url: 'https://youtube.com/watch?v=v1clip' });
+        expect(saved.status).toBe(201);
+
+        const boardResponse = await api('get', `/api/v1/boards/${board.id}`, ownerToken);
+        expect(boardResponse.status).toBe(200);
+        expect(boardResponse.body).toMatchObject({ id: board.id, title: 'Clips', role: 'owner' });
+
+        const videosResponse = await api('get', `/api/v1/boards/${board.id}/videos`, ownerToken);
+        expect(videosResponse.status).toBe(200);
+        expect(videosResponse.body.videos.map(video => video.id)).toEqual([saved.body.id]);
+        expect(videosResponse.body.next).toBeNull();
+    });
+
+    it('should apply the same permissions to a board and its videos', async () => {
+        const board = await createBoard({ title: 'Private' });
+
+        for (const url of [`/api/v1/boards/${board.id}`, `/api/v1/boards/${board.id}/videos`]) {
+            const anonymous = await api('get', url);
+            expect(anonymous.status).toBe(403);
+            expect(anonymous.body.error.code).toBe('forbidden');
+
+            const other = await api('get', url, otherToken);
+            expect(other.status).toBe(403);
+        }
+
+        const saved = await api('post', `/api/v1/boards/${board.id}/videos`, otherToken)
+            .send({ url: 'https://youtube.com/watch?v=v1intruder' });
+        expect(saved.status).toBe(403);
+        expect(saved.body.error.message).toBe('Access denied to board');
+    });
+
+    it('should let anyone see public boards', async () => {
+        const board = await createBoard({ title: 'Public', isPublic: true });
+
+        const response = await api('get', `/api/v1/boards/${board.id}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.role).toBeNull();
+    });
+
+    it('should update, assign and delete through the v1 paths', async () => {
+        const board = await createBoard({ title: 'Before' });
+        const target = await createBoard({ title: 'Target' });
+
+        const updated = await api('patch', `/api/v1/boards/${board.id}`, ownerToken)
+            .send({ title: 'After' });
+        expect(updated.status).toBe(200);
+        expect(updated.body.title).toBe('After');
+
+        const saved = await api('post', `/api/v1/boards/${board.id}/videos`, ownerToken)
+            .send({ url: 'https://youtube.com/watch?v=v1moved' });
+        const assigned = await api('put', `/api/v1/videos/${saved.body.id}/boards`, ownerToken)
+            .send({ boardIds: [target.id] });
+        expect(assigned.status).toBe(200);
+
+        const deleted = await api('delete', `/api/v1/boards/${board.id}`, ownerToken);
+        expect(deleted.status).toBe(200);
+        expect((await api('get', `/api/v1/boards/${board.id}`, ownerToken)).status).toBe(404);
+    });
+});
+
+describe('legacy endpoints', () => {
+    it('should mark old paths deprecated with a sunset date', async () => {
+        const response = await api('get', '/api/boards', ownerToken);
+
+        expect(response.status).toBe(200);
+        expect(Array.isArray(response.body)).toBe(true);
+        expect(response.headers.deprecation).toMatch(/^@\d+$/);
+        expect(new Date(response.headers.sunset).getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should keep their old answers and error bodies', async () => {
+        const created = await api('post', '/api/boards', ownerToken).send({ name: 'Legacy' });
+        expect(created.status).toBe(200);
+        expect(created.body.title).toBe('Legacy');
+
+        const missing = await api('get', '/board/missing', ownerToken);
+        expect(missing.status).toBe(404);
+        expect(missing.body).toEqual({ error: 'Board not found' });
+        expect(missing.headers.deprecation).toBeDefined();
+
+        const board = await api('get', `/board/${created.body.id}`, ownerToken);
+        expect(board.body).toMatchObject({ videos: [], isOwner: true, role: 'owner' });
+    });
+
+    it('should leave v1 paths undeprecated', async () => {
+        const response = await api('get', '/api/v1/boards', ownerToken);
+
+        expect(response.headers.deprecation).toBeUndefined();
+        expect(response.headers.sunset).toBeUndefined();
+    });
+
+    it('should log who calls old paths once an interval', async () => {
+        const logger = { warn: jest.fn() };
+        const previous = app.locals.legacyUsage;
+        app.locals.legacyUsage = new LegacyUsage({ logger });
+
+        try {
+            await api('get', '/api/boards', ownerToken).set('User-Agent', 'old-script/1.0');
+            await api('get', '/api/boards', ownerToken).set('User-Agent', 'old-script/1.0');
+            await api('get', '/api/boards');
+
+            expect(logger.warn).toHaveBeenCalledTimes(2);
+            expect(logger.warn.mock.calls[0][0]).toMatch(
+                /^Deprecated endpoint GET \/api\/boards called by user \S+ \(old-script\/1\.0\); use GET \/api\/v1\/boards instead/
+            );
+            expect(logger.warn.mock.calls[1][0]).toMatch(/called by anonymous /);
+            expect(app.locals.legacyUsage.summary()).toEqual([
+                { route: 'GET /api/boards', calls: 3, lastUsedAt: expect.any(Date) }
+            ]);
+        } finally {
+            app.locals.legacyUsage = previous;
+        }
+    });
+});
+
+describe('LegacyUsage', () => {
+    it('should log a client again after the interval', () => {
+        const logger = { warn: jest.fn() };
+        const usage = new LegacyUsage({ logger, interval: 1000 });
+        const call = { route: 'GET /api/boards', successor: 'GET /api/v1/boards', client: 'user 1' };
+
+        usage.record({ ...call, now: 0 });
+        usage.record({ ...call, now: 500 });
+        usage.record({ ...call, now: 1000 });
+
+        expect(logger.warn).toHaveBeenCalledTimes(2);
+        expect(logger.warn.mock.calls[1][0]).toMatch(/3 call\(s\) since startup/);
+    });
+});
+
+describe('errorEnvelope', () => {
+    it('should move extra error fields into details', () => {
+        // errorEnvelope wraps res.json; the original sends the envelope
+        const res = { statusCode: 409, json: jest.fn() };
+        const json = res.json;
+        errorEnvelope({}, res, () => {});
+        res.json({ error: 'Video is not ready', code: 'not_ready', status: 'queued' });
+
+        expect(json).toHaveBeenCalledWith({
+            error: { code: 'not_ready', message: 'Video is not ready', details: { status: 'queued' } }
+        });
+    });
+
+    it('should leave successful answers alone', () => {
+        const res = { statusCode: 200, json: jest.fn() };
+        const json = res.json;
+        errorEnvelope({}, res, () => {});
+        res.json({ error: 'not an error here' });
+
+        expect(json).toHaveBeenCalledWith({ error: 'not an error here' });
+    });
+});
@@ -87,6 +87,68 @@ describe('Authentication Tests', () => {
             expect(response.headers.location).toMatch(/\?token=/);
         });
         
+        it('should only sign in once with each link', async () => {
+            const magicResponse = await request(app)
+                .post('/auth/magic-link')
+                .send({
+                    email: 'once@example.com',
+                    name: 'Once User'
+                });
+
+            const first = await request(app)
+                .get('/auth/verify')
+                .query({ token: magicResponse.body.token });
+            const replay = await request(app)
+                .get('/auth/verify')
+                .query({ token: magicResponse.body.token });
+
+            expect(first.status).toBe(302);
+            expect(replay.status).toBe(400);
+            expect(replay.body.error).toBe('This link has already been used');
+        });
+
+        it('should refuse magic tokens without a nonce', async () => {
+            const token = jwt.sign({ email: 'verify@example.com', type: 'magic' }, 'test-secret', { expiresIn: '15m' });
+
+            const response = await request(app)
+                .get('/auth/verify')
+                .query({ token });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Invalid or expired token');
+        });
+
+        it('should come back to the page the sign-in started from', async () => {
+            const sharedUrl = 'https://www.youtube.com/shorts/abc123?feature=share';
+            const magicResponse = await request(app)
+                .post('/auth/magic-link')
+                .send({
+                    email: 'return@example.com',
+                    name: 'Return User',
+                    returnTo: `/?url=${encodeURIComponent(sharedUrl)}`
+                });
+
+            const response = await request(app)
+                .get('/auth/verify')
+                .query({ token: magicResponse.body.token });
+
+            const location = new URL(response.headers.location, 'http://localhost');
+            expect(location.pathname).toBe('/');
+            expect(location.searchParams.get('url')).toBe(sharedUrl);
+            expect(location.searchParams.get('token')).toBeTruthy();
+        });
+
+        it('should only return to paths on this site', async () => {
+            for (const returnTo of ['https://evil.example/', '//evil.example/', '/\\evil.example/']) {
+                const response = await request(app)
+                    .post('/auth/magic-link')
+                    .send({ email: 'return@example.com', returnTo });
+
+                expect(response.status).toBe(400);
+                expect(response.body.error).toBe('returnTo must be a path on this site');
+            }
+        });
+
         it('should return error for invalid token', async () => {
             const response = await request(app)
                 .get('/auth/verify')
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const FakeDownloader = require('./helpers/fakeDownloader');
+const FakeThumbnailer = require('./helpers/fakeThumbnailer');
+const { login } = require('./helpers/auth');
+const { createBoard, saveAndDownload } = require('./helpers/boards');
+const { sweepOrphanedVideos } = require('../jobs/sweeper');
+
+let app;
+let mediaDir;
+
+beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    process.env.JWT_SECRET = 'test-secret';
+    mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shortbread-media-'));
+    process.env.MEDIA_DIR = mediaDir;
+    app = require('../server.js');
+    app.locals.downloader = new FakeDownloader();
+    app.locals.thumbnailer = new FakeThumbnailer();
+});
+
+afterAll(() => {
+    delete process.env.MEDIA_DIR;
+});
+
+describe('Board Management', () => {
+    let token;
+
+    const updateBoard = (boardId, changes) => request(app)
+        .patch(`/board/${boardId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(changes);
+
+    beforeAll(async () => {
+        token = await login(app, 'boards@example.com', 'Board User');
+    });
+
+    describe('creating boards', () => {
+        it('should keep the description', async () => {
+            const board = await createBoard(app, token, { title: 'Recipes', description: 'Things to bake' });
+            expect(board.description).toBe('Things to bake');
+
+            const legacy = await request(app)
+                .post('/api/boards')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ name: 'Workouts', description: 'Morning routines' });
+            expect(legacy.body.title).toBe('Workouts');
+            expect(legacy.body.description).toBe('Morning routines');
+        });
+    });
+
+    describe('PATCH /board/:id', () => {
+        it('should update title, description and privacy', async () => {
+            const board = await createBoard(app, token, { title: 'Draft' });
+
+            const response = await updateBoard(board.id, {
+                title: '  Finished  ',
+                description: 'All done',
+                isPublic: true
+            });
+
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({ title: 'Finished', description: 'All done', isPublic: true });
+
+            // Now visible without signing in
+            const publicView = await request(app).get(`/board/${board.id}`);
+            expect(publicView.status).toBe(200);
+            expect(publicView.body.board.title).toBe('Finished');
+        });
+
+        it('should set the cover to a video on the board', async () => {
+            const board = await createBoard(app, token, { title: 'Covered' });
+            const other = await createBoard(app, token, { title: 'Elsewhere' });
+            const video = await saveAndDownload(app, token, board.id, 'https://youtu.be/ccccccccccc');
+            const stranger = await saveAndDownload(app, token, other.id, 'https://youtu.be/ddddddddddd');
+
+            const response = await updateBoard(board.id, { cover: video.id });
+            expect(response.status).toBe(200);
+            expect(response.body.cover).toBe(video.id);
+
+            const rejected = await updateBoard(board.id, { cover: stranger.id });
+            expect(rejected.status).toBe(400);
+            expect(rejected.body.error).toBe('Cover video must be on the board');
+
+            const cleared = await updateBoard(board.id, { cover: null });
+            expect(cleared.body.cover).toBeNull();
+        });
+
+        it.each([
+            [{ title: '' }, 'Board title is required'],
+            [{ description: 42 }, 'Board description must be a string'],
+            [{ isPublic: 'yes' }, 'isPublic must be true or false'],
+            [{ userId: 'someone-else' }, 'Nothing to update']
+        ])('should reject %j', async (changes, error) => {
+            const board = await createBoard(app, token, { title: 'Strict' });
+
+            const response = await updateBoard(board.id, changes);
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe(error);
+        });
+    });
+
+    describe('DELETE /board/:id', () => {
+        it('should leave the videos for the sweeper by default', async () => {
+            const board = await createBoard(app, token, { title: 'Short-lived' });
+            const video = await saveAndDownload(app, token, board.id, 'https://youtu.be/eeeeeeeeeee');
+
+            const response = await request(app)
+                .delete(`/board/${board.id}`)
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.deletedVideos).toBe(0);
+            expect(await app.locals.storage.boards.findById(board.id)).toBeNull();
+            expect(await app.locals.storage.videoBoards.listByBoard(board.id)).toEqual([]);
+            expect(await app.locals.storage.videos.findById(video.id)).not.toBeNull();
+            expect(fs.existsSync(path.join(mediaDir, video.media.key))).toBe(true);
+        });
+
+        it('should delete videos left on no board once the grace period has passed', async () => {
+            const board = await createBoard(app, token, { title: 'Delayed' });
+            const other = await createBoard(app, token, { title: 'Other' });
+            const onlyHere = await saveAndDownload(app, token, board.id, 'https://youtu.be/hhhhhhhhhhh');
+            const shared = await saveAndDownload(app, token, board.id, 'https://youtu.be/iiiiiiiiiii');
+            await saveAndDownload(app, token, other.id, 'https://youtu.be/iiiiiiiiiii');
+
+            await request(app)
+                .delete(`/board/${board.id}`)
+                .set('Authorization', `Bearer ${token}`);
+            await sweepOrphanedVideos({
+                storage: app.locals.storage,
+                mediaStore: app.locals.mediaStore,
+                gracePeriod: 24 * 60 * 60 * 1000,
+                now: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000)
+            });
+
+            expect(await app.locals.storage.videos.findById(onlyHere.id)).toBeNull();
+            expect(fs.existsSync(path.join(mediaDir, onlyHere.media.key))).toBe(false);
+            expect(await app.locals.storage.videos.findById(shared.id)).not.toBeNull();
+            expect(fs.existsSync(path.join(mediaDir, shared.media.key))).toBe(true);
+        });
+
+        it('should delete videos and their media when cascading', async () => {
+            const board = await createBoard(app, token, { title: 'Doomed' });
+            const keeper = await createBoard(app, token, { title: 'Keeper' });
+            const onlyHere = await saveAndDownload(app, token, board.id, 'https://youtu.be/fffffffffff');
+            const shared = await saveAndDownload(app, token, board.id, 'https://youtu.be/ggggggggggg');
+            await saveAndDownload(app, token, keeper.id, 'https://youtu.be/ggggggggggg');
+
+            const response = await request(app)
+                .delete(`/board/${board.id}`)
+                .query({ cascade: 'true' })
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.deletedVideos).toBe(1);
+
+            expect(await app.locals.storage.videos.findById(onlyHere.id)).toBeNull();
+            for (const file of [onlyHere.media, onlyHere.poster, onlyHere.preview]) {
+                expect(fs.existsSync(path.join(mediaDir, file.key))).toBe(false);
+            }
+
+            // Still on another board
+            expect(await app.locals.storage.videos.findById(shared.id)).not.toBeNull();
+            expect(fs.existsSync(path.join(mediaDir, shared.media.key))).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,264 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const FakeDownloader = require('./helpers/fakeDownloader');
+const FakeThumbnailer = require('./helpers/fakeThumbnailer');
+const { SoftAuthenticator } = require('./helpers/softAuthenticator');
+const { login } = require('./helpers/auth');
+const openapi = require('../openapi');
+
+let app;
+let token;
+
+// Passkeys are bound to APP_URL, http://localhost:3000 under test
+const ORIGIN = 'http://localhost:3000';
+
+beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.MEDIA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'shortbread-media-'));
+    app = require('../server.js');
+    app.locals.downloader = new FakeDownloader();
+    app.locals.thumbnailer = new FakeThumbnailer();
+
+    token = await login(app, 'contract@example.com', 'Contract');
+});
+
+afterAll(() => {
+    delete process.env.MEDIA_DIR;
+});
+
+// The /api/v1 routes as { key: 'GET /api/v1/boards/{id}', validators }
+const v1Routes = () => app._router.stack
+    .filter(layer => layer.route && layer.route.path.startsWith('/api/v1/'))
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => ({
+        key: `${method.toUpperCase()} ${layer.route.path.replace(/:(\w+)/g, '{$1}')}`,
+        validators: layer.route.stack.map(item => item.handle.operationId).filter(Boolean)
+    })));
+
+const documented = () => [...openapi.operations.values()]
+    .map(({ method, path: specPath }) => `${method.toUpperCase()} ${specPath}`);
+
+// Operations exercised by the walkthrough below
+const called = new Set();
+
+// Call operationId as the document describes it and check the answer
+// against the document: a listed status, with a body matching its schema
+const call = async (operationId, { params = {}, query, body, auth = token, headers = {} } = {}) => {
+    const { method, path: specPath } = openapi.operations.get(operationId);
+    const url = specPath.replace(/\{(\w+)\}/g, (match, name) => encodeURIComponent(params[name]));
+
+    let req = request(app)[method](url).set(headers);
+    if (auth) req = req.set('Authorization', `Bearer ${auth}`);
+    if (query) req = req.query(query);
+    if (body !== undefined) req = req.send(body);
+    const response = await req;
+
+    expect({ operationId, status: response.status, errors: openapi.responseErrors(operationId, response.status, response.body) })
+        .toEqual({ operationId, status: response.status, errors: [] });
+    called.add(operationId);
+    return response;
+};
+
+describe('OpenAPI contract', () => {
+    it('should document every /api/v1 route and nothing else', () => {
+        const routes = v1Routes().map(route => route.key);
+
+        expect([...routes].sort()).toEqual([...documented()].sort());
+    });
+
+    it('should validate each route as its operation', () => {
+        for (const route of v1Routes()) {
+            const [method, specPath] = route.key.split(' ');
+            const { operationId } = [...openapi.operations.values()]
+                .find(entry => entry.method === method.toLowerCase() && entry.path === specPath).operation;
+
+            expect({ route: route.key, validators: route.validators }).toEqual({ route: route.key, validators: [operationId] });
+        }
+    });
+
+    it('should refuse to validate operations the document lacks', () => {
+        expect(() => openapi.validateRequest('noSuchOperation')).toThrow('No operation noSuchOperation');
+    });
+
+    it('should answer every operation as documented', async () => {
+        const authenticator = new SoftAuthenticator({ origin: ORIGIN });
+
+        await call('healthCheck', { auth: null });
+        await call('getCurrentUser');
+
+        const sessions = await call('listSessions');
+        const otherSession = await login(app, 'contract@example.com', 'Contract');
+        const other = (await call('listSessions', { auth: otherSession })).body.sessions.find(session => session.current);
+        await call('deleteSession', { params: { id: other.id } });
+        expect(sessions.body.sessions.length).toBeGreaterThan(0);
+
+        const created = await call('createAccessToken', { body: { name: 'Script', scopes: ['videos:read'] } });
+        expect(created.status).toBe(201);
+        await call('listAccessTokens');
+        await call('deleteAccessToken', { params: { id: created.body.id } });
+
+        const ceremony = await call('startPasskeyRegistration');
+        const passkey = await call('registerPasskey', {
+            body: { ceremonyToken: ceremony.body.ceremonyToken, credential: authenticator.create(ceremony.body.options), name: 'Laptop' }
+        });
+        expect(passkey.status).toBe(201);
+        await call('listPasskeys');
+        await call('renamePasskey', { params: { id: passkey.body.id }, body: { name: 'Work laptop' } });
+        await call('deletePasskey', { params: { id: passkey.body.id } });
+
+        const board = await call('createBoard', { body: { title: 'Contract', description: 'Checked', isPublic: false } });
+        expect(board.status).toBe(201);
+        const boardId = board.body.id;
+        await call('listBoards', { query: { limit: 10 } });
+        await call('getBoard', { params: { id: boardId } });
+        await call('updateBoard', { params: { id: boardId }, body: { title: 'Contract board', isPublic: true } });
+
+        const info = await call('getVideoInfo', { body: { url: 'https://youtube.com/shorts/contract1' } });
+        expect(info.status).toBe(200);
+        const first = await call('saveVideo', { params: { id: boardId }, body: { url: 'https://youtube.com/shorts/contract1' } });
+        const second = await call('saveVideo', { params: { id: boardId }, body: { url: 'https://youtube.com/shorts/contract2' } });
+        expect(second.status).toBe(201);
+        await call('listBoardVideos', { params: { id: boardId }, query: { limit: 1 } });
+        await call('reorderBoard', { params: { id: boardId }, body: { videoId: first.body.id, after: second.body.id } });
+        await call('updateBoardVideo', {
+            params: { boardId, videoId: first.body.id },
+            body: { tags: ['#Recipes'], notes: 'Try this' }
+        });
+        await call('searchVideos', { query: { q: 'contract', tag: 'recipes', limit: 5 } });
+
+        const upload = await request(app)
+            .post('/share')
+            .set('Authorization', `Bearer ${token}`)
+            .attach('file', path.join(__dirname, 'fixtures/sample.mp4'), { filename: 'clip.mp4', contentType: 'video/mp4' });
+        const uploadId = new URL(upload.headers.location, 'http://localhost').searchParams.get('upload');
+        await call('getUpload', { params: { id: uploadId } });
+        await call('saveUpload', { params: { id: uploadId }, body: { boardId } });
+
+        await call('addMember', { params: { id: boardId }, body: { email: 'guest@example.com', role: 'viewer' } });
+        await call('listMembers', { params: { id: boardId } });
+        await call('updateMember', { params: { id: boardId, email: 'guest@example.com' }, body: { role: 'editor' } });
+        await call('removeMember', { params: { id: boardId, email: 'guest@example.com' } });
+
+        const link = await call('createShareLink', { params: { id: boardId }, body: { label: 'Friends' } });
+        await call('listShareLinks', { params: { id: boardId } });
+        await call('deleteShareLink', { params: { id: boardId, linkId: link.body.id } });
+
+        const target = await call('createBoard', { body: { title: 'Target' } });
+        await call('assignVideo', { params: { id: second.body.id }, body: { boardIds: [boardId, target.body.id] } });
+        await call('removeBoardVideo', { params: { boardId, videoId: second.body.id } });
+        await call('removeVideo', { params: { id: first.body.id } });
+        await call('deleteBoard', { params: { id: target.body.id }, query: { cascade: 'true' } });
+        await call('deleteBoard', { params: { id: boardId } });
+
+        // Errors are documented too
+        await call('getBoard', { params: { id: boardId } });
+        await call('listBoards', { auth: null });
+
+        expect([...openapi.operations.keys()].filter(operationId => !called.has(operationId))).toEqual([]);
+    });
+});
+
+describe('request validation', () => {
+    const send = (method, url) => request(app)[method](url).set('Authorization', `Bearer ${token}`);
+
+    it('should list what is wrong with a request', async () => {
+        const response = await send('post', '/api/v1/boards').send({ title: ' ', isPublic: 'yes' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toEqual({
+            code: 'validation_failed',
+            message: 'Board title is required',
+            details: {
+                errors: [
+                    { in: 'body', path: 'title', message: 'Board title is required' },
+                    { in: 'body', path: 'isPublic', message: 'isPublic must be true or false' }
+                ]
+            }
+        });
+    });
+
+    it('should refuse bodies that are not objects', async () => {
+        const response = await send('post', '/api/v1/boards').send([{ title: 'Listed' }]);
+
+        expect(response.status).toBe(400);
+        expect(response.body.error.message).toBe('The request body must be a JSON object');
+    });
+
+    it('should cap how many boards a video is assigned to', async () => {
+        const board = await send('post', '/api/v1/boards').send({ title: 'Capped' });
+        const saved = await send('post', `/api/v1/boards/${board.body.id}/videos`)
+            .send({ url: 'https://youtube.com/shorts/capped' });
+
+        const response = await send('put', `/api/v1/videos/${saved.body.id}/boards`)
+            .send({ boardIds: Array.from({ length: 10000 }, (value, i) => String(i)) });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error.code).toBe('validation_failed');
+        expect(response.body.error.details.errors[0].path).toBe('boardIds');
+    });
+
+    it('should keep ids to URL-safe characters', async () => {
+        const board = await send('post', '/api/v1/boards').send({ title: 'Ids' });
+
+        const response = await send('put', `/api/v1/videos/${encodeURIComponent("x');alert(1);//")}/boards`)
+            .send({ boardIds: [board.body.id], url: 'https://youtube.com/shorts/chosenid' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error.details.errors).toEqual([
+            { in: 'path', path: 'id', message: 'id is not valid' }
+        ]);
+    });
+
+    it('should answer links that are not URLs with a 400', async () => {
+        const v1 = await send('post', '/api/v1/videos/info').send({ url: 'not a url' });
+        expect(v1.status).toBe(400);
+        expect(v1.body.error.message).toBe('url must be an http(s) URL');
+
+        const legacy = await send('post', '/api/video/info').send({ url: 'javascript:alert(1)' });
+        expect(legacy.status).toBe(400);
+        expect(legacy.body).toMatchObject({ error: 'url must be an http(s) URL', code: 'validation_failed' });
+
+        const board = await send('post', '/api/v1/boards').send({ title: 'Links' });
+        const saved = await send('post', '/api/videos').send({ url: 'not a url', boardId: board.body.id });
+        expect(saved.status).toBe(400);
+    });
+
+    it('should check query parameters', async () => {
+        const notInteger = await send('get', '/api/v1/boards?limit=ten');
+        expect(notInteger.status).toBe(400);
+        expect(notInteger.body.error.details.errors).toEqual([
+            { in: 'query', path: 'limit', message: 'limit must be an integer' }
+        ]);
+
+        const cascade = await send('delete', '/api/v1/boards/any?cascade=maybe');
+        expect(cascade.status).toBe(400);
+        expect(cascade.body.error.details.errors[0]).toMatchObject({ in: 'query', path: 'cascade' });
+    });
+
+    it('should validate after authentication', async () => {
+        const response = await request(app).post('/api/v1/boards').send({ isPublic: 'yes' });
+
+        expect(response.status).toBe(401);
+    });
+});
+
+describe('API docs', () => {
+    it('should serve the reference page', async () => {
+        const response = await request(app).get('/api/docs');
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toMatch(/^text\/html/);
+        expect(response.text).toContain('/api/v1/boards/{id}/videos');
+        expect(response.text).toContain('id="schema-Board"');
+    });
+
+    it('should serve the OpenAPI document', async () => {
+        const response = await request(app).get('/api/docs/openapi.json');
+
+        expect(response.status).toBe(200);
+        expect(response.body.openapi).toBe('3.0.3');
+        expect(Object.keys(response.body.paths)).toContain('/api/v1/boards');
+    });
+});
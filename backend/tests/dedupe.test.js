@@ -0,0 +1,159 @@
+const request = require('supertest');
+const { createStorage } = require('../storage');
+const { mergeDuplicateVideos } = require('../migrations/merge-duplicate-videos');
+const { login } = require('./helpers/auth');
+const { createBoard, saveVideo } = require('./helpers/boards');
+
+describe('Video Deduplication', () => {
+    let app;
+    let token;
+    let otherToken;
+    let boardA;
+    let boardB;
+    let otherBoard;
+
+    beforeAll(async () => {
+        process.env.NODE_ENV = 'test';
+        process.env.JWT_SECRET = 'test-secret';
+        app = require('../server.js');
+
+        token = await login(app, 'dedupe@example.com', 'Dedupe User');
+        otherToken = await login(app, 'dedupe-other@example.com', 'Other User');
+        boardA = (await createBoard(app, token, { title: 'Board A' })).id;
+        boardB = (await createBoard(app, token, { title: 'Board B' })).id;
+        otherBoard = (await createBoard(app, otherToken, { title: 'Other Board' })).id;
+    });
+
+    it('should reuse one video for every variant of a link', async () => {
+        const first = await saveVideo(app, token, boardA, 'https://youtu.be/dQw4w9WgXcQ?si=abc');
+        const second = await saveVideo(app, token, boardB, 'https://www.youtube.com/shorts/dQw4w9WgXcQ');
+        const third = await saveVideo(app, otherToken, otherBoard, 'https://m.youtube.com/watch?v=dQw4w9WgXcQ&feature=share');
+
+        expect(first.status).toBe(200);
+        expect(first.body.canonicalKey).toBe('youtube:dQw4w9WgXcQ');
+        expect(second.body.id).toBe(first.body.id);
+        expect(third.body.id).toBe(first.body.id);
+
+        const links = await app.locals.storage.videoBoards.listByVideo(first.body.id);
+        expect(links.map(link => link.boardId).sort()).toEqual([boardA, boardB, otherBoard].sort());
+
+        // Downloaded once
+        expect(await app.locals.storage.jobs.listByVideo(first.body.id)).toHaveLength(1);
+    });
+
+    it('should not link a video to the same board twice', async () => {
+        const first = await saveVideo(app, token, boardA, 'https://www.instagram.com/reel/C2xYz_AbCdE/');
+        const again = await saveVideo(app, token, boardA, 'https://www.instagram.com/reel/C2xYz_AbCdE/?igsh=xyz');
+
+        expect(again.status).toBe(200);
+        expect(again.body.id).toBe(first.body.id);
+        expect(await app.locals.storage.videoBoards.listByVideo(first.body.id)).toHaveLength(1);
+    });
+
+    it('should assign an already saved link to the existing video', async () => {
+        const saved = await saveVideo(app, token, boardA, 'https://x.com/crumbsdaily/status/1760000000000000000');
+
+        const response = await request(app)
+            .patch('/video/new-client-id/assign')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ boardIds: [boardB], url: 'https://twitter.com/crumbsdaily/status/1760000000000000000?s=20' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.video.id).toBe(saved.body.id);
+        expect(await app.locals.storage.videos.findById('new-client-id')).toBeNull();
+
+        const links = await app.locals.storage.videoBoards.listByVideo(saved.body.id);
+        expect(links.map(link => link.boardId)).toEqual([boardB]);
+    });
+
+    it('should leave other users\' boards alone when reassigning a shared video', async () => {
+        const url = 'https://www.tiktok.com/@matchamaker/video/7334567890123456789';
+        const mine = await saveVideo(app, token, boardA, url);
+        await saveVideo(app, otherToken, otherBoard, url);
+
+        const response = await request(app)
+            .patch(`/video/${mine.body.id}/assign`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ boardIds: [boardB] });
+
+        expect(response.status).toBe(200);
+        const links = await app.locals.storage.videoBoards.listByVideo(mine.body.id);
+        expect(links.map(link => link.boardId).sort()).toEqual([boardB, otherBoard].sort());
+    });
+});
+
+describe('Merge duplicate videos migration', () => {
+    let storage;
+    let deleted;
+
+    const video = (id, url, fields = {}) => ({
+        id,
+        url,
+        platform: 'YouTube',
+        title: id,
+        status: 'queued',
+        addedAt: new Date('2024-01-01'),
+        ...fields
+    });
+
+    beforeEach(async () => {
+        storage = createStorage('memory');
+        await storage.connect();
+        deleted = [];
+
+        // Saved before canonical keys existed
+        await storage.videos.create(video('old', 'https://youtu.be/dQw4w9WgXcQ', {
+            addedAt: new Date('2024-01-01')
+        }));
+        await storage.videos.create(video('ready', 'https://youtube.com/shorts/dQw4w9WgXcQ?si=x', {
+            status: 'ready',
+            media: { key: 'videos/ready.mp4', contentType: 'video/mp4', size: 10 },
+            addedAt: new Date('2024-02-01')
+        }));
+        await storage.videos.create(video('newer', 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', {
+            status: 'ready',
+            media: { key: 'videos/newer.mp4', contentType: 'video/mp4', size: 10 },
+            poster: { key: 'thumbnails/newer.jpg', contentType: 'image/jpeg', size: 1 },
+            preview: { key: 'previews/newer.webp', contentType: 'image/webp', size: 1 },
+            addedAt: new Date('2024-03-01')
+        }));
+        await storage.videos.create(video('single', 'https://example.com/clip'));
+        await storage.videos.create(video('upload', null, { platform: 'Upload' }));
+
+        await storage.boards.create({ id: 'b1', userId: 'u1', title: 'B1', cover: 'old', createdAt: new Date() });
+        await storage.boards.create({ id: 'b3', userId: 'u1', title: 'B3', cover: 'newer', createdAt: new Date() });
+
+        await storage.videoBoards.create({ videoId: 'old', boardId: 'b1' });
+        await storage.videoBoards.create({ videoId: 'ready', boardId: 'b2' });
+        await storage.videoBoards.create({ videoId: 'newer', boardId: 'b1' });
+        await storage.videoBoards.create({ videoId: 'newer', boardId: 'b3' });
+    });
+
+    const mediaStore = { delete: async (key) => { deleted.push(key); } };
+
+    it('should keep the oldest ready video and move board links to it', async () => {
+        const result = await mergeDuplicateVideos(storage, { mediaStore });
+
+        expect(result).toEqual({ merged: 2, videos: 2 });
+        expect(await storage.videos.findById('old')).toBeNull();
+        expect(await storage.videos.findById('newer')).toBeNull();
+
+        const keeper = await storage.videos.findById('ready');
+        expect(keeper.canonicalKey).toBe('youtube:dQw4w9WgXcQ');
+        const links = await storage.videoBoards.listByVideo('ready');
+        expect(links.map(link => link.boardId).sort()).toEqual(['b1', 'b2', 'b3']);
+
+        expect(deleted.sort()).toEqual(['previews/newer.webp', 'thumbnails/newer.jpg', 'videos/newer.mp4']);
+        expect((await storage.boards.findById('b1')).cover).toBe('ready');
+        expect((await storage.boards.findById('b3')).cover).toBe('ready');
+    });
+
+    it('should key every linked video and be safe to rerun', async () => {
+        await mergeDuplicateVideos(storage, { mediaStore });
+        const rerun = await mergeDuplicateVideos(storage, { mediaStore });
+
+        expect(rerun).toEqual({ merged: 0, videos: 2 });
+        expect((await storage.videos.findById('single')).canonicalKey).toBe('url:example.com/clip');
+        expect((await storage.videos.findById('upload')).canonicalKey).toBeUndefined();
+    });
+});
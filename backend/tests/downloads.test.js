@@ -0,0 +1,349 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const FakeDownloader = require('./helpers/fakeDownloader');
+const FakeThumbnailer = require('./helpers/fakeThumbnailer');
+const { login } = require('./helpers/auth');
+const { canonicalKey } = require('../extractors');
+const { createStorage, MemoryStorage } = require('../storage');
+const JobQueue = require('../jobs/queue');
+const { queueProcessedVideos } = require('../migrations/queue-processed-videos');
+
+let app;
+let mediaDir;
+
+beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    process.env.JWT_SECRET = 'test-secret';
+    mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shortbread-media-'));
+    process.env.MEDIA_DIR = mediaDir;
+    app = require('../server.js');
+    app.locals.thumbnailer = new FakeThumbnailer();
+    // Retry immediately instead of waiting for backoff
+    app.locals.jobQueue.backoffBase = 0;
+});
+
+afterAll(() => {
+    delete process.env.MEDIA_DIR;
+});
+
+describe('Video Download Pipeline', () => {
+    let token;
+    let boardId;
+
+    beforeAll(async () => {
+        token = await login(app, 'downloads@example.com', 'Download User');
+
+        const boardResponse = await request(app)
+            .post('/board/create')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ title: 'Downloads' });
+        boardId = boardResponse.body.id;
+    });
+
+    const saveVideo = (url) => request(app)
+        .post('/api/videos')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ url, boardId });
+
+    it('should queue new videos for download', async () => {
+        app.locals.downloader = new FakeDownloader();
+
+        const response = await saveVideo('https://youtube.com/shorts/queued');
+
+        expect(response.status).toBe(200);
+        expect(response.body.status).toBe('queued');
+        expect(response.body.downloadUrl).toBe(`/api/videos/${response.body.id}/download`);
+
+        const jobs = await app.locals.storage.jobs.listByVideo(response.body.id);
+        expect(jobs).toHaveLength(1);
+        expect(jobs[0].status).toBe('queued');
+    });
+
+    it('should download media and mark the video ready', async () => {
+        const downloader = new FakeDownloader();
+        app.locals.downloader = downloader;
+
+        const response = await saveVideo('https://youtube.com/shorts/ready');
+        await app.locals.jobQueue.drain();
+
+        const video = await app.locals.storage.videos.findById(response.body.id);
+        expect(video.status).toBe('ready');
+        expect(video.error).toBeNull();
+        expect(video.media).toEqual({
+            key: `videos/${video.id}.mp4`,
+            contentType: 'video/mp4',
+            size: 4096
+        });
+        expect(fs.existsSync(path.join(mediaDir, video.media.key))).toBe(true);
+        expect(downloader.calls).toContain('https://youtube.com/shorts/ready');
+    });
+
+    it('should not keep media stored for a video deleted while it downloaded', async () => {
+        const downloader = new FakeDownloader();
+        const download = downloader.download.bind(downloader);
+        downloader.download = async (url, options) => {
+            await app.locals.storage.videos.delete(options.basename);
+            return download(url, options);
+        };
+        app.locals.downloader = downloader;
+
+        const response = await saveVideo('https://youtube.com/shorts/deleted');
+        await app.locals.jobQueue.drain();
+
+        const { id } = response.body;
+        expect(await app.locals.storage.videos.findById(id)).toBeNull();
+        for (const key of [`videos/${id}.mp4`, `thumbnails/${id}.jpg`, `previews/${id}.webp`]) {
+            expect({ key, exists: fs.existsSync(path.join(mediaDir, key)) }).toEqual({ key, exists: false });
+        }
+    });
+
+    it('should retry failed downloads', async () => {
+        app.locals.downloader = new FakeDownloader({ failures: 2 });
+
+        const response = await saveVideo('https://youtube.com/shorts/flaky');
+        await app.locals.jobQueue.drain();
+
+        const video = await app.locals.storage.videos.findById(response.body.id);
+        expect(video.status).toBe('ready');
+
+        const [job] = await app.locals.storage.jobs.listByVideo(video.id);
+        expect(job.status).toBe('done');
+        expect(job.attempts).toBe(3);
+    });
+
+    it('should mark the video failed with a reason once retries run out', async () => {
+        app.locals.downloader = new FakeDownloader({ failures: 10 });
+
+        const response = await saveVideo('https://youtube.com/shorts/broken');
+        await app.locals.jobQueue.drain();
+
+        const video = await app.locals.storage.videos.findById(response.body.id);
+        expect(video.status).toBe('failed');
+        expect(video.error).toBe('Simulated download failure');
+
+        const [job] = await app.locals.storage.jobs.listByVideo(video.id);
+        expect(job.status).toBe('failed');
+        expect(job.attempts).toBe(job.maxAttempts);
+    });
+
+    it('should try a failed download again when the link is saved again', async () => {
+        app.locals.downloader = new FakeDownloader({ failures: 10 });
+        const first = await saveVideo('https://youtube.com/shorts/retried');
+        await app.locals.jobQueue.drain();
+        expect((await app.locals.storage.videos.findById(first.body.id)).status).toBe('failed');
+
+        app.locals.downloader = new FakeDownloader();
+        const again = await saveVideo('https://youtube.com/shorts/retried?si=again');
+
+        expect(again.body).toMatchObject({ id: first.body.id, status: 'queued', error: null });
+        await app.locals.jobQueue.drain();
+        expect((await app.locals.storage.videos.findById(first.body.id)).status).toBe('ready');
+        expect(await app.locals.storage.jobs.listByVideo(first.body.id)).toHaveLength(2);
+    });
+
+    it('should refuse links to internal addresses without queueing a download', async () => {
+        const downloader = new FakeDownloader();
+        app.locals.downloader = downloader;
+
+        for (const url of ['http://127.0.0.1:3000/video.mp4', 'http://169.254.169.254/latest/meta-data/', 'http://[::1]/clip']) {
+            const response = await saveVideo(url);
+
+            expect({ url, status: response.status, error: response.body.error })
+                .toEqual({ url, status: 400, error: 'url must link to a public host' });
+            expect(await app.locals.storage.videos.findByCanonicalKey(canonicalKey(url))).toBeNull();
+        }
+        await app.locals.jobQueue.drain();
+        expect(downloader.calls).toEqual([]);
+    });
+
+    it('should back off between attempts', () => {
+        const queue = app.locals.jobQueue;
+        const { backoffBase } = queue;
+        queue.backoffBase = 1000;
+
+        expect(queue.retryDelay(1)).toBe(1000);
+        expect(queue.retryDelay(2)).toBe(2000);
+        expect(queue.retryDelay(3)).toBe(4000);
+        expect(queue.retryDelay(30)).toBe(queue.backoffMax);
+
+        queue.backoffBase = backoffBase;
+    });
+
+    it('should prune its own finished jobs once they are past retention', async () => {
+        const storage = new MemoryStorage();
+        const queue = new JobQueue({ getStorage: () => storage });
+        queue.register('download', { run: async () => {} });
+        const done = await queue.enqueue('download', { videoId: 'v1' });
+        const mail = await queue.enqueue('mail');
+        await queue.drain();
+        const waiting = await queue.enqueue('download', { videoId: 'v2' });
+
+        const day = 24 * 60 * 60 * 1000;
+        expect(await queue.prune(day)).toBe(0);
+        expect(await queue.prune(day, new Date(Date.now() + 2 * day))).toBe(1);
+        expect(await storage.jobs.findById(done.id)).toBeNull();
+        expect((await storage.jobs.findById(waiting.id)).status).toBe('queued');
+        expect(await storage.jobs.findById(mail.id)).not.toBeNull();
+    });
+
+    it('should not queue downloads for rejected assignments', async () => {
+        const otherToken = await login(app, 'intruder@example.com', 'Intruder');
+
+        const response = await request(app)
+            .patch('/video/intruder-video/assign')
+            .set('Authorization', `Bearer ${otherToken}`)
+            .send({ boardIds: [boardId], url: 'https://youtube.com/shorts/intruder' });
+
+        expect(response.status).toBe(403);
+        expect(await app.locals.storage.videos.findById('intruder-video')).toBeNull();
+        expect(await app.locals.storage.jobs.listByVideo('intruder-video')).toEqual([]);
+    });
+});
+
+describe('Generated Thumbnails', () => {
+    let token;
+    let boardId;
+
+    beforeAll(async () => {
+        token = await login(app, 'thumbnails@example.com', 'Thumbnail User');
+
+        const boardResponse = await request(app)
+            .post('/board/create')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ title: 'Thumbnails' });
+        boardId = boardResponse.body.id;
+    });
+
+    const downloadVideo = async (url) => {
+        const response = await request(app)
+            .post('/api/videos')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ url, boardId });
+        await app.locals.jobQueue.drain();
+        return app.locals.storage.videos.findById(response.body.id);
+    };
+
+    beforeEach(() => {
+        app.locals.downloader = new FakeDownloader();
+        app.locals.thumbnailer = new FakeThumbnailer();
+    });
+
+    it('should render a poster and preview once the download finishes', async () => {
+        const video = await downloadVideo('https://youtube.com/shorts/posterclip');
+
+        expect(video.thumbnail).toBe(`/api/videos/${video.id}/thumbnail`);
+        expect(video.poster).toEqual({ key: `thumbnails/${video.id}.jpg`, contentType: 'image/jpeg', size: 258 });
+        expect(video.preview).toEqual({ key: `previews/${video.id}.webp`, contentType: 'image/webp', size: 68 });
+        expect(fs.existsSync(path.join(mediaDir, video.poster.key))).toBe(true);
+        expect(fs.existsSync(path.join(mediaDir, video.preview.key))).toBe(true);
+    });
+
+    it('should serve the poster and preview with cache headers', async () => {
+        const video = await downloadVideo('https://youtube.com/shorts/cachedclip');
+
+        const poster = await request(app)
+            .get(video.thumbnail)
+            .set('Authorization', `Bearer ${token}`);
+        expect(poster.status).toBe(200);
+        expect(poster.headers['content-type']).toBe('image/jpeg');
+        expect(poster.headers['cache-control']).toBe('private, max-age=86400');
+        expect(poster.headers.etag).toBeDefined();
+
+        const revalidated = await request(app)
+            .get(video.thumbnail)
+            .set('Authorization', `Bearer ${token}`)
+            .set('If-None-Match', poster.headers.etag);
+        expect(revalidated.status).toBe(304);
+
+        const preview = await request(app)
+            .get(`${video.thumbnail}?variant=preview`)
+            .query({ token });
+        expect(preview.status).toBe(200);
+        expect(preview.headers['content-type']).toBe('image/webp');
+        expect(preview.headers['content-length']).toBe('68');
+    });
+
+    it('should keep the platform thumbnail when rendering fails', async () => {
+        const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+        app.locals.thumbnailer = new FakeThumbnailer({ fail: true });
+
+        const video = await downloadVideo('https://youtu.be/aaaaaaaaaaa');
+        error.mockRestore();
+
+        expect(video.status).toBe('ready');
+        expect(video.poster).toBeNull();
+        expect(video.preview).toBeNull();
+        expect(video.thumbnail).toBe('https://i.ytimg.com/vi/aaaaaaaaaaa/hqdefault.jpg');
+    });
+
+    it('should show the rendered poster when previewing a saved link', async () => {
+        const video = await downloadVideo('https://youtu.be/bbbbbbbbbbb');
+
+        const mine = await request(app)
+            .post('/api/video/info')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ url: 'https://www.youtube.com/shorts/bbbbbbbbbbb' });
+        expect(mine.body.thumbnail).toBe(video.thumbnail);
+
+        // The board is private, so strangers see the platform's thumbnail
+        const strangerToken = await login(app, 'previewer@example.com', 'Previewer');
+        const stranger = await request(app)
+            .post('/api/video/info')
+            .set('Authorization', `Bearer ${strangerToken}`)
+            .send({ url: 'https://www.youtube.com/shorts/bbbbbbbbbbb' });
+        expect(stranger.body.thumbnail).toBe('https://i.ytimg.com/vi/bbbbbbbbbbb/hqdefault.jpg');
+    });
+});
+
+describe('YtDlpDownloader', () => {
+    const { YtDlpDownloader } = require('../downloaders');
+
+    // A stand-in for yt-dlp that records its arguments and reports a file
+    const fakeBinary = () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shortbread-ytdlp-'));
+        const binary = path.join(dir, 'yt-dlp');
+        fs.writeFileSync(binary, `#!/bin/sh\nprintf '%s\\n' "$@" > "${dir}/args"\necho "${dir}/video.mp4"\n`, { mode: 0o755 });
+        return { binary, args: () => fs.readFileSync(path.join(dir, 'args'), 'utf8').trim().split('\n') };
+    };
+
+    it('should pass the URL after -- so it is never read as an option', async () => {
+        const fake = fakeBinary();
+        const downloader = new YtDlpDownloader({ binary: fake.binary });
+
+        await downloader.download('--exec=touch /tmp/pwned', { outputDir: os.tmpdir(), basename: 'v1' });
+
+        expect(fake.args().slice(-2)).toEqual(['--', '--exec=touch /tmp/pwned']);
+    });
+
+    it('should cap the size of downloads', async () => {
+        const fake = fakeBinary();
+        const downloader = new YtDlpDownloader({ binary: fake.binary, maxFileSizeMb: 50 });
+
+        await downloader.download('https://youtube.com/shorts/abc', { outputDir: os.tmpdir(), basename: 'v1' });
+
+        const args = fake.args();
+        expect(args[args.indexOf('--max-filesize') + 1]).toBe('50M');
+    });
+});
+
+describe('Queue processed videos migration', () => {
+    it('should queue the downloads of videos saved before the pipeline', async () => {
+        const storage = createStorage('memory');
+        await storage.connect();
+        const video = (id, fields) => storage.videos.create({ id, url: `https://example.com/${id}`, title: id, addedAt: new Date(), ...fields });
+        await video('old', { status: 'processed', downloadUrl: null });
+        await video('ready', { status: 'ready', media: { key: 'videos/ready.mp4', contentType: 'video/mp4', size: 1 } });
+        await video('failed', { status: 'failed', error: 'Gone' });
+
+        expect(await queueProcessedVideos(storage)).toEqual({ queued: 1 });
+        expect(await storage.videos.findById('old')).toMatchObject({ status: 'queued', downloadUrl: '/api/videos/old/download' });
+        expect((await storage.jobs.listByVideo('old')).map(job => [job.type, job.status])).toEqual([['download', 'queued']]);
+        expect((await storage.videos.findById('failed')).status).toBe('failed');
+        expect(await storage.jobs.listByVideo('ready')).toEqual([]);
+
+        expect(await queueProcessedVideos(storage)).toEqual({ queued: 0 });
+        expect(await storage.jobs.listByVideo('old')).toHaveLength(1);
+    });
+});
@@ -0,0 +1,293 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { extractors, findExtractor, canonicalKey, extractVideoInfo } = require('../extractors');
+const { login } = require('./helpers/auth');
+
+// Serves saved responses instead of hitting the network. Routes map URL
+// prefixes to fixture files.
+const fixtureFetcher = (routes) => {
+    const fetchText = async (url) => {
+        fetchText.requested.push(url);
+        const prefix = Object.keys(routes).find(p => url.startsWith(p));
+        if (!prefix) {
+            throw new Error(`No fixture for ${url}`);
+        }
+        return fs.readFileSync(path.join(__dirname, 'fixtures/extractors', routes[prefix]), 'utf8');
+    };
+    fetchText.requested = [];
+    return fetchText;
+};
+
+describe('Extractor Registry', () => {
+    it('should load every platform module', () => {
+        expect(extractors.map(e => e.platform).sort()).toEqual(
+            ['Facebook', 'Instagram', 'TikTok', 'Unknown', 'X (Twitter)', 'YouTube']
+        );
+    });
+
+    it.each([
+        ['https://www.youtube.com/watch?v=dQw4w9WgXcQ', 'YouTube'],
+        ['https://youtu.be/dQw4w9WgXcQ', 'YouTube'],
+        ['https://m.youtube.com/shorts/dQw4w9WgXcQ', 'YouTube'],
+        ['https://www.instagram.com/reel/C2xYz_AbCdE/', 'Instagram'],
+        ['https://vm.tiktok.com/ZMabc123/', 'TikTok'],
+        ['https://x.com/crumbsdaily/status/1760000000000000000', 'X (Twitter)'],
+        ['https://mobile.twitter.com/crumbsdaily/status/1760000000000000000', 'X (Twitter)'],
+        ['https://fb.watch/abcDEF/', 'Facebook'],
+        ['https://www.netflix.com/watch/1', 'Unknown'],
+        ['https://videos.example.com/watch/42', 'Unknown']
+    ])('should route %s to %s', (url, platform) => {
+        expect(findExtractor(new URL(url)).platform).toBe(platform);
+    });
+
+    it('should fall back to URL-only info when fetching is disabled', async () => {
+        const info = await extractVideoInfo('https://youtu.be/dQw4w9WgXcQ?si=tracking', { fetchText: null });
+
+        expect(info).toEqual({
+            url: 'https://youtu.be/dQw4w9WgXcQ?si=tracking',
+            canonicalKey: 'youtube:dQw4w9WgXcQ',
+            platform: 'YouTube',
+            platformId: 'dQw4w9WgXcQ',
+            title: 'Video from YouTube',
+            author: null,
+            thumbnail: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/hqdefault.jpg',
+            duration: null,
+            postedAt: null
+        });
+    });
+
+    it('should keep URL-only info when a fetch fails', async () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const info = await extractVideoInfo('https://www.tiktok.com/@matchamaker/video/7334567890123456789', {
+            fetchText: fixtureFetcher({})
+        });
+        warn.mockRestore();
+
+        expect(info.title).toBe('Video from TikTok');
+        expect(info.author).toBe('matchamaker');
+        expect(info.platformId).toBe('7334567890123456789');
+    });
+});
+
+describe('canonicalKey', () => {
+    it.each([
+        ['https://youtu.be/dQw4w9WgXcQ?si=tracking', 'youtube:dQw4w9WgXcQ'],
+        ['https://www.youtube.com/watch?v=dQw4w9WgXcQ&feature=share', 'youtube:dQw4w9WgXcQ'],
+        ['https://m.youtube.com/shorts/dQw4w9WgXcQ', 'youtube:dQw4w9WgXcQ'],
+        ['https://www.instagram.com/reel/C2xYz_AbCdE/?igsh=abc', 'instagram:C2xYz_AbCdE'],
+        ['https://instagram.com/p/C2xYz_AbCdE', 'instagram:C2xYz_AbCdE'],
+        ['https://www.tiktok.com/@matchamaker/video/7334567890123456789?is_from_webapp=1', 'tiktok:7334567890123456789'],
+        ['https://twitter.com/crumbsdaily/status/1760000000000000000?s=20', 'x:1760000000000000000'],
+        ['https://www.facebook.com/watch/?v=1234567890', 'facebook:1234567890']
+    ])('should key %s by its platform ID', (url, key) => {
+        expect(canonicalKey(url)).toBe(key);
+    });
+
+    it('should normalize links without a platform ID', () => {
+        const key = 'url:videos.example.com/watch/42?a=1&b=2';
+
+        expect(canonicalKey('https://videos.example.com/watch/42?b=2&a=1')).toBe(key);
+        expect(canonicalKey('http://WWW.videos.example.com/watch/42/?a=1&utm_source=x&b=2#comments')).toBe(key);
+        expect(canonicalKey('https://vm.tiktok.com/ZMabc123/')).toBe('url:vm.tiktok.com/ZMabc123');
+        expect(canonicalKey('https://videos.example.com/watch/43')).not.toBe(key);
+    });
+});
+
+describe('Platform Extractors', () => {
+    it('should extract YouTube metadata from oEmbed and the watch page', async () => {
+        const fetchText = fixtureFetcher({
+            'https://www.youtube.com/oembed': 'youtube-oembed.json',
+            'https://www.youtube.com/watch': 'youtube-watch.html'
+        });
+
+        const info = await extractVideoInfo('https://youtube.com/shorts/dQw4w9WgXcQ?feature=share', { fetchText });
+
+        expect(info).toMatchObject({
+            platform: 'YouTube',
+            platformId: 'dQw4w9WgXcQ',
+            title: 'How to make shortbread in 60 seconds',
+            author: 'Bake Club',
+            thumbnail: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/hqdefault.jpg',
+            duration: 58
+        });
+        expect(info.postedAt.toISOString()).toBe('2024-03-14T16:30:00.000Z');
+        expect(fetchText.requested[1]).toBe('https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+    });
+
+    it('should extract Instagram metadata from OpenGraph tags', async () => {
+        const fetchText = fixtureFetcher({ 'https://www.instagram.com/': 'instagram-reel.html' });
+
+        const info = await extractVideoInfo('https://www.instagram.com/reel/C2xYz_AbCdE/?igsh=abc', { fetchText });
+
+        expect(info).toMatchObject({
+            platform: 'Instagram',
+            platformId: 'C2xYz_AbCdE',
+            title: 'Brown butter shortbread 🍪',
+            author: 'jamie.bakes',
+            thumbnail: 'https://scontent.cdninstagram.com/v/t51.29350-15/reel_thumb.jpg?stp=dst-jpg&_nc_ht=scontent.cdninstagram.com'
+        });
+        expect(info.postedAt.toISOString()).toBe('2024-02-02T00:00:00.000Z');
+    });
+
+    it('should extract TikTok metadata and date the post from its ID', async () => {
+        const fetchText = fixtureFetcher({ 'https://www.tiktok.com/oembed': 'tiktok-oembed.json' });
+
+        const info = await extractVideoInfo('https://www.tiktok.com/@matchamaker/video/7334567890123456789', { fetchText });
+
+        expect(info).toMatchObject({
+            platform: 'TikTok',
+            platformId: '7334567890123456789',
+            title: 'shortbread but make it matcha #baking #matcha',
+            author: 'matchamaker',
+            thumbnail: 'https://p16-sign.tiktokcdn-us.com/obj/tos-useast5-p-0068-tx/thumb.jpeg'
+        });
+        expect(info.postedAt.toISOString()).toBe('2024-02-12T04:29:22.000Z');
+    });
+
+    it('should extract X posts and date them from their snowflake ID', async () => {
+        const fetchText = fixtureFetcher({ 'https://publish.twitter.com/oembed': 'x-oembed.json' });
+
+        const info = await extractVideoInfo('https://x.com/crumbsdaily/status/1760000000000000000', { fetchText });
+
+        expect(info).toMatchObject({
+            platform: 'X (Twitter)',
+            platformId: '1760000000000000000',
+            title: 'The flakiest shortbread you\'ll ever see',
+            author: 'crumbsdaily'
+        });
+        expect(info.postedAt.toISOString()).toBe('2024-02-20T17:54:33.875Z');
+    });
+
+    it('should extract Facebook metadata from OpenGraph tags', async () => {
+        const fetchText = fixtureFetcher({ 'https://www.facebook.com/': 'facebook-video.html' });
+
+        const info = await extractVideoInfo('https://www.facebook.com/sweettooth/videos/1234567890/', { fetchText });
+
+        expect(info).toMatchObject({
+            platform: 'Facebook',
+            platformId: '1234567890',
+            title: 'Grandma\'s shortbread',
+            author: 'Sweet Tooth',
+            thumbnail: 'https://scontent.xx.fbcdn.net/v/t15.5256-10/video_thumb.jpg',
+            duration: 74
+        });
+        expect(info.postedAt.toISOString()).toBe('2023-12-01T18:00:00.000Z');
+    });
+
+    it('should use oEmbed discovery and OpenGraph on other sites', async () => {
+        const fetchText = fixtureFetcher({
+            'https://videos.example.com/oembed': 'generic-oembed.json',
+            'https://videos.example.com/watch': 'generic-page.html'
+        });
+
+        const info = await extractVideoInfo('https://videos.example.com/watch/42', { fetchText });
+
+        expect(info).toMatchObject({
+            platform: 'Unknown',
+            platformId: null,
+            title: 'Shortbread, slowly (full tutorial)',
+            author: 'Example Kitchen',
+            thumbnail: 'https://videos.example.com/thumbs/42.jpg',
+            duration: 312
+        });
+        expect(info.postedAt.toISOString()).toBe('2024-05-01T12:00:00.000Z');
+    });
+});
+
+describe('POST /api/video/info', () => {
+    let app;
+    let token;
+
+    beforeAll(async () => {
+        process.env.NODE_ENV = 'test';
+        process.env.JWT_SECRET = 'test-secret';
+        app = require('../server.js');
+        token = await login(app, 'extractors@example.com', 'Extractors');
+    });
+
+    it('should need a signed-in user', async () => {
+        const response = await request(app)
+            .post('/api/video/info')
+            .send({ url: 'https://youtu.be/dQw4w9WgXcQ' });
+
+        expect(response.status).toBe(401);
+    });
+
+    it('should return extracted metadata', async () => {
+        app.locals.fetchText = fixtureFetcher({
+            'https://www.youtube.com/oembed': 'youtube-oembed.json',
+            'https://www.youtube.com/watch': 'youtube-watch.html'
+        });
+
+        const response = await request(app)
+            .post('/api/video/info')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ url: 'https://youtu.be/dQw4w9WgXcQ' });
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({
+            platform: 'YouTube',
+            title: 'How to make shortbread in 60 seconds',
+            author: 'Bake Club',
+            duration: 58,
+            postedAt: '2024-03-14T16:30:00.000Z'
+        });
+
+        app.locals.fetchText = null;
+    });
+});
+
+describe('fetchText', () => {
+    const { fetchText, isBlockedAddress } = require('../extractors/http');
+
+    it('should tell public addresses from internal ones', () => {
+        for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254',
+            '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+            expect({ address, blocked: isBlockedAddress(address) }).toEqual({ address, blocked: true });
+        }
+        for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700::1111', '::ffff:8.8.8.8']) {
+            expect({ address, blocked: isBlockedAddress(address) }).toEqual({ address, blocked: false });
+        }
+    });
+
+    it('should refuse internal addresses and other protocols', async () => {
+        await expect(fetchText('http://127.0.0.1:3000/')).rejects.toThrow('127.0.0.1 is not a public address');
+        await expect(fetchText('http://169.254.169.254/latest/meta-data/')).rejects.toThrow('not a public address');
+        await expect(fetchText('http://[::1]/')).rejects.toThrow('not a public address');
+        await expect(fetchText('file:///etc/passwd')).rejects.toThrow('Only http(s) URLs can be fetched');
+    });
+
+    it('should refuse names that resolve to internal addresses', async () => {
+        await expect(fetchText('http://localhost/')).rejects.toThrow('localhost is not a public address');
+    });
+
+    it('should check links handed to other fetchers, resolving their hosts', async () => {
+        const { checkPublicUrl } = require('../extractors/http');
+
+        await expect(checkPublicUrl('http://127.0.0.1/clip.mp4', { resolve: false })).rejects.toThrow('not a public address');
+        await expect(checkPublicUrl('ftp://videos.example.com/clip.mp4')).rejects.toThrow('Only http(s) URLs can be fetched');
+        await expect(checkPublicUrl('http://localhost/clip.mp4')).rejects.toThrow('localhost is not a public address');
+        await expect(checkPublicUrl('http://localhost/clip.mp4', { resolve: false })).resolves.toBeUndefined();
+    });
+
+    it('should check where redirects lead', async () => {
+        jest.resetModules();
+        const get = jest.fn().mockResolvedValue({
+            status: 302,
+            headers: { location: 'http://169.254.169.254/latest/meta-data/' },
+            data: ''
+        });
+        jest.doMock('axios', () => ({ get }));
+
+        try {
+            const { fetchText: redirected } = require('../extractors/http');
+
+            await expect(redirected('https://videos.example.com/watch/1')).rejects.toThrow('not a public address');
+            expect(get).toHaveBeenCalledTimes(1);
+            expect(get.mock.calls[0][1]).toMatchObject({ maxRedirects: 0, proxy: false });
+        } finally {
+            jest.dontMock('axios');
+        }
+    });
+});
@@ -0,0 +1,16 @@
+const request = require('supertest');
+
+// Sign up (or in) through the magic link flow and return the access token
+async function login(app, email, name = 'Test User') {
+    const magicResponse = await request(app)
+        .post('/auth/magic-link')
+        .send({ email, name });
+
+    const verifyResponse = await request(app)
+        .get('/auth/verify')
+        .query({ token: magicResponse.body.token });
+
+    return verifyResponse.headers.location.match(/token=([^&]+)/)[1];
+}
+
+module.exports = { login };
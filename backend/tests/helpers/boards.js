@@ -0,0 +1,27 @@
+const request = require('supertest');
+
+// Create a board as the token's user and return it
+async function createBoard(app, token, fields) {
+    const response = await request(app)
+        .post('/board/create')
+        .set('Authorization', `Bearer ${token}`)
+        .send(fields);
+    return response.body;
+}
+
+// Save a link to a board and return the response
+function saveVideo(app, token, boardId, url) {
+    return request(app)
+        .post('/api/videos')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ url, boardId });
+}
+
+// Save a link to a board, run its download and return the stored video
+async function saveAndDownload(app, token, boardId, url) {
+    const response = await saveVideo(app, token, boardId, url);
+    await app.locals.jobQueue.drain();
+    return app.locals.storage.videos.findById(response.body.id);
+}
+
+module.exports = { createBoard, saveVideo, saveAndDownload };
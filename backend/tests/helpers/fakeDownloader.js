@@ -0,0 +1,27 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stands in for yt-dlp: "downloads" by copying a fixture file, and can be told
+// to fail a number of times first to exercise retries.
+class FakeDownloader {
+    constructor({ fixture = path.join(__dirname, '../fixtures/sample.mp4'), failures = 0 } = {}) {
+        this.fixture = fixture;
+        this.failures = failures;
+        this.calls = [];
+    }
+
+    async download(url, { outputDir, basename }) {
+        this.calls.push(url);
+
+        if (this.failures > 0) {
+            this.failures--;
+            throw new Error('Simulated download failure');
+        }
+
+        const file = path.join(outputDir, `${basename}${path.extname(this.fixture)}`);
+        await fs.promises.copyFile(this.fixture, file);
+        return { file };
+    }
+}
+
+module.exports = FakeDownloader;
@@ -0,0 +1,65 @@
+const express = require('express');
+
+// A tiny S3-compatible server standing in for MinIO: path-style object
+// PUT/GET/HEAD/DELETE with Range support. It checks that requests carry SigV4
+// credentials (header or presigned query) for the expected access key.
+function startFakeS3({ accessKeyId, bucket }) {
+    const objects = new Map();
+    const app = express();
+
+    app.use(`/${bucket}`, (req, res, next) => {
+        const credential = req.query['X-Amz-Credential'] ||
+            ((req.headers.authorization || '').match(/Credential=([^,]+)/) || [])[1];
+        const signature = req.query['X-Amz-Signature'] ||
+            ((req.headers.authorization || '').match(/Signature=([0-9a-f]{64})/) || [])[1];
+
+        if (!credential || !credential.startsWith(`${accessKeyId}/`) || !signature) {
+            return res.status(403).send('<Error><Code>AccessDenied</Code></Error>');
+        }
+        next();
+    });
+
+    app.put(`/${bucket}/*`, (req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            objects.set(req.params[0], {
+                body: Buffer.concat(chunks),
+                contentType: req.headers['content-type']
+            });
+            res.status(200).end();
+        });
+    });
+
+    app.get(`/${bucket}/*`, (req, res) => {
+        const object = objects.get(req.params[0]);
+        if (!object) return res.status(404).send('<Error><Code>NoSuchKey</Code></Error>');
+
+        res.set('Content-Type', object.contentType);
+        const match = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+        if (match) {
+            const start = Number(match[1]);
+            const end = match[2] ? Number(match[2]) : object.body.length - 1;
+            res.status(206).set('Content-Range', `bytes ${start}-${end}/${object.body.length}`);
+            return res.send(object.body.subarray(start, end + 1));
+        }
+        res.send(object.body);
+    });
+
+    app.delete(`/${bucket}/*`, (req, res) => {
+        objects.delete(req.params[0]);
+        res.status(204).end();
+    });
+
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({
+                endpoint: `http://127.0.0.1:${server.address().port}`,
+                objects,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+module.exports = { startFakeS3 };
@@ -0,0 +1,33 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stands in for ffmpeg: "renders" posters and previews by copying fixture images
+class FakeThumbnailer {
+    constructor({ fail = false } = {}) {
+        this.fail = fail;
+        this.inputs = [];
+        this.previews = [];
+    }
+
+    async poster(input, output) {
+        this.inputs.push(input);
+
+        if (this.fail) {
+            throw new Error('Simulated ffmpeg failure');
+        }
+
+        await fs.promises.copyFile(path.join(__dirname, '../fixtures/poster.jpg'), output);
+    }
+
+    async preview(input, output, options) {
+        this.previews.push({ input, ...options });
+
+        if (this.fail) {
+            throw new Error('Simulated ffmpeg failure');
+        }
+
+        await fs.promises.copyFile(path.join(__dirname, '../fixtures/preview.webp'), output);
+    }
+}
+
+module.exports = FakeThumbnailer;
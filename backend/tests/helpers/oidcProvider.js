@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+// A local OpenID Connect provider for tests. It signs in whoever `user` is
+// without asking, checks the PKCE verifier and client credentials at the
+// token endpoint, and signs ID tokens with its own RSA key.
+class MockOidcProvider {
+    constructor({ clientId = 'shortbread-test', clientSecret = 'test-client-secret' } = {}) {
+        this.clientId = clientId;
+        this.clientSecret = clientSecret;
+        this.user = { sub: 'user-1', email: 'oidc@example.com', email_verified: true, name: 'OIDC User' };
+        // Set to an OAuth2 error code to have the next sign-in fail with it
+        this.denyWith = null;
+        this.codes = new Map();
+        this.accessTokens = new Map();
+        this.keyId = 'test-key';
+        ({ privateKey: this.privateKey, publicKey: this.publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }));
+        // Set to another private key to sign ID tokens the provider didn't publish
+        this.signingKey = this.privateKey;
+        this.app = this.routes();
+    }
+
+    listen() {
+        return new Promise((resolve) => {
+            this.server = this.app.listen(0, '127.0.0.1', () => {
+                this.issuer = `http://127.0.0.1:${this.server.address().port}`;
+                resolve(this.issuer);
+            });
+        });
+    }
+
+    close() {
+        return new Promise((resolve) => this.server.close(resolve));
+    }
+
+    // Provider settings for createOidcProviders
+    config(overrides = {}) {
+        return {
+            id: 'mock',
+            label: 'Mock',
+            issuer: this.issuer,
+            clientId: this.clientId,
+            clientSecret: this.clientSecret,
+            ...overrides
+        };
+    }
+
+    routes() {
+        const app = express();
+        app.use(express.urlencoded({ extended: false }));
+
+        app.get('/.well-known/openid-configuration', (req, res) => {
+            res.json({
+                issuer: this.issuer,
+                authorization_endpoint: `${this.issuer}/authorize`,
+                token_endpoint: `${this.issuer}/token`,
+                userinfo_endpoint: `${this.issuer}/userinfo`,
+                jwks_uri: `${this.issuer}/jwks`,
+                code_challenge_methods_supported: ['S256']
+            });
+        });
+
+        app.get('/jwks', (req, res) => {
+            res.json({ keys: [{ ...this.publicKey.export({ format: 'jwk' }), kid: this.keyId, use: 'sig', alg: 'RS256' }] });
+        });
+
+        app.get('/authorize', (req, res) => {
+            const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, response_type } = req.query;
+            if (client_id !== this.clientId || response_type !== 'code' || code_challenge_method !== 'S256' || !code_challenge) {
+                return res.status(400).send('Bad authorization request');
+            }
+
+            const callback = new URL(redirect_uri);
+            callback.searchParams.set('state', state);
+            if (this.denyWith) {
+                callback.searchParams.set('error', this.denyWith);
+                return res.redirect(callback.toString());
+            }
+
+            const code = crypto.randomBytes(16).toString('hex');
+            this.codes.set(code, { redirectUri: redirect_uri, codeChallenge: code_challenge, nonce, user: { ...this.user } });
+            callback.searchParams.set('code', code);
+            res.redirect(callback.toString());
+        });
+
+        app.post('/token', (req, res) => {
+            const { grant_type, code, redirect_uri, code_verifier, client_id, client_secret } = req.body;
+            const grant = this.codes.get(code);
+            // Codes work once
+            this.codes.delete(code);
+
+            if (client_id !== this.clientId || client_secret !== this.clientSecret) {
+                return res.status(401).json({ error: 'invalid_client' });
+            }
+            const challenge = code_verifier && crypto.createHash('sha256').update(code_verifier).digest('base64url');
+            if (grant_type !== 'authorization_code' || !grant || grant.redirectUri !== redirect_uri || grant.codeChallenge !== challenge) {
+                return res.status(400).json({ error: 'invalid_grant' });
+            }
+
+            const accessToken = crypto.randomBytes(16).toString('hex');
+            this.accessTokens.set(accessToken, grant.user);
+            const tokens = { access_token: accessToken, token_type: 'Bearer', expires_in: 300 };
+
+            // Only OpenID Connect requests, which carry a nonce, get an ID
+            // token. The email is left to userinfo, as many providers do.
+            if (grant.nonce) {
+                tokens.id_token = jwt.sign({ name: grant.user.name, nonce: grant.nonce }, this.signingKey, {
+                    algorithm: 'RS256',
+                    keyid: this.keyId,
+                    issuer: this.issuer,
+                    audience: this.clientId,
+                    subject: grant.user.sub,
+                    expiresIn: '5m'
+                });
+            }
+            res.json(tokens);
+        });
+
+        app.get('/userinfo', (req, res) => {
+            const user = this.accessTokens.get((req.headers.authorization || '').replace('Bearer ', ''));
+            if (!user) {
+                return res.status(401).json({ error: 'invalid_token' });
+            }
+            res.json(user);
+        });
+
+        return app;
+    }
+}
+
+module.exports = { MockOidcProvider };
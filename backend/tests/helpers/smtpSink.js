@@ -0,0 +1,74 @@
+const net = require('net');
+
+// Minimal local SMTP server that accepts every message and keeps it in memory,
+// so the SMTP transport can be tested end to end without a real mail server.
+// Speaks plain SMTP only (no STARTTLS or AUTH).
+class SmtpSink {
+    constructor() {
+        this.messages = [];
+        this.server = net.createServer(socket => this.handle(socket));
+    }
+
+    listen() {
+        return new Promise(resolve => {
+            this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port));
+        });
+    }
+
+    close() {
+        return new Promise(resolve => this.server.close(resolve));
+    }
+
+    handle(socket) {
+        let buffer = '';
+        let envelope = { from: null, to: [] };
+        let inData = false;
+
+        const reply = (line) => socket.write(`${line}\r\n`);
+        reply('220 localhost SMTP sink');
+
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+
+            while (buffer.length) {
+                if (inData) {
+                    const end = buffer.indexOf('\r\n.\r\n');
+                    if (end === -1) return;
+                    this.messages.push({ ...envelope, raw: buffer.slice(0, end) });
+                    buffer = buffer.slice(end + 5);
+                    envelope = { from: null, to: [] };
+                    inData = false;
+                    reply('250 OK: queued');
+                    continue;
+                }
+
+                const newline = buffer.indexOf('\r\n');
+                if (newline === -1) return;
+                const line = buffer.slice(0, newline);
+                buffer = buffer.slice(newline + 2);
+                const command = line.slice(0, 4).toUpperCase();
+
+                if (command === 'EHLO' || command === 'HELO') {
+                    reply('250 localhost');
+                } else if (command === 'MAIL') {
+                    envelope.from = line.match(/<(.*)>/)[1];
+                    reply('250 OK');
+                } else if (command === 'RCPT') {
+                    envelope.to.push(line.match(/<(.*)>/)[1]);
+                    reply('250 OK');
+                } else if (command === 'DATA') {
+                    inData = true;
+                    reply('354 End data with <CR><LF>.<CR><LF>');
+                } else if (command === 'QUIT') {
+                    reply('221 Bye');
+                    socket.end();
+                } else {
+                    reply('250 OK');
+                }
+            }
+        });
+        socket.on('error', () => {});
+    }
+}
+
+module.exports = SmtpSink;
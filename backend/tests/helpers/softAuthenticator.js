@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+
+// Just enough CBOR encoding for attestation objects and COSE keys
+const cborHead = (major, length) => {
+    if (length < 24) return Buffer.from([(major << 5) | length]);
+    if (length < 0x100) return Buffer.from([(major << 5) | 24, length]);
+    const head = Buffer.alloc(3);
+    head[0] = (major << 5) | 25;
+    head.writeUInt16BE(length, 1);
+    return head;
+};
+
+const cborEncode = (value) => {
+    if (Number.isInteger(value)) {
+        return value >= 0 ? cborHead(0, value) : cborHead(1, -1 - value);
+    }
+    if (Buffer.isBuffer(value)) {
+        return Buffer.concat([cborHead(2, value.length), value]);
+    }
+    if (typeof value === 'string') {
+        const text = Buffer.from(value, 'utf8');
+        return Buffer.concat([cborHead(3, text.length), text]);
+    }
+    if (value instanceof Map) {
+        const entries = [...value].map(([key, item]) => Buffer.concat([cborEncode(key), cborEncode(item)]));
+        return Buffer.concat([cborHead(5, value.size), ...entries]);
+    }
+    throw new Error(`Can't CBOR encode ${value}`);
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+const b64 = (buffer) => Buffer.from(buffer).toString('base64url');
+
+const UP = 0x01;
+const UV = 0x04;
+const AT = 0x40;
+
+// A passkey authenticator in software. create() and get() take the options
+// the server hands the browser and return the credential JSON the browser
+// would post back. Credentials are ES256 and count their signatures.
+class SoftAuthenticator {
+    constructor({ origin = 'http://localhost:3000' } = {}) {
+        this.origin = origin;
+        this.credentials = new Map();
+    }
+
+    authenticatorData(rpId, flags, signCount, attested = Buffer.alloc(0)) {
+        const counter = Buffer.alloc(4);
+        counter.writeUInt32BE(signCount);
+        return Buffer.concat([sha256(rpId), Buffer.from([flags]), counter, attested]);
+    }
+
+    clientData(type, challenge, origin) {
+        return Buffer.from(JSON.stringify({ type, challenge, origin, crossOrigin: false }));
+    }
+
+    // overrides: origin, rpId or flags to misbehave with, or the credentialId
+    // of a passkey to present again
+    create(options, overrides = {}) {
+        const rpId = overrides.rpId || options.rp.id;
+        const existing = overrides.credentialId && this.credentials.get(overrides.credentialId);
+        const id = existing ? Buffer.from(overrides.credentialId, 'base64url') : crypto.randomBytes(16);
+        const privateKey = existing ? existing.privateKey : crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey;
+        const publicKey = crypto.createPublicKey(privateKey);
+        const jwk = publicKey.export({ format: 'jwk' });
+        const coseKey = new Map([
+            [1, 2], [3, -7], [-1, 1],
+            [-2, Buffer.from(jwk.x, 'base64url')],
+            [-3, Buffer.from(jwk.y, 'base64url')]
+        ]);
+
+        const idLength = Buffer.alloc(2);
+        idLength.writeUInt16BE(id.length);
+        const attested = Buffer.concat([Buffer.alloc(16), idLength, id, cborEncode(coseKey)]);
+        const authData = this.authenticatorData(rpId, overrides.flags || (UP | UV | AT), 0, attested);
+
+        this.credentials.set(b64(id), { privateKey, rpId, userHandle: options.user.id, signCount: 0 });
+
+        return {
+            id: b64(id),
+            rawId: b64(id),
+            type: 'public-key',
+            response: {
+                clientDataJSON: b64(this.clientData('webauthn.create', options.challenge, overrides.origin || this.origin)),
+                attestationObject: b64(cborEncode(new Map([
+                    ['fmt', 'none'],
+                    ['attStmt', new Map()],
+                    ['authData', authData]
+                ]))),
+                transports: ['internal']
+            },
+            authenticatorAttachment: 'platform',
+            clientExtensionResults: {}
+        };
+    }
+
+    // Signs with credentialId, or the passkey registered last. overrides:
+    // origin, flags or signCount to misbehave with
+    get(options, credentialId = [...this.credentials.keys()].pop(), overrides = {}) {
+        const credential = this.credentials.get(credentialId);
+        credential.signCount += 1;
+        const signCount = overrides.signCount === undefined ? credential.signCount : overrides.signCount;
+
+        const authData = this.authenticatorData(options.rpId, overrides.flags || (UP | UV), signCount);
+        const clientDataJSON = this.clientData('webauthn.get', options.challenge, overrides.origin || this.origin);
+        const signature = crypto.sign('sha256', Buffer.concat([authData, sha256(clientDataJSON)]), credential.privateKey);
+
+        return {
+            id: credentialId,
+            rawId: credentialId,
+            type: 'public-key',
+            response: {
+                clientDataJSON: b64(clientDataJSON),
+                authenticatorData: b64(authData),
+                signature: b64(signature),
+                userHandle: credential.userHandle
+            },
+            authenticatorAttachment: 'platform',
+            clientExtensionResults: {}
+        };
+    }
+}
+
+module.exports = { SoftAuthenticator, UP, UV, AT };
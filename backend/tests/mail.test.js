@@ -0,0 +1,259 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { OutboxTransport, SmtpTransport, renderTemplate } = require('../mail');
+const SmtpSink = require('./helpers/smtpSink');
+const { login } = require('./helpers/auth');
+
+let app;
+let outbox;
+
+beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    process.env.JWT_SECRET = 'test-secret';
+    app = require('../server.js');
+    // Retry immediately instead of waiting for backoff
+    app.locals.mailQueue.backoffBase = 0;
+});
+
+beforeEach(() => {
+    outbox = new OutboxTransport({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'shortbread-outbox-')) });
+    app.locals.mailTransport = outbox;
+});
+
+afterEach(async () => {
+    await outbox.clear();
+});
+
+describe('Mail', () => {
+    describe('delivery', () => {
+        it('should email the magic link', async () => {
+            const response = await request(app)
+                .post('/auth/magic-link')
+                .send({ email: 'mail-reader@example.com', name: 'Reader' });
+            await app.locals.mailQueue.drain();
+
+            const [message] = await outbox.messages();
+            expect(message).toMatchObject({
+                from: 'noreply@shortbread.app',
+                to: 'mail-reader@example.com',
+                subject: 'Your Shortbread sign-in link'
+            });
+            const link = `/auth/verify?token=${response.body.token}`;
+            expect(message.text).toContain(link);
+            expect(message.html).toContain(link);
+        });
+
+        it('should point links at APP_URL whatever host the request names', async () => {
+            const { APP_URL } = require('../config');
+            await outbox.clear();
+
+            const response = await request(app)
+                .post('/auth/magic-link')
+                .set('Host', 'attacker.example')
+                .set('X-Forwarded-Host', 'attacker.example')
+                .send({ email: 'mail-forged@example.com', name: 'Forged' });
+            await app.locals.mailQueue.drain();
+
+            const [message] = await outbox.messages();
+            expect(message.text).toContain(`${APP_URL}/auth/verify?token=${response.body.token}`);
+            expect(message.html).not.toContain('attacker.example');
+        });
+
+        it('should point password reset links at APP_URL', async () => {
+            const { APP_URL } = require('../config');
+            await request(app)
+                .post('/auth/register')
+                .send({ email: 'mail-reset@example.com', name: 'Reset', password: 'correct horse battery' });
+            await app.locals.mailQueue.drain();
+            await outbox.clear();
+
+            const response = await request(app)
+                .post('/auth/password-reset')
+                .set('X-Forwarded-Host', 'attacker.example')
+                .send({ email: 'mail-reset@example.com' });
+            await app.locals.mailQueue.drain();
+
+            const [message] = await outbox.messages();
+            expect(message.text).toContain(`${APP_URL}/?reset=${response.body.token}`);
+            expect(message.html).not.toContain('attacker.example');
+        });
+
+        it('should answer sign-ups with a confirmation, or a sign-in link for existing accounts', async () => {
+            await login(app, 'mail-existing@example.com', 'Existing');
+            await app.locals.mailQueue.drain();
+            await outbox.clear();
+
+            for (const email of ['mail-signup@example.com', 'mail-existing@example.com']) {
+                await request(app)
+                    .post('/auth/register')
+                    .send({ email, name: 'Signup', password: 'correct horse battery' });
+            }
+            await app.locals.mailQueue.drain();
+
+            const messages = await outbox.messages();
+            expect(messages.map(message => [message.to, message.subject]).sort()).toEqual([
+                ['mail-existing@example.com', 'You already have a Shortbread account'],
+                ['mail-signup@example.com', 'Confirm your Shortbread account']
+            ]);
+        });
+
+        it('should email board invites with the inviter and board', async () => {
+            const token = await login(app, 'mail-owner@example.com', 'Olivia');
+            const board = await request(app)
+                .post('/board/create')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ title: 'Road trip' });
+            await app.locals.mailQueue.drain();
+            await outbox.clear();
+
+            const invite = await request(app)
+                .post(`/board/${board.body.id}/members`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ email: 'mail-friend@example.com', role: 'editor' });
+            await app.locals.mailQueue.drain();
+
+            const messages = await outbox.messages();
+            expect(messages).toHaveLength(1);
+            expect(messages[0].to).toBe('mail-friend@example.com');
+            expect(messages[0].subject).toBe('Olivia shared "Road trip" with you');
+            expect(messages[0].text).toContain('add and organize videos on');
+            expect(messages[0].text).toContain(`/auth/verify?token=${invite.body.token}`);
+        });
+
+        it('should retry when the transport fails', async () => {
+            const failing = {
+                attempts: 0,
+                send: async (message) => {
+                    failing.attempts++;
+                    if (failing.attempts < 3) {
+                        throw new Error('Connection refused');
+                    }
+                    return outbox.send(message);
+                }
+            };
+            app.locals.mailTransport = failing;
+
+            const job = await app.locals.mailer.send('mail-retry@example.com', 'magicLink', { link: 'https://example.com/verify' });
+            await app.locals.mailQueue.drain();
+
+            expect(failing.attempts).toBe(3);
+            expect((await app.locals.storage.jobs.findById(job.id)).status).toBe('done');
+            expect(await outbox.messages()).toHaveLength(1);
+        });
+
+        it('should not wait behind downloads', async () => {
+            const download = await app.locals.jobQueue.enqueue('download', { videoId: 'mail-waiting' });
+
+            await app.locals.mailer.send('mail-queue@example.com', 'magicLink', { link: 'https://example.com/verify' });
+            expect(await app.locals.mailQueue.drain()).toBe(1);
+
+            expect(await outbox.messages()).toHaveLength(1);
+            expect((await app.locals.storage.jobs.findById(download.id)).status).toBe('queued');
+            await app.locals.storage.jobs.update(download.id, { status: 'done' });
+        });
+
+        it('should keep only the envelope of sent mail', async () => {
+            const job = await app.locals.mailer.send('mail-sent@example.com', 'magicLink', { link: 'https://example.com/verify?token=secret' });
+            await app.locals.mailQueue.drain();
+
+            const sent = await app.locals.storage.jobs.findById(job.id);
+            expect(sent.status).toBe('done');
+            expect(sent.message).toEqual({
+                from: 'noreply@shortbread.app',
+                to: 'mail-sent@example.com',
+                subject: 'Your Shortbread sign-in link'
+            });
+        });
+
+        it('should give up after the last attempt', async () => {
+            app.locals.mailTransport = { send: async () => { throw new Error('Mailbox unavailable'); } };
+            const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            const job = await app.locals.mailer.send('mail-bounce@example.com', 'magicLink', { link: 'https://example.com/verify' });
+            await app.locals.mailQueue.drain();
+
+            const failed = await app.locals.storage.jobs.findById(job.id);
+            expect(failed.status).toBe('failed');
+            expect(failed.lastError).toBe('Mailbox unavailable');
+            expect(failed.message.text).toBeUndefined();
+            consoleError.mockRestore();
+        });
+    });
+
+    describe('templates', () => {
+        it('should escape user content in the HTML body', () => {
+            const message = renderTemplate('boardInvite', {
+                link: 'https://example.com/verify?token=abc',
+                inviterName: '<script>alert(1)</script>',
+                boardTitle: 'Cats & "dogs"',
+                role: 'viewer'
+            });
+
+            expect(message.html).not.toContain('<script>');
+            expect(message.html).toContain('&lt;script&gt;');
+            expect(message.html).toContain('Cats &amp; &quot;dogs&quot;');
+            expect(message.text).toContain('Cats & "dogs"');
+        });
+
+        it('should list every board and video in the digest', () => {
+            const message = renderTemplate('digest', {
+                name: 'Reader',
+                link: 'https://example.com/',
+                boards: [
+                    { title: 'Recipes', url: 'https://example.com/?board=1', videos: [{ title: 'Bread', author: '@baker' }, { title: 'Soup' }] },
+                    { title: 'Travel', url: 'https://example.com/?board=2', videos: [{ title: 'Lisbon' }] }
+                ]
+            });
+
+            expect(message.subject).toBe('3 new videos on your Shortbread boards');
+            expect(message.text).toContain('- Bread (@baker)');
+            expect(message.html).toContain('Lisbon');
+        });
+
+        it('should link to the app to reset a password', () => {
+            const message = renderTemplate('passwordReset', { link: 'https://example.com/?reset=abc' });
+
+            expect(message.subject).toBe('Reset your Shortbread password');
+            expect(message.text).toContain('https://example.com/?reset=abc');
+            expect(message.html).toContain('href="https://example.com/?reset=abc"');
+        });
+
+        it('should reject unknown templates', () => {
+            expect(() => renderTemplate('newsletter', {})).toThrow('Unknown email template "newsletter"');
+        });
+    });
+
+    describe('SMTP transport', () => {
+        let sink, transport;
+
+        beforeAll(async () => {
+            sink = new SmtpSink();
+            const port = await sink.listen();
+            transport = new SmtpTransport({ host: '127.0.0.1', port });
+        });
+
+        afterAll(async () => {
+            transport.close();
+            await sink.close();
+        });
+
+        it('should deliver rendered messages to the server', async () => {
+            const message = renderTemplate('magicLink', { link: 'https://example.com/verify?token=abc' });
+
+            const result = await transport.send({ from: 'noreply@shortbread.app', to: 'smtp-reader@example.com', ...message });
+
+            expect(result.id).toBeTruthy();
+            expect(sink.messages).toHaveLength(1);
+            expect(sink.messages[0].from).toBe('noreply@shortbread.app');
+            expect(sink.messages[0].to).toEqual(['smtp-reader@example.com']);
+            expect(sink.messages[0].raw).toContain('Subject: Your Shortbread sign-in link');
+            expect(sink.messages[0].raw).toContain('multipart/alternative');
+        });
+
+        it('should require a host', () => {
+            expect(() => new SmtpTransport({})).toThrow('SMTP transport needs SMTP_HOST');
+        });
+    });
+});
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const request = require('supertest');
+const { Readable } = require('stream');
+const { createMediaStore, LocalMediaStore, S3MediaStore } = require('../media');
+const FakeDownloader = require('./helpers/fakeDownloader');
+const { startFakeS3 } = require('./helpers/fakeS3');
+const { login } = require('./helpers/auth');
+
+const S3_CONFIG = {
+    region: 'us-east-1',
+    bucket: 'shortbread',
+    accessKeyId: 'test-access-key',
+    secretAccessKey: 'test-secret-key'
+};
+
+let fakeS3;
+
+beforeAll(async () => {
+    fakeS3 = await startFakeS3(S3_CONFIG);
+});
+
+afterAll(async () => {
+    await fakeS3.close();
+});
+
+const readAll = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+};
+
+describe('Media Stores', () => {
+    describe('createMediaStore', () => {
+        it('should create the configured store', () => {
+            expect(createMediaStore('local', { root: os.tmpdir() })).toBeInstanceOf(LocalMediaStore);
+            expect(createMediaStore('s3', { s3: { ...S3_CONFIG, endpoint: 'http://localhost:9000' } })).toBeInstanceOf(S3MediaStore);
+        });
+
+        it('should reject unknown stores and incomplete S3 config', () => {
+            expect(() => createMediaStore('ftp')).toThrow('Unknown media store "ftp"');
+            expect(() => createMediaStore('s3', { s3: { bucket: 'x' } })).toThrow('S3 media store requires');
+        });
+    });
+
+    describe.each([
+        ['local', () => createMediaStore('local', { root: fs.mkdtempSync(path.join(os.tmpdir(), 'shortbread-media-')) })],
+        ['s3', () => createMediaStore('s3', { s3: { ...S3_CONFIG, endpoint: fakeS3.endpoint } })]
+    ])('%s store', (name, makeStore) => {
+        const body = Buffer.from('0123456789abcdefghij');
+        let store;
+
+        beforeEach(() => {
+            store = makeStore();
+        });
+
+        it('should put and get buffers', async () => {
+            await store.put('videos/a.mp4', body, { contentType: 'video/mp4' });
+
+            expect(Buffer.compare(await store.get('videos/a.mp4'), body)).toBe(0);
+            expect((await store.stat('videos/a.mp4')).size).toBe(body.length);
+        });
+
+        it('should put streams', async () => {
+            await store.put('videos/b.mp4', Readable.from([body]), { contentType: 'video/mp4', size: body.length });
+
+            expect(Buffer.compare(await store.get('videos/b.mp4'), body)).toBe(0);
+        });
+
+        it('should stream byte ranges', async () => {
+            await store.put('videos/c.mp4', body, { contentType: 'video/mp4' });
+
+            const range = await readAll(await store.stream('videos/c.mp4', { start: 5, end: 9 }));
+            expect(range.toString()).toBe('56789');
+        });
+
+        it('should report missing objects and delete', async () => {
+            await store.put('videos/d.mp4', body, { contentType: 'video/mp4' });
+            await store.delete('videos/d.mp4');
+
+            expect(await store.get('videos/d.mp4')).toBeNull();
+            expect(await store.stat('videos/d.mp4')).toBeNull();
+        });
+    });
+
+    describe('local store', () => {
+        it('should refuse keys outside its directory', async () => {
+            const store = createMediaStore('local', { root: os.tmpdir() });
+
+            await expect(store.put('../escape.txt', Buffer.from('x'))).rejects.toThrow('Invalid media key');
+        });
+
+        it('should not offer signed URLs', async () => {
+            const store = createMediaStore('local', { root: os.tmpdir() });
+
+            expect(await store.signedUrl('videos/a.mp4')).toBeNull();
+        });
+    });
+
+    describe('s3 store', () => {
+        it('should sign requests with SigV4 headers', async () => {
+            const store = createMediaStore('s3', { s3: { ...S3_CONFIG, endpoint: fakeS3.endpoint } });
+            const unsigned = createMediaStore('s3', { s3: { ...S3_CONFIG, endpoint: fakeS3.endpoint, accessKeyId: 'wrong-key' } });
+
+            await store.put('videos/signed.mp4', Buffer.from('x'), { contentType: 'video/mp4' });
+            await expect(unsigned.get('videos/signed.mp4')).rejects.toThrow('403');
+        });
+
+        it('should create presigned GET URLs', async () => {
+            const store = createMediaStore('s3', { s3: { ...S3_CONFIG, endpoint: fakeS3.endpoint } });
+            await store.put('videos/presigned.mp4', Buffer.from('presigned'), { contentType: 'video/mp4' });
+
+            const url = await store.signedUrl('videos/presigned.mp4', { expiresIn: 60 });
+            expect(url).toMatch(/X-Amz-Algorithm=AWS4-HMAC-SHA256/);
+            expect(url).toMatch(/X-Amz-Expires=60/);
+            expect(url).toMatch(/X-Amz-Signature=[0-9a-f]{64}/);
+
+            const response = await axios.get(url, { responseType: 'text' });
+            expect(response.data).toBe('presigned');
+        });
+    });
+});
+
+describe('Downloads through the S3 media store', () => {
+    let app;
+    let token;
+
+    beforeAll(async () => {
+        process.env.NODE_ENV = 'test';
+        process.env.JWT_SECRET = 'test-secret';
+        app = require('../server.js');
+        app.locals.downloader = new FakeDownloader();
+        app.locals.mediaStore = createMediaStore('s3', { s3: { ...S3_CONFIG, endpoint: fakeS3.endpoint } });
+        token = await login(app, 's3@example.com', 'S3 User');
+    });
+
+    it('should store downloaded media in the bucket and stream it back', async () => {
+        const boardResponse = await request(app)
+            .post('/board/create')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ title: 'Bucket Board', isPublic: true });
+
+        const videoResponse = await request(app)
+            .post('/api/videos')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ url: 'https://youtube.com/shorts/bucket', boardId: boardResponse.body.id });
+
+        await app.locals.jobQueue.drain();
+
+        const videoId = videoResponse.body.id;
+        expect(fakeS3.objects.has(`videos/${videoId}.mp4`)).toBe(true);
+
+        const response = await request(app)
+            .get(`/api/videos/${videoId}/download`)
+            .set('Range', 'bytes=0-9');
+
+        expect(response.status).toBe(206);
+        expect(response.headers['content-range']).toBe('bytes 0-9/4096');
+        expect(response.headers['content-type']).toBe('video/mp4');
+    });
+});
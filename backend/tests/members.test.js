@@ -0,0 +1,232 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { login } = require('./helpers/auth');
+
+describe('Board Members', () => {
+    let app;
+    let ownerToken, editorToken, viewerToken, strangerToken;
+    let boardId;
+
+    const invite = (email, role, authToken = ownerToken, id = boardId) => request(app)
+        .post(`/board/${id}/members`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ email, role });
+
+    const saveVideo = (url, authToken, id = boardId) => request(app)
+        .post('/api/videos')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ url, boardId: id });
+
+    const getBoard = (authToken, id = boardId) => request(app)
+        .get(`/board/${id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+    beforeAll(async () => {
+        process.env.NODE_ENV = 'test';
+        process.env.JWT_SECRET = 'test-secret';
+        app = require('../server.js');
+
+        ownerToken = await login(app, 'team-owner@example.com', 'Owner');
+        editorToken = await login(app, 'team-editor@example.com', 'Editor');
+        viewerToken = await login(app, 'team-viewer@example.com', 'Viewer');
+        strangerToken = await login(app, 'team-stranger@example.com', 'Stranger');
+
+        const board = await request(app)
+            .post('/board/create')
+            .set('Authorization', `Bearer ${ownerToken}`)
+            .send({ title: 'Team board', isPublic: false });
+        boardId = board.body.id;
+
+        await invite('Team-Editor@example.com', 'editor');
+        await invite('team-viewer@example.com', 'viewer');
+    });
+
+    describe('invites', () => {
+        it('should list the owner and members', async () => {
+            const response = await request(app)
+                .get(`/board/${boardId}/members`)
+                .set('Authorization', `Bearer ${viewerToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.owner).toMatchObject({ name: 'Owner', email: 'team-owner@example.com' });
+            expect(response.body.members.map(({ email, role }) => [email, role]).sort()).toEqual([
+                ['team-editor@example.com', 'editor'],
+                ['team-viewer@example.com', 'viewer']
+            ]);
+        });
+
+        it('should reject bad and duplicate invites', async () => {
+            expect((await invite('not-an-email', 'viewer')).body.error).toBe('A valid email is required');
+            expect((await invite('someone@example.com', 'admin')).body.error).toBe('Role must be viewer or editor');
+            expect((await invite('team-owner@example.com', 'editor')).status).toBe(400);
+
+            const duplicate = await invite('TEAM-VIEWER@example.com', 'editor');
+            expect(duplicate.status).toBe(409);
+        });
+
+        it('should only let the owner invite', async () => {
+            const response = await invite('friend@example.com', 'viewer', editorToken);
+
+            expect(response.status).toBe(403);
+            expect(response.body.error).toBe('Access denied to board');
+        });
+
+        it('should sign invitees up through the magic link and open the board', async () => {
+            const response = await invite(' Newcomer@Example.com', 'viewer');
+
+            expect(response.status).toBe(201);
+            expect(response.body.member).toMatchObject({ email: 'newcomer@example.com', role: 'viewer' });
+            expect(jwt.decode(response.body.token).email).toBe('newcomer@example.com');
+
+            const verify = await request(app)
+                .get('/auth/verify')
+                .query({ token: response.body.token });
+
+            expect(verify.status).toBe(302);
+            expect(verify.headers.location).toMatch(new RegExp(`&board=${boardId}$`));
+            const token = verify.headers.location.match(/token=([^&]+)/)[1];
+            expect((await getBoard(token)).status).toBe(200);
+        });
+
+        it('should not sign anyone up with a revoked invite', async () => {
+            const response = await invite('revoked@example.com', 'viewer');
+            await request(app)
+                .delete(`/board/${boardId}/members/revoked@example.com`)
+                .set('Authorization', `Bearer ${ownerToken}`);
+
+            const verify = await request(app)
+                .get('/auth/verify')
+                .query({ token: response.body.token });
+
+            expect(verify.status).toBe(404);
+        });
+    });
+
+    describe('viewers', () => {
+        it('should read the private board', async () => {
+            const response = await getBoard(viewerToken);
+
+            expect(response.status).toBe(200);
+            expect(response.body.role).toBe('viewer');
+            expect(response.body.isOwner).toBe(false);
+            expect((await getBoard(strangerToken)).status).toBe(403);
+        });
+
+        it('should not add or remove videos', async () => {
+            const saved = await saveVideo('https://youtu.be/vvvvvvvvvvv', ownerToken);
+
+            expect((await saveVideo('https://youtu.be/wwwwwwwwwww', viewerToken)).status).toBe(403);
+
+            const removal = await request(app)
+                .delete(`/board/${boardId}/videos/${saved.body.id}`)
+                .set('Authorization', `Bearer ${viewerToken}`);
+            expect(removal.status).toBe(403);
+        });
+
+        it('should see shared boards in their board list', async () => {
+            const response = await request(app)
+                .get('/api/boards')
+                .set('Authorization', `Bearer ${viewerToken}`);
+
+            expect(response.body).toContainEqual(expect.objectContaining({ id: boardId, role: 'viewer' }));
+        });
+    });
+
+    describe('editors', () => {
+        it('should add, reorder and remove videos', async () => {
+            const first = await saveVideo('https://youtu.be/xxxxxxxxxxx', editorToken);
+            const second = await saveVideo('https://youtu.be/yyyyyyyyyyy', editorToken);
+            expect(first.status).toBe(200);
+
+            const move = await request(app)
+                .put(`/board/${boardId}/order`)
+                .set('Authorization', `Bearer ${editorToken}`)
+                .send({ videoId: second.body.id, after: first.body.id });
+            expect(move.status).toBe(200);
+
+            const removal = await request(app)
+                .delete(`/board/${boardId}/videos/${first.body.id}`)
+                .set('Authorization', `Bearer ${editorToken}`);
+            expect(removal.status).toBe(200);
+        });
+
+        it('should assign videos to the boards they can edit', async () => {
+            const own = await request(app)
+                .post('/board/create')
+                .set('Authorization', `Bearer ${editorToken}`)
+                .send({ title: 'Mine' });
+            const saved = await saveVideo('https://youtu.be/zzzzzzzzzzz', editorToken);
+
+            const response = await request(app)
+                .patch(`/video/${saved.body.id}/assign`)
+                .set('Authorization', `Bearer ${editorToken}`)
+                .send({ boardIds: [own.body.id] });
+
+            expect(response.status).toBe(200);
+            const links = await app.locals.storage.videoBoards.listByVideo(saved.body.id);
+            expect(links.map(link => link.boardId)).toEqual([own.body.id]);
+        });
+
+        it('should not change board settings', async () => {
+            const response = await request(app)
+                .patch(`/board/${boardId}`)
+                .set('Authorization', `Bearer ${editorToken}`)
+                .send({ title: 'Renamed' });
+
+            expect(response.status).toBe(403);
+        });
+    });
+
+    describe('managing members', () => {
+        it('should let the owner change roles', async () => {
+            const email = 'promoted@example.com';
+            const token = await login(app, email, 'Promoted');
+            await invite(email, 'viewer');
+
+            const response = await request(app)
+                .patch(`/board/${boardId}/members/${email}`)
+                .set('Authorization', `Bearer ${ownerToken}`)
+                .send({ role: 'editor' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.member.role).toBe('editor');
+            expect((await saveVideo('https://youtu.be/ppppppppppp', token)).status).toBe(200);
+        });
+
+        it('should let members leave and the owner remove them', async () => {
+            const email = 'leaver@example.com';
+            const token = await login(app, email, 'Leaver');
+            await invite(email, 'viewer');
+
+            const stranger = await request(app)
+                .delete(`/board/${boardId}/members/${email}`)
+                .set('Authorization', `Bearer ${strangerToken}`);
+            expect(stranger.status).toBe(403);
+
+            const leave = await request(app)
+                .delete(`/board/${boardId}/members/${email}`)
+                .set('Authorization', `Bearer ${token}`);
+            expect(leave.status).toBe(200);
+            expect((await getBoard(token)).status).toBe(403);
+
+            const again = await request(app)
+                .delete(`/board/${boardId}/members/${email}`)
+                .set('Authorization', `Bearer ${ownerToken}`);
+            expect(again.status).toBe(404);
+        });
+
+        it('should drop members with the board', async () => {
+            const board = await request(app)
+                .post('/board/create')
+                .set('Authorization', `Bearer ${ownerToken}`)
+                .send({ title: 'Short lived' });
+            await invite('team-viewer@example.com', 'viewer', ownerToken, board.body.id);
+
+            await request(app)
+                .delete(`/board/${board.body.id}`)
+                .set('Authorization', `Bearer ${ownerToken}`);
+
+            expect(await app.locals.storage.boardMembers.listByBoard(board.body.id)).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,220 @@
+const request = require('supertest');
+const axios = require('axios');
+const crypto = require('crypto');
+const { createOidcProviders } = require('../oidc');
+const { MockOidcProvider } = require('./helpers/oidcProvider');
+const { login } = require('./helpers/auth');
+
+describe('Provider Sign-In', () => {
+    let app, provider;
+
+    const cookieOf = (response) => response.headers['set-cookie'][0].split(';')[0];
+
+    const redirectParams = (response) => new URL(response.headers.location, 'http://localhost').searchParams;
+
+    // Follow a sign-in through the provider and back. Returns the app's
+    // final redirect.
+    const signIn = async (query = {}) => {
+        const start = await request(app).get('/auth/oidc/mock').query(query);
+        const authorize = await axios.get(start.headers.location, { maxRedirects: 0, validateStatus: () => true });
+        const callback = new URL(authorize.headers.location);
+
+        return request(app)
+            .get(callback.pathname + callback.search)
+            .set('Cookie', cookieOf(start));
+    };
+
+    const getUser = (accessToken) => request(app)
+        .get('/api/user')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+    beforeAll(async () => {
+        process.env.NODE_ENV = 'test';
+        process.env.JWT_SECRET = 'test-secret';
+        app = require('../server.js');
+
+        provider = new MockOidcProvider();
+        await provider.listen();
+        app.locals.oidcProviders = createOidcProviders([provider.config()]);
+    });
+
+    afterAll(async () => {
+        await provider.close();
+    });
+
+    beforeEach(() => {
+        provider.denyWith = null;
+        provider.signingKey = provider.privateKey;
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    it('should list the configured providers', async () => {
+        const response = await request(app).get('/auth/oidc/providers');
+
+        expect(response.body.providers).toEqual([{ id: 'mock', label: 'Mock' }]);
+    });
+
+    it('should send the browser to the provider with a PKCE challenge', async () => {
+        const response = await request(app).get('/auth/oidc/mock');
+
+        expect(response.status).toBe(302);
+        const location = new URL(response.headers.location);
+        expect(location.origin).toBe(provider.issuer);
+        expect(location.searchParams.get('code_challenge_method')).toBe('S256');
+        expect(location.searchParams.get('code_challenge')).toMatch(/^[A-Za-z0-9_-]{43}$/);
+        expect(location.searchParams.get('state')).toBeTruthy();
+        expect(location.searchParams.get('nonce')).toBeTruthy();
+        expect(response.headers['set-cookie'][0]).toContain('HttpOnly');
+    });
+
+    it('should sign up a new user with a verified email', async () => {
+        provider.user = { sub: 'new-1', email: 'oidc-new@example.com', email_verified: true, name: 'New Person' };
+
+        const response = await signIn();
+
+        expect(response.status).toBe(302);
+        const user = await getUser(redirectParams(response).get('token'));
+        expect(user.body).toMatchObject({ email: 'oidc-new@example.com', name: 'New Person', hasPassword: false });
+        expect(await app.locals.storage.identities.find('mock', 'new-1')).toMatchObject({ userId: user.body.id });
+    });
+
+    it('should link to the existing account with the same verified email', async () => {
+        const magicToken = await login(app, 'oidc-existing@example.com', 'Existing');
+        const existing = await getUser(magicToken);
+        provider.user = { sub: 'existing-1', email: 'oidc-existing@example.com', email_verified: true, name: 'Someone Else' };
+
+        const response = await signIn();
+
+        const user = await getUser(redirectParams(response).get('token'));
+        expect(user.body.id).toBe(existing.body.id);
+        expect(user.body.name).toBe('Existing');
+    });
+
+    it('should claim an account whose email was never confirmed when linking', async () => {
+        // Signed up with someone else's address, never confirmed
+        await request(app)
+            .post('/auth/register')
+            .send({ email: 'oidc-squatted@example.com', name: 'Squatter', password: 'squatter password' });
+        provider.user = { sub: 'owner-1', email: 'oidc-squatted@example.com', email_verified: true, name: 'Owner' };
+
+        const user = await getUser(redirectParams(await signIn()).get('token'));
+
+        expect(user.body.hasPassword).toBe(false);
+        const stored = await app.locals.storage.users.findById(user.body.id);
+        expect(stored).toMatchObject({ emailVerified: true, passwordHash: null });
+        const password = await request(app)
+            .post('/auth/login')
+            .send({ email: 'oidc-squatted@example.com', password: 'squatter password' });
+        expect(password.status).toBe(401);
+    });
+
+    it('should keep signing in a linked account after its email changes', async () => {
+        provider.user = { sub: 'moving-1', email: 'oidc-before@example.com', email_verified: true, name: 'Mover' };
+        const first = await getUser(redirectParams(await signIn()).get('token'));
+
+        provider.user = { sub: 'moving-1', email: 'oidc-after@example.com', email_verified: false, name: 'Mover' };
+        const second = await getUser(redirectParams(await signIn()).get('token'));
+
+        expect(second.body.id).toBe(first.body.id);
+    });
+
+    it('should not link or create accounts from unverified emails', async () => {
+        await login(app, 'oidc-victim@example.com', 'Victim');
+        provider.user = { sub: 'attacker-1', email: 'oidc-victim@example.com', email_verified: false, name: 'Attacker' };
+
+        const response = await signIn();
+
+        expect(redirectParams(response).get('authError')).toBe('unverified-email');
+        expect(redirectParams(response).get('token')).toBeNull();
+        expect(await app.locals.storage.identities.find('mock', 'attacker-1')).toBeNull();
+    });
+
+    it('should come back to the page the sign-in started from', async () => {
+        provider.user = { sub: 'return-1', email: 'oidc-return@example.com', email_verified: true, name: 'Returner' };
+
+        const response = await signIn({ returnTo: '/?board=abc' });
+
+        expect(redirectParams(response).get('board')).toBe('abc');
+        expect(redirectParams(response).get('token')).toBeTruthy();
+    });
+
+    it('should send the provider back to APP_URL whatever Host the request names', async () => {
+        const start = await request(app).get('/auth/oidc/mock').set('Host', 'evil.example');
+
+        expect(new URL(start.headers.location).searchParams.get('redirect_uri'))
+            .toBe('http://localhost:3000/auth/oidc/mock/callback');
+    });
+
+    it('should reject callbacks that don\'t match the sign-in this browser started', async () => {
+        const ours = await request(app).get('/auth/oidc/mock');
+        const theirs = await request(app).get('/auth/oidc/mock');
+        const authorize = await axios.get(theirs.headers.location, { maxRedirects: 0, validateStatus: () => true });
+        const callback = new URL(authorize.headers.location);
+
+        const response = await request(app)
+            .get(callback.pathname + callback.search)
+            .set('Cookie', cookieOf(ours));
+
+        expect(redirectParams(response).get('authError')).toBe('invalid-state');
+    });
+
+    it('should only complete each sign-in once', async () => {
+        const start = await request(app).get('/auth/oidc/mock');
+        const authorize = await axios.get(start.headers.location, { maxRedirects: 0, validateStatus: () => true });
+        const callback = new URL(authorize.headers.location);
+        const complete = () => request(app)
+            .get(callback.pathname + callback.search)
+            .set('Cookie', cookieOf(start));
+
+        expect(redirectParams(await complete()).get('token')).toBeTruthy();
+        expect(redirectParams(await complete()).get('authError')).toBe('invalid-state');
+    });
+
+    it('should report a cancelled sign-in', async () => {
+        provider.denyWith = 'access_denied';
+
+        const response = await signIn();
+
+        expect(redirectParams(response).get('authError')).toBe('cancelled');
+    });
+
+    it('should refuse ID tokens not signed by the provider', async () => {
+        provider.signingKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+
+        const response = await signIn();
+
+        expect(redirectParams(response).get('authError')).toBe('provider-error');
+    });
+
+    it('should sign in through OAuth2 providers without discovery', async () => {
+        app.locals.oidcProviders = createOidcProviders([provider.config({
+            issuer: undefined,
+            authorizationUrl: `${provider.issuer}/authorize`,
+            tokenUrl: `${provider.issuer}/token`,
+            userinfoUrl: `${provider.issuer}/userinfo`,
+            trustEmail: true
+        })]);
+        provider.user = { id: 4242, login: 'octo', email: 'oidc-plain@example.com' };
+
+        try {
+            const response = await signIn();
+
+            const user = await getUser(redirectParams(response).get('token'));
+            expect(user.body).toMatchObject({ email: 'oidc-plain@example.com', name: 'octo' });
+            expect(await app.locals.storage.identities.find('mock', '4242')).toBeTruthy();
+        } finally {
+            app.locals.oidcProviders = createOidcProviders([provider.config()]);
+        }
+    });
+
+    it('should 404 for unknown providers', async () => {
+        const response = await request(app).get('/auth/oidc/nope');
+
+        expect(response.status).toBe(404);
+        expect(response.body.error).toBe('Unknown sign-in provider');
+    });
+});
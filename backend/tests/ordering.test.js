@@ -0,0 +1,134 @@
+const request = require('supertest');
+const { GAP, rankBetween } = require('../storage/order');
+const { login } = require('./helpers/auth');
+
+describe('rankBetween', () => {
+    it('should place ranks between, before and after neighbours', () => {
+        expect(rankBetween(null, null)).toBe(0);
+        expect(rankBetween(null, 0)).toBe(-GAP);
+        expect(rankBetween(GAP, null)).toBe(2 * GAP);
+        expect(rankBetween(0, GAP)).toBe(GAP / 2);
+    });
+});
+
+describe('Board Ordering', () => {
+    let app;
+    let token, otherToken;
+    let boardId;
+    let ids;
+
+    const titles = async () => {
+        const response = await request(app)
+            .get(`/board/${boardId}`)
+            .set('Authorization', `Bearer ${token}`);
+        return response.body.videos.map(video => video.title);
+    };
+
+    const move = (videoId, after, authToken = token) => request(app)
+        .put(`/board/${boardId}/order`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ videoId, after });
+
+    beforeAll(async () => {
+        process.env.NODE_ENV = 'test';
+        process.env.JWT_SECRET = 'test-secret';
+        app = require('../server.js');
+
+        token = await login(app, 'curator@example.com', 'Curator');
+        otherToken = await login(app, 'curator-other@example.com', 'Other');
+    });
+
+    beforeEach(async () => {
+        const board = await request(app)
+            .post('/board/create')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ title: 'Workout set' });
+        boardId = board.body.id;
+
+        ids = {};
+        for (const step of ['one', 'two', 'three', 'four']) {
+            const response = await request(app)
+                .post('/api/videos')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ url: `https://videos.example.com/${step}`, boardId });
+            await app.locals.storage.videos.update(response.body.id, { title: step });
+            ids[step] = response.body.id;
+        }
+    });
+
+    it('should put newly saved videos first', async () => {
+        expect(await titles()).toEqual(['four', 'three', 'two', 'one']);
+    });
+
+    it('should move a video after another one', async () => {
+        const response = await move(ids.four, ids.two);
+
+        expect(response.status).toBe(200);
+        expect(await titles()).toEqual(['three', 'two', 'four', 'one']);
+
+        await move(ids.one, null);
+        expect(await titles()).toEqual(['one', 'three', 'two', 'four']);
+
+        await move(ids.three, ids.four);
+        expect(await titles()).toEqual(['one', 'two', 'four', 'three']);
+    });
+
+    it('should rewrite only the moved link', async () => {
+        const update = jest.spyOn(app.locals.storage.videoBoards, 'update');
+
+        await move(ids.one, ids.four);
+        await move(ids.two, ids.four);
+
+        expect(update).toHaveBeenCalledTimes(2);
+        expect(update.mock.calls.map(([videoId]) => videoId)).toEqual([ids.one, ids.two]);
+        update.mockRestore();
+    });
+
+    it('should renumber when neighbours get too close to split', async () => {
+        // Repeatedly wedge videos between the same pair
+        for (let i = 0; i < 30; i++) {
+            await move(ids.two, ids.four);
+            await move(ids.three, ids.four);
+        }
+        await move(ids.one, ids.four);
+
+        expect(await titles()).toEqual(['four', 'one', 'three', 'two']);
+        const positions = (await app.locals.storage.videoBoards.listByBoard(boardId)).map(link => link.position);
+        expect(new Set(positions).size).toBe(4);
+    });
+
+    it('should give boards saved before ordering positions on first reorder', async () => {
+        for (const link of await app.locals.storage.videoBoards.listByBoard(boardId)) {
+            await app.locals.storage.videoBoards.update(link.videoId, boardId, { position: undefined });
+        }
+
+        await move(ids.one, ids.three);
+
+        expect(await titles()).toEqual(['four', 'three', 'one', 'two']);
+        const links = await app.locals.storage.videoBoards.listByBoard(boardId);
+        expect(links.every(link => typeof link.position === 'number')).toBe(true);
+    });
+
+    it('should return positions with the board videos', async () => {
+        const response = await request(app)
+            .get(`/board/${boardId}`)
+            .set('Authorization', `Bearer ${token}`);
+
+        const positions = response.body.videos.map(video => video.position);
+        expect(positions).toEqual([...positions].sort((a, b) => a - b));
+    });
+
+    it('should reject invalid moves', async () => {
+        expect((await move(undefined, null)).status).toBe(400);
+        expect((await move(ids.one, ids.one)).status).toBe(400);
+        expect((await move(ids.one, 'elsewhere')).body.error).toBe('after must be another video on the board');
+        expect((await move('missing', null)).status).toBe(404);
+    });
+
+    it('should only allow the board owner', async () => {
+        const response = await move(ids.one, null, otherToken);
+
+        expect(response.status).toBe(403);
+        expect(response.body.error).toBe('Access denied to board');
+    });
+});
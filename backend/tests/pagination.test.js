@@ -0,0 +1,168 @@
+const request = require('supertest');
+const { login } = require('./helpers/auth');
+
+// { next: url, prev: url } from a Link header
+const parseLinks = (header) => Object.fromEntries(
+    (header || '').split(',').filter(Boolean).map(part => {
+        const [, url, rel] = part.match(/<([^>]+)>;\s*rel="(\w+)"/);
+        return [rel, url];
+    })
+);
+
+describe('Pagination', () => {
+    let app;
+    let token, otherToken;
+    let boardId;
+
+    const get = (url, authToken = token) => request(app)
+        .get(url)
+        .set('Authorization', `Bearer ${authToken}`);
+
+    beforeAll(async () => {
+        process.env.NODE_ENV = 'test';
+        process.env.JWT_SECRET = 'test-secret';
+        app = require('../server.js');
+
+        token = await login(app, 'pager@example.com', 'Pager');
+        otherToken = await login(app, 'pager-other@example.com', 'Other');
+
+        const board = await request(app)
+            .post('/board/create')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ title: 'Long board' });
+        boardId = board.body.id;
+
+        for (let i = 0; i < 7; i++) {
+            const response = await request(app)
+                .post('/api/videos')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ url: `https://videos.example.com/page/${i}`, boardId });
+            await app.locals.storage.videos.update(response.body.id, { title: `video ${i}` });
+        }
+    });
+
+    describe('GET /board/:id', () => {
+        it('should return the first page with a next link', async () => {
+            const response = await get(`/board/${boardId}?limit=3`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.videos.map(video => video.title)).toEqual(['video 6', 'video 5', 'video 4']);
+            expect(response.body.prev).toBeNull();
+            expect(response.body.next).toMatch(new RegExp(`^/board/${boardId}\\?limit=3&cursor=`));
+            expect(parseLinks(response.headers.link)).toEqual({ next: response.body.next });
+        });
+
+        it('should walk every video exactly once, forwards and back', async () => {
+            const pages = [];
+            let url = `/board/${boardId}?limit=3`;
+            while (url) {
+                const response = await get(url);
+                pages.push(response.body);
+                url = response.body.next;
+            }
+
+            expect(pages.map(page => page.videos.length)).toEqual([3, 3, 1]);
+            expect(pages.flatMap(page => page.videos.map(video => video.title))).toEqual(
+                ['video 6', 'video 5', 'video 4', 'video 3', 'video 2', 'video 1', 'video 0']
+            );
+
+            const back = await get(pages[2].prev);
+            expect(back.body.videos).toEqual(pages[1].videos);
+            const first = await get(back.body.prev);
+            expect(first.body.videos).toEqual(pages[0].videos);
+            expect(first.body.prev).toBeNull();
+        });
+
+        it('should keep pages stable when videos are added meanwhile', async () => {
+            const first = await get(`/board/${boardId}?limit=3`);
+
+            await request(app)
+                .post('/api/videos')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ url: 'https://videos.example.com/page/late', boardId });
+
+            const second = await get(first.body.next);
+            expect(second.body.videos.map(video => video.title)).toEqual(['video 3', 'video 2', 'video 1']);
+
+            const video = await app.locals.storage.videos.findByCanonicalKey('url:videos.example.com/page/late');
+            await request(app)
+                .delete(`/board/${boardId}/videos/${video.id}`)
+                .set('Authorization', `Bearer ${token}`);
+        });
+
+        it('should default and cap the page size', async () => {
+            expect((await get(`/board/${boardId}`)).body.videos).toHaveLength(7);
+            expect((await get(`/board/${boardId}?limit=0`)).body.videos).toHaveLength(7);
+            expect((await get(`/board/${boardId}?limit=1000`)).body.next).toBeNull();
+        });
+
+        it('should reject cursors it did not issue', async () => {
+            const forged = Buffer.from(JSON.stringify({ d: 'next', k: { position: { $gt: 0 }, id: 'x' } })).toString('base64url');
+
+            for (const cursor of ['garbage', forged]) {
+                const response = await get(`/board/${boardId}?cursor=${cursor}`);
+                expect(response.status).toBe(400);
+                expect(response.body.error).toBe('Invalid cursor');
+            }
+        });
+
+        it('should number boards saved before ordering existed on first load', async () => {
+            const board = await request(app)
+                .post('/board/create')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ title: 'Legacy' });
+            const storage = app.locals.storage;
+            for (const [i, title] of ['old', 'new'].entries()) {
+                const id = `legacy-${title}`;
+                await storage.videos.create({ id, url: null, platform: 'Upload', title, addedAt: new Date(2024, 0, 1 + i) });
+                await storage.videoBoards.create({ videoId: id, boardId: board.body.id });
+            }
+
+            const first = await get(`/board/${board.body.id}?limit=1`);
+            const second = await get(first.body.next);
+
+            expect([...first.body.videos, ...second.body.videos].map(video => video.title)).toEqual(['new', 'old']);
+            const links = await storage.videoBoards.listByBoard(board.body.id);
+            expect(links.every(link => typeof link.position === 'number')).toBe(true);
+        });
+    });
+
+    describe('GET /api/boards/:boardId/videos', () => {
+        it('should page through the Link header', async () => {
+            const response = await get(`/api/boards/${boardId}/videos?limit=4`);
+
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveLength(4);
+
+            const { next } = parseLinks(response.headers.link);
+            const rest = await get(next);
+            expect(rest.body).toHaveLength(3);
+            expect(parseLinks(rest.headers.link)).toEqual({ prev: expect.any(String) });
+        });
+    });
+
+    describe('GET /api/boards', () => {
+        it('should page the user\'s boards newest first', async () => {
+            for (const [i, title] of ['B1', 'B2', 'B3'].entries()) {
+                const board = await request(app)
+                    .post('/api/boards')
+                    .set('Authorization', `Bearer ${otherToken}`)
+                    .send({ name: title });
+                await app.locals.storage.boards.update(board.body.id, { createdAt: new Date(2024, 0, 1 + i) });
+            }
+
+            const first = await get('/api/boards?limit=2', otherToken);
+            const second = await get(parseLinks(first.headers.link).next, otherToken);
+
+            expect(first.body.map(board => board.title)).toEqual(['B3', 'B2']);
+            expect(second.body.map(board => board.title)).toEqual(['B1']);
+            expect(parseLinks(second.headers.link).next).toBeUndefined();
+        });
+
+        it('should reject an invalid cursor', async () => {
+            const response = await get('/api/boards?cursor=nope', otherToken);
+
+            expect(response.status).toBe(400);
+        });
+    });
+});
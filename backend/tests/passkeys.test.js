@@ -0,0 +1,344 @@
+const request = require('supertest');
+const { SoftAuthenticator, UP } = require('./helpers/softAuthenticator');
+const { login } = require('./helpers/auth');
+
+describe('Passkeys', () => {
+    let app, authenticator;
+
+    // Passkeys are bound to APP_URL, http://localhost:3000 under test
+    const ORIGIN = 'http://localhost:3000';
+
+    const api = (method, path, accessToken) => request(app)[method](path)
+        .set('Authorization', `Bearer ${accessToken}`);
+
+    const registrationOptions = async (accessToken) => {
+        const response = await api('post', '/api/passkeys/register/options', accessToken);
+        return response.body;
+    };
+
+    // Add a passkey through the whole ceremony
+    const register = async (accessToken, body = {}, overrides = {}) => {
+        const { ceremonyToken, options } = await registrationOptions(accessToken);
+        return api('post', '/api/passkeys', accessToken)
+            .send({ ceremonyToken, credential: authenticator.create(options, overrides), ...body });
+    };
+
+    const loginOptions = async () => {
+        const response = await request(app).post('/auth/passkey/options');
+        return response.body;
+    };
+
+    const signIn = async (credentialId, overrides) => {
+        const { ceremonyToken, options } = await loginOptions();
+        return request(app)
+            .post('/auth/passkey')
+            .send({ ceremonyToken, credential: authenticator.get(options, credentialId, overrides) });
+    };
+
+    beforeAll(() => {
+        process.env.NODE_ENV = 'test';
+        process.env.JWT_SECRET = 'test-secret';
+        app = require('../server.js');
+    });
+
+    beforeEach(() => {
+        authenticator = new SoftAuthenticator({ origin: ORIGIN });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    describe('registration', () => {
+        it('should offer discoverable, user-verified credentials for this site', async () => {
+            const accessToken = await login(app, 'pk-options@example.com', 'Options');
+
+            const { ceremonyToken, options } = await registrationOptions(accessToken);
+
+            expect(ceremonyToken).toBeTruthy();
+            expect(options.rp).toEqual({ id: 'localhost', name: 'Shortbread' });
+            expect(options.user.name).toBe('pk-options@example.com');
+            expect(options.challenge).toMatch(/^[A-Za-z0-9_-]{43}$/);
+            expect(options.pubKeyCredParams.map(p => p.alg)).toContain(-7);
+            expect(options.authenticatorSelection).toMatchObject({ residentKey: 'required', userVerification: 'required' });
+        });
+
+        it('should bind passkeys to APP_URL whatever Host the request names', async () => {
+            const accessToken = await login(app, 'pk-host@example.com', 'Host');
+
+            const response = await api('post', '/api/passkeys/register/options', accessToken).set('Host', 'evil.example');
+
+            expect(response.body.options.rp.id).toBe('localhost');
+        });
+
+        it('should not take a ceremony token as an access token', async () => {
+            const accessToken = await login(app, 'pk-ceremony@example.com', 'Ceremony');
+            const { ceremonyToken } = await registrationOptions(accessToken);
+
+            const response = await api('get', '/api/v1/boards', ceremonyToken);
+
+            expect(response.status).toBe(403);
+            expect(response.body.error.code).toBe('invalid_token');
+        });
+
+        it('should add named passkeys and list them without their keys', async () => {
+            const accessToken = await login(app, 'pk-list@example.com', 'Lister');
+
+            const first = await register(accessToken, { name: 'Phone' });
+            const second = await register(accessToken, { name: 'Laptop' });
+
+            expect(first.status).toBe(201);
+            expect(second.status).toBe(201);
+            const list = await api('get', '/api/passkeys', accessToken);
+            expect(list.body.passkeys.map(p => p.name).sort()).toEqual(['Laptop', 'Phone']);
+            expect(list.body.passkeys[0].publicKey).toBeUndefined();
+            expect(list.body.passkeys[0].signCount).toBeUndefined();
+        });
+
+        it('should name passkeys after the device by default', async () => {
+            const accessToken = await login(app, 'pk-default@example.com', 'Default');
+            const { ceremonyToken, options } = await registrationOptions(accessToken);
+
+            const response = await api('post', '/api/passkeys', accessToken)
+                .set('User-Agent', 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Version/17.0 Safari/604.1')
+                .send({ ceremonyToken, credential: authenticator.create(options) });
+
+            expect(response.body.name).toBe('Safari on iPhone');
+        });
+
+        it('should exclude passkeys already on the account', async () => {
+            const accessToken = await login(app, 'pk-exclude@example.com', 'Excluder');
+            const added = await register(accessToken);
+
+            const { options } = await registrationOptions(accessToken);
+
+            const credentialId = [...authenticator.credentials.keys()][0];
+            expect(added.status).toBe(201);
+            expect(options.excludeCredentials).toEqual([{ type: 'public-key', id: credentialId, transports: ['internal'] }]);
+        });
+
+        it('should refuse credentials made for another origin', async () => {
+            const accessToken = await login(app, 'pk-origin@example.com', 'Origin');
+
+            const response = await register(accessToken, {}, { origin: 'https://evil.example' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Passkey registration failed: Unexpected origin https://evil.example');
+        });
+
+        it('should refuse credentials scoped to another site', async () => {
+            const accessToken = await login(app, 'pk-rpid@example.com', 'RP');
+
+            const response = await register(accessToken, {}, { rpId: 'evil.example' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Passkey registration failed: The credential is for another site');
+        });
+
+        it('should require the authenticator to verify the user', async () => {
+            const accessToken = await login(app, 'pk-uv@example.com', 'UV');
+
+            const response = await register(accessToken, {}, { flags: UP | 0x40 });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Passkey registration failed: The authenticator did not verify the user');
+        });
+
+        it('should only accept each ceremony once', async () => {
+            const accessToken = await login(app, 'pk-replay@example.com', 'Replay');
+            const { ceremonyToken, options } = await registrationOptions(accessToken);
+            const credential = authenticator.create(options);
+            const complete = () => api('post', '/api/passkeys', accessToken).send({ ceremonyToken, credential });
+
+            expect((await complete()).status).toBe(201);
+            const replay = await complete();
+            expect(replay.status).toBe(400);
+            expect(replay.body.error).toBe('Invalid or expired passkey ceremony');
+        });
+
+        it('should not finish another user\'s ceremony', async () => {
+            const ownerToken = await login(app, 'pk-owner@example.com', 'Owner');
+            const otherToken = await login(app, 'pk-other@example.com', 'Other');
+            const { ceremonyToken, options } = await registrationOptions(ownerToken);
+
+            const response = await api('post', '/api/passkeys', otherToken)
+                .send({ ceremonyToken, credential: authenticator.create(options) });
+
+            expect(response.status).toBe(400);
+        });
+
+        it('should not register the same credential twice', async () => {
+            const firstToken = await login(app, 'pk-dupe-1@example.com', 'First');
+            const secondToken = await login(app, 'pk-dupe-2@example.com', 'Second');
+            await register(firstToken);
+            const [credentialId] = authenticator.credentials.keys();
+
+            const response = await register(secondToken, {}, { credentialId });
+
+            expect(response.status).toBe(409);
+            expect(response.body.error).toBe('This passkey is already registered');
+        });
+
+        it('should not be available to personal access tokens', async () => {
+            const accessToken = await login(app, 'pk-pat@example.com', 'PAT');
+            const created = await api('post', '/api/tokens', accessToken)
+                .send({ name: 'Script', scopes: ['boards:read'] });
+
+            const response = await api('post', '/api/passkeys/register/options', created.body.token);
+
+            expect(response.status).toBe(403);
+        });
+    });
+
+    describe('sign-in', () => {
+        it('should sign in with a registered passkey', async () => {
+            const accessToken = await login(app, 'pk-signin@example.com', 'Signer');
+            await register(accessToken, { name: 'Phone' });
+
+            const response = await signIn();
+
+            expect(response.status).toBe(200);
+            expect(response.headers['set-cookie'][0]).toMatch(/^shortbread_refresh=/);
+            expect(response.body.user.email).toBe('pk-signin@example.com');
+            const user = await api('get', '/api/user', response.body.accessToken);
+            expect(user.body.email).toBe('pk-signin@example.com');
+
+            const list = await api('get', '/api/passkeys', accessToken);
+            expect(list.body.passkeys[0].lastUsedAt).toBeTruthy();
+        });
+
+        it('should offer every passkey for the site', async () => {
+            const options = await loginOptions();
+
+            expect(options.options).toMatchObject({ rpId: 'localhost', allowCredentials: [], userVerification: 'required' });
+        });
+
+        it('should sign in with any of the account\'s passkeys', async () => {
+            const accessToken = await login(app, 'pk-many@example.com', 'Many');
+            await register(accessToken, { name: 'Phone' });
+            await register(accessToken, { name: 'Key' });
+            const [phone, key] = authenticator.credentials.keys();
+
+            expect((await signIn(phone)).body.user.email).toBe('pk-many@example.com');
+            expect((await signIn(key)).body.user.email).toBe('pk-many@example.com');
+        });
+
+        it('should refuse passkeys it doesn\'t know', async () => {
+            const accessToken = await login(app, 'pk-unknown@example.com', 'Unknown');
+            await register(accessToken);
+            const [credentialId] = authenticator.credentials.keys();
+            await api('delete', `/api/passkeys/${(await api('get', '/api/passkeys', accessToken)).body.passkeys[0].id}`, accessToken);
+
+            const response = await signIn(credentialId);
+
+            expect(response.status).toBe(401);
+            expect(response.body.error).toBe('Passkey sign-in failed');
+        });
+
+        it('should refuse assertions for another origin', async () => {
+            const accessToken = await login(app, 'pk-phish@example.com', 'Phish');
+            await register(accessToken);
+
+            const response = await signIn(undefined, { origin: 'https://evil.example' });
+
+            expect(response.status).toBe(401);
+        });
+
+        it('should refuse assertions signed by another key', async () => {
+            const accessToken = await login(app, 'pk-forged@example.com', 'Forged');
+            await register(accessToken);
+            const [credentialId] = authenticator.credentials.keys();
+            const impostor = new SoftAuthenticator({ origin: ORIGIN });
+            impostor.create({ rp: { id: 'localhost' }, user: { id: 'x' }, challenge: 'x' });
+            impostor.credentials.set(credentialId, [...impostor.credentials.values()][0]);
+            const { ceremonyToken, options } = await loginOptions();
+
+            const response = await request(app)
+                .post('/auth/passkey')
+                .send({ ceremonyToken, credential: impostor.get(options, credentialId) });
+
+            expect(response.status).toBe(401);
+        });
+
+        it('should refuse a signature counter that went backwards', async () => {
+            const accessToken = await login(app, 'pk-clone@example.com', 'Clone');
+            await register(accessToken);
+            expect((await signIn()).status).toBe(200);
+            expect((await signIn()).status).toBe(200);
+
+            const response = await signIn(undefined, { signCount: 1 });
+
+            expect(response.status).toBe(401);
+        });
+
+        it('should only accept each ceremony once', async () => {
+            const accessToken = await login(app, 'pk-login-replay@example.com', 'Replay');
+            await register(accessToken);
+            const { ceremonyToken, options } = await loginOptions();
+            const credential = authenticator.get(options);
+            const complete = () => request(app).post('/auth/passkey').send({ ceremonyToken, credential });
+
+            expect((await complete()).status).toBe(200);
+            expect((await complete()).status).toBe(400);
+        });
+
+        it('should not accept a registration ceremony for sign-in', async () => {
+            const accessToken = await login(app, 'pk-swap@example.com', 'Swap');
+            await register(accessToken);
+            const { ceremonyToken } = await registrationOptions(accessToken);
+            const { options } = await loginOptions();
+
+            const response = await request(app)
+                .post('/auth/passkey')
+                .send({ ceremonyToken, credential: authenticator.get(options) });
+
+            expect(response.status).toBe(400);
+        });
+    });
+
+    describe('managing passkeys', () => {
+        it('should rename a passkey', async () => {
+            const accessToken = await login(app, 'pk-rename@example.com', 'Renamer');
+            const added = await register(accessToken, { name: 'Phone' });
+
+            const response = await api('patch', `/api/passkeys/${added.body.id}`, accessToken).send({ name: ' Work phone ' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.name).toBe('Work phone');
+        });
+
+        it('should refuse blank names', async () => {
+            const accessToken = await login(app, 'pk-blank@example.com', 'Blank');
+            const added = await register(accessToken, { name: 'Phone' });
+
+            const response = await api('patch', `/api/passkeys/${added.body.id}`, accessToken).send({ name: '  ' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Passkey name is required');
+        });
+
+        it('should remove a passkey', async () => {
+            const accessToken = await login(app, 'pk-remove@example.com', 'Remover');
+            const added = await register(accessToken);
+
+            const response = await api('delete', `/api/passkeys/${added.body.id}`, accessToken);
+
+            expect(response.status).toBe(200);
+            expect((await api('get', '/api/passkeys', accessToken)).body.passkeys).toEqual([]);
+        });
+
+        it('should not let other users touch a passkey', async () => {
+            const ownerToken = await login(app, 'pk-mine@example.com', 'Mine');
+            const otherToken = await login(app, 'pk-theirs@example.com', 'Theirs');
+            const added = await register(ownerToken);
+
+            const rename = await api('patch', `/api/passkeys/${added.body.id}`, otherToken).send({ name: 'Stolen' });
+            const remove = await api('delete', `/api/passkeys/${added.body.id}`, otherToken);
+
+            expect(rename.status).toBe(404);
+            expect(remove.status).toBe(404);
+            expect(remove.body.error).toBe('Passkey not found');
+        });
+    });
+});
@@ -0,0 +1,233 @@
+const request = require('supertest');
+const { login } = require('./helpers/auth');
+const { normalizeEmails } = require('../migrations/normalize-emails');
+const { createStorage } = require('../storage');
+
+describe('Password Accounts', () => {
+    let app;
+
+    const register = (email, password = 'correct horse battery') => request(app)
+        .post('/auth/register')
+        .send({ email, name: 'Password User', password });
+
+    // Follow a sign-in link by its token, returning the access token
+    const follow = async (token) => {
+        const response = await request(app).get('/auth/verify').query({ token });
+        return response.headers.location.match(/token=([^&]+)/)[1];
+    };
+
+    // Register and confirm the email, returning the access token
+    const signUp = async (email, password) => follow((await register(email, password)).body.token);
+
+    const signIn = (email, password) => request(app)
+        .post('/auth/login')
+        .send({ email, password });
+
+    const getUser = (accessToken) => request(app)
+        .get('/api/user')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+    const requestReset = (email) => request(app)
+        .post('/auth/password-reset')
+        .send({ email });
+
+    const confirmReset = (token, password) => request(app)
+        .post('/auth/password-reset/confirm')
+        .send({ token, password });
+
+    beforeAll(() => {
+        process.env.NODE_ENV = 'test';
+        process.env.JWT_SECRET = 'test-secret';
+        app = require('../server.js');
+    });
+
+    describe('POST /auth/register', () => {
+        it('should create the account once its email is confirmed', async () => {
+            const response = await register('pw-new@example.com');
+
+            expect(response.status).toBe(202);
+            expect(response.body.message).toBe('Check your email to finish signing up');
+            expect(response.headers['set-cookie']).toBeUndefined();
+
+            const early = await signIn('pw-new@example.com', 'correct horse battery');
+            expect(early.status).toBe(403);
+            expect(early.body.error).toBe('Confirm your email with the link we sent before signing in with a password');
+
+            const user = await getUser(await follow(response.body.token));
+            expect(user.body).toMatchObject({ email: 'pw-new@example.com', hasPassword: true });
+            expect(user.body.passwordHash).toBeUndefined();
+            expect((await signIn('pw-new@example.com', 'correct horse battery')).status).toBe(200);
+        });
+
+        it('should refuse short passwords', async () => {
+            const response = await register('pw-short@example.com', 'short');
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Password must be at least 8 characters');
+        });
+
+        it('should answer the same for existing accounts without taking them over', async () => {
+            await login(app, 'pw-taken@example.com', 'Magic User');
+
+            const taken = await register('pw-taken@example.com');
+            const fresh = await register('pw-fresh@example.com');
+
+            expect(taken.status).toBe(fresh.status);
+            expect(Object.keys(taken.body)).toEqual(Object.keys(fresh.body));
+            expect(taken.body.message).toBe(fresh.body.message);
+            expect((await signIn('pw-taken@example.com', 'correct horse battery')).status).toBe(401);
+        });
+
+        it('should lowercase and trim emails', async () => {
+            await signUp('  PW-Case@Example.com ');
+
+            expect((await signIn('pw-case@example.com', 'correct horse battery')).status).toBe(200);
+            expect((await signIn('PW-CASE@example.COM', 'correct horse battery')).status).toBe(200);
+            const magic = await login(app, 'Pw-Case@example.com');
+            expect((await getUser(magic)).body.email).toBe('pw-case@example.com');
+        });
+
+        it('should give an unconfirmed account to whoever proves the email', async () => {
+            // Someone signs up with an address that isn't theirs
+            await register('pw-squatted@example.com', 'squatter password');
+
+            // Its owner signs in with a magic link
+            const owner = await login(app, 'pw-squatted@example.com');
+
+            expect((await getUser(owner)).body.hasPassword).toBe(false);
+            expect((await signIn('pw-squatted@example.com', 'squatter password')).status).toBe(401);
+        });
+    });
+
+    describe('POST /auth/login', () => {
+        it('should sign in with the right password only', async () => {
+            await signUp('pw-login@example.com');
+
+            const wrong = await signIn('pw-login@example.com', 'wrong password');
+            expect(wrong.status).toBe(401);
+            expect(wrong.body.error).toBe('Invalid email or password');
+
+            const right = await signIn('pw-login@example.com', 'correct horse battery');
+            expect(right.status).toBe(200);
+            expect((await getUser(right.body.accessToken)).body.email).toBe('pw-login@example.com');
+        });
+
+        it('should answer the same for unknown and magic-link-only accounts', async () => {
+            await login(app, 'pw-magic@example.com', 'Magic User');
+
+            for (const email of ['pw-nobody@example.com', 'pw-magic@example.com']) {
+                const response = await signIn(email, 'correct horse battery');
+                expect(response.status).toBe(401);
+                expect(response.body.error).toBe('Invalid email or password');
+            }
+        });
+
+        it('should lock the account after repeated failures', async () => {
+            await signUp('pw-locked@example.com');
+
+            for (let i = 0; i < 4; i++) {
+                expect((await signIn('pw-locked@example.com', `guess ${i}`)).status).toBe(401);
+            }
+            const locking = await signIn('pw-locked@example.com', 'guess 4');
+            expect(locking.status).toBe(429);
+            expect(Number(locking.headers['retry-after'])).toBeGreaterThan(14 * 60);
+
+            // Even the right password waits out the lockout
+            const locked = await signIn('pw-locked@example.com', 'correct horse battery');
+            expect(locked.status).toBe(429);
+            expect(locked.body.error).toBe('Too many failed sign-in attempts. Try again later or reset your password.');
+
+            const user = await app.locals.storage.users.findByEmail('pw-locked@example.com');
+            await app.locals.storage.users.update(user.id, { lockedUntil: new Date(Date.now() - 1000) });
+            expect((await signIn('pw-locked@example.com', 'correct horse battery')).status).toBe(200);
+        });
+
+        it('should lock unknown emails the same way, so lockouts don\'t tell which exist', async () => {
+            for (let i = 0; i < 4; i++) {
+                expect((await signIn('pw-unknown@example.com', `guess ${i}`)).status).toBe(401);
+            }
+            const locking = await signIn('pw-unknown@example.com', 'guess 4');
+            expect(locking.status).toBe(429);
+            expect(Number(locking.headers['retry-after'])).toBeGreaterThan(14 * 60);
+
+            const locked = await signIn('pw-unknown@example.com', 'guess 5');
+            expect(locked.status).toBe(429);
+            expect(locked.body.error).toBe('Too many failed sign-in attempts. Try again later or reset your password.');
+        });
+    });
+
+    describe('password reset', () => {
+        it('should set a new password and sign out other sessions', async () => {
+            const first = await signUp('pw-reset@example.com');
+            const reset = await requestReset('pw-reset@example.com');
+
+            const response = await confirmReset(reset.body.token, 'a brand new password');
+
+            expect(response.status).toBe(200);
+            expect((await getUser(response.body.accessToken)).status).toBe(200);
+            expect((await getUser(first)).status).toBe(403);
+            expect((await signIn('pw-reset@example.com', 'correct horse battery')).status).toBe(401);
+            expect((await signIn('pw-reset@example.com', 'a brand new password')).status).toBe(200);
+        });
+
+        it('should give magic-link accounts a password as well', async () => {
+            await login(app, 'pw-both@example.com', 'Both');
+            const reset = await requestReset('pw-both@example.com');
+
+            const response = await confirmReset(reset.body.token, 'first password ever');
+
+            expect(response.body.user.hasPassword).toBe(true);
+            expect((await signIn('pw-both@example.com', 'first password ever')).status).toBe(200);
+            expect(await login(app, 'pw-both@example.com')).toBeTruthy();
+        });
+
+        it('should only use each link once, and not on a bad password', async () => {
+            await register('pw-once@example.com');
+            const { body } = await requestReset('pw-once@example.com');
+
+            expect((await confirmReset(body.token, 'short')).status).toBe(400);
+            expect((await confirmReset(body.token, 'long enough now')).status).toBe(200);
+
+            const replay = await confirmReset(body.token, 'another password');
+            expect(replay.status).toBe(400);
+            expect(replay.body.error).toBe('This link has already been used');
+        });
+
+        it('should not reveal whether an account exists', async () => {
+            const response = await requestReset('pw-ghost@example.com');
+
+            expect(response.status).toBe(200);
+            expect(response.body.message).toBe('If an account exists for that email, a reset link is on its way');
+            expect(response.body.token).toBeUndefined();
+        });
+
+        it('should not accept sign-in links as reset links', async () => {
+            const magic = await request(app)
+                .post('/auth/magic-link')
+                .send({ email: 'pw-type@example.com', name: 'Type' });
+
+            const response = await confirmReset(magic.body.token, 'long enough now');
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Invalid token type');
+        });
+    });
+});
+
+describe('Normalize emails migration', () => {
+    it('should lowercase stored emails and leave clashing accounts alone', async () => {
+        const storage = createStorage('memory');
+        await storage.connect();
+        await storage.users.create({ id: 'u1', email: ' Mixed@Example.com', name: 'Mixed' });
+        await storage.users.create({ id: 'u2', email: 'Twice@example.com', name: 'Twice' });
+        await storage.users.create({ id: 'u3', email: 'twice@example.com', name: 'Twice again' });
+        await storage.users.create({ id: 'u4', email: 'plain@example.com', name: 'Plain' });
+
+        const result = await normalizeEmails(storage);
+
+        expect(result).toEqual({ updated: 1, conflicts: [{ email: 'twice@example.com', userIds: ['u3', 'u2'] }] });
+        expect((await storage.users.findByEmail('mixed@example.com')).id).toBe('u1');
+        expect((await storage.users.findById('u2')).email).toBe('Twice@example.com');
+        expect(await normalizeEmails(storage)).toEqual({ updated: 0, conflicts: result.conflicts });
+    });
+});
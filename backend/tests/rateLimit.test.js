@@ -0,0 +1,116 @@
+const request = require('supertest');
+const { RateLimiter, MemoryRateLimitStore, createRateLimitStore } = require('../ratelimit');
+
+const MINUTE = 60 * 1000;
+
+describe('Rate Limiting', () => {
+    describe('RateLimiter', () => {
+        let store, limiter;
+
+        // Window boundaries are aligned to the epoch; start at one
+        const start = 1000 * MINUTE;
+
+        beforeEach(() => {
+            store = new MemoryRateLimitStore();
+            limiter = new RateLimiter({ getStore: () => store, name: 'test', limit: 3, windowMs: MINUTE });
+        });
+
+        it('should allow hits up to the limit and block the rest', async () => {
+            for (let i = 0; i < 3; i++) {
+                expect((await limiter.hit('a', start + i)).allowed).toBe(true);
+            }
+
+            const blocked = await limiter.hit('a', start + 10);
+            expect(blocked.allowed).toBe(false);
+            expect(blocked.retryAfter).toBeGreaterThan(0);
+            expect((await limiter.hit('b', start + 10)).allowed).toBe(true);
+        });
+
+        it('should weigh the previous window as it slides out', async () => {
+            for (let i = 0; i < 3; i++) {
+                await limiter.hit('a', start + i);
+            }
+            const quarter = start + MINUTE + MINUTE / 4;
+
+            // A quarter into the next window, 3 * 0.75 of the old hits still count
+            expect((await limiter.hit('a', quarter)).allowed).toBe(true);
+            const blocked = await limiter.hit('a', quarter);
+            expect(blocked.allowed).toBe(false);
+
+            // Blocked until enough of the old window slides out: 3 * 0.35 + 1 < 3
+            expect(blocked.retryAfter).toBe(6);
+            expect((await limiter.hit('a', quarter + 5 * 1000)).allowed).toBe(false);
+            expect((await limiter.hit('a', quarter + 6 * 1000)).allowed).toBe(true);
+        });
+
+        it('should count a full window until it starts sliding out', async () => {
+            for (let i = 0; i < 3; i++) {
+                await limiter.hit('a', start);
+            }
+
+            const { retryAfter } = await limiter.hit('a', start + 30 * 1000);
+            expect(retryAfter).toBe(31);
+            expect((await limiter.hit('a', start + MINUTE)).allowed).toBe(false);
+            expect((await limiter.hit('a', start + MINUTE + 1000)).allowed).toBe(true);
+        });
+
+        it('should tell when a counter expires', async () => {
+            const expiresAt = new Date(start + MINUTE);
+            await store.increment('lock', expiresAt, new Date(start));
+
+            expect(await store.expiry('lock', new Date(start + 1000))).toEqual(expiresAt);
+            expect(await store.expiry('lock', expiresAt)).toBeNull();
+            expect(await store.expiry('missing', new Date(start))).toBeNull();
+        });
+
+        it('should reject unknown stores', () => {
+            expect(() => createRateLimitStore('redis')).toThrow('Unknown rate limit store "redis"');
+        });
+    });
+
+    describe('POST /auth/magic-link', () => {
+        let app;
+
+        const requestLink = (email, ip = '203.0.113.1') => request(app)
+            .post('/auth/magic-link')
+            .set('X-Forwarded-For', ip)
+            .send({ email, name: 'Limited' });
+
+        beforeAll(() => {
+            process.env.NODE_ENV = 'test';
+            process.env.JWT_SECRET = 'test-secret';
+            process.env.TRUST_PROXY = '1';
+            app = require('../server.js');
+        });
+
+        afterAll(() => {
+            delete process.env.TRUST_PROXY;
+        });
+
+        it('should limit links per email address', async () => {
+            for (let i = 0; i < 5; i++) {
+                expect((await requestLink('limited@example.com', `203.0.113.${10 + i}`)).status).toBe(200);
+            }
+
+            const response = await requestLink('LIMITED@example.com', '203.0.113.20');
+
+            expect(response.status).toBe(429);
+            expect(response.body.error).toBe('Too many requests. Please try again later.');
+            expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+            expect(response.body.retryAfter).toBe(Number(response.headers['retry-after']));
+        });
+
+        it('should limit links per IP', async () => {
+            app.locals.rateLimits.magicLinkIp.limit = 3;
+
+            for (let i = 0; i < 3; i++) {
+                expect((await requestLink(`ip-${i}@example.com`, '198.51.100.7')).status).toBe(200);
+            }
+
+            const response = await requestLink('ip-3@example.com', '198.51.100.7');
+            expect(response.status).toBe(429);
+            expect(response.headers['retry-after']).toBeDefined();
+            expect((await requestLink('ip-3@example.com', '198.51.100.8')).status).toBe(200);
+        });
+    });
+});
@@ -0,0 +1,222 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const FakeDownloader = require('./helpers/fakeDownloader');
+const FakeThumbnailer = require('./helpers/fakeThumbnailer');
+const { sweepOrphanedVideos } = require('../jobs/sweeper');
+const { login } = require('./helpers/auth');
+const { createBoard, saveAndDownload } = require('./helpers/boards');
+
+let app;
+let mediaDir;
+
+beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    process.env.JWT_SECRET = 'test-secret';
+    mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shortbread-media-'));
+    process.env.MEDIA_DIR = mediaDir;
+    app = require('../server.js');
+    app.locals.downloader = new FakeDownloader();
+    app.locals.thumbnailer = new FakeThumbnailer();
+});
+
+afterAll(() => {
+    delete process.env.MEDIA_DIR;
+});
+
+describe('Removing Videos', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    let token, otherToken;
+    let boardA, boardB, otherBoard;
+
+    const boardIdsOf = async (videoId) =>
+        (await app.locals.storage.videoBoards.listByVideo(videoId)).map(link => link.boardId).sort();
+
+    const sweep = (now) => sweepOrphanedVideos({
+        storage: app.locals.storage,
+        mediaStore: app.locals.mediaStore,
+        gracePeriod: DAY,
+        now
+    });
+
+    const mediaExists = (file) => fs.existsSync(path.join(mediaDir, file.key));
+
+    beforeAll(async () => {
+        token = await login(app, 'remover@example.com', 'Remover');
+        otherToken = await login(app, 'remover-other@example.com', 'Other');
+        boardA = (await createBoard(app, token, { title: 'A' })).id;
+        boardB = (await createBoard(app, token, { title: 'B' })).id;
+        otherBoard = (await createBoard(app, otherToken, { title: 'Other' })).id;
+    });
+
+    describe('DELETE /board/:boardId/videos/:videoId', () => {
+        it('should take the video off only that board', async () => {
+            const video = await saveAndDownload(app, token, boardA, 'https://youtu.be/hhhhhhhhhhh');
+            await saveAndDownload(app, token, boardB, 'https://youtu.be/hhhhhhhhhhh');
+
+            const response = await request(app)
+                .delete(`/board/${boardA}/videos/${video.id}`)
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(response.status).toBe(200);
+            expect(await boardIdsOf(video.id)).toEqual([boardB]);
+            expect((await app.locals.storage.videos.findById(video.id)).orphanedAt).toBeFalsy();
+        });
+
+        it('should mark the video orphaned once it is on no board', async () => {
+            const video = await saveAndDownload(app, token, boardA, 'https://youtu.be/iiiiiiiiiii');
+
+            await request(app)
+                .delete(`/board/${boardA}/videos/${video.id}`)
+                .set('Authorization', `Bearer ${token}`);
+
+            const orphan = await app.locals.storage.videos.findById(video.id);
+            expect(orphan.orphanedAt).toBeInstanceOf(Date);
+            expect(mediaExists(orphan.media)).toBe(true);
+        });
+
+        it('should clear the board cover when its video is removed', async () => {
+            const video = await saveAndDownload(app, token, boardA, 'https://youtu.be/jjjjjjjjjjj');
+            await request(app)
+                .patch(`/board/${boardA}`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ cover: video.id });
+
+            await request(app)
+                .delete(`/board/${boardA}/videos/${video.id}`)
+                .set('Authorization', `Bearer ${token}`);
+
+            expect((await app.locals.storage.boards.findById(boardA)).cover).toBeNull();
+        });
+
+        it('should only allow the board owner', async () => {
+            const video = await saveAndDownload(app, token, boardA, 'https://youtu.be/kkkkkkkkkkk');
+
+            const response = await request(app)
+                .delete(`/board/${boardA}/videos/${video.id}`)
+                .set('Authorization', `Bearer ${otherToken}`);
+
+            expect(response.status).toBe(403);
+            expect(response.body.error).toBe('Access denied to board');
+            expect(await boardIdsOf(video.id)).toEqual([boardA]);
+        });
+
+        it('should return 404 when the video is not on the board', async () => {
+            const video = await saveAndDownload(app, token, boardA, 'https://youtu.be/lllllllllll');
+
+            const response = await request(app)
+                .delete(`/board/${boardB}/videos/${video.id}`)
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(response.status).toBe(404);
+            expect(response.body.error).toBe('Video not found on board');
+        });
+    });
+
+    describe('DELETE /video/:id', () => {
+        it('should remove the video from all of the user\'s boards only', async () => {
+            const video = await saveAndDownload(app, token, boardA, 'https://youtu.be/mmmmmmmmmmm');
+            await saveAndDownload(app, token, boardB, 'https://youtu.be/mmmmmmmmmmm');
+            await saveAndDownload(app, otherToken, otherBoard, 'https://youtu.be/mmmmmmmmmmm');
+
+            const response = await request(app)
+                .delete(`/video/${video.id}`)
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.boardIds.sort()).toEqual([boardA, boardB].sort());
+            expect(await boardIdsOf(video.id)).toEqual([otherBoard]);
+            expect((await app.locals.storage.videos.findById(video.id)).orphanedAt).toBeFalsy();
+        });
+
+        it('should deny users who have not saved the video', async () => {
+            const video = await saveAndDownload(app, token, boardA, 'https://youtu.be/nnnnnnnnnnn');
+
+            const response = await request(app)
+                .delete(`/video/${video.id}`)
+                .set('Authorization', `Bearer ${otherToken}`);
+
+            expect(response.status).toBe(403);
+            expect(response.body.error).toBe('Access denied to video');
+        });
+
+        it('should require authentication', async () => {
+            const response = await request(app).delete('/video/some-video');
+
+            expect(response.status).toBe(401);
+        });
+
+        it('should return 404 for missing videos', async () => {
+            const response = await request(app)
+                .delete('/video/missing-video')
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(response.status).toBe(404);
+        });
+    });
+
+    describe('orphan sweeper', () => {
+        const orphan = async (url) => {
+            const video = await saveAndDownload(app, token, boardA, url);
+            await request(app)
+                .delete(`/video/${video.id}`)
+                .set('Authorization', `Bearer ${token}`);
+            return video;
+        };
+
+        it('should keep orphaned media during the grace period', async () => {
+            const video = await orphan('https://youtu.be/ooooooooooo');
+
+            await sweep(new Date(Date.now() + DAY / 2));
+
+            expect(await app.locals.storage.videos.findById(video.id)).not.toBeNull();
+            expect(mediaExists(video.media)).toBe(true);
+        });
+
+        it('should delete the video, media and thumbnails after the grace period', async () => {
+            const video = await orphan('https://youtu.be/ppppppppppp');
+
+            const swept = await sweep(new Date(Date.now() + 2 * DAY));
+
+            expect(swept).toBeGreaterThanOrEqual(1);
+            expect(await app.locals.storage.videos.findById(video.id)).toBeNull();
+            for (const file of [video.media, video.poster, video.preview]) {
+                expect(mediaExists(file)).toBe(false);
+            }
+        });
+
+        it('should sweep videos left on no board when their board is deleted', async () => {
+            const board = (await createBoard(app, token, { title: 'Deleted' })).id;
+            const gone = await saveAndDownload(app, token, board, 'https://youtu.be/rrrrrrrrrrr');
+            const kept = await saveAndDownload(app, token, board, 'https://youtu.be/sssssssssss');
+            await saveAndDownload(app, token, boardB, 'https://youtu.be/sssssssssss');
+
+            const response = await request(app)
+                .delete(`/board/${board}`)
+                .set('Authorization', `Bearer ${token}`);
+            expect(response.body.deletedVideos).toBe(0);
+            expect((await app.locals.storage.videos.findById(gone.id)).orphanedAt).toBeInstanceOf(Date);
+
+            await sweep(new Date(Date.now() + 2 * DAY));
+
+            expect(await app.locals.storage.videos.findById(gone.id)).toBeNull();
+            expect(mediaExists(gone.media)).toBe(false);
+            expect((await app.locals.storage.videos.findById(kept.id)).orphanedAt).toBeFalsy();
+            expect(mediaExists(kept.media)).toBe(true);
+        });
+
+        it('should bring back a video saved again within the grace period', async () => {
+            const video = await orphan('https://youtu.be/qqqqqqqqqqq');
+            app.locals.downloader = new FakeDownloader();
+
+            const again = await saveAndDownload(app, token, boardB, 'https://www.youtube.com/shorts/qqqqqqqqqqq');
+            await sweep(new Date(Date.now() + 2 * DAY));
+
+            expect(again.id).toBe(video.id);
+            expect(again.orphanedAt).toBeNull();
+            expect(app.locals.downloader.calls).toEqual([]);
+            expect(mediaExists(video.media)).toBe(true);
+        });
+    });
+});
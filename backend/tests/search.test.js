@@ -0,0 +1,168 @@
+const request = require('supertest');
+const { parseQuery, scoreText } = require('../storage/search');
+const { login } = require('./helpers/auth');
+const { createBoard, saveVideo } = require('./helpers/boards');
+
+describe('Text matching', () => {
+    it('should match whole words across word forms', () => {
+        expect(scoreText(parseQuery('cookies'), ['Brown butter cookie'])).toBe(1);
+        expect(scoreText(parseQuery('baking'), ['How I bake'])).toBe(1);
+        expect(scoreText(parseQuery('Running'), ['morning run'])).toBe(1);
+        expect(scoreText(parseQuery('short'), ['shortbread'])).toBe(0);
+    });
+
+    it('should score one point per matching term', () => {
+        expect(scoreText(parseQuery('brown butter matcha'), ['Brown butter cookie'])).toBe(2);
+    });
+
+    it('should require phrases and honour exclusions', () => {
+        expect(scoreText(parseQuery('"brown butter"'), ['butter, brown'])).toBe(0);
+        expect(scoreText(parseQuery('"brown butter"'), ['Brown butter cookie'])).toBe(2);
+        expect(scoreText(parseQuery('cookie -vegan'), ['Vegan cookie'])).toBe(0);
+    });
+});
+
+describe('Tags and Search', () => {
+    let app;
+    let token, otherToken;
+    let recipes, workouts, otherBoard;
+    const ids = {};
+
+    // Save a link with the metadata the platform would have given it
+    const saveWith = async (authToken, boardId, url, fields) => {
+        const response = await saveVideo(app, authToken, boardId, url);
+        await app.locals.storage.videos.update(response.body.id, fields);
+        return response.body.id;
+    };
+
+    const tagVideo = (boardId, videoId, changes, authToken = token) => request(app)
+        .patch(`/board/${boardId}/videos/${videoId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(changes);
+
+    const search = (query, authToken = token) => request(app)
+        .get('/api/search')
+        .query(query)
+        .set('Authorization', `Bearer ${authToken}`);
+
+    const titles = (response) => response.body.results.map(result => result.title);
+
+    beforeAll(async () => {
+        process.env.NODE_ENV = 'test';
+        process.env.JWT_SECRET = 'test-secret';
+        app = require('../server.js');
+
+        token = await login(app, 'searcher@example.com', 'Searcher');
+        otherToken = await login(app, 'searcher-other@example.com', 'Other');
+        recipes = (await createBoard(app, token, { title: 'Recipes' })).id;
+        workouts = (await createBoard(app, token, { title: 'Workouts' })).id;
+        otherBoard = (await createBoard(app, otherToken, { title: 'Other' })).id;
+
+        ids.shortbread = await saveWith(token, recipes, 'https://youtu.be/sssssssssss', {
+            title: 'Brown butter shortbread', author: 'Bake Club', platform: 'YouTube'
+        });
+        ids.matcha = await saveWith(token, recipes, 'https://www.tiktok.com/@m/video/7334567890123456789', {
+            title: 'Matcha cookies', author: 'matchamaker', platform: 'TikTok'
+        });
+        ids.plank = await saveWith(token, workouts, 'https://youtu.be/ppppppppppp', {
+            title: 'Five minute plank', author: 'Core Daily', platform: 'YouTube'
+        });
+        ids.secret = await saveWith(otherToken, otherBoard, 'https://youtu.be/xxxxxxxxxxx', {
+            title: 'Secret shortbread', author: 'Someone', platform: 'YouTube'
+        });
+
+        await tagVideo(recipes, ids.shortbread, { tags: ['#Dessert', 'holiday'], notes: 'Use salted butter' });
+        await tagVideo(recipes, ids.matcha, { tags: ['dessert'] });
+        await tagVideo(workouts, ids.plank, { tags: ['core'], notes: 'Do after the morning run' });
+    });
+
+    describe('PATCH /board/:boardId/videos/:videoId', () => {
+        it('should normalize and store tags on the board link', async () => {
+            const response = await tagVideo(recipes, ids.shortbread, { tags: [' #Dessert ', 'HOLIDAY', 'dessert'] });
+
+            expect(response.status).toBe(200);
+            expect(response.body.tags).toEqual(['dessert', 'holiday']);
+            expect(response.body.notes).toBe('Use salted butter');
+
+            const board = await request(app)
+                .get(`/board/${recipes}`)
+                .set('Authorization', `Bearer ${token}`);
+            const video = board.body.videos.find(v => v.id === ids.shortbread);
+            expect(video.tags).toEqual(['dessert', 'holiday']);
+        });
+
+        it('should keep tags per user', async () => {
+            await saveWith(otherToken, otherBoard, 'https://youtu.be/ppppppppppp', {});
+            await tagVideo(otherBoard, ids.plank, { tags: ['abs'] }, otherToken);
+
+            const mine = await search({ tag: 'abs' });
+            expect(mine.body.results).toEqual([]);
+
+            const theirs = await search({ tag: 'abs' }, otherToken);
+            expect(titles(theirs)).toEqual(['Five minute plank']);
+        });
+
+        it('should reject invalid tags', async () => {
+            expect((await tagVideo(recipes, ids.matcha, { tags: 'dessert' })).status).toBe(400);
+            expect((await tagVideo(recipes, ids.matcha, { tags: ['x'.repeat(41)] })).status).toBe(400);
+            expect((await tagVideo(recipes, ids.matcha, { notes: 5 })).status).toBe(400);
+        });
+
+        it('should only allow the board owner', async () => {
+            const response = await tagVideo(recipes, ids.matcha, { tags: ['mine'] }, otherToken);
+
+            expect(response.status).toBe(403);
+            expect(response.body.error).toBe('Access denied to board');
+        });
+
+        it('should return 404 for videos not on the board', async () => {
+            const response = await tagVideo(workouts, ids.matcha, { tags: ['dessert'] });
+
+            expect(response.status).toBe(404);
+        });
+    });
+
+    describe('GET /api/search', () => {
+        it('should search titles, authors, tags and notes', async () => {
+            expect(titles(await search({ q: 'shortbread' }))).toEqual(['Brown butter shortbread']);
+            expect(titles(await search({ q: 'matchamaker' }))).toEqual(['Matcha cookies']);
+            expect(titles(await search({ q: 'holiday' }))).toEqual(['Brown butter shortbread']);
+            expect(titles(await search({ q: 'salted' }))).toEqual(['Brown butter shortbread']);
+            expect(titles(await search({ q: 'running' }))).toEqual(['Five minute plank']);
+        });
+
+        it('should rank videos matching more terms first', async () => {
+            const response = await search({ q: 'brown butter cookies' });
+
+            expect(response.status).toBe(200);
+            expect(titles(response)).toEqual(['Brown butter shortbread', 'Matcha cookies']);
+            expect(response.body.results[0].boardId).toBe(recipes);
+        });
+
+        it('should filter by tag, platform and board', async () => {
+            expect(titles(await search({ tag: '#dessert' })).sort()).toEqual(['Brown butter shortbread', 'Matcha cookies']);
+            expect(titles(await search({ tag: 'dessert', platform: 'tiktok' }))).toEqual(['Matcha cookies']);
+            expect(titles(await search({ board: workouts }))).toEqual(['Five minute plank']);
+            expect(titles(await search({ q: 'plank', board: recipes }))).toEqual([]);
+        });
+
+        it('should never return other users\' videos', async () => {
+            const response = await search({ q: 'secret shortbread' });
+
+            expect(titles(response)).toEqual(['Brown butter shortbread']);
+        });
+
+        it('should deny searching other users\' boards', async () => {
+            const response = await search({ board: otherBoard });
+
+            expect(response.status).toBe(403);
+            expect(response.body.error).toBe('Access denied to board');
+        });
+
+        it('should require authentication', async () => {
+            const response = await request(app).get('/api/search').query({ q: 'shortbread' });
+
+            expect(response.status).toBe(401);
+        });
+    });
+});
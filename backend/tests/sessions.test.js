@@ -0,0 +1,194 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+const ANDROID_CHROME = 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Mobile Safari/537.36';
+const MAC_FIREFOX = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14.5; rv:127.0) Gecko/20100101 Firefox/127.0';
+
+describe('Sessions', () => {
+    let app;
+
+    // Sign in through the magic link and return the access token and refresh cookie
+    const signIn = async (email, userAgent = ANDROID_CHROME) => {
+        const magic = await request(app)
+            .post('/auth/magic-link')
+            .send({ email, name: 'Session User' });
+        const verify = await request(app)
+            .get('/auth/verify')
+            .set('User-Agent', userAgent)
+            .query({ token: magic.body.token });
+
+        return {
+            accessToken: verify.headers.location.match(/token=([^&]+)/)[1],
+            cookie: verify.headers['set-cookie'][0].split(';')[0]
+        };
+    };
+
+    const refresh = (cookie) => request(app)
+        .post('/auth/refresh')
+        .set('Cookie', cookie);
+
+    const cookieOf = (response) => response.headers['set-cookie'][0].split(';')[0];
+
+    const getUser = (accessToken) => request(app)
+        .get('/api/user')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+    beforeAll(() => {
+        process.env.NODE_ENV = 'test';
+        process.env.JWT_SECRET = 'test-secret';
+        app = require('../server.js');
+    });
+
+    describe('signing in', () => {
+        it('should issue a short-lived access token and an httpOnly refresh cookie', async () => {
+            const magic = await request(app)
+                .post('/auth/magic-link')
+                .send({ email: 'session-new@example.com', name: 'New' });
+            const verify = await request(app)
+                .get('/auth/verify')
+                .query({ token: magic.body.token });
+
+            const { exp, iat, sid } = jwt.decode(verify.headers.location.match(/token=([^&]+)/)[1]);
+            expect(exp - iat).toBe(15 * 60);
+            expect(sid).toBeTruthy();
+            const cookie = verify.headers['set-cookie'][0];
+            expect(cookie).toMatch(/^shortbread_refresh=/);
+            expect(cookie).toContain('HttpOnly');
+            expect(cookie).toContain('Path=/auth');
+            expect(cookie).toContain('SameSite=Strict');
+        });
+    });
+
+    describe('POST /auth/refresh', () => {
+        it('should issue a new access token and rotate the refresh token', async () => {
+            const { cookie } = await signIn('session-rotate@example.com');
+
+            const response = await refresh(cookie);
+
+            expect(response.status).toBe(200);
+            expect((await getUser(response.body.accessToken)).body.email).toBe('session-rotate@example.com');
+            expect(response.body.refreshToken).toBeUndefined();
+            expect(cookieOf(response)).not.toBe(cookie);
+            expect((await refresh(cookieOf(response))).status).toBe(200);
+        });
+
+        it('should accept the refresh token in the body for API clients', async () => {
+            const { cookie } = await signIn('session-body@example.com');
+            const refreshToken = decodeURIComponent(cookie.split('=')[1]);
+
+            const response = await request(app)
+                .post('/auth/refresh')
+                .send({ refreshToken });
+
+            expect(response.status).toBe(200);
+            expect(response.body.refreshToken).toMatch(/^[\w-]+\.[\w-]+$/);
+            expect(response.body.refreshToken).not.toBe(refreshToken);
+        });
+
+        it('should revoke the session when an old refresh token is reused', async () => {
+            const { accessToken, cookie } = await signIn('session-reuse@example.com');
+            const rotated = await refresh(cookie);
+            // Move the rotation out of the grace period for racing tabs
+            const { sid } = jwt.decode(accessToken);
+            await app.locals.storage.sessions.update(sid, { rotatedAt: new Date(Date.now() - 60 * 1000) });
+            const consoleWarn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+            const reuse = await refresh(cookie);
+
+            expect(reuse.status).toBe(401);
+            expect(reuse.body.error).toBe('Refresh token reuse detected');
+            expect(consoleWarn).toHaveBeenCalled();
+            consoleWarn.mockRestore();
+            // Both copies and every access token of the session stop working
+            expect((await refresh(cookieOf(rotated))).status).toBe(401);
+            expect((await getUser(rotated.body.accessToken)).status).toBe(403);
+            expect((await app.locals.storage.sessions.findById(sid)).revokedReason).toBe('reuse');
+        });
+
+        it('should let a refresh racing another tab through without rotating again', async () => {
+            const { cookie } = await signIn('session-race@example.com');
+            const first = await refresh(cookie);
+
+            const second = await refresh(cookie);
+
+            expect(second.status).toBe(200);
+            expect(second.body.accessToken).toBeTruthy();
+            expect(second.headers['set-cookie']).toBeUndefined();
+            expect((await refresh(cookieOf(first))).status).toBe(200);
+        });
+
+        it('should reject missing and unknown tokens', async () => {
+            expect((await request(app).post('/auth/refresh')).body.error).toBe('Refresh token required');
+            expect((await refresh('shortbread_refresh=missing.secret')).status).toBe(401);
+        });
+    });
+
+    describe('listing and revoking sessions', () => {
+        it('should list each device with its last use', async () => {
+            const phone = await signIn('session-list@example.com', ANDROID_CHROME);
+            await signIn('session-list@example.com', MAC_FIREFOX);
+
+            const response = await request(app)
+                .get('/api/sessions')
+                .set('Authorization', `Bearer ${phone.accessToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.sessions).toHaveLength(2);
+            expect(response.body.sessions).toContainEqual(expect.objectContaining({ device: 'Chrome on Android', current: true }));
+            expect(response.body.sessions).toContainEqual(expect.objectContaining({ device: 'Firefox on macOS', current: false }));
+            expect(response.body.sessions[0].lastUsedAt).toBeDefined();
+        });
+
+        it('should sign another device out', async () => {
+            const phone = await signIn('session-revoke@example.com', ANDROID_CHROME);
+            const laptop = await signIn('session-revoke@example.com', MAC_FIREFOX);
+
+            const response = await request(app)
+                .delete(`/api/sessions/${jwt.decode(laptop.accessToken).sid}`)
+                .set('Authorization', `Bearer ${phone.accessToken}`);
+
+            expect(response.status).toBe(200);
+            expect((await getUser(laptop.accessToken)).status).toBe(403);
+            expect((await refresh(laptop.cookie)).status).toBe(401);
+            expect((await getUser(phone.accessToken)).status).toBe(200);
+        });
+
+        it('should not revoke other users\' sessions', async () => {
+            const mine = await signIn('session-mine@example.com');
+            const theirs = await signIn('session-theirs@example.com');
+
+            const response = await request(app)
+                .delete(`/api/sessions/${jwt.decode(theirs.accessToken).sid}`)
+                .set('Authorization', `Bearer ${mine.accessToken}`);
+
+            expect(response.status).toBe(404);
+            expect(response.body.error).toBe('Session not found');
+        });
+    });
+
+    describe('POST /auth/logout', () => {
+        it('should revoke the current session and clear the cookie', async () => {
+            const { accessToken, cookie } = await signIn('session-logout@example.com');
+
+            const response = await request(app)
+                .post('/auth/logout')
+                .set('Authorization', `Bearer ${accessToken}`)
+                .set('Cookie', cookie);
+
+            expect(response.status).toBe(200);
+            expect(response.headers['set-cookie'][0]).toMatch(/^shortbread_refresh=;/);
+            expect((await getUser(accessToken)).status).toBe(403);
+            expect((await refresh(cookie)).status).toBe(401);
+        });
+
+        it('should find the session from the refresh cookie alone', async () => {
+            const { accessToken, cookie } = await signIn('session-cookie-logout@example.com');
+
+            await request(app)
+                .post('/auth/logout')
+                .set('Cookie', cookie);
+
+            expect((await getUser(accessToken)).status).toBe(403);
+        });
+    });
+});
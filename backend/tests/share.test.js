@@ -0,0 +1,264 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const FakeThumbnailer = require('./helpers/fakeThumbnailer');
+const { login } = require('./helpers/auth');
+
+let app;
+let sharerToken;
+
+beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.MEDIA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'shortbread-media-'));
+    app = require('../server.js');
+    app.locals.thumbnailer = new FakeThumbnailer();
+    sharerToken = await login(app, 'sharer@example.com', 'Sharer');
+});
+
+afterAll(() => {
+    delete process.env.MEDIA_DIR;
+});
+
+const fixture = path.join(__dirname, 'fixtures/sample.mp4');
+
+const shareFile = (fields = {}, token = sharerToken) => {
+    const req = request(app).post('/share').set('Authorization', `Bearer ${token}`);
+    Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+    return req.attach('file', fixture, { filename: 'clip.mp4', contentType: 'video/mp4' });
+};
+
+const uploadIdFrom = (response) => new URL(response.headers.location, 'http://localhost').searchParams.get('upload');
+
+describe('POST /share', () => {
+    it('should keep redirecting shared links to the board picker', async () => {
+        const response = await request(app)
+            .post('/share')
+            .type('form')
+            .send({ url: 'https://youtube.com/shorts/abc' });
+
+        expect(response.status).toBe(302);
+        expect(response.headers.location).toBe(`/?url=${encodeURIComponent('https://youtube.com/shorts/abc')}`);
+    });
+
+    it('should accept multipart link shares', async () => {
+        const response = await request(app)
+            .post('/share')
+            .field('text', 'https://www.tiktok.com/@someone/video/1');
+
+        expect(response.status).toBe(302);
+        expect(response.headers.location).toMatch(/^\/\?url=/);
+    });
+
+    it('should store shared video files as pending uploads', async () => {
+        const response = await shareFile({ title: 'Gallery clip' });
+
+        expect(response.status).toBe(302);
+        const uploadId = uploadIdFrom(response);
+        expect(uploadId).toBeTruthy();
+
+        const details = await request(app)
+            .get(`/api/uploads/${uploadId}`)
+            .set('Authorization', `Bearer ${sharerToken}`);
+        expect(details.status).toBe(200);
+        expect(details.body).toEqual({
+            id: uploadId,
+            title: 'Gallery clip',
+            platform: 'Upload',
+            size: 4096,
+            thumbnail: `/api/uploads/${uploadId}/thumbnail`
+        });
+
+        const thumbnail = await request(app).get(details.body.thumbnail).query({ token: sharerToken });
+        expect(thumbnail.status).toBe(200);
+        expect(thumbnail.headers['content-type']).toBe('image/jpeg');
+    });
+
+    it('should name uploads after the file when no title is shared', async () => {
+        const uploadId = uploadIdFrom(await shareFile());
+
+        const details = await request(app)
+            .get(`/api/uploads/${uploadId}`)
+            .set('Authorization', `Bearer ${sharerToken}`);
+        expect(details.body.title).toBe('clip');
+    });
+
+    it('should still accept the file when no poster can be generated', async () => {
+        app.locals.thumbnailer = new FakeThumbnailer({ fail: true });
+        const uploadId = uploadIdFrom(await shareFile());
+        app.locals.thumbnailer = new FakeThumbnailer();
+
+        const details = await request(app)
+            .get(`/api/uploads/${uploadId}`)
+            .set('Authorization', `Bearer ${sharerToken}`);
+        expect(details.status).toBe(200);
+        expect(details.body.thumbnail).toBeNull();
+    });
+
+    it('should ignore shared files that are not videos', async () => {
+        const response = await request(app)
+            .post('/share')
+            .set('Authorization', `Bearer ${sharerToken}`)
+            .field('text', 'https://youtube.com/shorts/with-image')
+            .attach('file', Buffer.from('not a video'), { filename: 'image.png', contentType: 'image/png' });
+
+        expect(response.headers.location).toMatch(/^\/\?url=/);
+    });
+
+    it('should refuse files from people who are not signed in', async () => {
+        const response = await request(app)
+            .post('/share')
+            .attach('file', fixture, { filename: 'clip.mp4', contentType: 'video/mp4' });
+
+        expect(response.status).toBe(302);
+        expect(response.headers.location).toBe('/?shareError=sign-in');
+    });
+
+    it('should take the share cookie that signing in sets', async () => {
+        const magic = await request(app).post('/auth/magic-link').send({ email: 'cookie-sharer@example.com', name: 'Cookie' });
+        const verify = await request(app).get('/auth/verify').query({ token: magic.body.token });
+        const token = verify.headers.location.match(/token=([^&]+)/)[1];
+        const shareCookie = verify.headers['set-cookie'].find(cookie => cookie.startsWith('shortbread_share='));
+        expect(shareCookie).toMatch(/Path=\/share/);
+        expect(shareCookie).toMatch(/HttpOnly/);
+
+        const shareWithCookie = () => request(app)
+            .post('/share')
+            .set('Cookie', shareCookie.split(';')[0])
+            .attach('file', fixture, { filename: 'clip.mp4', contentType: 'video/mp4' });
+
+        const uploadId = uploadIdFrom(await shareWithCookie());
+        expect(uploadId).toBeTruthy();
+        const details = await request(app)
+            .get(`/api/uploads/${uploadId}`)
+            .set('Authorization', `Bearer ${token}`);
+        expect(details.status).toBe(200);
+
+        // Signing out ends the session the cookie names
+        await request(app).post('/auth/logout').set('Authorization', `Bearer ${token}`);
+        const afterLogout = await shareWithCookie();
+        expect(afterLogout.headers.location).toBe('/?shareError=sign-in');
+    });
+
+    it('should show uploads only to whoever shared them', async () => {
+        const uploadId = uploadIdFrom(await shareFile());
+        const otherToken = await login(app, 'nosy@example.com', 'Nosy');
+
+        const anonymous = await request(app).get(`/api/uploads/${uploadId}`);
+        expect(anonymous.status).toBe(401);
+
+        const other = await request(app)
+            .get(`/api/uploads/${uploadId}`)
+            .set('Authorization', `Bearer ${otherToken}`);
+        expect(other.status).toBe(404);
+
+        const thumbnail = await request(app).get(`/api/uploads/${uploadId}/thumbnail`).query({ token: otherToken });
+        expect(thumbnail.status).toBe(404);
+    });
+
+    it('should rate limit shares', async () => {
+        const limiter = app.locals.rateLimits.shareIp;
+        const previous = limiter.limit;
+        limiter.limit = 0;
+
+        try {
+            const response = await request(app).post('/share').type('form').send({ url: 'https://youtube.com/shorts/abc' });
+            expect(response.status).toBe(429);
+        } finally {
+            limiter.limit = previous;
+        }
+    });
+});
+
+describe('POST /api/uploads/:id/save', () => {
+    let ownerToken, otherToken, boardId;
+
+    beforeAll(async () => {
+        ownerToken = sharerToken;
+        otherToken = await login(app, 'other-sharer@example.com', 'Other');
+
+        const boardResponse = await request(app)
+            .post('/board/create')
+            .set('Authorization', `Bearer ${ownerToken}`)
+            .send({ title: 'Gallery' });
+        boardId = boardResponse.body.id;
+    });
+
+    it('should save the upload to a board as a ready video', async () => {
+        const uploadId = uploadIdFrom(await shareFile({ title: 'Workout' }));
+
+        const response = await request(app)
+            .post(`/api/uploads/${uploadId}/save`)
+            .set('Authorization', `Bearer ${ownerToken}`)
+            .send({ boardId });
+
+        expect(response.status).toBe(200);
+        expect(response.body.platform).toBe('Upload');
+        expect(response.body.title).toBe('Workout');
+        expect(response.body.status).toBe('ready');
+        expect(response.body.thumbnail).toBe(`/api/videos/${response.body.id}/thumbnail`);
+
+        const board = await request(app)
+            .get(`/board/${boardId}`)
+            .set('Authorization', `Bearer ${ownerToken}`);
+        expect(board.body.videos.map(v => v.id)).toContain(response.body.id);
+
+        const download = await request(app)
+            .get(response.body.downloadUrl)
+            .set('Authorization', `Bearer ${ownerToken}`);
+        expect(download.status).toBe(200);
+        expect(download.headers['content-length']).toBe('4096');
+
+        const thumbnail = await request(app)
+            .get(response.body.thumbnail)
+            .set('Authorization', `Bearer ${ownerToken}`);
+        expect(thumbnail.status).toBe(200);
+
+        // The pending upload is used up
+        const again = await request(app)
+            .post(`/api/uploads/${uploadId}/save`)
+            .set('Authorization', `Bearer ${ownerToken}`)
+            .send({ boardId });
+        expect(again.status).toBe(404);
+    });
+
+    it('should only save to boards the user owns', async () => {
+        const uploadId = uploadIdFrom(await shareFile({}, otherToken));
+
+        const response = await request(app)
+            .post(`/api/uploads/${uploadId}/save`)
+            .set('Authorization', `Bearer ${otherToken}`)
+            .send({ boardId });
+
+        expect(response.status).toBe(403);
+        expect(response.body.error).toBe('Access denied to board');
+    });
+
+    it('should require authentication and a board', async () => {
+        const uploadId = uploadIdFrom(await shareFile());
+
+        const anonymous = await request(app)
+            .post(`/api/uploads/${uploadId}/save`)
+            .send({ boardId });
+        expect(anonymous.status).toBe(401);
+
+        const noBoard = await request(app)
+            .post(`/api/uploads/${uploadId}/save`)
+            .set('Authorization', `Bearer ${ownerToken}`)
+            .send({});
+        expect(noBoard.status).toBe(400);
+        expect(noBoard.body.error).toBe('boardId is required');
+    });
+
+    it('should not save uploads someone else shared', async () => {
+        const uploadId = uploadIdFrom(await shareFile());
+
+        const response = await request(app)
+            .post(`/api/uploads/${uploadId}/save`)
+            .set('Authorization', `Bearer ${otherToken}`)
+            .send({ boardId });
+
+        expect(response.status).toBe(404);
+    });
+});
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const FakeDownloader = require('./helpers/fakeDownloader');
+const FakeThumbnailer = require('./helpers/fakeThumbnailer');
+const { login } = require('./helpers/auth');
+const { createBoard, saveAndDownload } = require('./helpers/boards');
+
+let app;
+
+beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.MEDIA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'shortbread-media-'));
+    app = require('../server.js');
+    app.locals.downloader = new FakeDownloader();
+    app.locals.thumbnailer = new FakeThumbnailer();
+});
+
+afterAll(() => {
+    delete process.env.MEDIA_DIR;
+});
+
+describe('Share Links', () => {
+    let ownerToken, otherToken;
+    let boardId, videoId;
+
+    const createLink = (body = {}, authToken = ownerToken) => request(app)
+        .post(`/board/${boardId}/share-links`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(body);
+
+    const tokenOf = (link) => link.url.replace('/b/', '');
+
+    beforeAll(async () => {
+        ownerToken = await login(app, 'sharer@example.com', 'Sharer');
+        otherToken = await login(app, 'sharer-other@example.com', 'Other');
+
+        boardId = (await createBoard(app, ownerToken, { title: 'Private picks', isPublic: false })).id;
+        videoId = (await saveAndDownload(app, ownerToken, boardId, 'https://youtu.be/sssssssssss')).id;
+    });
+
+    it('should open a private board through its link', async () => {
+        const link = await createLink({ label: 'For the group chat' });
+
+        expect(link.status).toBe(201);
+        expect(link.body).toMatchObject({ label: 'For the group chat', scope: 'view', expiresAt: null });
+
+        const redirect = await request(app).get(link.body.url);
+        expect(redirect.status).toBe(302);
+        expect(redirect.headers.location).toBe(`/?board=${boardId}&share=${tokenOf(link.body)}`);
+
+        const board = await request(app).get(`/board/${boardId}?share=${tokenOf(link.body)}`);
+        expect(board.status).toBe(200);
+        expect(board.body.videos.map(video => video.id)).toEqual([videoId]);
+        expect(board.body.role).toBeNull();
+    });
+
+    it('should accept the token in a header and serve the board\'s thumbnails', async () => {
+        const token = tokenOf((await createLink()).body);
+
+        const board = await request(app)
+            .get(`/board/${boardId}`)
+            .set('X-Share-Token', token);
+        expect(board.status).toBe(200);
+
+        const thumbnail = await request(app).get(`/api/videos/${videoId}/thumbnail?share=${token}`);
+        expect(thumbnail.status).toBe(200);
+        expect((await request(app).get(`/api/videos/${videoId}/thumbnail`)).status).toBe(403);
+    });
+
+    it('should not open other boards', async () => {
+        const token = tokenOf((await createLink()).body);
+        const other = await createBoard(app, ownerToken, { title: 'Not shared', isPublic: false });
+
+        const response = await request(app).get(`/board/${other.id}?share=${token}`);
+
+        expect(response.status).toBe(403);
+    });
+
+    it('should stop working once revoked', async () => {
+        const link = (await createLink()).body;
+
+        const revoke = await request(app)
+            .delete(`/board/${boardId}/share-links/${link.id}`)
+            .set('Authorization', `Bearer ${ownerToken}`);
+        expect(revoke.status).toBe(200);
+
+        expect((await request(app).get(`/board/${boardId}?share=${tokenOf(link)}`)).status).toBe(403);
+        expect((await request(app).get(link.url)).headers.location).toBe('/?shareError=link-unavailable');
+    });
+
+    it('should stop working once expired', async () => {
+        const live = (await createLink({ expiresAt: new Date(Date.now() + 60 * 1000).toISOString() })).body;
+        expect((await request(app).get(`/board/${boardId}?share=${tokenOf(live)}`)).status).toBe(200);
+
+        // Links can't be created already expired, so store one directly
+        await app.locals.storage.shareLinks.create({
+            id: 'expired-link',
+            boardId,
+            token: 'expired-token',
+            label: '',
+            scope: 'view',
+            expiresAt: new Date(Date.now() - 1000),
+            createdAt: new Date()
+        });
+
+        expect((await request(app).get(`/board/${boardId}?share=expired-token`)).status).toBe(403);
+        expect((await request(app).get('/b/expired-token')).headers.location).toBe('/?shareError=link-unavailable');
+    });
+
+    it('should be view-only', async () => {
+        const token = tokenOf((await createLink()).body);
+
+        const response = await request(app)
+            .delete(`/board/${boardId}/videos/${videoId}`)
+            .set('X-Share-Token', token);
+
+        expect(response.status).toBe(401);
+    });
+
+    it('should let only the owner list, create and revoke links', async () => {
+        const link = (await createLink({ label: 'Listed' })).body;
+
+        const list = await request(app)
+            .get(`/board/${boardId}/share-links`)
+            .set('Authorization', `Bearer ${ownerToken}`);
+        expect(list.body.shareLinks).toContainEqual(link);
+
+        expect((await createLink({}, otherToken)).status).toBe(403);
+        const listed = await request(app)
+            .get(`/board/${boardId}/share-links`)
+            .set('Authorization', `Bearer ${otherToken}`);
+        expect(listed.status).toBe(403);
+        const revoke = await request(app)
+            .delete(`/board/${boardId}/share-links/${link.id}`)
+            .set('Authorization', `Bearer ${otherToken}`);
+        expect(revoke.status).toBe(403);
+    });
+
+    it('should validate labels and expiry dates', async () => {
+        expect((await createLink({ label: 42 })).status).toBe(400);
+        expect((await createLink({ expiresAt: 'soon' })).body.error).toBe('expiresAt must be a future date');
+        expect((await createLink({ expiresAt: '2000-01-01' })).status).toBe(400);
+    });
+
+    it('should return 404 for unknown links', async () => {
+        const response = await request(app)
+            .delete(`/board/${boardId}/share-links/missing`)
+            .set('Authorization', `Bearer ${ownerToken}`);
+
+        expect(response.status).toBe(404);
+        expect(response.body.error).toBe('Share link not found');
+    });
+});
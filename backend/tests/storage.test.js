@@ -0,0 +1,402 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, MemoryStorage, FileStorage, DuplicateKeyError } = require('../storage');
+
+// The shared tests also run against MongoDB when given a database to empty
+const { TEST_MONGODB_URI } = process.env;
+const clearMongo = async () => {
+    const mongoose = require('mongoose');
+    for (const name of mongoose.modelNames()) {
+        await mongoose.model(name).init();
+        await mongoose.model(name).deleteMany({});
+    }
+};
+
+describe('Storage Adapters', () => {
+    describe('createStorage', () => {
+        it('should create the configured adapter', () => {
+            expect(createStorage('memory')).toBeInstanceOf(MemoryStorage);
+            expect(createStorage('file', { dataDir: os.tmpdir() })).toBeInstanceOf(FileStorage);
+        });
+
+        it('should reject unknown backends', () => {
+            expect(() => createStorage('sqlite')).toThrow('Unknown storage backend "sqlite"');
+        });
+    });
+
+    describe.each([
+        ['memory', () => createStorage('memory')],
+        ['file', () => createStorage('file', { dataDir: fs.mkdtempSync(path.join(os.tmpdir(), 'shortbread-')) })],
+        ...(TEST_MONGODB_URI ? [['mongodb', () => createStorage('mongodb', { mongoUri: TEST_MONGODB_URI }), clearMongo]] : [])
+    ])('%s adapter', (name, makeStorage, clear) => {
+        let storage;
+
+        beforeEach(async () => {
+            storage = makeStorage();
+            await storage.connect();
+            if (clear) await clear();
+        });
+
+        afterEach(async () => {
+            await storage.close();
+        });
+
+        it('should store and find users', async () => {
+            await storage.users.create({ id: 'u1', email: 'a@example.com', name: 'A', createdAt: new Date() });
+
+            expect((await storage.users.findById('u1')).email).toBe('a@example.com');
+            expect((await storage.users.findByEmail('a@example.com')).id).toBe('u1');
+            expect(await storage.users.findById('missing')).toBeNull();
+        });
+
+        it('should keep one user per email and update them', async () => {
+            await storage.users.create({ id: 'u1', email: 'a@example.com', name: 'A', createdAt: new Date() });
+
+            await expect(storage.users.create({ id: 'u2', email: 'a@example.com', name: 'B', createdAt: new Date() }))
+                .rejects.toBeInstanceOf(DuplicateKeyError);
+            expect((await storage.users.update('u1', { failedLogins: 2 })).failedLogins).toBe(2);
+            expect(await storage.users.update('missing', { failedLogins: 1 })).toBeNull();
+        });
+
+        it('should list a user\'s boards newest first', async () => {
+            await storage.boards.create({ id: 'b1', userId: 'u1', title: 'Old', isPublic: false, createdAt: new Date('2024-01-01') });
+            await storage.boards.create({ id: 'b2', userId: 'u1', title: 'New', isPublic: false, createdAt: new Date('2024-02-01') });
+            await storage.boards.create({ id: 'b3', userId: 'u2', title: 'Other', isPublic: false, createdAt: new Date() });
+
+            const boards = await storage.boards.listByUser('u1');
+            expect(boards.map(b => b.id)).toEqual(['b2', 'b1']);
+        });
+
+        it('should list videos on a board and replace assignments', async () => {
+            await storage.videos.create({ id: 'v1', url: 'https://youtu.be/a', platform: 'YouTube', title: 'A', addedAt: new Date('2024-01-01') });
+            await storage.videos.create({ id: 'v2', url: 'https://youtu.be/b', platform: 'YouTube', title: 'B', addedAt: new Date('2024-02-01') });
+            await storage.videoBoards.create({ videoId: 'v1', boardId: 'b1' });
+            await storage.videoBoards.create({ videoId: 'v2', boardId: 'b1' });
+            await storage.videoBoards.create({ videoId: 'v1', boardId: 'b2' });
+
+            expect((await storage.videos.listByBoard('b1')).map(v => v.id)).toEqual(['v2', 'v1']);
+
+            await storage.videoBoards.deleteByVideo('v1');
+            expect(await storage.videoBoards.listByVideo('v1')).toEqual([]);
+            expect((await storage.videos.listByBoard('b1')).map(v => v.id)).toEqual(['v2']);
+        });
+
+        it('should keep canonical keys and board links unique', async () => {
+            await storage.videos.create({ id: 'v1', url: 'https://youtu.be/a', canonicalKey: 'youtube:a', platform: 'YouTube', title: 'A' });
+            await storage.videos.create({ id: 'u1', url: null, platform: 'Upload', title: 'Upload' });
+            await storage.videos.create({ id: 'u2', url: null, platform: 'Upload', title: 'Upload' });
+            await storage.videoBoards.create({ videoId: 'v1', boardId: 'b1' });
+
+            await expect(storage.videos.create({ id: 'v2', url: 'https://youtube.com/shorts/a', canonicalKey: 'youtube:a', platform: 'YouTube', title: 'A' }))
+                .rejects.toBeInstanceOf(DuplicateKeyError);
+            await expect(storage.videoBoards.create({ videoId: 'v1', boardId: 'b1' }))
+                .rejects.toBeInstanceOf(DuplicateKeyError);
+            expect((await storage.videos.findByCanonicalKey('youtube:a')).id).toBe('v1');
+        });
+
+        it('should search videos on the given boards', async () => {
+            await storage.videos.create({ id: 'v1', url: 'https://youtu.be/a', platform: 'YouTube', title: 'Brown butter shortbread', addedAt: new Date('2024-02-01') });
+            await storage.videos.create({ id: 'v2', url: 'https://youtu.be/b', platform: 'TikTok', title: 'Plank', addedAt: new Date('2024-01-01') });
+            await storage.videoBoards.create({ videoId: 'v1', boardId: 'b1', tags: ['dessert'], notes: '' });
+            await storage.videoBoards.create({ videoId: 'v2', boardId: 'b1', tags: [], notes: 'after shortbread' });
+            await storage.videoBoards.create({ videoId: 'v1', boardId: 'b2', tags: [], notes: '' });
+
+            const results = await storage.videoBoards.search({ boardIds: ['b1'], text: 'shortbread', limit: 10 });
+            expect(results.map(r => [r.id, r.boardId])).toEqual([['v1', 'b1'], ['v2', 'b1']]);
+
+            const tagged = await storage.videoBoards.search({ boardIds: ['b1', 'b2'], tag: 'dessert', limit: 10 });
+            expect(tagged.map(r => r.id)).toEqual(['v1']);
+
+            const byPlatform = await storage.videoBoards.search({ boardIds: ['b1'], platform: 'tiktok', limit: 10 });
+            expect(byPlatform.map(r => r.id)).toEqual(['v2']);
+        });
+
+        it('should apply -terms and phrases across a video and its board link', async () => {
+            await storage.videos.create({ id: 'v1', url: 'https://youtu.be/a', platform: 'YouTube', title: 'Shortbread cookies', addedAt: new Date('2024-03-01') });
+            await storage.videos.create({ id: 'v2', url: 'https://youtu.be/b', platform: 'YouTube', title: 'Shortbread bars', addedAt: new Date('2024-02-01') });
+            await storage.videos.create({ id: 'v3', url: 'https://youtu.be/c', platform: 'YouTube', title: 'Shortbread fingers', addedAt: new Date('2024-01-01') });
+            await storage.videoBoards.create({ videoId: 'v1', boardId: 'b1', tags: [], notes: 'too sweet' });
+            await storage.videoBoards.create({ videoId: 'v2', boardId: 'b1', tags: ['sweet'], notes: 'brown butter' });
+            await storage.videoBoards.create({ videoId: 'v3', boardId: 'b1', tags: [], notes: '' });
+            await storage.videoBoards.create({ videoId: 'v3', boardId: 'other', tags: [], notes: 'brown butter' });
+
+            const search = async (text, limit = 10) =>
+                (await storage.videoBoards.search({ boardIds: ['b1'], text, limit })).map(r => r.id);
+
+            // The excluded word is in the link, the matching one in the video
+            expect(await search('shortbread -sweet')).toEqual(['v3']);
+            expect(await search('shortbread "brown butter"')).toEqual(['v2']);
+            expect(await search('-sweet')).toEqual([]);
+            expect(await search('shortbread', 2)).toEqual(['v1', 'v2']);
+        });
+
+        it('should store board members once per board and email', async () => {
+            await storage.boardMembers.create({ boardId: 'b1', email: 'a@example.com', role: 'viewer' });
+            await storage.boardMembers.create({ boardId: 'b2', email: 'a@example.com', role: 'editor' });
+
+            await expect(storage.boardMembers.create({ boardId: 'b1', email: 'a@example.com', role: 'editor' }))
+                .rejects.toBeInstanceOf(DuplicateKeyError);
+            expect((await storage.boardMembers.update('b1', 'a@example.com', { role: 'editor' })).role).toBe('editor');
+            expect((await storage.boardMembers.listByEmail('a@example.com')).map(m => m.boardId)).toEqual(['b1', 'b2']);
+
+            await storage.boardMembers.deleteByBoard('b1');
+            expect(await storage.boardMembers.find('b1', 'a@example.com')).toBeNull();
+            expect(await storage.boardMembers.listByBoard('b2')).toHaveLength(1);
+        });
+
+        it('should find share links by token and list them newest first', async () => {
+            await storage.shareLinks.create({ id: 's1', boardId: 'b1', token: 't1', createdAt: new Date('2024-01-01') });
+            await storage.shareLinks.create({ id: 's2', boardId: 'b1', token: 't2', createdAt: new Date('2024-02-01') });
+
+            expect((await storage.shareLinks.findByToken('t2')).id).toBe('s2');
+            expect((await storage.shareLinks.listByBoard('b1')).map(l => l.id)).toEqual(['s2', 's1']);
+
+            await storage.shareLinks.delete('s2');
+            expect(await storage.shareLinks.findByToken('t2')).toBeNull();
+            await storage.shareLinks.deleteByBoard('b1');
+            expect(await storage.shareLinks.listByBoard('b1')).toEqual([]);
+        });
+
+        it('should page boards and board videos by key', async () => {
+            for (const [i, id] of ['b1', 'b2', 'b3'].entries()) {
+                await storage.boards.create({ id, userId: 'u1', title: id, isPublic: false, createdAt: new Date(2024, 0, 1 + i) });
+            }
+            for (const [i, id] of ['v1', 'v2', 'v3'].entries()) {
+                await storage.videos.create({ id, url: null, platform: 'Upload', title: id });
+                await storage.videoBoards.create({ videoId: id, boardId: 'b1', position: i * 1024 });
+            }
+
+            const boards = await storage.boards.pageByUser('u1', { limit: 2 });
+            expect(boards.items.map(b => b.id)).toEqual(['b3', 'b2']);
+            expect(boards.more).toBe(true);
+            const rest = await storage.boards.pageByUser('u1', { limit: 2, after: { createdAt: boards.items[1].createdAt, id: 'b2' } });
+            expect(rest).toEqual({ items: [expect.objectContaining({ id: 'b1' })], more: false });
+
+            // Later pages keep to the user's own and shared boards
+            for (const [i, id] of ['o1', 'o2', 'o3'].entries()) {
+                await storage.boards.create({ id, userId: 'u2', title: id, isPublic: false, createdAt: new Date(2023, 11, 1 + i) });
+            }
+            const first = await storage.boards.pageByUser('u1', { limit: 2 }, ['o2']);
+            const second = await storage.boards.pageByUser('u1', { limit: 2, after: { createdAt: first.items[1].createdAt, id: 'b2' } }, ['o2']);
+            expect(second).toEqual({ items: [expect.objectContaining({ id: 'b1' }), expect.objectContaining({ id: 'o2' })], more: false });
+
+            const last = await storage.videos.pageByBoard('b1', { limit: 2, after: { position: 0, id: 'v1' } });
+            expect(last.items.map(v => v.id)).toEqual(['v2', 'v3']);
+            expect(last.more).toBe(false);
+            const back = await storage.videos.pageByBoard('b1', { limit: 1, before: { position: 2048, id: 'v3' } });
+            expect(back.items.map(v => v.id)).toEqual(['v2']);
+            expect(back.more).toBe(true);
+        });
+
+        it('should rotate a session only from its current token', async () => {
+            await storage.sessions.create({ id: 's1', userId: 'u1', refreshTokenHash: 'h1', lastUsedAt: new Date('2024-01-01') });
+            await storage.sessions.create({ id: 's2', userId: 'u1', refreshTokenHash: 'h2', lastUsedAt: new Date('2024-02-01') });
+
+            expect(await storage.sessions.rotate('s1', 'stale', { refreshTokenHash: 'h3' })).toBeNull();
+            expect((await storage.sessions.rotate('s1', 'h1', { refreshTokenHash: 'h3' })).refreshTokenHash).toBe('h3');
+            expect((await storage.sessions.listByUser('u1')).map(s => s.id)).toEqual(['s2', 's1']);
+        });
+
+        it('should consume each token nonce once', async () => {
+            const expiresAt = new Date(Date.now() + 60 * 1000);
+
+            expect(await storage.tokenNonces.consume('n1', expiresAt)).toBe(true);
+            expect(await storage.tokenNonces.consume('n1', expiresAt)).toBe(false);
+            expect(await storage.tokenNonces.consume('n2', expiresAt)).toBe(true);
+        });
+
+        it('should list a user\'s access tokens newest first', async () => {
+            await storage.accessTokens.create({ id: 't1', userId: 'u1', name: 'Old', scopes: ['boards:read'], tokenHash: 'h1', createdAt: new Date('2024-01-01') });
+            await storage.accessTokens.create({ id: 't2', userId: 'u1', name: 'New', scopes: ['videos:read'], tokenHash: 'h2', createdAt: new Date('2024-02-01') });
+
+            expect((await storage.accessTokens.listByUser('u1')).map(t => t.id)).toEqual(['t2', 't1']);
+            expect((await storage.accessTokens.update('t1', { lastUsedAt: new Date() })).lastUsedAt).toBeTruthy();
+
+            await storage.accessTokens.delete('t2');
+            expect(await storage.accessTokens.findById('t2')).toBeNull();
+        });
+
+        it('should link each provider account once', async () => {
+            await storage.identities.create({ provider: 'google', subject: '1', userId: 'u1', email: 'a@example.com' });
+            await storage.identities.create({ provider: 'github', subject: '1', userId: 'u1', email: 'a@example.com' });
+
+            await expect(storage.identities.create({ provider: 'google', subject: '1', userId: 'u2', email: 'b@example.com' }))
+                .rejects.toBeInstanceOf(DuplicateKeyError);
+            expect((await storage.identities.find('google', '1')).userId).toBe('u1');
+            expect(await storage.identities.listByUser('u1')).toHaveLength(2);
+        });
+
+        it('should register each passkey once and find it by credential id', async () => {
+            const passkey = { userId: 'u1', publicKey: 'key', algorithm: -7, signCount: 0, transports: [], name: 'Laptop' };
+            await storage.passkeys.create({ ...passkey, id: 'p1', credentialId: 'cred-1', createdAt: new Date('2024-01-01') });
+            await storage.passkeys.create({ ...passkey, id: 'p2', credentialId: 'cred-2', createdAt: new Date('2024-02-01') });
+
+            await expect(storage.passkeys.create({ ...passkey, id: 'p3', userId: 'u2', credentialId: 'cred-1' }))
+                .rejects.toBeInstanceOf(DuplicateKeyError);
+            expect((await storage.passkeys.findByCredentialId('cred-1')).id).toBe('p1');
+            expect((await storage.passkeys.listByUser('u1')).map(p => p.id)).toEqual(['p2', 'p1']);
+            expect((await storage.passkeys.update('p1', { signCount: 3 })).signCount).toBe(3);
+
+            await storage.passkeys.delete('p2');
+            expect(await storage.passkeys.findById('p2')).toBeNull();
+        });
+
+        it('should keep pending uploads with their sharer until they expire', async () => {
+            const media = { key: 'uploads/up1.mp4', contentType: 'video/mp4', size: 3 };
+            await storage.uploads.create({ id: 'up1', userId: 'u1', title: 'Clip', media, createdAt: new Date(), expiresAt: new Date(Date.now() - 1000) });
+            await storage.uploads.create({ id: 'up2', userId: 'u1', title: 'Later', media, createdAt: new Date(), expiresAt: new Date(Date.now() + 60 * 1000) });
+
+            expect(await storage.uploads.findById('up1')).toMatchObject({ id: 'up1', userId: 'u1', title: 'Clip' });
+            expect((await storage.uploads.listExpired(new Date())).map(u => u.id)).toEqual(['up1']);
+
+            await storage.uploads.delete('up1');
+            expect(await storage.uploads.findById('up1')).toBeNull();
+        });
+
+        it('should delete finished jobs of the given types before a date', async () => {
+            const job = (id, type, status, updatedAt) => storage.jobs.create({
+                id, type, status, attempts: 1, maxAttempts: 3, runAt: updatedAt, createdAt: updatedAt, updatedAt
+            });
+            await job('old-done', 'download', 'done', new Date('2024-01-01'));
+            await job('old-failed', 'download', 'failed', new Date('2024-01-01'));
+            await job('old-queued', 'download', 'queued', new Date('2024-01-01'));
+            await job('old-mail', 'mail', 'done', new Date('2024-01-01'));
+            await job('new-done', 'download', 'done', new Date('2024-03-01'));
+
+            expect(await storage.jobs.deleteFinished(new Date('2024-02-01'), ['download'])).toBe(2);
+            for (const id of ['old-done', 'old-failed']) {
+                expect(await storage.jobs.findById(id)).toBeNull();
+            }
+            for (const id of ['old-queued', 'old-mail', 'new-done']) {
+                expect((await storage.jobs.findById(id)).id).toBe(id);
+            }
+        });
+
+        it('should not expose stored records to mutation', async () => {
+            const user = await storage.users.create({ id: 'u1', email: 'a@example.com', name: 'A' });
+            user.name = 'Changed';
+
+            expect((await storage.users.findById('u1')).name).toBe('A');
+        });
+    });
+
+    describe('mongodb adapter queries', () => {
+        // Checked without a server: the query each call sends
+        const mongoose = require('mongoose');
+        const MongoStorage = require('../storage/mongo');
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        const capture = (modelName) => {
+            const cursor = { sort: () => cursor, limit: () => cursor, lean: async () => [] };
+            return jest.spyOn(mongoose.model(modelName), 'find').mockReturnValue(cursor);
+        };
+
+        it('should keep the owner filter when paging boards past the first page', async () => {
+            const find = capture('Board');
+            const storage = new MongoStorage({ uri: 'mongodb://unused' });
+            const after = { createdAt: '2024-01-02T00:00:00.000Z', id: 'b2' };
+
+            await storage.boards.pageByUser('u1', { limit: 2, after }, ['s1']);
+
+            expect(find).toHaveBeenCalledWith({
+                $and: [
+                    { $or: [{ userId: 'u1' }, { id: { $in: ['s1'] } }] },
+                    {
+                        $or: [
+                            { createdAt: { $lt: new Date(after.createdAt) } },
+                            { createdAt: new Date(after.createdAt), id: { $lt: 'b2' } }
+                        ]
+                    }
+                ]
+            });
+        });
+
+        it('should keep the sharer on pending uploads', () => {
+            const Upload = mongoose.model('Upload');
+            const upload = new Upload({
+                id: 'up1',
+                userId: 'u1',
+                media: { key: 'uploads/up1.mp4', contentType: 'video/mp4', size: 3 },
+                expiresAt: new Date()
+            });
+
+            expect(upload.validateSync()).toBeUndefined();
+            expect(upload.toObject().userId).toBe('u1');
+        });
+
+        it('should search only the given boards, with bounded candidates', async () => {
+            const cursor = { limit: jest.fn(() => cursor), lean: async () => [] };
+            const find = jest.spyOn(mongoose.model('VideoBoard'), 'find').mockReturnValue(cursor);
+            const aggregate = jest.spyOn(mongoose.model('Video'), 'aggregate').mockResolvedValue([]);
+            const storage = new MongoStorage({ uri: 'mongodb://unused' });
+
+            await storage.videoBoards.search({ boardIds: ['b1'], text: 'shortbread -sweet "brown butter"', limit: 10 });
+
+            const $text = { $search: 'shortbread brown butter' };
+            expect(find.mock.calls[0][0]).toEqual({ boardId: { $in: ['b1'] }, $text });
+            expect(cursor.limit).toHaveBeenCalledWith(expect.any(Number));
+            const [match, lookup, ...rest] = aggregate.mock.calls[0][0];
+            expect(match).toEqual({ $match: { $text } });
+            expect(lookup.$lookup.pipeline[0].$match).toMatchObject({ boardId: { $in: ['b1'] } });
+            expect(rest).toContainEqual({ $limit: expect.any(Number) });
+        });
+    });
+
+    describe('file adapter persistence', () => {
+        it('should keep data across restarts', async () => {
+            const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shortbread-'));
+
+            const first = createStorage('file', { dataDir });
+            await first.connect();
+            await first.users.create({ id: 'u1', email: 'a@example.com', name: 'A' });
+            await first.close();
+
+            const second = createStorage('file', { dataDir });
+            await second.connect();
+            expect((await second.users.findByEmail('a@example.com')).id).toBe('u1');
+        });
+
+        it('should write changes made together once, through a temp file', async () => {
+            const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shortbread-'));
+            const storage = createStorage('file', { dataDir });
+            await storage.connect();
+            const write = jest.spyOn(storage, 'write');
+            const rename = jest.spyOn(fs.promises, 'rename');
+
+            try {
+                for (let i = 0; i < 20; i++) {
+                    await storage.boards.create({ id: `b${i}`, userId: 'u1', title: `Board ${i}`, createdAt: new Date() });
+                }
+                expect(write).not.toHaveBeenCalled();
+
+                await storage.close();
+
+                expect(write).toHaveBeenCalledTimes(1);
+                expect(rename).toHaveBeenCalledWith(path.join(dataDir, 'shortbread.json.tmp'), path.join(dataDir, 'shortbread.json'));
+                const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'shortbread.json'), 'utf8'));
+                expect(saved.boards).toHaveLength(20);
+            } finally {
+                rename.mockRestore();
+            }
+        });
+
+        it('should write changes made during a write afterwards', async () => {
+            const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shortbread-'));
+            const storage = createStorage('file', { dataDir, writeDelay: 0 });
+            await storage.connect();
+
+            await storage.users.create({ id: 'u1', email: 'a@example.com', name: 'A' });
+            const flushing = storage.flush();
+            await storage.users.create({ id: 'u2', email: 'b@example.com', name: 'B' });
+            await flushing;
+            await storage.close();
+
+            const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'shortbread.json'), 'utf8'));
+            expect(saved.users.map(user => user.id)).toEqual(['u1', 'u2']);
+        });
+    });
+});
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const FakeDownloader = require('./helpers/fakeDownloader');
+const { login } = require('./helpers/auth');
+const { createBoard, saveVideo } = require('./helpers/boards');
+
+let app;
+
+beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.MEDIA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'shortbread-media-'));
+    app = require('../server.js');
+    app.locals.downloader = new FakeDownloader();
+});
+
+afterAll(() => {
+    delete process.env.MEDIA_DIR;
+});
+
+// Binary-safe supertest parser
+const binary = (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('GET /api/videos/:id/download', () => {
+    const fixture = fs.readFileSync(path.join(__dirname, 'fixtures/sample.mp4'));
+    let ownerToken, otherToken;
+    let privateVideoId, publicVideoId, pendingVideoId;
+
+    beforeAll(async () => {
+        ownerToken = await login(app, 'streamer@example.com', 'Streamer');
+        otherToken = await login(app, 'viewer@example.com', 'Viewer');
+
+        const privateBoardId = (await createBoard(app, ownerToken, { title: 'Private', isPublic: false })).id;
+        const publicBoardId = (await createBoard(app, ownerToken, { title: 'Public', isPublic: true })).id;
+
+        privateVideoId = (await saveVideo(app, ownerToken, privateBoardId, 'https://youtube.com/shorts/private')).body.id;
+        publicVideoId = (await saveVideo(app, ownerToken, publicBoardId, 'https://youtube.com/shorts/public')).body.id;
+        await app.locals.jobQueue.drain();
+
+        pendingVideoId = (await saveVideo(app, ownerToken, publicBoardId, 'https://youtube.com/shorts/pending')).body.id;
+    });
+
+    it('should stream the whole file with content type and ETag', async () => {
+        const response = await request(app)
+            .get(`/api/videos/${publicVideoId}/download`)
+            .buffer(true)
+            .parse(binary);
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toBe('video/mp4');
+        expect(response.headers['accept-ranges']).toBe('bytes');
+        expect(response.headers['content-length']).toBe(String(fixture.length));
+        expect(response.headers.etag).toBeDefined();
+        expect(Buffer.compare(response.body, fixture)).toBe(0);
+    });
+
+    it('should serve a byte range with 206', async () => {
+        const response = await request(app)
+            .get(`/api/videos/${publicVideoId}/download`)
+            .set('Range', 'bytes=100-199')
+            .buffer(true)
+            .parse(binary);
+
+        expect(response.status).toBe(206);
+        expect(response.headers['content-range']).toBe(`bytes 100-199/${fixture.length}`);
+        expect(response.headers['content-length']).toBe('100');
+        expect(Buffer.compare(response.body, fixture.subarray(100, 200))).toBe(0);
+    });
+
+    it('should serve open-ended and suffix ranges', async () => {
+        const openEnded = await request(app)
+            .get(`/api/videos/${publicVideoId}/download`)
+            .set('Range', 'bytes=4000-')
+            .buffer(true)
+            .parse(binary);
+
+        expect(openEnded.status).toBe(206);
+        expect(openEnded.headers['content-range']).toBe(`bytes 4000-4095/${fixture.length}`);
+
+        const suffix = await request(app)
+            .get(`/api/videos/${publicVideoId}/download`)
+            .set('Range', 'bytes=-10')
+            .buffer(true)
+            .parse(binary);
+
+        expect(suffix.status).toBe(206);
+        expect(Buffer.compare(suffix.body, fixture.subarray(-10))).toBe(0);
+    });
+
+    it('should reject unsatisfiable ranges with 416', async () => {
+        const response = await request(app)
+            .get(`/api/videos/${publicVideoId}/download`)
+            .set('Range', 'bytes=99999-');
+
+        expect(response.status).toBe(416);
+        expect(response.headers['content-range']).toBe(`bytes */${fixture.length}`);
+    });
+
+    it('should answer conditional requests with 304', async () => {
+        const first = await request(app).get(`/api/videos/${publicVideoId}/download`);
+
+        const response = await request(app)
+            .get(`/api/videos/${publicVideoId}/download`)
+            .set('If-None-Match', first.headers.etag);
+
+        expect(response.status).toBe(304);
+    });
+
+    it('should deny anonymous access to videos on private boards', async () => {
+        const response = await request(app).get(`/api/videos/${privateVideoId}/download`);
+
+        expect(response.status).toBe(403);
+        expect(response.body.error).toBe('Access denied to video');
+    });
+
+    it('should deny other users access to videos on private boards', async () => {
+        const response = await request(app)
+            .get(`/api/videos/${privateVideoId}/download`)
+            .set('Authorization', `Bearer ${otherToken}`);
+
+        expect(response.status).toBe(403);
+    });
+
+    it('should let the owner stream private videos, also with a token query parameter', async () => {
+        const withHeader = await request(app)
+            .get(`/api/videos/${privateVideoId}/download`)
+            .set('Authorization', `Bearer ${ownerToken}`);
+        expect(withHeader.status).toBe(200);
+
+        const withQuery = await request(app)
+            .get(`/api/videos/${privateVideoId}/download`)
+            .query({ token: ownerToken });
+        expect(withQuery.status).toBe(200);
+    });
+
+    it('should report videos that are not downloaded yet', async () => {
+        const response = await request(app).get(`/api/videos/${pendingVideoId}/download`);
+
+        expect(response.status).toBe(409);
+        expect(response.body).toEqual({ error: 'Video is not ready', status: 'queued' });
+    });
+
+    it('should return 404 for unknown videos', async () => {
+        const response = await request(app).get('/api/videos/does-not-exist/download');
+
+        expect(response.status).toBe(404);
+        expect(response.body.error).toBe('Video not found');
+    });
+});
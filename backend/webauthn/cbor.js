@@ -0,0 +1,124 @@
+// Minimal CBOR (RFC 8949) decoder for the parts of WebAuthn that use it: the
+// attestation object and COSE public keys. Maps decode to Map so integer keys
+// (COSE labels) stay distinct from strings; byte strings decode to Buffer.
+// Indefinite lengths and tags aren't used there and are rejected.
+
+class CborError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CborError';
+    }
+}
+
+// Nested deeper than any WebAuthn structure, so hostile input can't blow the stack
+const MAX_DEPTH = 16;
+
+function decodeItem(buffer, offset, depth) {
+    if (depth > MAX_DEPTH) {
+        throw new CborError('CBOR nested too deeply');
+    }
+    if (offset >= buffer.length) {
+        throw new CborError('Unexpected end of CBOR data');
+    }
+
+    const initial = buffer[offset];
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+    let position = offset + 1;
+
+    const need = (bytes) => {
+        if (position + bytes > buffer.length) {
+            throw new CborError('Unexpected end of CBOR data');
+        }
+    };
+
+    // The argument: a length, a count or the value itself
+    let argument;
+    if (info < 24) {
+        argument = info;
+    } else if (info === 24) {
+        need(1);
+        argument = buffer[position];
+        position += 1;
+    } else if (info === 25) {
+        need(2);
+        argument = buffer.readUInt16BE(position);
+        position += 2;
+    } else if (info === 26) {
+        need(4);
+        argument = buffer.readUInt32BE(position);
+        position += 4;
+    } else if (info === 27) {
+        need(8);
+        const big = buffer.readBigUInt64BE(position);
+        if (big > BigInt(Number.MAX_SAFE_INTEGER)) {
+            throw new CborError('CBOR integer too large');
+        }
+        argument = Number(big);
+        position += 8;
+    } else {
+        throw new CborError('Indefinite-length CBOR is not supported');
+    }
+
+    switch (major) {
+        case 0:
+            return { value: argument, offset: position };
+        case 1:
+            return { value: -1 - argument, offset: position };
+        case 2:
+            need(argument);
+            return { value: Buffer.from(buffer.subarray(position, position + argument)), offset: position + argument };
+        case 3:
+            need(argument);
+            return { value: buffer.toString('utf8', position, position + argument), offset: position + argument };
+        case 4: {
+            const items = [];
+            for (let i = 0; i < argument; i++) {
+                const item = decodeItem(buffer, position, depth + 1);
+                items.push(item.value);
+                position = item.offset;
+            }
+            return { value: items, offset: position };
+        }
+        case 5: {
+            const map = new Map();
+            for (let i = 0; i < argument; i++) {
+                const key = decodeItem(buffer, position, depth + 1);
+                const value = decodeItem(buffer, key.offset, depth + 1);
+                map.set(key.value, value.value);
+                position = value.offset;
+            }
+            return { value: map, offset: position };
+        }
+        case 7:
+            if (info === 20) return { value: false, offset: position };
+            if (info === 21) return { value: true, offset: position };
+            if (info === 22) return { value: null, offset: position };
+            if (info === 23) return { value: undefined, offset: position };
+            throw new CborError('CBOR floats and simple values are not supported');
+        default:
+            throw new CborError('CBOR tags are not supported');
+    }
+}
+
+// Decode the first item in buffer. Returns { value, length } so callers can
+// carry on after it.
+function decodeFirst(buffer) {
+    const { value, offset } = decodeItem(buffer, 0, 0);
+    return { value, length: offset };
+}
+
+// Decode a buffer holding exactly one item
+function decode(buffer) {
+    const { value, length } = decodeFirst(buffer);
+    if (length !== buffer.length) {
+        throw new CborError('Unexpected data after CBOR item');
+    }
+    return value;
+}
+
+module.exports = {
+    CborError,
+    decode,
+    decodeFirst
+};
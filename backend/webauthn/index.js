@@ -0,0 +1,271 @@
+// WebAuthn ceremonies for passkeys. Registration checks what a new credential
+// signed up with and returns its public key to store; authentication checks a
+// signed assertion against a stored key. Both take the credential as the
+// browser's PublicKeyCredential JSON (binary fields base64url encoded):
+//
+//   registrationOptions(...)     options for navigator.credentials.create()
+//   verifyRegistration(...)      { credentialId, publicKey, algorithm, signCount, transports }
+//   authenticationOptions(...)   options for navigator.credentials.get()
+//   verifyAuthentication(...)    { signCount }
+//
+// Failures throw a WebAuthnError. Attestation isn't requested, so
+// credentials are trusted on first use like a password would be.
+
+const crypto = require('crypto');
+const cbor = require('./cbor');
+
+// COSE algorithms we accept: ES256, EdDSA (Ed25519) and RS256
+const ES256 = -7;
+const EDDSA = -8;
+const RS256 = -257;
+const SUPPORTED_ALGORITHMS = [ES256, EDDSA, RS256];
+
+const CEREMONY_TIMEOUT = 5 * 60 * 1000;
+
+// Authenticator data flags
+const USER_PRESENT = 0x01;
+const USER_VERIFIED = 0x04;
+const ATTESTED_CREDENTIAL_DATA = 0x40;
+
+class WebAuthnError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WebAuthnError';
+    }
+}
+
+const randomChallenge = () => crypto.randomBytes(32).toString('base64url');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+const fromBase64url = (value, field) => {
+    if (typeof value !== 'string' || !/^[A-Za-z0-9_-]*$/.test(value)) {
+        throw new WebAuthnError(`${field} must be base64url encoded`);
+    }
+    return Buffer.from(value, 'base64url');
+};
+
+// A COSE_Key (RFC 9053) as a public KeyObject
+function coseToPublicKey(coseKey) {
+    if (!(coseKey instanceof Map)) {
+        throw new WebAuthnError('Malformed credential public key');
+    }
+    const kty = coseKey.get(1);
+    const alg = coseKey.get(3);
+    const b64 = (label) => {
+        const value = coseKey.get(label);
+        if (!Buffer.isBuffer(value)) {
+            throw new WebAuthnError('Malformed credential public key');
+        }
+        return value.toString('base64url');
+    };
+
+    let jwk;
+    if (alg === ES256 && kty === 2 && coseKey.get(-1) === 1) {
+        jwk = { kty: 'EC', crv: 'P-256', x: b64(-2), y: b64(-3) };
+    } else if (alg === EDDSA && kty === 1 && coseKey.get(-1) === 6) {
+        jwk = { kty: 'OKP', crv: 'Ed25519', x: b64(-2) };
+    } else if (alg === RS256 && kty === 3) {
+        jwk = { kty: 'RSA', n: b64(-1), e: b64(-2) };
+    } else {
+        throw new WebAuthnError(`Unsupported credential algorithm ${alg}`);
+    }
+
+    try {
+        return { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), algorithm: alg };
+    } catch (error) {
+        throw new WebAuthnError('Malformed credential public key');
+    }
+}
+
+function parseAuthenticatorData(authData) {
+    if (authData.length < 37) {
+        throw new WebAuthnError('Authenticator data is too short');
+    }
+
+    const flags = authData[32];
+    const parsed = {
+        rpIdHash: authData.subarray(0, 32),
+        userPresent: Boolean(flags & USER_PRESENT),
+        userVerified: Boolean(flags & USER_VERIFIED),
+        signCount: authData.readUInt32BE(33),
+        credential: null
+    };
+
+    if (flags & ATTESTED_CREDENTIAL_DATA) {
+        if (authData.length < 55) {
+            throw new WebAuthnError('Authenticator data is too short');
+        }
+        const idLength = authData.readUInt16BE(53);
+        const credentialId = authData.subarray(55, 55 + idLength);
+        if (credentialId.length !== idLength) {
+            throw new WebAuthnError('Authenticator data is too short');
+        }
+        let coseKey;
+        try {
+            // Extensions may follow the key
+            coseKey = cbor.decodeFirst(authData.subarray(55 + idLength)).value;
+        } catch (error) {
+            throw new WebAuthnError('Malformed credential public key');
+        }
+        parsed.credential = { id: credentialId, coseKey };
+    }
+
+    return parsed;
+}
+
+// Check the client data the browser signed over and return its hash
+function checkClientData(encoded, { type, expectedChallenge, expectedOrigin }) {
+    let clientData;
+    try {
+        clientData = JSON.parse(fromBase64url(encoded, 'clientDataJSON').toString('utf8'));
+    } catch (error) {
+        throw new WebAuthnError('Malformed client data');
+    }
+
+    if (clientData.type !== type) {
+        throw new WebAuthnError(`Expected a ${type} ceremony`);
+    }
+    if (clientData.challenge !== expectedChallenge) {
+        throw new WebAuthnError('The challenge does not match');
+    }
+    if (clientData.origin !== expectedOrigin) {
+        throw new WebAuthnError(`Unexpected origin ${clientData.origin}`);
+    }
+    return sha256(Buffer.from(encoded, 'base64url'));
+}
+
+// Passkeys sign in on their own, so the authenticator must have checked the
+// user (a PIN, fingerprint or face), not just that someone touched it
+function checkAuthenticatorData(authData, rpId) {
+    if (!authData.rpIdHash.equals(sha256(rpId))) {
+        throw new WebAuthnError('The credential is for another site');
+    }
+    if (!authData.userPresent || !authData.userVerified) {
+        throw new WebAuthnError('The authenticator did not verify the user');
+    }
+}
+
+function checkCredential(credential) {
+    if (!credential || typeof credential !== 'object' || credential.type !== 'public-key' ||
+        !credential.response || typeof credential.response !== 'object') {
+        throw new WebAuthnError('A public key credential is required');
+    }
+    fromBase64url(credential.id, 'id');
+}
+
+function registrationOptions({ rpId, rpName, user, challenge, excludeCredentials = [] }) {
+    return {
+        challenge,
+        rp: { id: rpId, name: rpName },
+        user: {
+            id: Buffer.from(user.id).toString('base64url'),
+            name: user.email,
+            displayName: user.name
+        },
+        pubKeyCredParams: SUPPORTED_ALGORITHMS.map(alg => ({ type: 'public-key', alg })),
+        timeout: CEREMONY_TIMEOUT,
+        attestation: 'none',
+        // Discoverable, so signing in doesn't need an email first
+        authenticatorSelection: {
+            residentKey: 'required',
+            requireResidentKey: true,
+            userVerification: 'required'
+        },
+        excludeCredentials: excludeCredentials.map(({ credentialId, transports }) => ({
+            type: 'public-key',
+            id: credentialId,
+            ...(transports && transports.length > 0 && { transports })
+        }))
+    };
+}
+
+function verifyRegistration({ credential, expectedChallenge, expectedOrigin, rpId }) {
+    checkCredential(credential);
+    checkClientData(credential.response.clientDataJSON, { type: 'webauthn.create', expectedChallenge, expectedOrigin });
+
+    let attestation;
+    try {
+        attestation = cbor.decode(fromBase64url(credential.response.attestationObject, 'attestationObject'));
+    } catch (error) {
+        throw new WebAuthnError('Malformed attestation object');
+    }
+    const rawAuthData = attestation instanceof Map && attestation.get('authData');
+    if (!Buffer.isBuffer(rawAuthData)) {
+        throw new WebAuthnError('Malformed attestation object');
+    }
+
+    const authData = parseAuthenticatorData(rawAuthData);
+    checkAuthenticatorData(authData, rpId);
+    if (!authData.credential) {
+        throw new WebAuthnError('The authenticator returned no credential');
+    }
+
+    const credentialId = authData.credential.id.toString('base64url');
+    if (credentialId !== credential.id) {
+        throw new WebAuthnError('The credential id does not match');
+    }
+
+    const { key, algorithm } = coseToPublicKey(authData.credential.coseKey);
+    const transports = Array.isArray(credential.response.transports)
+        ? credential.response.transports.filter(transport => typeof transport === 'string')
+        : [];
+
+    return {
+        credentialId,
+        publicKey: key.export({ type: 'spki', format: 'der' }).toString('base64url'),
+        algorithm,
+        signCount: authData.signCount,
+        transports
+    };
+}
+
+function authenticationOptions({ rpId, challenge }) {
+    return {
+        challenge,
+        rpId,
+        timeout: CEREMONY_TIMEOUT,
+        userVerification: 'required',
+        // Empty: the browser offers whichever passkeys it has for this site
+        allowCredentials: []
+    };
+}
+
+// publicKey, algorithm and signCount are what verifyRegistration returned,
+// as stored since
+function verifyAuthentication({ credential, expectedChallenge, expectedOrigin, rpId, publicKey, algorithm, signCount }) {
+    checkCredential(credential);
+    const clientDataHash = checkClientData(credential.response.clientDataJSON, { type: 'webauthn.get', expectedChallenge, expectedOrigin });
+
+    const rawAuthData = fromBase64url(credential.response.authenticatorData, 'authenticatorData');
+    const authData = parseAuthenticatorData(rawAuthData);
+    checkAuthenticatorData(authData, rpId);
+
+    const key = crypto.createPublicKey({ key: Buffer.from(publicKey, 'base64url'), format: 'der', type: 'spki' });
+    const signature = fromBase64url(credential.response.signature, 'signature');
+    const signed = Buffer.concat([rawAuthData, clientDataHash]);
+    // ES256 and RS256 hash with SHA-256; EdDSA signs the data itself
+    const valid = crypto.verify(algorithm === EDDSA ? null : 'sha256', signed, key, signature);
+
+    if (!valid) {
+        throw new WebAuthnError('The signature is not valid');
+    }
+
+    // Authenticators that count signatures only count up. A count that
+    // didn't move means the credential may have been cloned.
+    if ((authData.signCount !== 0 || signCount !== 0) && authData.signCount <= signCount) {
+        throw new WebAuthnError('The signature counter went backwards');
+    }
+
+    return { signCount: authData.signCount };
+}
+
+module.exports = {
+    WebAuthnError,
+    SUPPORTED_ALGORITHMS,
+    randomChallenge,
+    registrationOptions,
+    verifyRegistration,
+    authenticationOptions,
+    verifyAuthentication
+};
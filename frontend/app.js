@@ -1,9 +1,25 @@
 class ShortbreadApp {
     constructor() {
         this.boards = [];
+        this.sharedUploadId = null;
+        this.currentBoard = null;
+        this.draggedCard = null;
+        this.nextVideosUrl = null;
+        this.loadingVideos = false;
+        // Token of the share link the page was opened through, if any
+        this.shareToken = new URLSearchParams(window.location.search).get('share');
         this.deferredPrompt = null;
         this.isAuthenticated = false;
         this.currentUser = null;
+        this.authToken = null;
+        this.refreshing = null;
+        // Token of a password reset link the page was opened through
+        this.resetToken = null;
+        // Why signing in with a provider failed, from ?authError=
+        this.authError = null;
+        // Signed in from an email link on this page load, so a passkey is
+        // worth offering
+        this.justSignedIn = false;
         this.init();
     }
 
@@ -19,7 +35,7 @@ class ShortbreadApp {
         }
 
         // Check authentication status
-        this.checkAuthStatus();
+        await this.checkAuthStatus();
 
         // Set up event listeners
         this.setupEventListeners();
@@ -52,6 +68,21 @@ class ShortbreadApp {
             this.handleSignup();
         });
 
+        document.getElementById('useAnotherEmail').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showLoginForm();
+        });
+
+        document.getElementById('forgotPassword').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.requestPasswordReset();
+        });
+
+        document.getElementById('resetPasswordFormElement').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleResetPassword();
+        });
+
         // Logout button (check if it exists first)
         const logoutBtn = document.getElementById('logoutBtn');
         if (logoutBtn) {
@@ -60,6 +91,34 @@ class ShortbreadApp {
             });
         }
 
+        // Passkeys, where the browser supports them
+        document.getElementById('passkeySignIn').classList.toggle('hidden', !this.passkeysSupported());
+        document.getElementById('passkeysBtn').classList.toggle('hidden', !this.passkeysSupported());
+
+        document.getElementById('passkeySignIn').addEventListener('click', () => {
+            this.signInWithPasskey();
+        });
+
+        document.getElementById('passkeysBtn').addEventListener('click', () => {
+            this.showPasskeysModal();
+        });
+
+        document.getElementById('addPasskeyBtn').addEventListener('click', () => {
+            this.addPasskey();
+        });
+
+        document.getElementById('closePasskeys').addEventListener('click', () => {
+            this.hidePasskeysModal();
+        });
+
+        document.getElementById('addPasskeyPromptBtn').addEventListener('click', () => {
+            this.addPasskey();
+        });
+
+        document.getElementById('dismissPasskeyPrompt').addEventListener('click', () => {
+            this.dismissPasskeyPrompt();
+        });
+
         // Board selection
         document.getElementById('boardSelect').addEventListener('change', (e) => {
             const saveBtn = document.getElementById('saveVideoBtn');
@@ -103,6 +162,117 @@ class ShortbreadApp {
             this.dismissInstallPrompt();
         });
 
+        // Search
+        document.getElementById('searchForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.searchVideos(document.getElementById('searchInput').value.trim());
+        });
+
+        // Board view
+        document.getElementById('backToBoardsBtn').addEventListener('click', () => {
+            this.showDashboard();
+        });
+
+        document.getElementById('inviteForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.inviteMember();
+        });
+
+        document.getElementById('createShareLinkBtn').addEventListener('click', () => {
+            this.createShareLink();
+        });
+
+        // Rendered lists carry ids in data attributes, never in inline
+        // handlers, and are handled here for all their items
+        document.getElementById('boardsList').addEventListener('click', (e) => {
+            const card = e.target.closest('.board-card[data-board-id]');
+            if (card) {
+                this.openBoard(card.dataset.boardId);
+            }
+        });
+        document.getElementById('shareLinksList').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-link-id]');
+            if (button) {
+                this.revokeShareLink(button.dataset.linkId);
+            }
+        });
+        const passkeysList = document.getElementById('passkeysList');
+        passkeysList.addEventListener('change', (e) => {
+            const item = e.target.closest('li[data-passkey-id]');
+            if (item && e.target.matches('.passkey-name')) {
+                this.renamePasskey(item.dataset.passkeyId, e.target.value);
+            }
+        });
+        passkeysList.addEventListener('click', (e) => {
+            const item = e.target.closest('li[data-passkey-id]');
+            if (item && e.target.closest('[data-action="remove-passkey"]')) {
+                this.removePasskey(item.dataset.passkeyId);
+            }
+        });
+
+        // Play the animated preview while a video card is hovered
+        const videoGrid = document.getElementById('videoGrid');
+        videoGrid.addEventListener('click', (e) => {
+            const card = e.target.closest('.video-card');
+            if (card && e.target.closest('[data-action="remove-video"]')) {
+                this.removeVideo(card.dataset.videoId);
+            }
+        });
+        videoGrid.addEventListener('mouseover', (e) => {
+            const img = e.target.closest('img[data-preview]');
+            if (img) {
+                img.src = img.dataset.preview;
+            }
+        });
+        videoGrid.addEventListener('mouseout', (e) => {
+            const img = e.target.closest('img[data-preview]');
+            if (img) {
+                img.src = img.dataset.poster;
+            }
+        });
+
+        // Load the next page of the board as its end scrolls into view
+        const observer = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                this.loadMoreVideos();
+            }
+        }, { rootMargin: '400px' });
+        observer.observe(document.getElementById('videoGridEnd'));
+
+        // Drag video cards to reorder the board
+        videoGrid.addEventListener('dragstart', (e) => {
+            const card = e.target.closest('.video-card[draggable="true"]');
+            if (card) {
+                this.draggedCard = card;
+                card.classList.add('dragging');
+                e.dataTransfer.effectAllowed = 'move';
+            }
+        });
+        videoGrid.addEventListener('dragover', (e) => {
+            const card = e.target.closest('.video-card');
+            if (!this.draggedCard || !card || card === this.draggedCard) {
+                return;
+            }
+            e.preventDefault();
+            // Drop before the card when over its first half, after it otherwise
+            const rect = card.getBoundingClientRect();
+            const before = e.clientX < rect.left + rect.width / 2;
+            videoGrid.insertBefore(this.draggedCard, before ? card : card.nextSibling);
+        });
+        videoGrid.addEventListener('drop', (e) => {
+            e.preventDefault();
+        });
+        videoGrid.addEventListener('dragend', () => {
+            const card = this.draggedCard;
+            if (!card) {
+                return;
+            }
+            this.draggedCard = null;
+            card.classList.remove('dragging');
+            const previous = card.previousElementSibling;
+            this.moveVideo(card.dataset.videoId, previous ? previous.dataset.videoId : null);
+        });
+
         // Board name input enter key
         document.getElementById('boardNameInput').addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
@@ -115,17 +285,39 @@ class ShortbreadApp {
         // Check URL parameters for shared content
         const urlParams = new URLSearchParams(window.location.search);
         const sharedUrl = urlParams.get('url') || urlParams.get('text');
+        const uploadId = urlParams.get('upload');
+        const shareError = urlParams.get('shareError');
+        // Set when the user arrived through a board invite or share link
+        const linkedBoardId = urlParams.get('board');
+        
+        if (shareError) {
+            this.showShareError(shareError);
+        }
         
-        if (sharedUrl) {
-            this.showShareTarget(sharedUrl);
+        if (uploadId) {
+            this.showShareTarget({ uploadId });
+        } else if (sharedUrl) {
+            this.showShareTarget({ url: sharedUrl });
+        } else if (linkedBoardId) {
+            this.openBoard(linkedBoardId);
         } else {
             this.showDashboard();
         }
     }
 
-    async showShareTarget(url) {
+    showShareError(reason) {
+        const messages = {
+            'too-large': 'That video is too large to save',
+            'sign-in': 'Sign in, then share the video again',
+            'link-unavailable': 'That share link has expired or was turned off'
+        };
+        this.showToast(messages[reason] || 'Failed to receive the shared video', 'error');
+    }
+
+    async showShareTarget({ url, uploadId }) {
         document.getElementById('dashboard').classList.add('hidden');
         document.getElementById('shareTarget').classList.remove('hidden');
+        this.sharedUploadId = uploadId || null;
         
         // Ensure boards are loaded before populating selector
         await this.loadBoards();
@@ -134,15 +326,22 @@ class ShortbreadApp {
         this.populateBoardSelector();
         
         // Fetch video details
-        await this.fetchVideoDetails(url);
+        if (uploadId) {
+            await this.fetchUploadDetails(uploadId);
+        } else {
+            await this.fetchVideoDetails(url);
+        }
     }
 
     showDashboard() {
+        this.nextVideosUrl = null;
         document.getElementById('shareTarget').classList.add('hidden');
+        document.getElementById('boardView').classList.add('hidden');
         document.getElementById('dashboard').classList.remove('hidden');
     }
 
     hideShareTarget() {
+        this.sharedUploadId = null;
         this.showDashboard();
         // Clear URL parameters
         window.history.replaceState({}, document.title, window.location.pathname);
@@ -153,7 +352,7 @@ class ShortbreadApp {
         preview.innerHTML = '<div class="loading">Fetching video details...</div>';
 
         try {
-            const response = await fetch('/api/video/info', {
+            const response = await this.api('/api/v1/videos/info', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -171,8 +370,30 @@ class ShortbreadApp {
             console.error('Error fetching video details:', error);
             preview.innerHTML = `
                 <div class="video-info">
-                    <div class="video-title">Video from: ${this.extractDomain(url)}</div>
-                    <div class="video-platform">${url}</div>
+                    <div class="video-title">Video from: ${this.escapeHtml(this.extractDomain(url))}</div>
+                    <div class="video-platform">${this.escapeHtml(url)}</div>
+                </div>
+            `;
+        }
+    }
+
+    async fetchUploadDetails(uploadId) {
+        const preview = document.getElementById('videoPreview');
+        preview.innerHTML = '<div class="loading">Fetching video details...</div>';
+
+        try {
+            const response = await this.api(`/api/v1/uploads/${encodeURIComponent(uploadId)}`);
+
+            if (response.ok) {
+                this.displayVideoPreview(await response.json());
+            } else {
+                throw new Error('Failed to fetch shared video');
+            }
+        } catch (error) {
+            console.error('Error fetching shared video:', error);
+            preview.innerHTML = `
+                <div class="video-info">
+                    <div class="video-title">This shared video has expired. Please share it again.</div>
                 </div>
             `;
         }
@@ -182,10 +403,20 @@ class ShortbreadApp {
         const preview = document.getElementById('videoPreview');
         preview.innerHTML = `
             <div class="video-info">
-                <div class="video-title">${videoInfo.title || 'Unknown Title'}</div>
-                <div class="video-platform">${videoInfo.platform || this.extractDomain(videoInfo.url)}</div>
+                <div class="video-title">${this.escapeHtml(videoInfo.title || 'Unknown Title')}</div>
+                <div class="video-platform">${this.escapeHtml(videoInfo.platform || this.extractDomain(videoInfo.url))}${videoInfo.author ? ` · ${this.escapeHtml(videoInfo.author)}` : ''}</div>
             </div>
         `;
+
+        // The thumbnail URL comes from the video's page, so it is set as a
+        // property rather than written into the markup
+        if (videoInfo.thumbnail) {
+            const thumbnail = document.createElement('img');
+            thumbnail.className = 'video-thumbnail';
+            thumbnail.alt = '';
+            thumbnail.src = this.mediaUrl(videoInfo.thumbnail);
+            preview.prepend(thumbnail);
+        }
     }
 
     extractDomain(url) {
@@ -200,10 +431,11 @@ class ShortbreadApp {
         const select = document.getElementById('boardSelect');
         select.innerHTML = '<option value="">Choose a board...</option>';
         
-        this.boards.forEach(board => {
+        // Videos can only be saved to boards the user can edit
+        this.boards.filter(board => board.role !== 'viewer').forEach(board => {
             const option = document.createElement('option');
             option.value = board.id;
-            option.textContent = board.name;
+            option.textContent = board.title;
             select.appendChild(option);
         });
     }
@@ -213,13 +445,18 @@ class ShortbreadApp {
         const urlParams = new URLSearchParams(window.location.search);
         const videoUrl = urlParams.get('url') || urlParams.get('text');
 
-        if (!boardId || !videoUrl) {
+        if (!boardId || (!videoUrl && !this.sharedUploadId)) {
             this.showToast('Please select a board and ensure the video URL is valid', 'error');
             return;
         }
 
+        // Shared files were already uploaded by /share and only need a board
+        const endpoint = this.sharedUploadId
+            ? `/api/v1/uploads/${encodeURIComponent(this.sharedUploadId)}/save`
+            : `/api/v1/boards/${encodeURIComponent(boardId)}/videos`;
+
         try {
-            const response = await fetch('/api/videos', {
+            const response = await this.api(endpoint, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -233,7 +470,7 @@ class ShortbreadApp {
             if (response.ok) {
                 // Find the board name for the toast message
                 const selectedBoard = this.boards.find(board => board.id === boardId);
-                const boardName = selectedBoard ? selectedBoard.name : 'Unknown Board';
+                const boardName = selectedBoard ? selectedBoard.title : 'Unknown Board';
                 this.showToast(`Saved to ${boardName} ✅`, 'success');
                 setTimeout(() => {
                     this.hideShareTarget();
@@ -268,12 +505,12 @@ class ShortbreadApp {
         }
 
         try {
-            const response = await fetch('/api/boards', {
+            const response = await this.api('/api/v1/boards', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify({ name, description })
+                body: JSON.stringify({ title: name, description })
             });
 
             if (response.ok) {
@@ -305,28 +542,332 @@ class ShortbreadApp {
         }
 
         boardsList.innerHTML = this.boards.map(board => `
-            <div class="board-card" onclick="app.openBoard('${board.id}')">
-                <div class="board-name">${this.escapeHtml(board.name)}</div>
+            <div class="board-card" data-board-id="${this.escapeHtml(board.id)}">
+                ${board.cover ? `<img class="board-cover" src="${this.escapeHtml(this.mediaUrl(`/api/videos/${encodeURIComponent(board.cover)}/thumbnail`))}" alt="" loading="lazy">` : ''}
+                <div class="board-name">${this.escapeHtml(board.title)}</div>
                 ${board.description ? `<div class="board-description">${this.escapeHtml(board.description)}</div>` : ''}
-                <div class="board-stats">${board.videoCount} videos</div>
+                ${typeof board.videoCount === 'number' ? `<div class="board-stats">${board.videoCount} videos</div>` : ''}
+                ${board.role && board.role !== 'owner' ? `<div class="board-role">Shared with you · ${this.escapeHtml(board.role)}</div>` : ''}
             </div>
         `).join('');
     }
 
-    openBoard(boardId) {
-        // For now, just show a toast. In a full implementation, this would navigate to the board view
-        const board = this.boards.find(b => b.id === boardId);
-        this.showToast(`Opening ${board.name} board...`, 'success');
+    async openBoard(boardId) {
+        try {
+            const [boardResponse, videosResponse] = await Promise.all([
+                this.api(`/api/v1/boards/${encodeURIComponent(boardId)}`),
+                this.api(`/api/v1/boards/${encodeURIComponent(boardId)}/videos`)
+            ]);
+
+            if (!boardResponse.ok || !videosResponse.ok) {
+                throw new Error('Failed to load board');
+            }
+
+            const board = await boardResponse.json();
+            const { videos, next } = await videosResponse.json();
+            const isOwner = board.role === 'owner';
+            this.currentBoard = { ...board, isOwner };
+            this.nextVideosUrl = next;
+            document.getElementById('inviteForm').classList.toggle('hidden', !isOwner);
+            document.getElementById('shareLinks').classList.toggle('hidden', !isOwner);
+            // People viewing through a share link have no boards to go back to
+            document.getElementById('backToBoardsBtn').classList.toggle('hidden', !this.isAuthenticated);
+            if (isOwner) {
+                this.loadShareLinks();
+            }
+            document.getElementById('boardViewTitle').textContent = board.title;
+            this.renderVideos(videos);
+            document.getElementById('dashboard').classList.add('hidden');
+            document.getElementById('boardView').classList.remove('hidden');
+        } catch (error) {
+            console.error('Error loading board:', error);
+            this.showToast('Failed to open board. Please try again.', 'error');
+        }
+    }
+
+    renderVideos(videos) {
+        const videoGrid = document.getElementById('videoGrid');
+
+        if (videos.length === 0) {
+            videoGrid.innerHTML = `
+                <div style="text-align: center; color: #64748b; padding: 2rem;">
+                    <p>No videos on this board yet. Share one from any app to save it here!</p>
+                </div>
+            `;
+            return;
+        }
+
+        videoGrid.innerHTML = videos.map(video => this.videoCardHtml(video)).join('');
     }
 
+    // Append the board's next page, if there is one and it isn't loading yet
+    async loadMoreVideos() {
+        if (!this.nextVideosUrl || this.loadingVideos) {
+            return;
+        }
+
+        const boardId = this.currentBoard.id;
+        this.loadingVideos = true;
+
+        try {
+            const response = await this.api(this.nextVideosUrl);
+
+            if (!response.ok) {
+                throw new Error('Failed to load videos');
+            }
+
+            const { videos, next } = await response.json();
+            // Ignore pages that arrive after another board was opened
+            if (!this.currentBoard || this.currentBoard.id !== boardId) {
+                return;
+            }
+            this.nextVideosUrl = next;
+            document.getElementById('videoGrid').insertAdjacentHTML(
+                'beforeend',
+                videos.map(video => this.videoCardHtml(video)).join('')
+            );
+        } catch (error) {
+            console.error('Error loading videos:', error);
+            this.showToast('Failed to load more videos.', 'error');
+        } finally {
+            this.loadingVideos = false;
+        }
+    }
+
+    videoCardHtml(video) {
+        const poster = video.thumbnail ? this.escapeHtml(this.mediaUrl(video.thumbnail)) : null;
+        const preview = video.preview ? this.escapeHtml(this.mediaUrl(`/api/videos/${video.id}/thumbnail?variant=preview`)) : null;
+        const status = video.status === 'ready' ? '' : ` · ${this.escapeHtml(video.status)}`;
+
+        return `
+            <div class="video-card" data-video-id="${this.escapeHtml(video.id)}" draggable="${this.canEditCurrentBoard()}">
+                <div class="video-card-media">
+                    ${poster
+                        ? `<img src="${poster}" data-poster="${poster}" ${preview ? `data-preview="${preview}"` : ''} alt="" loading="lazy">`
+                        : this.escapeHtml(video.platform)}
+                </div>
+                <div class="video-card-title">${this.escapeHtml(video.title)}</div>
+                ${video.tags && video.tags.length ? `<div class="video-card-tags">${video.tags.map(tag => `#${this.escapeHtml(tag)}`).join(' ')}</div>` : ''}
+                <div class="video-card-meta">${this.escapeHtml(video.platform)}${status}</div>
+                ${this.canEditCurrentBoard() ? `<button class="remove-video-btn" data-action="remove-video">Remove</button>` : ''}
+            </div>
+        `;
+    }
+
+    // Images can't send headers, so media served by the API gets the access
+    // token and the share token, when viewing through a share link, in the
+    // query. Platform thumbnails are used as they are.
+    mediaUrl(url) {
+        if (!url.startsWith('/api/')) {
+            return url;
+        }
+        const params = new URLSearchParams();
+        if (this.authToken) {
+            params.set('token', this.authToken);
+        }
+        if (this.shareToken) {
+            params.set('share', this.shareToken);
+        }
+        const query = params.toString();
+        return query ? `${url}${url.includes('?') ? '&' : '?'}${query}` : url;
+    }
+
+    async loadShareLinks() {
+        const list = document.getElementById('shareLinksList');
+
+        try {
+            const response = await this.api(`/api/v1/boards/${encodeURIComponent(this.currentBoard.id)}/share-links`);
+
+            if (!response.ok) {
+                throw new Error('Failed to load share links');
+            }
+
+            const { shareLinks } = await response.json();
+            list.innerHTML = shareLinks.map(link => `
+                <li>
+                    <span>${this.escapeHtml(link.label || window.location.origin + link.url)}${link.expiresAt ? ` · expires ${new Date(link.expiresAt).toLocaleDateString()}` : ''}</span>
+                    <button class="remove-video-btn" data-link-id="${this.escapeHtml(link.id)}">Turn off</button>
+                </li>
+            `).join('');
+        } catch (error) {
+            console.error('Error loading share links:', error);
+            list.innerHTML = '';
+        }
+    }
+
+    // Create a view-only link to the board and copy it to the clipboard
+    async createShareLink() {
+        try {
+            const response = await this.api(`/api/v1/boards/${encodeURIComponent(this.currentBoard.id)}/share-links`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({})
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to create share link');
+            }
+
+            const link = await response.json();
+            await navigator.clipboard.writeText(window.location.origin + link.url);
+            this.showToast('Share link copied', 'success');
+            await this.loadShareLinks();
+        } catch (error) {
+            console.error('Error creating share link:', error);
+            this.showToast('Failed to create share link. Please try again.', 'error');
+        }
+    }
+
+    async revokeShareLink(linkId) {
+        try {
+            const response = await this.api(`/api/v1/boards/${encodeURIComponent(this.currentBoard.id)}/share-links/${encodeURIComponent(linkId)}`, {
+                method: 'DELETE'
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to turn off share link');
+            }
+
+            this.showToast('Share link turned off', 'success');
+            await this.loadShareLinks();
+        } catch (error) {
+            console.error('Error revoking share link:', error);
+            this.showToast('Failed to turn off share link. Please try again.', 'error');
+        }
+    }
+
+    // Owners and editors can add, remove and reorder videos
+    canEditCurrentBoard() {
+        return ['owner', 'editor'].includes(this.currentBoard.role);
+    }
+
+    async inviteMember() {
+        const emailInput = document.getElementById('inviteEmailInput');
+        const email = emailInput.value.trim();
+        const role = document.getElementById('inviteRoleSelect').value;
+
+        try {
+            const response = await this.api(`/api/v1/boards/${encodeURIComponent(this.currentBoard.id)}/members`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ email, role })
+            });
+
+            if (!response.ok) {
+                const { error } = await response.json();
+                throw new Error(error.message || 'Failed to send invite');
+            }
+
+            emailInput.value = '';
+            this.showToast(`Invite sent to ${email}`, 'success');
+        } catch (error) {
+            console.error('Error inviting member:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // Search saved videos. Words starting with # filter by tag.
+    async searchVideos(input) {
+        if (!input) {
+            return;
+        }
+
+        const params = new URLSearchParams();
+        const words = input.split(/\s+/);
+        const tag = words.find(word => word.startsWith('#'));
+        const text = words.filter(word => word !== tag).join(' ');
+        if (tag) {
+            params.set('tag', tag);
+        }
+        if (text) {
+            params.set('q', text);
+        }
+
+        try {
+            const response = await this.api(`/api/v1/search?${params}`);
+
+            if (!response.ok) {
+                throw new Error('Search failed');
+            }
+
+            const { results } = await response.json();
+            // Results can span boards, so they can't be reordered or removed here
+            this.currentBoard = { isOwner: false, role: null };
+            document.getElementById('inviteForm').classList.add('hidden');
+            document.getElementById('shareLinks').classList.add('hidden');
+            this.nextVideosUrl = null;
+            document.getElementById('boardViewTitle').textContent = `Results for "${input}"`;
+            this.renderVideos(results);
+            document.getElementById('dashboard').classList.add('hidden');
+            document.getElementById('boardView').classList.remove('hidden');
+        } catch (error) {
+            console.error('Error searching videos:', error);
+            this.showToast('Search failed. Please try again.', 'error');
+        }
+    }
+
+    // Save a drag-and-drop move: the video now follows `after` (null for first)
+    async moveVideo(videoId, after) {
+        const boardId = this.currentBoard.id;
+
+        try {
+            const response = await this.api(`/api/v1/boards/${encodeURIComponent(boardId)}/order`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ videoId, after })
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to reorder board');
+            }
+        } catch (error) {
+            console.error('Error reordering board:', error);
+            this.showToast('Failed to save the new order. Please try again.', 'error');
+            await this.openBoard(boardId);
+        }
+    }
+
+    async removeVideo(videoId) {
+        const boardId = this.currentBoard.id;
+
+        try {
+            const response = await this.api(`/api/v1/boards/${encodeURIComponent(boardId)}/videos/${encodeURIComponent(videoId)}`, {
+                method: 'DELETE'
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to remove video');
+            }
+
+            this.showToast('Video removed from board', 'success');
+            await this.openBoard(boardId);
+        } catch (error) {
+            console.error('Error removing video:', error);
+            this.showToast('Failed to remove video. Please try again.', 'error');
+        }
+    }
+
+    // Load every board, page by page
     async loadBoards() {
         try {
-            const response = await fetch('/api/boards');
-            if (response.ok) {
-                this.boards = await response.json();
-            } else {
-                this.boards = [];
+            const boards = [];
+            let url = '/api/v1/boards?limit=100';
+            while (url) {
+                const response = await this.api(url);
+                if (!response.ok) {
+                    throw new Error('Failed to load boards');
+                }
+                const page = await response.json();
+                boards.push(...page.boards);
+                url = page.next;
             }
+            this.boards = boards;
         } catch (error) {
             console.error('Error loading boards:', error);
             this.boards = [];
@@ -338,10 +879,13 @@ class ShortbreadApp {
             e.preventDefault();
             this.deferredPrompt = e;
             
-            // Show install prompt if not already installed
+            // Show install prompt if not already installed, and not on top of
+            // the passkey prompt
             if (!window.matchMedia('(display-mode: standalone)').matches) {
                 setTimeout(() => {
-                    document.getElementById('installPrompt').classList.remove('hidden');
+                    if (document.getElementById('passkeyPrompt').classList.contains('hidden')) {
+                        document.getElementById('installPrompt').classList.remove('hidden');
+                    }
                 }, 3000);
             }
         });
@@ -375,53 +919,217 @@ class ShortbreadApp {
         }, 3000);
     }
 
+    // Safe inside text and quoted attribute values alike
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 
     // Authentication Methods
-    checkAuthStatus() {
-        // Check localStorage for auth token or user data
-        const userData = localStorage.getItem('shortbread_user');
-        if (userData) {
-            try {
-                this.currentUser = JSON.parse(userData);
-                this.isAuthenticated = true;
-            } catch (error) {
-                console.error('Error parsing user data:', error);
-                localStorage.removeItem('shortbread_user');
+
+    // fetch() for the app's own endpoints: sends the access token and the
+    // share token, renews the access token when it runs out, and sends the
+    // user back to sign in once the session itself has ended
+    async api(url, options = {}) {
+        const send = () => {
+            const headers = { ...options.headers };
+            if (this.authToken) {
+                headers['Authorization'] = `Bearer ${this.authToken}`;
+            }
+            if (this.shareToken) {
+                headers['X-Share-Token'] = this.shareToken;
+            }
+            return fetch(url, { ...options, headers });
+        };
+
+        let response = await send();
+
+        if (this.isAuthenticated && await this.isAuthError(response)) {
+            if (await this.refreshAccessToken()) {
+                response = await send();
             }
+            if (await this.isAuthError(response)) {
+                this.sessionExpired();
+            }
+        }
+        return response;
+    }
+
+    // Access tokens last 15 minutes and are only kept in memory. The refresh
+    // token lives in an httpOnly cookie the page can't read; the server
+    // rotates it on every refresh.
+    async refreshAccessToken() {
+        // One refresh at a time, however many requests found the token expired
+        if (!this.refreshing) {
+            this.refreshing = fetch('/auth/refresh', { method: 'POST' })
+                .then(async (response) => (response.ok ? (await response.json()).accessToken : null))
+                .catch(() => null)
+                .finally(() => {
+                    this.refreshing = null;
+                });
+        }
+        this.authToken = await this.refreshing;
+        return this.authToken;
+    }
+
+    // 401 means no token was sent; 403 invalid_token that it expired or its
+    // user is gone. Other 403s are about the board, not the session.
+    async isAuthError(response) {
+        if (response.status === 401) {
+            return true;
+        }
+        if (response.status !== 403) {
+            return false;
+        }
+        try {
+            const { error } = await response.clone().json();
+            return Boolean(error) && error.code === 'invalid_token';
+        } catch {
+            return false;
         }
     }
 
+    // Access tokens are JWTs; read the expiry without verifying them
+    tokenExpired(token) {
+        try {
+            const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+            return !payload.exp || payload.exp * 1000 <= Date.now();
+        } catch {
+            return true;
+        }
+    }
+
+    async checkAuthStatus() {
+        // Left over from the demo login and from long-lived tokens
+        localStorage.removeItem('shortbread_user');
+        localStorage.removeItem('shortbread_token');
+
+        // Magic links land on /?token=... and reset links on /?reset=...
+        // Take the token out of the address bar and history straight away;
+        // the rest of the query (a shared video, an invited board) is kept
+        // for handleSharedContent.
+        const params = new URLSearchParams(window.location.search);
+        const urlToken = params.get('token');
+        this.resetToken = params.get('reset');
+        this.authError = params.get('authError');
+        if (urlToken || this.resetToken || this.authError) {
+            params.delete('token');
+            params.delete('reset');
+            params.delete('authError');
+            const query = params.toString();
+            window.history.replaceState({}, document.title, `${window.location.pathname}${query ? `?${query}` : ''}`);
+        }
+
+        // A token fresh from a magic link is used as is; otherwise the refresh
+        // cookie, if there is one, signs us back in
+        if (urlToken && !this.tokenExpired(urlToken)) {
+            this.authToken = urlToken;
+            this.justSignedIn = true;
+        } else if (!await this.refreshAccessToken()) {
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/v1/user', {
+                headers: { 'Authorization': `Bearer ${this.authToken}` }
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to load user');
+            }
+
+            this.currentUser = await response.json();
+            this.isAuthenticated = true;
+        } catch (error) {
+            console.error('Error checking session:', error);
+            this.authToken = null;
+        }
+    }
+
+    clearSession() {
+        this.authToken = null;
+        this.currentUser = null;
+        this.isAuthenticated = false;
+        this.boards = [];
+        document.getElementById('passkeyPrompt').classList.add('hidden');
+        this.hidePasskeysModal();
+        // Nothing the signed-in user fetched stays behind in the service worker
+        if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({ type: 'clear-api-cache' });
+        }
+    }
+
+    // The URL stays as it is, so a shared video or board is still there to
+    // come back to after signing in again
+    sessionExpired() {
+        if (!this.isAuthenticated) {
+            return;
+        }
+        this.clearSession();
+        this.showToast('Your session has expired. Please sign in again.', 'error');
+        this.updateUI();
+    }
+
     updateUI() {
         const authSection = document.getElementById('authSection');
         const dashboard = document.getElementById('dashboard');
         const userActions = document.getElementById('userActions');
         const userName = document.getElementById('userName');
-        
+
+        // A reset link asks for the new password first, signed in or not
+        if (this.resetToken) {
+            authSection.classList.remove('hidden');
+            dashboard.classList.add('hidden');
+            document.getElementById('shareTarget').classList.add('hidden');
+            document.getElementById('boardView').classList.add('hidden');
+            this.showResetPasswordForm();
+            return;
+        }
+
         if (this.isAuthenticated) {
             authSection.classList.add('hidden');
             dashboard.classList.remove('hidden');
             userActions.classList.remove('hidden');
             userName.textContent = this.currentUser.name;
-            this.loadBoards();
+            this.loadBoards().then(() => this.renderBoards());
             this.handleSharedContent();
-            this.renderBoards();
+            this.offerPasskey();
+        } else if (this.shareToken) {
+            // Opened through a share link: show the board without signing in
+            authSection.classList.add('hidden');
+            userActions.classList.add('hidden');
+            this.openBoard(new URLSearchParams(window.location.search).get('board'));
         } else {
             authSection.classList.remove('hidden');
             dashboard.classList.add('hidden');
+            document.getElementById('shareTarget').classList.add('hidden');
+            document.getElementById('boardView').classList.add('hidden');
             userActions.classList.add('hidden');
+            this.showLoginForm();
+            this.loadSignInProviders();
+            const shareError = new URLSearchParams(window.location.search).get('shareError');
+            if (shareError) {
+                this.showShareError(shareError);
+            }
+            if (this.authError) {
+                this.showAuthError(this.authError);
+                this.authError = null;
+            }
         }
     }
 
     showLoginForm() {
+        document.querySelector('.auth-tabs').classList.remove('hidden');
         document.getElementById('loginTab').classList.add('active');
         document.getElementById('signupTab').classList.remove('active');
         document.getElementById('loginForm').classList.remove('hidden');
         document.getElementById('signupForm').classList.add('hidden');
+        document.getElementById('magicLinkSent').classList.add('hidden');
+        document.getElementById('resetPasswordForm').classList.add('hidden');
     }
 
     showSignupForm() {
@@ -429,99 +1137,521 @@ class ShortbreadApp {
         document.getElementById('signupTab').classList.add('active');
         document.getElementById('loginForm').classList.add('hidden');
         document.getElementById('signupForm').classList.remove('hidden');
+        document.getElementById('magicLinkSent').classList.add('hidden');
+        document.getElementById('resetPasswordForm').classList.add('hidden');
+    }
+
+    showResetPasswordForm() {
+        document.querySelector('.auth-tabs').classList.add('hidden');
+        document.getElementById('loginForm').classList.add('hidden');
+        document.getElementById('signupForm').classList.add('hidden');
+        document.getElementById('magicLinkSent').classList.add('hidden');
+        document.getElementById('resetPasswordForm').classList.remove('hidden');
+    }
+
+    // Reset and sign-up links are sent the same way, with their own wording
+    showMagicLinkSent(email, devToken, { reset = false, signup = false } = {}) {
+        document.getElementById('loginForm').classList.add('hidden');
+        document.getElementById('signupForm').classList.add('hidden');
+        document.getElementById('magicLinkSent').classList.remove('hidden');
+        document.getElementById('magicLinkEmail').textContent = email;
+        document.getElementById('magicLinkText').textContent = reset
+            ? 'If there is an account for'
+            : signup ? 'We sent a link to finish signing up to' : 'We sent a sign-in link to';
+        document.getElementById('magicLinkExpiry').textContent = reset
+            ? 'we sent it a link to choose a new password. It expires in an hour.'
+            : signup ? 'It expires in a day.' : 'It expires in 15 minutes.';
+
+        // Outside production the API returns the token, so the link can be
+        // followed without a mail server
+        const devLink = document.getElementById('devMagicLink');
+        const devUrl = reset ? `/?reset=${encodeURIComponent(devToken)}` : `/auth/verify?token=${encodeURIComponent(devToken)}`;
+        devLink.classList.toggle('hidden', !devToken);
+        devLink.href = devToken ? devUrl : '#';
+    }
+
+    // Ask for a magic link. The current query (a shared video waiting for a
+    // board, an invited board) rides along in the link so signing in lands
+    // back on it, even when the email is opened in another tab.
+    async requestMagicLink(email, name) {
+        const params = new URLSearchParams(window.location.search);
+        params.delete('token');
+        params.delete('shareError');
+        const query = params.toString();
+
+        const response = await fetch('/auth/magic-link', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                email,
+                ...(name && { name }),
+                ...(query && { returnTo: `/?${query}` })
+            })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            const error = new Error(data.error || 'Failed to send sign-in link');
+            error.status = response.status;
+            throw error;
+        }
+
+        this.showMagicLinkSent(email, data.token);
+    }
+
+    // Offer a button for each sign-in provider the server is set up with.
+    // They come back to the current page, like magic links.
+    async loadSignInProviders() {
+        try {
+            const response = await fetch('/auth/oidc/providers');
+            if (!response.ok) {
+                return;
+            }
+            const { providers } = await response.json();
+
+            const params = new URLSearchParams(window.location.search);
+            params.delete('shareError');
+            const query = params.toString();
+
+            document.querySelectorAll('.provider-buttons').forEach(container => {
+                container.innerHTML = '';
+                for (const provider of providers) {
+                    const link = document.createElement('a');
+                    link.className = 'provider-btn';
+                    link.href = `/auth/oidc/${encodeURIComponent(provider.id)}${query ? `?returnTo=${encodeURIComponent(`/?${query}`)}` : ''}`;
+                    link.textContent = `Continue with ${provider.label}`;
+                    container.appendChild(link);
+                }
+                container.classList.toggle('hidden', providers.length === 0);
+            });
+        } catch (error) {
+            console.error('Error loading sign-in providers:', error);
+        }
+    }
+
+    showAuthError(reason) {
+        const messages = {
+            'cancelled': 'Sign-in was cancelled',
+            'unverified-email': 'That account has no verified email address, so it can\'t be used to sign in',
+            'invalid-state': 'That sign-in attempt expired. Please try again.'
+        };
+        this.showToast(messages[reason] || 'Couldn\'t sign in with that provider. Please try again.', 'error');
+    }
+
+    // POST credentials to a password or passkey endpoint and sign in with the
+    // session it opens. The refresh cookie comes back with the response.
+    async signInRequest(url, body) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            const error = new Error(data.error || 'Failed to sign in');
+            error.status = response.status;
+            throw error;
+        }
+
+        this.authToken = data.accessToken;
+        this.currentUser = data.user;
+        this.isAuthenticated = true;
     }
 
     async handleLogin() {
-        const email = document.getElementById('loginEmail').value;
+        const email = document.getElementById('loginEmail').value.trim();
         const password = document.getElementById('loginPassword').value;
-        
-        if (!email || !password) {
-            this.showToast('Please fill in all fields', 'error');
+
+        if (!email) {
+            this.showToast('Please enter your email address', 'error');
+            return;
+        }
+
+        if (password) {
+            try {
+                await this.signInRequest('/auth/login', { email, password });
+                document.getElementById('loginPassword').value = '';
+                this.updateUI();
+                this.showToast(`Welcome back, ${this.currentUser.name}!`, 'success');
+            } catch (error) {
+                console.error('Login error:', error);
+                this.showToast(error.status === 401 || error.status === 403 || error.status === 429
+                    ? error.message
+                    : 'Sign-in failed. Please try again.', 'error');
+            }
             return;
         }
 
         try {
-            // Simulate login for demo purposes
-            // In a real app, this would make an API call
-            this.showToast('Signing in...', 'info');
-            
-            // Simulate API delay
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            
-            // For demo, any email/password combination works
-            const userData = {
-                id: 'demo-user',
-                name: email.split('@')[0],
-                email: email
-            };
-            
-            localStorage.setItem('shortbread_user', JSON.stringify(userData));
-            this.currentUser = userData;
-            this.isAuthenticated = true;
-            
-            this.showToast('Welcome back!', 'success');
-            this.updateUI();
-            
+            await this.requestMagicLink(email);
         } catch (error) {
             console.error('Login error:', error);
-            this.showToast('Login failed. Please try again.', 'error');
+            if (error.status === 404) {
+                // No account yet: sign up with the same address
+                document.getElementById('signupEmail').value = email;
+                this.showSignupForm();
+                this.showToast('No account with that email yet. Add your name to sign up.', 'info');
+                return;
+            }
+            if (error.status === 429) {
+                this.showToast('Too many sign-in links requested. Please wait a few minutes.', 'error');
+                return;
+            }
+            this.showToast('Failed to send sign-in link. Please try again.', 'error');
         }
     }
 
     async handleSignup() {
-        const name = document.getElementById('signupName').value;
-        const email = document.getElementById('signupEmail').value;
+        const name = document.getElementById('signupName').value.trim();
+        const email = document.getElementById('signupEmail').value.trim();
         const password = document.getElementById('signupPassword').value;
         const confirmPassword = document.getElementById('signupConfirmPassword').value;
-        
-        if (!name || !email || !password || !confirmPassword) {
+
+        if (!name || !email) {
             this.showToast('Please fill in all fields', 'error');
             return;
         }
 
+        // Without a password the account signs in with magic links
+        if (password) {
+            if (password !== confirmPassword) {
+                this.showToast('Passwords do not match', 'error');
+                return;
+            }
+            try {
+                const response = await fetch('/auth/register', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({ email, name, password })
+                });
+                const data = await response.json();
+
+                if (!response.ok) {
+                    const error = new Error(data.error || 'Signup failed');
+                    error.status = response.status;
+                    throw error;
+                }
+
+                this.showMagicLinkSent(email, data.token, { signup: true });
+            } catch (error) {
+                console.error('Signup error:', error);
+                this.showToast(error.status === 400 || error.status === 429
+                    ? error.message
+                    : 'Signup failed. Please try again.', 'error');
+            }
+            return;
+        }
+
+        try {
+            await this.requestMagicLink(email, name);
+        } catch (error) {
+            console.error('Signup error:', error);
+            this.showToast(error.status === 429
+                ? 'Too many sign-in links requested. Please wait a few minutes.'
+                : 'Signup failed. Please try again.', 'error');
+        }
+    }
+
+    // Email a link to choose a new password, or a first one for accounts
+    // that sign in with magic links
+    async requestPasswordReset() {
+        const email = document.getElementById('loginEmail').value.trim();
+
+        if (!email) {
+            this.showToast('Enter your email address first', 'error');
+            return;
+        }
+
+        try {
+            const response = await fetch('/auth/password-reset', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ email })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to send reset link');
+            }
+
+            this.showMagicLinkSent(email, data.token, { reset: true });
+        } catch (error) {
+            console.error('Password reset error:', error);
+            this.showToast('Failed to send reset link. Please try again.', 'error');
+        }
+    }
+
+    async handleResetPassword() {
+        const password = document.getElementById('resetPassword').value;
+        const confirmPassword = document.getElementById('resetConfirmPassword').value;
+
         if (password !== confirmPassword) {
             this.showToast('Passwords do not match', 'error');
             return;
         }
 
-        if (password.length < 6) {
-            this.showToast('Password must be at least 6 characters', 'error');
-            return;
+        try {
+            await this.signInRequest('/auth/password-reset/confirm', { token: this.resetToken, password });
+            this.showToast('Password updated', 'success');
+        } catch (error) {
+            console.error('Password reset error:', error);
+            // The form checks the length, so this is a used or expired link
+            // that won't work again: back to signing in
+            if (error.status !== 400) {
+                this.showToast('Failed to set password. Please try again.', 'error');
+                return;
+            }
+            this.showToast(error.message, 'error');
+        }
+
+        this.resetToken = null;
+        document.getElementById('resetPasswordFormElement').reset();
+        this.updateUI();
+    }
+
+    // Passkeys
+
+    passkeysSupported() {
+        return Boolean(window.PublicKeyCredential && navigator.credentials);
+    }
+
+    // WebAuthn takes and gives ArrayBuffers; the API sends base64url
+    fromBase64url(value) {
+        const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, c => c.charCodeAt(0)).buffer;
+    }
+
+    toBase64url(buffer) {
+        return btoa(String.fromCharCode(...new Uint8Array(buffer)))
+            .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    // A PublicKeyCredential from create() or get() as the API expects it
+    credentialJson(credential) {
+        const { response } = credential;
+        const json = {
+            id: credential.id,
+            rawId: this.toBase64url(credential.rawId),
+            type: credential.type,
+            response: { clientDataJSON: this.toBase64url(response.clientDataJSON) }
+        };
+        if (response.attestationObject) {
+            json.response.attestationObject = this.toBase64url(response.attestationObject);
+            json.response.transports = response.getTransports ? response.getTransports() : [];
+        } else {
+            json.response.authenticatorData = this.toBase64url(response.authenticatorData);
+            json.response.signature = this.toBase64url(response.signature);
+            json.response.userHandle = response.userHandle ? this.toBase64url(response.userHandle) : null;
         }
+        return json;
+    }
 
+    // Sign in with whichever passkey the browser offers for this site; no
+    // email needed
+    async signInWithPasskey() {
         try {
-            // Simulate signup for demo purposes
-            // In a real app, this would make an API call
-            this.showToast('Creating account...', 'info');
-            
-            // Simulate API delay
-            await new Promise(resolve => setTimeout(resolve, 1500));
-            
-            // For demo, create user account
-            const userData = {
-                id: 'demo-user-' + Date.now(),
-                name: name,
-                email: email
-            };
-            
-            localStorage.setItem('shortbread_user', JSON.stringify(userData));
-            this.currentUser = userData;
-            this.isAuthenticated = true;
-            
-            this.showToast(`Welcome to Shortbread, ${name}!`, 'success');
+            const optionsResponse = await fetch('/auth/passkey/options', { method: 'POST' });
+            if (!optionsResponse.ok) {
+                throw new Error('Failed to start passkey sign-in');
+            }
+            const { ceremonyToken, options } = await optionsResponse.json();
+
+            const credential = await navigator.credentials.get({
+                publicKey: { ...options, challenge: this.fromBase64url(options.challenge) }
+            });
+
+            await this.signInRequest('/auth/passkey', { ceremonyToken, credential: this.credentialJson(credential) });
             this.updateUI();
-            
+            this.showToast(`Welcome back, ${this.currentUser.name}!`, 'success');
         } catch (error) {
-            console.error('Signup error:', error);
-            this.showToast('Signup failed. Please try again.', 'error');
+            console.error('Passkey sign-in error:', error);
+            // Cancelled or timed out in the browser's own dialog
+            if (error.name === 'NotAllowedError') {
+                return;
+            }
+            this.showToast(error.status === 429
+                ? 'Too many sign-in attempts. Please wait a few minutes.'
+                : 'Couldn\'t sign in with that passkey. Please try again.', 'error');
         }
     }
 
-    logout() {
-        localStorage.removeItem('shortbread_user');
-        this.currentUser = null;
-        this.isAuthenticated = false;
-        this.boards = [];
+    // Right after signing in with an email link, offer a passkey to accounts
+    // without one. "Maybe Later" is remembered on this device.
+    async offerPasskey() {
+        if (!this.justSignedIn || !this.passkeysSupported() ||
+            localStorage.getItem('shortbread_passkey_prompt') === 'dismissed') {
+            return;
+        }
+        this.justSignedIn = false;
+
+        try {
+            const response = await this.api('/api/v1/passkeys');
+            if (!response.ok) {
+                return;
+            }
+            const { passkeys } = await response.json();
+            if (passkeys.length === 0) {
+                document.getElementById('installPrompt').classList.add('hidden');
+                document.getElementById('passkeyPrompt').classList.remove('hidden');
+            }
+        } catch (error) {
+            console.error('Error checking passkeys:', error);
+        }
+    }
+
+    dismissPasskeyPrompt() {
+        localStorage.setItem('shortbread_passkey_prompt', 'dismissed');
+        document.getElementById('passkeyPrompt').classList.add('hidden');
+    }
+
+    // Create a passkey on this device. The server names it after the device;
+    // it can be renamed in the passkeys list.
+    async addPasskey() {
+        try {
+            const optionsResponse = await this.api('/api/v1/passkeys/register/options', { method: 'POST' });
+            if (!optionsResponse.ok) {
+                throw new Error('Failed to start adding a passkey');
+            }
+            const { ceremonyToken, options } = await optionsResponse.json();
+
+            const credential = await navigator.credentials.create({
+                publicKey: {
+                    ...options,
+                    challenge: this.fromBase64url(options.challenge),
+                    user: { ...options.user, id: this.fromBase64url(options.user.id) },
+                    excludeCredentials: options.excludeCredentials.map(excluded => ({
+                        ...excluded,
+                        id: this.fromBase64url(excluded.id)
+                    }))
+                }
+            });
+
+            const response = await this.api('/api/v1/passkeys', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ ceremonyToken, credential: this.credentialJson(credential) })
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to add passkey');
+            }
+
+            document.getElementById('passkeyPrompt').classList.add('hidden');
+            this.showToast('Passkey added', 'success');
+            if (!document.getElementById('passkeysModal').classList.contains('hidden')) {
+                await this.loadPasskeys();
+            }
+        } catch (error) {
+            console.error('Error adding passkey:', error);
+            if (error.name === 'NotAllowedError') {
+                return;
+            }
+            // The authenticator already holds one of the account's passkeys
+            this.showToast(error.name === 'InvalidStateError'
+                ? 'This device already has a passkey for your account'
+                : 'Failed to add passkey. Please try again.', 'error');
+        }
+    }
+
+    showPasskeysModal() {
+        document.getElementById('passkeysModal').classList.remove('hidden');
+        this.loadPasskeys();
+    }
+
+    hidePasskeysModal() {
+        document.getElementById('passkeysModal').classList.add('hidden');
+    }
+
+    async loadPasskeys() {
+        const list = document.getElementById('passkeysList');
+
+        try {
+            const response = await this.api('/api/v1/passkeys');
+
+            if (!response.ok) {
+                throw new Error('Failed to load passkeys');
+            }
+
+            const { passkeys } = await response.json();
+            list.innerHTML = passkeys.length === 0
+                ? '<li>No passkeys yet</li>'
+                : passkeys.map(passkey => `
+                    <li data-passkey-id="${this.escapeHtml(passkey.id)}">
+                        <span>
+                            <input class="passkey-name" value="${this.escapeHtml(passkey.name)}" maxlength="100" aria-label="Passkey name">
+                            <small>${passkey.lastUsedAt ? `Last used ${new Date(passkey.lastUsedAt).toLocaleDateString()}` : `Added ${new Date(passkey.createdAt).toLocaleDateString()}`}</small>
+                        </span>
+                        <button class="remove-video-btn" data-action="remove-passkey">Remove</button>
+                    </li>
+                `).join('');
+        } catch (error) {
+            console.error('Error loading passkeys:', error);
+            list.innerHTML = '';
+        }
+    }
+
+    async renamePasskey(passkeyId, name) {
+        try {
+            const response = await this.api(`/api/v1/passkeys/${encodeURIComponent(passkeyId)}`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ name })
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to rename passkey');
+            }
+
+            this.showToast('Passkey renamed', 'success');
+        } catch (error) {
+            console.error('Error renaming passkey:', error);
+            this.showToast('Failed to rename passkey. Please try again.', 'error');
+        }
+        await this.loadPasskeys();
+    }
+
+    async removePasskey(passkeyId) {
+        try {
+            const response = await this.api(`/api/v1/passkeys/${encodeURIComponent(passkeyId)}`, {
+                method: 'DELETE'
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to remove passkey');
+            }
+
+            this.showToast('Passkey removed. Remove it from your device too.', 'success');
+            await this.loadPasskeys();
+        } catch (error) {
+            console.error('Error removing passkey:', error);
+            this.showToast('Failed to remove passkey. Please try again.', 'error');
+        }
+    }
+
+    // End the session on the server too, so its refresh token stops working
+    async logout() {
+        try {
+            await fetch('/auth/logout', {
+                method: 'POST',
+                headers: this.authToken ? { 'Authorization': `Bearer ${this.authToken}` } : {}
+            });
+        } catch (error) {
+            console.error('Error logging out:', error);
+        }
+        this.clearSession();
         this.updateUI();
         this.showToast('Logged out successfully', 'info');
     }
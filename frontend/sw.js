@@ -1,4 +1,7 @@
-const CACHE_NAME = 'shortbread-v2';
+// Bump the version with every frontend change, so installs drop the old shell
+const CACHE_NAME = 'shortbread-v8';
+// Public API answers kept for offline use, cleared when the user signs out
+const API_CACHE_NAME = 'shortbread-api';
 const urlsToCache = [
   '/',
   '/index.html',
@@ -33,7 +36,7 @@ self.addEventListener('activate', event => {
     caches.keys().then(cacheNames => {
       return Promise.all(
         cacheNames.map(cacheName => {
-          if (cacheName !== CACHE_NAME) {
+          if (cacheName !== CACHE_NAME && cacheName !== API_CACHE_NAME) {
             console.log('[SW] Deleting old cache:', cacheName);
             return caches.delete(cacheName);
           }
@@ -46,22 +49,42 @@ self.addEventListener('activate', event => {
   );
 });
 
-// Fetch event with network-first strategy for API calls, cache-first for assets
+// The page asks for the API cache to be dropped when the user signs out
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'clear-api-cache') {
+    event.waitUntil(caches.delete(API_CACHE_NAME));
+  }
+});
+
+// Media (downloads, posters, previews) is too big to keep, and requests that
+// carry a token answer for one user or link: only other GETs are cached
+const isCacheableApiRequest = (request, url) => request.method === 'GET' &&
+  !request.headers.has('Authorization') &&
+  !url.searchParams.has('token') &&
+  !url.searchParams.has('share') &&
+  !request.headers.has('X-Share-Token') &&
+  !/\/(download|thumbnail)$/.test(url.pathname);
+
+// Fetch event, network-first for API calls and the app shell alike
 self.addEventListener('fetch', event => {
   const { request } = event;
   const url = new URL(request.url);
 
-  // Handle API requests with network-first strategy
+  // Handle API requests with network-first strategy. Anything that can't be
+  // cached goes straight to the network, as if there were no service worker.
   if (url.pathname.startsWith('/api/')) {
+    if (!isCacheableApiRequest(request, url)) {
+      return;
+    }
+
     event.respondWith(
       fetch(request)
         .then(response => {
-          // Clone the response
-          const responseToCache = response.clone();
-          
-          // Only cache successful responses
-          if (response.status === 200) {
-            caches.open(CACHE_NAME).then(cache => {
+          // Only cache successful responses the server lets be stored
+          const cacheControl = response.headers.get('Cache-Control') || '';
+          if (response.status === 200 && !/no-store|private/.test(cacheControl)) {
+            const responseToCache = response.clone();
+            caches.open(API_CACHE_NAME).then(cache => {
               cache.put(request, responseToCache);
             });
           }
@@ -76,47 +99,50 @@ self.addEventListener('fetch', event => {
     return;
   }
 
-  // Handle app shell and static assets with cache-first strategy
+  // Handle app shell and static assets network-first, so a new version shows
+  // up on the next load; the cached copy is only for when the network is down
+  if (request.method !== 'GET') {
+    return;
+  }
+
   event.respondWith(
-    caches.match(request)
+    fetch(request)
       .then(response => {
-        // Return cached version if available
-        if (response) {
+        // Don't cache if not a valid response
+        if (!response || response.status !== 200 || response.type !== 'basic') {
           return response;
         }
-        
-        // Otherwise fetch from network
-        return fetch(request).then(response => {
-          // Don't cache if not a valid response
-          if (!response || response.status !== 200 || response.type !== 'basic') {
-            return response;
-          }
 
-          // Clone the response
-          const responseToCache = response.clone();
+        // Clone the response
+        const responseToCache = response.clone();
 
-          // Cache static assets
-          if (request.method === 'GET' && 
-              (request.destination === 'style' || 
-               request.destination === 'script' || 
-               request.destination === 'image' ||
-               url.pathname.endsWith('.css') ||
-               url.pathname.endsWith('.js') ||
-               url.pathname.endsWith('.png') ||
-               url.pathname.endsWith('.ico'))) {
-            caches.open(CACHE_NAME).then(cache => {
-              cache.put(request, responseToCache);
-            });
-          }
+        // Keep the shell and static assets fresh for offline use. Other pages
+        // can carry tokens in their URL and are never cached.
+        if ((urlsToCache.includes(url.pathname) && !url.search) ||
+            request.destination === 'style' ||
+            request.destination === 'script' ||
+            request.destination === 'image' ||
+            url.pathname.endsWith('.css') ||
+            url.pathname.endsWith('.js') ||
+            url.pathname.endsWith('.png') ||
+            url.pathname.endsWith('.ico')) {
+          caches.open(CACHE_NAME).then(cache => {
+            cache.put(request, responseToCache);
+          });
+        }
 
-          return response;
-        });
+        return response;
       })
       .catch(() => {
-        // If both cache and network fail, return offline page for navigation requests
-        if (request.mode === 'navigate') {
-          return caches.match('/index.html');
-        }
+        // Offline: the cached copy, or the app shell for navigation requests
+        return caches.match(request).then(response => {
+          if (response) {
+            return response;
+          }
+          if (request.mode === 'navigate') {
+            return caches.match('/index.html');
+          }
+        });
       })
   );
-});
\ No newline at end of file
+});